@@ -0,0 +1,155 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - SERVER API CLIENT
+// =====================================================
+// Talks to our own Express server instead of PostgREST. Holds the access /
+// refresh token pair issued at login and refreshes it transparently.
+
+import { deleteDatabase } from './db.js';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const SESSION_KEY = 'digidadSession';
+
+let refreshPromise = null;
+
+export function getSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function storeSession(session, user) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    if (user) {
+        // Keys the rest of the app already reads
+        localStorage.setItem('userId', user.id);
+        localStorage.setItem('userPhone', user.phone);
+    }
+}
+
+export function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem('userId');
+    localStorage.removeItem('userPhone');
+}
+
+async function post(path, body) {
+    const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { ok: response.ok, status: response.status, data: await response.json() };
+}
+
+/**
+ * Rotate the refresh token. Concurrent callers share one request so a burst
+ * of 401s does not present the same refresh token twice (which the server
+ * treats as token theft).
+ */
+async function refreshSession() {
+    if (!refreshPromise) {
+        const session = getSession();
+        refreshPromise = (async () => {
+            if (!session?.refreshToken) return null;
+
+            const { ok, data } = await post('/api/auth/refresh', { refreshToken: session.refreshToken });
+            if (!ok) {
+                clearSession();
+                return null;
+            }
+
+            storeSession(data.session, data.user);
+            return data.session;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * fetch() against the API with the bearer token attached; retries once after
+ * refreshing an expired access token. Resolves to the parsed JSON body.
+ */
+export async function apiFetch(path, options = {}) {
+    const send = (session) => fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...options.headers,
+            ...(session && { Authorization: `Bearer ${session.accessToken}` })
+        }
+    });
+
+    let response = await send(getSession());
+
+    if (response.status === 401) {
+        const session = await refreshSession();
+        if (!session) {
+            return { status: 'error', message: 'Session expired, please log in again' };
+        }
+        response = await send(session);
+    }
+
+    return response.json();
+}
+
+// =====================================================
+// AUTHENTICATION
+// =====================================================
+
+export async function requestOtp(phone, { email = null, name = null } = {}) {
+    const { data } = await post('/api/auth/otp', { phone, email, name });
+    return data;
+}
+
+export async function login(phone, code) {
+    const { ok, data } = await post('/api/auth', { phone, code });
+    if (ok) {
+        storeSession(data.session, data.user);
+    }
+    return data;
+}
+
+export async function logout() {
+    // Unregister this device's encryption key while the session is still valid
+    // (the key pair itself goes with the local database below)
+    const deviceId = localStorage.getItem('e2eDeviceId');
+    if (deviceId) {
+        try {
+            await apiFetch(`/api/keys/devices/${deviceId}`, { method: 'DELETE' });
+        } catch (error) {
+            console.warn('Could not unregister device:', error.message);
+        }
+        localStorage.removeItem('e2eDeviceId');
+    }
+
+    const session = getSession();
+    if (session?.refreshToken) {
+        try {
+            await post('/api/auth/logout', { refreshToken: session.refreshToken });
+        } catch (error) {
+            console.warn('Logout request failed:', error.message);
+        }
+    }
+    clearSession();
+
+    // Cached chats, messages and unsent drafts belong to the account signing out
+    try {
+        await deleteDatabase();
+    } catch (error) {
+        console.warn('Could not clear local data:', error.message);
+    }
+}
+
+/**
+ * Socket.IO handshake options: io(API_URL, { auth: socketAuth }).
+ * Passing the function (not its result) makes reconnects pick up refreshed tokens.
+ */
+export function socketAuth(callback) {
+    callback({ token: getSession()?.accessToken });
+}
+
+export { API_URL };
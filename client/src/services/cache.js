@@ -0,0 +1,207 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - LOCAL CACHE
+// =====================================================
+// Per-user IndexedDB copy of the chat list, message history and peer
+// profiles. Screens render from here first and then reconcile:
+//   - chat list: refreshChats() replaces the cached list
+//   - open chat: MessageHistory.restore(cached) then catchUp() for new messages
+//   - edits, deletes and receipts anywhere: sync() applies /api/sync deltas
+// Everything is removed on sign-out (see logout() in api.js).
+
+import { apiFetch } from './api.js';
+import { withStore } from './db.js';
+
+const SYNC_ROUNDS = 20; // 500 changes each; a longer absence reloads instead
+
+export function chatKeyOf(chat) {
+    return chat.conversationId ? `conversation:${chat.conversationId}` : `user:${chat.peerId}`;
+}
+
+function chatKeyForMessage(message, owner) {
+    if (message.conversationId) return `conversation:${message.conversationId}`;
+    return `user:${message.from === owner ? message.to : message.from}`;
+}
+
+function collect(source, range, { direction = 'next', limit = Infinity } = {}) {
+    const rows = [];
+    const request = source.openCursor(range, direction);
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && rows.length < limit) {
+            rows.push(cursor.value);
+            cursor.continue();
+        }
+    };
+    return rows;
+}
+
+const ownerRange = (owner) => IDBKeyRange.bound([owner], [owner, []]);
+
+export class LocalCache {
+    constructor(userId) {
+        this.owner = userId;
+    }
+
+    // ---- chats: 1:1 rows from /api/chats and groups from /api/conversations ----
+
+    async getChats() {
+        const rows = await withStore('chats', 'readonly', store => collect(store, ownerRange(this.owner)));
+        // Same order as /api/chats: pinned first, then the most recent
+        const pinRank = chat => (chat.pinned ? chat.pinRank : Infinity);
+        return rows
+            .map(row => row.chat)
+            .sort((a, b) => (pinRank(a) - pinRank(b)) ||
+                (b.lastMessage?.ts || '').localeCompare(a.lastMessage?.ts || ''));
+    }
+
+    async saveChats(chats) {
+        const keep = new Set(chats.map(chatKeyOf));
+
+        await withStore('chats', 'readwrite', store => {
+            // Drop chats that disappeared (deleted, left the group)
+            const request = store.openCursor(ownerRange(this.owner));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!keep.has(cursor.value.key)) cursor.delete();
+                cursor.continue();
+            };
+            chats.forEach(chat => store.put({ owner: this.owner, key: chatKeyOf(chat), chat }));
+        });
+
+        await this.saveProfiles(chats
+            .filter(chat => chat.peerId)
+            .map(chat => ({ id: chat.peerId, name: chat.peerPhone })));
+    }
+
+    /** Fetch the chat list and groups, cache them and resolve with the merged list. */
+    async refreshChats() {
+        const [chats, groups] = await Promise.all([
+            apiFetch(`/api/chats/${this.owner}`),
+            apiFetch('/api/conversations')
+        ]);
+        if (chats.status !== 'success' || groups.status !== 'success') {
+            throw new Error(chats.message || groups.message || 'Failed to load chats');
+        }
+
+        await this.saveChats([...chats.chats, ...groups.conversations]);
+        // Catch up on chats cleared from another device while this one was away
+        await Promise.all(chats.chats
+            .filter(chat => chat.clearedBefore)
+            .map(chat => this.dropMessages(chat, chat.clearedBefore)));
+        return this.getChats();
+    }
+
+    // ---- profiles ----
+
+    async getProfile(userId) {
+        const row = await withStore('profiles', 'readonly', store => store.get([this.owner, userId]));
+        return row ? row.profile : null;
+    }
+
+    saveProfiles(profiles) {
+        return withStore('profiles', 'readwrite', store => {
+            profiles.forEach(profile => store.put({ owner: this.owner, id: profile.id, profile }));
+        });
+    }
+
+    // ---- messages ----
+
+    /** The newest `limit` cached messages of one chat, oldest first. */
+    async getMessages(chat, limit = 50) {
+        const key = chatKeyOf(chat);
+        const range = IDBKeyRange.bound([this.owner, key], [this.owner, key, []]);
+        const rows = await withStore('messages', 'readonly', store =>
+            collect(store.index('chat'), range, { direction: 'prev', limit }));
+        return rows.reverse().map(row => row.message);
+    }
+
+    saveMessages(messages) {
+        return withStore('messages', 'readwrite', store => {
+            messages.forEach(message => store.put({
+                owner: this.owner,
+                id: message.id,
+                chatKey: chatKeyForMessage(message, this.owner),
+                ts: message.ts,
+                message
+            }));
+        });
+    }
+
+    /** Remove one chat's cached messages sent at or before `before`, or all of them. */
+    dropMessages(chat, before = null) {
+        const key = chatKeyOf(chat);
+        const range = IDBKeyRange.bound([this.owner, key], [this.owner, key, before || []]);
+
+        return withStore('messages', 'readwrite', store => {
+            const request = store.index('chat').openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    /** Apply /api/sync changes: upsert messages and tombstones, drop hidden ones. */
+    applyChanges(changes) {
+        return withStore('messages', 'readwrite', store => {
+            changes.forEach(change => {
+                if (change.hidden) {
+                    store.delete([this.owner, change.id]);
+                } else {
+                    store.put({
+                        owner: this.owner,
+                        id: change.id,
+                        chatKey: chatKeyForMessage(change, this.owner),
+                        ts: change.ts,
+                        message: change
+                    });
+                }
+            });
+        });
+    }
+
+    // ---- delta sync ----
+
+    async getSyncToken() {
+        const row = await withStore('meta', 'readonly', store => store.get(this.owner));
+        return row ? row.syncToken : null;
+    }
+
+    setSyncToken(syncToken) {
+        return withStore('meta', 'readwrite', store => store.put({ owner: this.owner, syncToken }));
+    }
+
+    /**
+     * Pull every change since the last sync into the cache. Resolves to the
+     * applied changes so open screens can patch themselves, or null when the
+     * cache was too stale and has been emptied (screens should reload).
+     */
+    async sync() {
+        let since = await this.getSyncToken();
+        const applied = [];
+
+        for (let round = 0; round < SYNC_ROUNDS; round++) {
+            const query = since ? `?since=${encodeURIComponent(since)}` : '';
+            const result = await apiFetch(`/api/sync${query}`);
+            if (result.status !== 'success') throw new Error(result.message || 'Sync failed');
+
+            await this.applyChanges(result.changes);
+            await this.setSyncToken(result.syncToken);
+            applied.push(...result.changes);
+            since = result.syncToken;
+
+            if (!result.hasMore) return applied;
+        }
+
+        await this.clearMessages();
+        return null;
+    }
+
+    async clearMessages() {
+        await withStore('messages', 'readwrite', store => store.delete(IDBKeyRange.bound([this.owner], [this.owner, []])));
+        await withStore('meta', 'readwrite', store => store.delete(this.owner));
+    }
+}
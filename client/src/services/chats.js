@@ -0,0 +1,98 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - CHAT LIST ACTIONS
+// =====================================================
+// Pinning, muting, archiving and clearing 1:1 chats. Replaces
+// SupabaseClient.archiveChat / updateChatSettings / deleteChat.
+//
+// A new message un-archives a chat unless it is muted. Clearing only hides
+// the history from the current user (the old deleteChat removed the peer's
+// messages from the shared table and left the user's own) and can be undone
+// for CHAT_CLEAR_UNDO_SECONDS (30 by default).
+
+import { apiFetch } from './api.js';
+
+function chatPath(peerId) {
+    return `/api/chats/${localStorage.getItem('userId')}/${peerId}`;
+}
+
+async function send(path, method, body, fallback) {
+    const result = await apiFetch(path, { method, body: body && JSON.stringify(body) });
+    if (result.status !== 'success') throw new Error(result.message || fallback);
+    return result;
+}
+
+/** Archived chats, in the same shape as the main chat list. */
+export async function getArchivedChats() {
+    const result = await send(`/api/chats/${localStorage.getItem('userId')}/archived`, 'GET', null, 'Could not load archived chats');
+    return result.chats;
+}
+
+/**
+ * changes: { pinned?, archived?, mutedUntil? } where mutedUntil is a Date,
+ * an ISO string or null to unmute. Resolves to { peerId, pinned, pinRank,
+ * mutedUntil, isArchived }.
+ */
+export async function updateChat(peerId, changes) {
+    const body = { ...changes };
+    if (body.mutedUntil instanceof Date) body.mutedUntil = body.mutedUntil.toISOString();
+
+    const result = await send(chatPath(peerId), 'PATCH', body, 'Could not update chat');
+    return result.chat;
+}
+
+export const pinChat = (peerId) => updateChat(peerId, { pinned: true });
+export const unpinChat = (peerId) => updateChat(peerId, { pinned: false });
+export const archiveChat = (peerId) => updateChat(peerId, { archived: true });
+export const unarchiveChat = (peerId) => updateChat(peerId, { archived: false });
+export const muteChat = (peerId, until) => updateChat(peerId, { mutedUntil: until });
+export const unmuteChat = (peerId) => updateChat(peerId, { mutedUntil: null });
+
+/** `peerIds` must list every pinned chat, top first. */
+export async function reorderPinnedChats(peerIds) {
+    const result = await send(`/api/chats/${localStorage.getItem('userId')}/pins`, 'PUT', { peerIds }, 'Could not reorder pinned chats');
+    return result.chats;
+}
+
+/** Whether notifications for the chat should stay quiet right now. */
+export function isMuted(chat, at = new Date()) {
+    return Boolean(chat.mutedUntil) && new Date(chat.mutedUntil) > at;
+}
+
+/**
+ * Resolves to { clearedBefore, undoUntil }. Show an undo button until
+ * `undoUntil` and call undoClearChat() from it.
+ */
+export async function clearChat(peerId) {
+    const result = await send(chatPath(peerId), 'DELETE', null, 'Could not clear chat');
+    return { clearedBefore: result.clearedBefore, undoUntil: result.undoUntil };
+}
+
+export async function undoClearChat(peerId) {
+    const result = await send(`${chatPath(peerId)}/restore`, 'POST', null, 'Could not restore chat');
+    return { clearedBefore: result.clearedBefore };
+}
+
+/**
+ * Keep a LocalCache in step with clears, undos and admin purges made
+ * elsewhere, then call `onChange({ peerId, event })` so an open chat can
+ * reload. After an undo or purge the chat's cache is emptied and refilled
+ * from the server. Returns an unsubscribe function.
+ */
+export function subscribeToChatClears(socket, cache, onChange) {
+    const handlers = {
+        chat_cleared: ({ peerId, clearedBefore }) => cache.dropMessages({ peerId }, clearedBefore),
+        chat_restored: ({ peerId }) => cache.dropMessages({ peerId }),
+        chat_purged: ({ peerId }) => cache.dropMessages({ peerId })
+    };
+
+    const listeners = Object.entries(handlers).map(([event, apply]) => {
+        const listener = async (payload) => {
+            await apply(payload);
+            onChange({ peerId: payload.peerId, event });
+        };
+        socket.on(event, listener);
+        return [event, listener];
+    });
+
+    return () => listeners.forEach(([event, listener]) => socket.off(event, listener));
+}
@@ -0,0 +1,91 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - GROUP CONVERSATIONS
+// =====================================================
+// Groups share the /chat/:id route with 1:1 chats. A 1:1 chat is addressed by
+// the peer's user id and a group by its conversation id; resolveChatTarget()
+// tells the two apart.
+
+import { apiFetch } from './api.js';
+
+// `avatarPath` is the path of an image uploaded with uploadFile() (files.js);
+// show it with getGroupAvatarUrl()
+export function createGroup(name, memberIds, avatarPath = null) {
+    return apiFetch('/api/conversations', {
+        method: 'POST',
+        body: JSON.stringify({ name, memberIds, avatarPath })
+    });
+}
+
+export function getGroups() {
+    return apiFetch('/api/conversations');
+}
+
+export function getGroup(conversationId) {
+    return apiFetch(`/api/conversations/${conversationId}`);
+}
+
+// Pass `avatarPath: null` to remove the avatar
+export function updateGroup(conversationId, { name, avatarPath } = {}) {
+    return apiFetch(`/api/conversations/${conversationId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ name, avatarPath })
+    });
+}
+
+export function inviteMembers(conversationId, userIds) {
+    return apiFetch(`/api/conversations/${conversationId}/members`, {
+        method: 'POST',
+        body: JSON.stringify({ userIds })
+    });
+}
+
+export function setMemberRole(conversationId, userId, role) {
+    return apiFetch(`/api/conversations/${conversationId}/members/${userId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ role })
+    });
+}
+
+// Kick a member (admins) or pass your own id to leave
+export function removeMember(conversationId, userId) {
+    return apiFetch(`/api/conversations/${conversationId}/members/${userId}`, { method: 'DELETE' });
+}
+
+export function getGroupMessages(conversationId, { limit = 50, before = null, after = null } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (before) params.set('before', before);
+    if (after) params.set('after', after);
+    return apiFetch(`/api/conversations/${conversationId}/messages?${params}`);
+}
+
+export function markGroupRead(conversationId) {
+    return apiFetch(`/api/conversations/${conversationId}/read`, { method: 'POST' });
+}
+
+/**
+ * Route for a chat-list entry: works for both 1:1 chats ({ peerId }) and groups ({ conversationId }).
+ */
+export function chatPath(chat) {
+    return `/chat/${chat.conversationId || chat.peerId}`;
+}
+
+/**
+ * Decide what a /chat/:id route points at.
+ * Resolves { type: 'group', conversation } or { type: 'direct', peerId }.
+ */
+export async function resolveChatTarget(id) {
+    const result = await getGroup(id);
+    if (result.status === 'success') {
+        return { type: 'group', conversation: result.conversation };
+    }
+    return { type: 'direct', peerId: id };
+}
+
+/**
+ * "Read by everyone" for a group message: every other member has read past it.
+ */
+export function isReadByAll(message, members, currentUserId) {
+    return members
+        .filter(member => member.userId !== currentUserId && member.userId !== message.from)
+        .every(member => member.lastReadAt && member.lastReadAt >= message.ts);
+}
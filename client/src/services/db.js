@@ -0,0 +1,107 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - INDEXEDDB
+// =====================================================
+// One database per browser profile for everything the client keeps offline.
+// Bump DB_VERSION and extend upgrade() when adding object stores.
+
+const DB_NAME = 'digidad';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+function upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+        // Unacknowledged sends, keyed by client message id
+        const outbox = db.createObjectStore('outbox', { keyPath: 'clientMessageId' });
+        outbox.createIndex('createdAt', 'createdAt');
+    }
+    if (oldVersion < 2) {
+        // Local cache (cache.js); every row carries the `owner` it was cached for
+        db.createObjectStore('chats', { keyPath: ['owner', 'key'] });
+        const messages = db.createObjectStore('messages', { keyPath: ['owner', 'id'] });
+        messages.createIndex('chat', ['owner', 'chatKey', 'ts', 'id']);
+        db.createObjectStore('profiles', { keyPath: ['owner', 'id'] });
+        db.createObjectStore('meta', { keyPath: 'owner' });
+    }
+    if (oldVersion < 3) {
+        // End-to-end encryption (e2e.js): this device's key pair, and the
+        // safety numbers the user has verified per peer
+        db.createObjectStore('identity', { keyPath: 'owner' });
+        db.createObjectStore('verifications', { keyPath: ['owner', 'peerId'] });
+    }
+}
+
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let another tab upgrade or delete the database (sign-out)
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Drop everything stored offline, e.g. on sign-out.
+ */
+export async function deleteDatabase() {
+    if (dbPromise) {
+        try {
+            (await dbPromise).close();
+        } catch (error) {
+            // Never opened; nothing to close
+        }
+        dbPromise = null;
+    }
+
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = resolve;
+        request.onerror = () => reject(request.error);
+        // Another tab still has it open; it is deleted once that tab closes it
+        request.onblocked = resolve;
+    });
+}
+
+/**
+ * Run `work(store)` against one object store and resolve with its result
+ * once the transaction commits.
+ */
+export async function withStore(name, mode, work) {
+    const db = await openDatabase();
+    const transaction = db.transaction(name, mode);
+    const result = work(transaction.objectStore(name));
+
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    return result instanceof IDBRequest ? result.result : result;
+}
+
+export function getAll(name, indexName = null) {
+    return withStore(name, 'readonly', store => (indexName ? store.index(indexName) : store).getAll());
+}
+
+export function put(name, value) {
+    return withStore(name, 'readwrite', store => store.put(value));
+}
+
+export function remove(name, key) {
+    return withStore(name, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,397 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - END-TO-END ENCRYPTION
+// =====================================================
+// Opt-in encryption for 1:1 chats with WebCrypto only.
+//
+// Every device has its own P-256 identity key pair. The private key is created
+// non-extractable and never leaves this browser's IndexedDB; the public key is
+// published through /api/keys. A message is encrypted once with a fresh
+// AES-GCM key, and that key is wrapped (AES-KW) for every registered device of
+// both participants with a key derived from ECDH(sender device, recipient
+// device) + HKDF. The server stores and relays only the envelope.
+//
+// Safety numbers are derived from both users' device keys. Comparing them in
+// person (or over a call) proves nobody swapped a key in between.
+
+import { apiFetch } from './api.js';
+import { withStore } from './db.js';
+import { uploadFile, downloadFile } from './files.js';
+
+export const DEVICE_ID_KEY = 'e2eDeviceId';
+
+const ENVELOPE_VERSION = 1;
+const MAX_PLAINTEXT_BYTES = 64 * 1024;
+const SAFETY_NUMBER_ITERATIONS = 5200;
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ---- encoding helpers ----
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function concat(...parts) {
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+const importPublicKey = (identityKey) =>
+    crypto.subtle.importKey('spki', fromBase64(identityKey), ECDH, false, []);
+
+// =====================================================
+// DEVICE IDENTITY
+// =====================================================
+
+/** This device's identity for `userId`, or null until encryption is enabled. */
+export async function getIdentity(userId) {
+    return withStore('identity', 'readonly', store => store.get(userId));
+}
+
+/**
+ * Create this device's key pair and publish the public half. Safe to call
+ * again: an existing identity is re-published, not replaced.
+ */
+export async function enableEncryption(userId) {
+    let identity = await getIdentity(userId);
+
+    if (!identity) {
+        const keyPair = await crypto.subtle.generateKey(ECDH, false, ['deriveBits']);
+        identity = {
+            owner: userId,
+            deviceId: crypto.randomUUID(),
+            privateKey: keyPair.privateKey,
+            identityKey: toBase64(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+            createdAt: new Date().toISOString()
+        };
+        await withStore('identity', 'readwrite', store => store.put(identity));
+    }
+
+    const result = await apiFetch(`/api/keys/devices/${identity.deviceId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ identityKey: identity.identityKey })
+    });
+    if (result.status !== 'success') throw new Error(result.message || 'Could not publish device key');
+
+    // logout() unregisters this device without opening IndexedDB
+    localStorage.setItem(DEVICE_ID_KEY, identity.deviceId);
+    deviceCache.delete(userId);
+    return identity;
+}
+
+/** Unregister this device and forget its keys. Messages sent to it become unreadable here. */
+export async function disableEncryption(userId) {
+    const identity = await getIdentity(userId);
+    if (!identity) return;
+
+    const result = await apiFetch(`/api/keys/devices/${identity.deviceId}`, { method: 'DELETE' });
+    if (result.status !== 'success' && result.message !== 'Device not found') {
+        throw new Error(result.message || 'Could not remove device');
+    }
+
+    await withStore('identity', 'readwrite', store => store.delete(userId));
+    localStorage.removeItem(DEVICE_ID_KEY);
+    deviceCache.delete(userId);
+}
+
+// ---- device lists ----
+
+const deviceCache = new Map();
+const deviceListeners = new Set();
+
+/** A user's registered devices ({ deviceId, identityKey }); cached until they change. */
+export async function getDevices(userId, { fresh = false } = {}) {
+    if (!fresh && deviceCache.has(userId)) return deviceCache.get(userId);
+
+    const result = await apiFetch(`/api/keys/${userId}`);
+    if (result.status !== 'success') throw new Error(result.message || 'Could not load device keys');
+
+    deviceCache.set(userId, result.devices);
+    return result.devices;
+}
+
+/**
+ * Keep device lists current from `devices_changed` socket events.
+ * `onChange(userId, devices)` fires for each update, e.g. to re-check
+ * verificationStatus(). Returns an unsubscribe function.
+ */
+export function watchDevices(socket, onChange = null) {
+    const handler = ({ userId, devices }) => {
+        deviceCache.set(userId, devices);
+        deviceListeners.forEach(listener => listener(userId, devices));
+    };
+
+    if (onChange) deviceListeners.add(onChange);
+    socket.on('devices_changed', handler);
+
+    return () => {
+        socket.off('devices_changed', handler);
+        if (onChange) deviceListeners.delete(onChange);
+    };
+}
+
+/** Whether `peerId` has at least one device that can receive encrypted messages. */
+export async function canEncryptTo(peerId) {
+    return (await getDevices(peerId)).length > 0;
+}
+
+// =====================================================
+// MESSAGES
+// =====================================================
+
+// Binds a wrapped key to this message (salt) and to the device pair (info)
+async function wrappingKey(privateKey, peerIdentityKey, salt, senderDevice, recipientDevice) {
+    const secret = await crypto.subtle.deriveBits(
+        { name: 'ECDH', public: await importPublicKey(peerIdentityKey) },
+        privateKey,
+        256
+    );
+    const hkdf = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(`digidad-e2e-v1|${senderDevice}|${recipientDevice}`) },
+        hkdf,
+        { name: 'AES-KW', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+// Ties the ciphertext to its chat so the server cannot replay it elsewhere
+const associatedData = (from, to, senderDevice) => encoder.encode(`${from}|${to}|${senderDevice}`);
+
+/**
+ * Encrypt `payload` ({ msg, messageType, attachment? }) from `from` to `to`
+ * for every device both users have registered. Pass `fresh` after the server
+ * answered `devices_changed` to skip the device cache.
+ */
+export async function encryptMessage(identity, { from, to }, payload, { fresh = false } = {}) {
+    const plaintext = encoder.encode(JSON.stringify(payload));
+    if (plaintext.length > MAX_PLAINTEXT_BYTES) throw new Error('Message is too long to encrypt');
+
+    const [ownDevices, peerDevices] = await Promise.all([
+        getDevices(from, { fresh }),
+        getDevices(to, { fresh })
+    ]);
+    if (peerDevices.length === 0) throw new Error('Recipient has not enabled encryption');
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const messageKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: associatedData(from, to, identity.deviceId) },
+        messageKey,
+        plaintext
+    );
+
+    const keys = {};
+    for (const device of [...ownDevices, ...peerDevices]) {
+        const kek = await wrappingKey(identity.privateKey, device.identityKey, iv, identity.deviceId, device.deviceId);
+        keys[device.deviceId] = toBase64(await crypto.subtle.wrapKey('raw', messageKey, kek, 'AES-KW'));
+    }
+
+    return {
+        v: ENVELOPE_VERSION,
+        senderDevice: identity.deviceId,
+        senderKey: identity.identityKey,
+        iv: toBase64(iv),
+        ciphertext: toBase64(ciphertext),
+        keys
+    };
+}
+
+/**
+ * Decrypt a message from the API or a socket event. Returns it with `msg`,
+ * `messageType` and `attachment` filled in from the ciphertext, or with
+ * `decryptError` set when this device cannot read it (e.g. it was registered
+ * after the message was sent). Plaintext messages are returned unchanged.
+ */
+export async function decryptMessage(identity, message) {
+    const envelope = message.encrypted;
+    if (!envelope) return message;
+
+    try {
+        const wrapped = identity && envelope.keys[identity.deviceId];
+        if (!wrapped) throw new Error('This device was not a recipient of this message');
+        if (envelope.v !== ENVELOPE_VERSION) throw new Error('Unsupported encryption version');
+
+        const iv = fromBase64(envelope.iv);
+        const kek = await wrappingKey(identity.privateKey, envelope.senderKey, iv, envelope.senderDevice, identity.deviceId);
+        const messageKey = await crypto.subtle.unwrapKey(
+            'raw', fromBase64(wrapped), kek, 'AES-KW', { name: 'AES-GCM', length: 256 }, false, ['decrypt']
+        );
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: associatedData(message.from, message.to, envelope.senderDevice) },
+            messageKey,
+            fromBase64(envelope.ciphertext)
+        );
+
+        const payload = JSON.parse(decoder.decode(plaintext));
+        return {
+            ...message,
+            msg: payload.msg ?? null,
+            messageType: payload.messageType || 'text',
+            attachment: payload.attachment || null,
+            senderDevice: envelope.senderDevice,
+            decryptError: null
+        };
+    } catch (error) {
+        // WebCrypto reports a failed authentication tag only as an OperationError
+        const reason = error.name === 'OperationError'
+            ? 'Message could not be decrypted or was tampered with'
+            : error.message;
+        return { ...message, msg: null, attachment: null, decryptError: reason };
+    }
+}
+
+/**
+ * The `encrypt` hook for Outbox: encrypts an entry queued with
+ * `{ encrypted: true }` when it is actually sent, so retries pick up devices
+ * registered in the meantime.
+ */
+export function createEncryptor(identity) {
+    return (entry, { fresh }) => encryptMessage(
+        identity,
+        { from: entry.from, to: entry.chat.peerId },
+        { msg: entry.message, messageType: entry.messageType, attachment: entry.attachment || null },
+        { fresh }
+    );
+}
+
+// =====================================================
+// ATTACHMENTS
+// =====================================================
+
+/**
+ * Encrypt a file under its own random key. Upload `blob`; put `attachment`
+ * (key, IV, digest and the real name and type) in the encrypted message.
+ */
+export async function encryptAttachment(file) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await file.arrayBuffer());
+
+    return {
+        blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+        attachment: {
+            key: toBase64(await crypto.subtle.exportKey('raw', key)),
+            iv: toBase64(iv),
+            digest: toBase64(await crypto.subtle.digest('SHA-256', ciphertext)),
+            name: file.name,
+            type: file.type,
+            size: file.size
+        }
+    };
+}
+
+/**
+ * Encrypt and upload a file. Storage only ever receives an opaque `.bin`;
+ * resolves to the `attachment` (with its storage `path`) to queue with an
+ * encrypted message.
+ */
+export async function uploadEncryptedFile(file) {
+    const { blob, attachment } = await encryptAttachment(file);
+    const uploaded = await uploadFile(blob, `${crypto.randomUUID()}.bin`);
+
+    return { ...attachment, path: uploaded.path };
+}
+
+async function fetchCiphertext(attachment, source) {
+    if (source instanceof Blob) return source;
+    // Sent before storage went private: a public `url` instead of a path
+    if (attachment.url && !attachment.path) return (await fetch(attachment.url)).blob();
+    return downloadFile(source);
+}
+
+/**
+ * Decrypt an attachment back into the original file. `source` is the
+ * downloaded ciphertext as a Blob, or the id of the message to fetch it for.
+ */
+export async function decryptAttachment(attachment, source) {
+    const data = await (await fetchCiphertext(attachment, source)).arrayBuffer();
+
+    const digest = toBase64(await crypto.subtle.digest('SHA-256', data));
+    if (digest !== attachment.digest) throw new Error('Attachment was modified');
+
+    const key = await crypto.subtle.importKey('raw', fromBase64(attachment.key), 'AES-GCM', false, ['decrypt']);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(attachment.iv) }, key, data);
+    return new Blob([plaintext], { type: attachment.type || 'application/octet-stream' });
+}
+
+// =====================================================
+// SAFETY NUMBERS
+// =====================================================
+
+// 30 digits identifying one user's set of device keys
+async function fingerprint(userId, devices) {
+    const keys = devices.map(device => device.identityKey).sort().map(fromBase64);
+    const material = concat(encoder.encode(userId), ...keys);
+
+    let hash = concat(new Uint8Array([0, 0]), material);
+    for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+        hash = new Uint8Array(await crypto.subtle.digest('SHA-512', concat(hash, material)));
+    }
+
+    let digits = '';
+    for (let chunk = 0; chunk < 6; chunk++) {
+        const value = hash.slice(chunk * 5, chunk * 5 + 5).reduce((sum, byte) => sum * 256 + byte, 0);
+        digits += String(value % 100000).padStart(5, '0');
+    }
+    return digits;
+}
+
+/**
+ * The 60-digit safety number for a chat, in twelve groups of five. Both
+ * sides compute the same number; it changes whenever either user adds,
+ * removes or resets a device.
+ */
+export async function getSafetyNumber(userId, peerId, { fresh = true } = {}) {
+    const [own, peer] = await Promise.all([
+        getDevices(userId, { fresh }),
+        getDevices(peerId, { fresh })
+    ]);
+    if (own.length === 0 || peer.length === 0) return null;
+
+    const parts = [await fingerprint(userId, own), await fingerprint(peerId, peer)].sort();
+    return parts.join('').match(/.{5}/g).join(' ');
+}
+
+/** Remember that the user compared the current safety number with `peerId`. */
+export async function markVerified(userId, peerId) {
+    const safetyNumber = await getSafetyNumber(userId, peerId);
+    if (!safetyNumber) throw new Error('Both users need encryption enabled to verify');
+
+    await withStore('verifications', 'readwrite', store =>
+        store.put({ owner: userId, peerId, safetyNumber, verifiedAt: new Date().toISOString() }));
+    return safetyNumber;
+}
+
+export function clearVerification(userId, peerId) {
+    return withStore('verifications', 'readwrite', store => store.delete([userId, peerId]));
+}
+
+/**
+ * 'verified', 'unverified', or 'changed' when the safety number differs from
+ * the one the user verified (someone added a device, or a key was replaced).
+ */
+export async function verificationStatus(userId, peerId) {
+    const saved = await withStore('verifications', 'readonly', store => store.get([userId, peerId]));
+    if (!saved) return 'unverified';
+
+    return (await getSafetyNumber(userId, peerId, { fresh: false })) === saved.safetyNumber ? 'verified' : 'changed';
+}
@@ -0,0 +1,316 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - FILES
+// =====================================================
+// Attachments and profile pictures live in private storage. Upload a file,
+// send its `{ path, name }` as the message's `attachment` (see outbox.js),
+// and ask for a short-lived URL whenever it is shown.
+//
+// The server decides what is accepted: it checks the bytes against the file
+// extension, refuses SVG, enforces a per-user quota and scans for malware.
+// Rejected uploads throw an Error whose `reason` is `rejected`, `too_large`,
+// `over_quota`, `infected` or `scan_failed`.
+//
+// Large files, such as videos, should go through ResumableUpload instead of
+// uploadFile(): it reports progress and survives pauses and network drops.
+//
+// Image and video messages carry `media: { width, height, blurhash, variants }`.
+// Paint the blurhash at that size first, then load a `thumbnail` (or a video's
+// `poster`) and fetch the full file, or its `preview`, when it is opened.
+
+import { apiFetch, API_URL } from './api.js';
+
+async function upload(path, method, file, name) {
+    const result = await apiFetch(path, {
+        method,
+        headers: {
+            // Raw bytes; the real type and name travel in headers
+            'Content-Type': 'application/octet-stream',
+            'X-File-Type': file.type || 'application/octet-stream',
+            'X-File-Name': encodeURIComponent(name || file.name || 'file')
+        },
+        body: file
+    });
+    if (result.status !== 'success') {
+        const error = new Error(result.message || 'Upload failed');
+        error.reason = result.reason || null;
+        throw error;
+    }
+    return result;
+}
+
+// The disk backend signs URLs relative to the API server
+function absolute(url) {
+    return new URL(url, API_URL).href;
+}
+
+/** Upload a chat attachment; resolves to { path, name, size, type }. */
+export async function uploadFile(file, name = file.name) {
+    const result = await upload('/api/files', 'POST', file, name);
+    return result.file;
+}
+
+/** Resolves to { usedBytes, quotaBytes, maxFileBytes }; quotaBytes 0 means no limit. */
+export async function getStorageUsage() {
+    const result = await apiFetch('/api/storage');
+    if (result.status !== 'success') throw new Error(result.message || 'Could not load storage usage');
+    return { usedBytes: result.usedBytes, quotaBytes: result.quotaBytes, maxFileBytes: result.maxFileBytes };
+}
+
+/** The `messageType` to send an uploaded file with. */
+export function attachmentMessageType(file) {
+    return (file.type || '').startsWith('image/') ? 'image' : 'file';
+}
+
+/**
+ * Resolves to { url, expiresAt, fileName } for a message's attachment, or for
+ * one of the names in its `media.variants` ('thumbnail', 'preview', 'poster').
+ */
+export async function getFileUrl(messageId, variant = null) {
+    const query = variant ? `?variant=${encodeURIComponent(variant)}` : '';
+    const result = await apiFetch(`/api/messages/${messageId}/file${query}`);
+    if (result.status !== 'success') throw new Error(result.message || 'File not available');
+    return { url: absolute(result.url), expiresAt: result.expiresAt, fileName: result.fileName };
+}
+
+/** Fetch a message's attachment as a Blob. */
+export async function downloadFile(messageId) {
+    const { url } = await getFileUrl(messageId);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error('Download failed');
+    return response.blob();
+}
+
+// =====================================================
+// RESUMABLE UPLOADS
+// =====================================================
+// For files too big to send in one request. The file goes up in chunks at the
+// offset the server reports, so a dropped connection, a pause or a reload
+// picks up where it stopped instead of starting over. The server checks the
+// SHA-256 announced up front once it has every byte. Besides the reasons
+// above, errors can carry `checksum_mismatch` or `expired` (unfinished
+// uploads are dropped a day after their last chunk by default).
+
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const RESUME_KEY_PREFIX = 'digidad-upload:';
+
+async function sha256Hex(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function uploadError(result, fallback) {
+    const error = new Error(result.message || fallback);
+    error.reason = result.reason || null;
+    return error;
+}
+
+/**
+ * Upload a large attachment in resumable chunks:
+ *
+ *     const upload = new ResumableUpload(file, { onProgress: ({ bytesSent, totalBytes }) => ... });
+ *     const attachment = await upload.start(); // { path, name, size, type }, as from uploadFile
+ *
+ * `pause()` stops after aborting the chunk in flight and `resume()` carries
+ * on; the promise from start() stays pending meanwhile. `cancel()` discards
+ * what was sent and rejects it. After a reload, or a failure caused by the
+ * network, a new ResumableUpload for the same file continues the earlier one.
+ */
+export class ResumableUpload {
+    constructor(file, { name = file.name, onProgress = null } = {}) {
+        this.file = file;
+        this.name = name || 'file';
+        this.onProgress = onProgress;
+        this.state = 'idle'; // idle | uploading | paused | done | failed | cancelled
+        this.uploadId = null;
+        this.chunkSize = null; // the server's limit, from its answers
+        this.bytesSent = 0;
+        this.run = null;
+        this.controller = null;
+        this.result = null;
+        // Only files picked from disk can be recognised again after a reload
+        this.resumeKey = file.lastModified
+            ? `${RESUME_KEY_PREFIX}${this.name}:${file.size}:${file.lastModified}`
+            : null;
+    }
+
+    start() {
+        if (!this.result) {
+            this.result = new Promise((resolve, reject) => {
+                this.settle = { resolve, reject };
+            });
+            this.resume();
+        }
+        return this.result;
+    }
+
+    pause() {
+        if (this.state !== 'uploading') return;
+        this.state = 'paused';
+        this.run = null;
+        if (this.controller) this.controller.abort();
+    }
+
+    resume() {
+        if (this.state !== 'idle' && this.state !== 'paused') return;
+        this.state = 'uploading';
+        const run = {};
+        this.run = run;
+        this.upload(run);
+    }
+
+    async cancel() {
+        if (this.state === 'done' || this.state === 'cancelled') return;
+        this.pause();
+        this.state = 'cancelled';
+        this.forget();
+        if (this.uploadId) {
+            await apiFetch(`/api/uploads/${this.uploadId}`, { method: 'DELETE' }).catch(() => {});
+        }
+        if (this.settle) this.settle.reject(new Error('Upload cancelled'));
+    }
+
+    progress() {
+        if (this.onProgress) this.onProgress({ bytesSent: this.bytesSent, totalBytes: this.file.size });
+    }
+
+    forget() {
+        if (this.resumeKey) localStorage.removeItem(this.resumeKey);
+    }
+
+    // Take the server's view of an upload; false when it is gone
+    async sync(uploadId) {
+        const result = await apiFetch(`/api/uploads/${uploadId}`);
+        if (result.status !== 'success') return false;
+
+        this.uploadId = uploadId;
+        this.chunkSize = result.upload.chunkSize;
+        this.bytesSent = result.upload.offset;
+        return true;
+    }
+
+    async begin() {
+        const saved = this.resumeKey && localStorage.getItem(this.resumeKey);
+        if (saved && await this.sync(saved)) return;
+
+        const result = await apiFetch('/api/uploads', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: this.name,
+                type: this.file.type || 'application/octet-stream',
+                size: this.file.size,
+                checksum: await sha256Hex(this.file)
+            })
+        });
+        if (result.status !== 'success') throw uploadError(result, 'Upload failed');
+
+        this.uploadId = result.upload.id;
+        this.chunkSize = result.upload.chunkSize;
+        this.bytesSent = 0;
+        if (this.resumeKey) localStorage.setItem(this.resumeKey, this.uploadId);
+    }
+
+    // Resolves to the stored file after the last chunk, otherwise null
+    async sendChunk() {
+        this.controller = new AbortController();
+        const result = await apiFetch(`/api/uploads/${this.uploadId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(this.bytesSent)
+            },
+            body: this.file.slice(this.bytesSent, this.bytesSent + this.chunkSize),
+            signal: this.controller.signal
+        });
+
+        if (result.status === 'success') {
+            this.bytesSent = result.file ? this.file.size : result.upload.offset;
+            return result.file || null;
+        }
+        // Another tab or an earlier attempt got further (or less far) than we knew
+        if (result.reason === 'offset_mismatch') {
+            this.bytesSent = result.offset;
+            return null;
+        }
+        const error = uploadError(result, 'Upload failed');
+        error.retryable = result.reason === 'busy';
+        throw error;
+    }
+
+    async upload(run) {
+        const active = () => this.run === run;
+        let failures = 0;
+
+        try {
+            if (!this.uploadId) {
+                await this.begin();
+            } else if (!await this.sync(this.uploadId)) {
+                throw uploadError({ reason: 'expired', message: 'Upload expired, please start again' });
+            }
+            this.progress();
+
+            while (active()) {
+                try {
+                    const file = await this.sendChunk();
+                    failures = 0;
+                    this.progress();
+                    if (file) {
+                        this.state = 'done';
+                        this.forget();
+                        this.settle.resolve(file);
+                        return;
+                    }
+                } catch (error) {
+                    // A network error or an answer that was not JSON is retried;
+                    // the server turning the file down is not
+                    const retryable = error.retryable || error.reason === undefined;
+                    if (!active() || !retryable || failures >= RETRY_DELAYS.length) throw error;
+
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS[failures++]));
+                    if (!active()) return;
+                    // Still offline: the next chunk attempt fails and counts again
+                    if (await this.sync(this.uploadId).catch(() => true) === false) {
+                        throw uploadError({ reason: 'expired', message: 'Upload expired, please start again' });
+                    }
+                }
+            }
+        } catch (error) {
+            if (!active()) return; // paused or cancelled meanwhile
+            this.state = 'failed';
+            this.run = null;
+            if (error.reason) this.forget();
+            this.settle.reject(error);
+        }
+    }
+}
+
+// =====================================================
+// PROFILE PICTURES AND GROUP AVATARS
+// =====================================================
+
+/** Replace the current user's picture; resolves to { url, expiresAt }. */
+export async function setProfilePicture(file) {
+    const result = await upload('/api/profile/picture', 'PUT', file, file.name);
+    return { url: absolute(result.url), expiresAt: result.expiresAt };
+}
+
+export async function removeProfilePicture() {
+    const result = await apiFetch('/api/profile/picture', { method: 'DELETE' });
+    if (result.status !== 'success') throw new Error(result.message || 'Could not remove picture');
+}
+
+/**
+ * Resolves to { url, expiresAt }, or null when the user has no picture.
+ * Pass `{ thumbnail: true }` for avatars in chat lists.
+ */
+export async function getProfilePictureUrl(userId, { thumbnail = false } = {}) {
+    const result = await apiFetch(`/api/users/${userId}/picture${thumbnail ? '?variant=thumbnail' : ''}`);
+    if (result.status !== 'success') return null;
+    return { url: absolute(result.url), expiresAt: result.expiresAt };
+}
+
+/** The same for a group whose `hasAvatar` is set. */
+export async function getGroupAvatarUrl(conversationId, { thumbnail = false } = {}) {
+    const result = await apiFetch(`/api/conversations/${conversationId}/avatar${thumbnail ? '?variant=thumbnail' : ''}`);
+    if (result.status !== 'success') return null;
+    return { url: absolute(result.url), expiresAt: result.expiresAt };
+}
@@ -0,0 +1,164 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - MESSAGE HISTORY
+// =====================================================
+// Cursor-paged history for one chat, replacing getMessages' timestamp paging.
+// Keeps a contiguous window of messages ordered by (created_at, id), loads
+// older/newer pages at either edge, can re-centre on a single message, and
+// after a reconnect fetches exactly the messages that arrived in between.
+//
+// `chat` is { peerId } for a 1:1 chat or { conversationId } for a group.
+
+import { apiFetch } from './api.js';
+
+const PAGE_SIZE = 50;
+const MAX_CATCH_UP_PAGES = 10; // beyond this, jump to the latest page instead
+
+function historyPath(chat) {
+    return chat.conversationId
+        ? `/api/conversations/${chat.conversationId}/messages`
+        : `/api/messages/${localStorage.getItem('userId')}/${chat.peerId}`;
+}
+
+function belongsTo(message, chat) {
+    return chat.conversationId
+        ? message.conversationId === chat.conversationId
+        : !message.conversationId && (message.from === chat.peerId || message.to === chat.peerId);
+}
+
+export class MessageHistory {
+    /**
+     * `onChange(messages)` is called with the whole window after every change.
+     */
+    constructor(chat, onChange) {
+        this.chat = chat;
+        this.onChange = onChange;
+        this.messages = [];
+        this.hasMoreBefore = false;
+        // True while the window does not reach the newest message
+        this.hasMoreAfter = false;
+    }
+
+    async fetchPage(params) {
+        const query = new URLSearchParams({ limit: PAGE_SIZE, ...params });
+        const result = await apiFetch(`${historyPath(this.chat)}?${query}`);
+        if (result.status !== 'success') throw new Error(result.message || 'Failed to load messages');
+        return result;
+    }
+
+    replace(result) {
+        this.messages = result.messages;
+        this.hasMoreBefore = result.hasMoreBefore;
+        this.hasMoreAfter = result.hasMoreAfter;
+        this.onChange(this.messages);
+        return result;
+    }
+
+    /**
+     * Show cached messages (LocalCache.getMessages) before the network
+     * answers. Assumes they are the newest ones; follow up with catchUp().
+     */
+    restore(messages) {
+        if (messages.length === 0) return;
+        this.merge(messages);
+        this.hasMoreBefore = true; // loadOlder() asks the server whether there really is more
+        this.onChange(this.messages);
+    }
+
+    /** The newest page, e.g. when the chat opens. */
+    async loadLatest() {
+        return this.replace(await this.fetchPage({}));
+    }
+
+    /** A page centred on one message, for reply and search jumps. */
+    async loadAround(messageId) {
+        return this.replace(await this.fetchPage({ around: messageId }));
+    }
+
+    /** The page above the window (scrolling up). */
+    async loadOlder() {
+        if (!this.hasMoreBefore || this.messages.length === 0) return null;
+
+        const result = await this.fetchPage({ before: this.messages[0].cursor });
+        this.merge(result.messages);
+        this.hasMoreBefore = result.hasMoreBefore;
+        this.onChange(this.messages);
+        return result;
+    }
+
+    /** The page below the window (scrolling down after a jump). */
+    async loadNewer() {
+        if (!this.hasMoreAfter || this.messages.length === 0) return null;
+
+        const result = await this.fetchPage({ after: this.lastCursor() });
+        this.merge(result.messages);
+        this.hasMoreAfter = result.hasMoreAfter;
+        this.onChange(this.messages);
+        return result;
+    }
+
+    /**
+     * Call when the socket reconnects. Fetches every message after the newest
+     * one in the window; if too many were missed, reloads the latest page.
+     * Resolves to the number of messages added.
+     */
+    async catchUp() {
+        if (this.hasMoreAfter) return 0; // not at the live edge; loadNewer() covers it
+        if (this.messages.length === 0) {
+            return (await this.loadLatest()).messages.length;
+        }
+
+        let added = 0;
+        for (let page = 0; page < MAX_CATCH_UP_PAGES; page++) {
+            const result = await this.fetchPage({ after: this.lastCursor() });
+            added += this.merge(result.messages);
+            if (!result.hasMoreAfter) {
+                this.onChange(this.messages);
+                return added;
+            }
+        }
+
+        // The gap is too large to fill page by page
+        await this.loadLatest();
+        return added;
+    }
+
+    /**
+     * Add a message from a socket event. Ignored unless the window reaches
+     * the newest message, so the window never gets a hole in it.
+     */
+    receive(message) {
+        if (!belongsTo(message, this.chat) || this.hasMoreAfter) return;
+        if (this.merge([message]) > 0) this.onChange(this.messages);
+    }
+
+    /**
+     * Apply an edit or delete to a message in the window. Messages deleted for
+     * everyone stay as tombstones; ones the user hid (`hidden`) are removed.
+     */
+    update(message) {
+        const index = this.messages.findIndex(existing => existing.id === message.id);
+        if (index === -1) return;
+
+        if (message.hidden) {
+            this.messages.splice(index, 1);
+        } else {
+            this.messages[index] = { ...this.messages[index], ...message };
+        }
+        this.onChange(this.messages);
+    }
+
+    lastCursor() {
+        return this.messages[this.messages.length - 1].cursor;
+    }
+
+    // Insert in (ts, id) order, skipping messages already present; returns how many were new
+    merge(incoming) {
+        const known = new Set(this.messages.map(message => message.id));
+        const fresh = incoming.filter(message => !known.has(message.id));
+        if (fresh.length === 0) return 0;
+
+        this.messages = [...this.messages, ...fresh].sort((a, b) =>
+            new Date(a.ts) - new Date(b.ts) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        return fresh.length;
+    }
+}
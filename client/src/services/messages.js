@@ -0,0 +1,43 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - EDITING AND DELETING
+// =====================================================
+// Edits keep earlier versions, readable by everyone in the chat. Editing and
+// deleting for everyone are only allowed for a while after sending (the
+// server answers 403 once the window has passed); deleting for yourself
+// works on any message.
+
+import { apiFetch } from './api.js';
+
+function check(result, fallback) {
+    if (result.status !== 'success') throw new Error(result.message || fallback);
+    return result;
+}
+
+/**
+ * Resolves to the edited message. Encrypted messages take a new envelope:
+ * editMessage(id, { encrypted }) with the output of encryptMessage().
+ */
+export async function editMessage(messageId, change) {
+    const body = typeof change === 'string' ? { content: change } : change;
+    const result = await apiFetch(`/api/messages/${messageId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(body)
+    });
+    return check(result, 'Edit failed').message;
+}
+
+/**
+ * scope 'everyone' leaves a tombstone ("This message was deleted") for the
+ * whole chat; 'me' removes the message from this user's history only.
+ */
+export async function deleteMessage(messageId, scope = 'everyone') {
+    const result = await apiFetch(`/api/messages/${messageId}?for=${scope}`, { method: 'DELETE' });
+    check(result, 'Delete failed');
+}
+
+/** Resolves to { revisions: [{ revision, msg, encrypted, writtenAt, replacedAt }], current }. */
+export async function getRevisions(messageId) {
+    const result = await apiFetch(`/api/messages/${messageId}/revisions`);
+    const { revisions, current } = check(result, 'Could not load edit history');
+    return { revisions, current };
+}
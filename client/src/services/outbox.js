@@ -0,0 +1,246 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - OFFLINE OUTBOX
+// =====================================================
+// Every outgoing message gets a client-generated id and is written to
+// IndexedDB before it is sent, so nothing typed is lost to a flaky network or
+// a closed tab. Entries are rendered straight away as `pending`, sent in
+// order, retried with exponential backoff (and immediately on reconnect), and
+// removed once the server acknowledges them. The server de-duplicates on
+// (sender, clientMessageId), so a retry never creates a second message.
+//
+// `chat` is { peerId } for a 1:1 chat or { conversationId } for a group.
+//
+// Entries queued with `{ encrypted: true }` stay plaintext on this device and
+// are encrypted by the `encrypt` option (see createEncryptor in e2e.js) on
+// each attempt, so a retry covers devices registered since the first try.
+//
+// Files are uploaded first (uploadFile or uploadEncryptedFile) and queued
+// with the result as `attachment`; only its storage path goes to the server,
+// plus the name when the message is not encrypted.
+
+import { getAll, put, remove } from './db.js';
+
+const ACK_TIMEOUT = 10 * 1000;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60 * 1000;
+const MAX_ATTEMPTS = 8; // then the entry is `failed` until retried by hand
+
+function backoff(attempts) {
+    const delay = Math.min(BASE_DELAY * 2 ** attempts, MAX_DELAY);
+    return delay / 2 + Math.random() * (delay / 2); // jitter spreads reconnect bursts
+}
+
+// The optimistic message shown until the server's copy replaces it
+function toMessage(entry) {
+    return {
+        id: entry.clientMessageId,
+        clientMessageId: entry.clientMessageId,
+        from: entry.from,
+        to: entry.chat.peerId || null,
+        conversationId: entry.chat.conversationId || null,
+        msg: entry.message,
+        ts: entry.createdAt,
+        status: entry.status,
+        error: entry.error || null,
+        replyTo: null,
+        messageType: entry.messageType,
+        hasFile: Boolean(entry.attachment),
+        fileUrl: null,
+        fileName: entry.attachment ? entry.attachment.name : null,
+        media: entry.media || null
+    };
+}
+
+export class Outbox {
+    /**
+     * `onChange(message)` is called for every state change of an outgoing
+     * message: `pending`, `failed`, and finally the server's stored message
+     * (status `sent`), matched by `clientMessageId`.
+     */
+    constructor(socket, currentUserId, onChange, { encrypt = null } = {}) {
+        this.socket = socket;
+        this.currentUserId = currentUserId;
+        this.onChange = onChange;
+        this.encrypt = encrypt;
+        this.entries = new Map();
+        this.draining = false;
+        this.drainAgain = false;
+        this.retryTimer = null;
+
+        this.onConnect = () => this.drain({ now: true });
+        socket.on('connect', this.onConnect);
+    }
+
+    /** Restore entries left by a previous session and resume sending them. */
+    async load() {
+        const saved = await getAll('outbox', 'createdAt');
+        saved
+            .filter(entry => entry.from === this.currentUserId)
+            .forEach(entry => {
+                this.entries.set(entry.clientMessageId, entry);
+                this.onChange(toMessage(entry));
+            });
+        this.drain({ now: true });
+    }
+
+    /**
+     * Queue a message; resolves with the optimistic `pending` message.
+     * `media` is a voice note's `{ duration, waveform }` as measured while
+     * recording; the server keeps it if it cannot measure the file itself.
+     */
+    async send(chat, message, { messageType = 'text', replyToMessageId = null, encrypted = false, attachment = null, media = null } = {}) {
+        if (encrypted && (!this.encrypt || !chat.peerId)) {
+            throw new Error('Encryption is only available in 1:1 chats with an encryptor');
+        }
+
+        const entry = {
+            clientMessageId: crypto.randomUUID(),
+            from: this.currentUserId,
+            chat,
+            message,
+            messageType,
+            replyToMessageId,
+            encrypted,
+            attachment,
+            media,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            createdAt: new Date().toISOString()
+        };
+
+        this.entries.set(entry.clientMessageId, entry);
+        await put('outbox', entry);
+        this.onChange(toMessage(entry));
+        this.drain();
+        return toMessage(entry);
+    }
+
+    /** Queued messages for one chat, to render after a reload. */
+    pendingFor(chat) {
+        return Array.from(this.entries.values())
+            .filter(entry => chat.conversationId
+                ? entry.chat.conversationId === chat.conversationId
+                : entry.chat.peerId === chat.peerId)
+            .map(toMessage);
+    }
+
+    /** Try a `failed` message again. */
+    async retry(clientMessageId) {
+        const entry = this.entries.get(clientMessageId);
+        if (!entry || entry.status !== 'failed') return;
+
+        Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: null });
+        await put('outbox', entry);
+        this.onChange(toMessage(entry));
+        this.drain();
+    }
+
+    /** Give up on a message that has not been sent. */
+    async discard(clientMessageId) {
+        this.entries.delete(clientMessageId);
+        await remove('outbox', clientMessageId);
+    }
+
+    close() {
+        clearTimeout(this.retryTimer);
+        this.socket.off('connect', this.onConnect);
+    }
+
+    /**
+     * Send pending entries oldest first, one at a time so a chat's messages
+     * keep their order. Stops at the first transient failure and schedules
+     * the next attempt with backoff.
+     */
+    async drain({ now = false } = {}) {
+        if (this.draining) {
+            // Picked up once the current pass finishes
+            this.drainAgain = true;
+            return;
+        }
+        this.draining = true;
+        this.drainAgain = false;
+        clearTimeout(this.retryTimer);
+
+        try {
+            const queue = Array.from(this.entries.values())
+                .filter(entry => entry.status === 'pending')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            for (const entry of queue) {
+                if (!this.socket.connected) return; // the connect handler resumes
+
+                const wait = entry.nextAttemptAt - Date.now();
+                if (wait > 0 && !now) {
+                    this.retryTimer = setTimeout(() => this.drain(), wait);
+                    return;
+                }
+
+                if (!(await this.attempt(entry))) {
+                    this.retryTimer = setTimeout(() => this.drain(), entry.nextAttemptAt - Date.now());
+                    return;
+                }
+            }
+        } finally {
+            this.draining = false;
+            if (this.drainAgain) this.drain();
+        }
+    }
+
+    // Resolves true when the queue can move on to the next entry
+    async attempt(entry) {
+        const payload = {
+            ...(entry.chat.conversationId ? { conversationId: entry.chat.conversationId } : { to: entry.chat.peerId }),
+            replyToMessageId: entry.replyToMessageId,
+            clientMessageId: entry.clientMessageId
+        };
+
+        let response = null;
+        if (entry.encrypted) {
+            try {
+                // After a failure the device lists may be stale; fetch them again
+                payload.encrypted = await this.encrypt(entry, { fresh: entry.attempts > 0 });
+            } catch (error) {
+                response = { status: 'error', message: error.message, retryable: true };
+            }
+            if (entry.attachment) payload.attachment = { path: entry.attachment.path };
+        } else {
+            payload.message = entry.message;
+            payload.messageType = entry.messageType;
+            if (entry.attachment) payload.attachment = { path: entry.attachment.path, name: entry.attachment.name };
+            if (entry.media) payload.media = entry.media;
+        }
+
+        if (!response) {
+            try {
+                response = await this.socket.timeout(ACK_TIMEOUT).emitWithAck('send_message', payload);
+            } catch (error) {
+                response = { status: 'error', message: 'No response from server', retryable: true };
+            }
+        }
+
+        if (response.status === 'sent') {
+            this.entries.delete(entry.clientMessageId);
+            await remove('outbox', entry.clientMessageId);
+            this.onChange(response.message);
+            return true;
+        }
+
+        entry.attempts += 1;
+        entry.error = response.message;
+
+        // Re-encrypt for the current device list straight away
+        const retryNow = response.code === 'devices_changed' && entry.attempts < MAX_ATTEMPTS;
+
+        if (!retryNow && (!response.retryable || entry.attempts >= MAX_ATTEMPTS)) {
+            entry.status = 'failed';
+            await put('outbox', entry);
+            this.onChange(toMessage(entry));
+            return true; // don't hold up later messages behind one that won't send
+        }
+
+        entry.nextAttemptAt = retryNow ? Date.now() : Date.now() + backoff(entry.attempts);
+        await put('outbox', entry);
+        return false;
+    }
+}
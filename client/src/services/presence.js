@@ -0,0 +1,104 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - PRESENCE
+// =====================================================
+// Online state comes from the server's presence service, not from the
+// `users.is_online` column. Keep a heartbeat running for as long as the socket
+// is open; the server drops sockets that go quiet for a minute.
+
+import { apiFetch } from './api.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // ms; server timeout is 60s
+
+/**
+ * Send heartbeats while the socket is connected. Returns a stop function.
+ */
+export function startHeartbeat(socket, interval = HEARTBEAT_INTERVAL) {
+    const beat = () => {
+        if (socket.connected) socket.emit('heartbeat');
+    };
+    const timer = setInterval(beat, interval);
+
+    // Background tabs throttle timers; beat as soon as the tab is visible again
+    const onVisible = () => {
+        if (document.visibilityState === 'visible') beat();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+
+    return () => {
+        clearInterval(timer);
+        document.removeEventListener('visibilitychange', onVisible);
+    };
+}
+
+/**
+ * Live presence for a contact list. `callback(status)` receives
+ * { userId, isOnline, lastSeen } for the initial state and every change.
+ * Subscriptions are renewed after reconnects.
+ */
+export class PresenceWatcher {
+    constructor(socket, callback) {
+        this.socket = socket;
+        this.callback = callback;
+        this.userIds = new Set();
+
+        this.onState = ({ users }) => users.forEach(status => this.deliver(status));
+        this.onStatus = (status) => this.deliver(status);
+        this.onConnect = () => this.resubscribe();
+
+        socket.on('presence_state', this.onState);
+        socket.on('user_status', this.onStatus);
+        socket.on('connect', this.onConnect);
+    }
+
+    deliver(status) {
+        if (this.userIds.has(status.userId)) this.callback(status);
+    }
+
+    watch(userIds) {
+        const added = userIds.filter(id => !this.userIds.has(id));
+        added.forEach(id => this.userIds.add(id));
+        if (added.length > 0) {
+            this.socket.emit('presence_subscribe', { userIds: added });
+        }
+    }
+
+    unwatch(userIds) {
+        userIds.forEach(id => this.userIds.delete(id));
+        this.socket.emit('presence_unsubscribe', { userIds });
+    }
+
+    resubscribe() {
+        if (this.userIds.size > 0) {
+            this.socket.emit('presence_subscribe', { userIds: Array.from(this.userIds) });
+        }
+    }
+
+    close() {
+        this.socket.emit('presence_unsubscribe', {});
+        this.socket.off('presence_state', this.onState);
+        this.socket.off('user_status', this.onStatus);
+        this.socket.off('connect', this.onConnect);
+        this.userIds.clear();
+    }
+}
+
+/**
+ * One-off lookup, e.g. for a contact list rendered before the socket connects.
+ */
+export function getPresence(userIds) {
+    return apiFetch(`/api/presence?userIds=${encodeURIComponent(userIds.join(','))}`);
+}
+
+export function getPresenceVisibility() {
+    return apiFetch('/api/presence/settings');
+}
+
+/**
+ * visibility: 'everyone' | 'contacts' | 'nobody'
+ */
+export function setPresenceVisibility(visibility) {
+    return apiFetch('/api/presence/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ visibility })
+    });
+}
@@ -0,0 +1,54 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - REACTIONS
+// =====================================================
+// Emoji reactions. History, search and sync responses include
+// `message.reactions` as [{ emoji, count, reacted }]; `reaction_updated`
+// socket events keep open chats current.
+
+import { apiFetch } from './api.js';
+
+function reactionPath(messageId, emoji) {
+    return `/api/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`;
+}
+
+async function request(messageId, emoji, method) {
+    const result = await apiFetch(reactionPath(messageId, emoji), { method });
+    if (result.status !== 'success') throw new Error(result.message || 'Reaction failed');
+    return result.reactions;
+}
+
+/** Resolves to the message's reactions after adding `emoji`. */
+export function addReaction(messageId, emoji) {
+    return request(messageId, emoji, 'PUT');
+}
+
+export function removeReaction(messageId, emoji) {
+    return request(messageId, emoji, 'DELETE');
+}
+
+/** Add the reaction, or remove it if the current user already reacted with it. */
+export function toggleReaction(message, emoji) {
+    const mine = (message.reactions || []).some(reaction => reaction.emoji === emoji && reaction.reacted);
+    return mine ? removeReaction(message.id, emoji) : addReaction(message.id, emoji);
+}
+
+/**
+ * Call `onUpdate({ id, reactions })` for every reaction change in a chat the
+ * user belongs to, with `reacted` worked out for `currentUserId`. The object
+ * fits MessageHistory.update(). Returns an unsubscribe function.
+ */
+export function subscribeToReactions(socket, currentUserId, onUpdate) {
+    const handler = (event) => {
+        onUpdate({
+            id: event.messageId,
+            reactions: event.reactions.map(({ emoji, count, userIds }) => ({
+                emoji,
+                count,
+                reacted: userIds.includes(currentUserId)
+            }))
+        });
+    };
+
+    socket.on('reaction_updated', handler);
+    return () => socket.off('reaction_updated', handler);
+}
@@ -0,0 +1,68 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - SERVER-FILTERED REALTIME
+// =====================================================
+// Replacements for SupabaseClient.subscribeToMessages / subscribeToUserStatus.
+// Instead of streaming every row of `messages` and `users` into the browser
+// and filtering here, these listen on the Socket.IO connection, where the
+// server only delivers events for chats this user is part of and presence for
+// their contacts.
+
+const MESSAGE_EVENTS = ['receive_message', 'message_sent', 'message_change', 'message_updated'];
+
+function belongsTo(message, chat, currentUserId) {
+    if (chat.conversationId) {
+        return message.conversationId === chat.conversationId;
+    }
+    return !message.conversationId && (
+        (message.from === currentUserId && message.to === chat.peerId) ||
+        (message.from === chat.peerId && message.to === currentUserId)
+    );
+}
+
+/**
+ * Call `callback(message, event)` for new and changed messages in one chat.
+ * `chat` is { peerId } or { conversationId }. Returns an unsubscribe function.
+ */
+export function subscribeToMessages(socket, chat, currentUserId, callback) {
+    // The same insert can arrive as both receive_message and message_change
+    const seenInserts = new Set();
+
+    const handlers = MESSAGE_EVENTS.map(event => {
+        const handler = (payload) => {
+            const message = event === 'message_change' ? payload.message : payload;
+            const isInsert = event !== 'message_updated' && !(event === 'message_change' && payload.event === 'UPDATE');
+
+            if (!belongsTo(message, chat, currentUserId)) return;
+            if (isInsert) {
+                if (seenInserts.has(message.id)) return;
+                seenInserts.add(message.id);
+            }
+
+            callback(message, isInsert ? 'INSERT' : 'UPDATE');
+        };
+        socket.on(event, handler);
+        return [event, handler];
+    });
+
+    // A tombstone when deleted for everyone, { id, hidden: true } when the
+    // user deleted it for themselves on another device
+    const onDeleted = (payload) => {
+        if (belongsTo(payload, chat, currentUserId)) {
+            callback(payload, 'DELETE');
+        }
+    };
+    socket.on('message_deleted', onDeleted);
+
+    return () => {
+        handlers.forEach(([event, handler]) => socket.off(event, handler));
+        socket.off('message_deleted', onDeleted);
+    };
+}
+
+/**
+ * Call `callback({ userId, isOnline, lastSeen })` when a contact's presence changes.
+ */
+export function subscribeToUserStatus(socket, callback) {
+    socket.on('user_status', callback);
+    return () => socket.off('user_status', callback);
+}
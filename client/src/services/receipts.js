@@ -0,0 +1,87 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - DELIVERY / READ RECEIPTS
+// =====================================================
+// Acknowledges incoming messages to the server and applies the server's
+// `message_status` updates to locally rendered messages.
+
+const FLUSH_DELAY = 300; // ms; batches acks for bursts of messages
+
+export class ReceiptTracker {
+    constructor(socket, currentUserId) {
+        this.socket = socket;
+        this.currentUserId = currentUserId;
+        this.pendingDelivered = new Set();
+        this.pendingRead = new Set();
+        this.flushTimer = null;
+    }
+
+    /**
+     * Call for every message received (socket or history fetch).
+     */
+    received(message) {
+        if (message.from === this.currentUserId || message.status !== 'sent') return;
+        this.pendingDelivered.add(message.id);
+        this.scheduleFlush();
+    }
+
+    /**
+     * Call when messages become visible on screen (tab focused, chat open).
+     */
+    viewed(messages) {
+        messages
+            .filter(message => message.from !== this.currentUserId && message.status !== 'read')
+            .forEach(message => this.pendingRead.add(message.id));
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+    }
+
+    flush() {
+        this.flushTimer = null;
+        if (!this.socket?.connected) return;
+
+        // Anything read is implicitly delivered
+        this.pendingRead.forEach(id => this.pendingDelivered.delete(id));
+
+        if (this.pendingDelivered.size > 0) {
+            this.socket.emit('message_delivered', { messageIds: Array.from(this.pendingDelivered) });
+            this.pendingDelivered.clear();
+        }
+        if (this.pendingRead.size > 0) {
+            this.socket.emit('message_read', { messageIds: Array.from(this.pendingRead) });
+            this.pendingRead.clear();
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.flushTimer);
+        this.flush();
+    }
+}
+
+/**
+ * Merge a `message_status` payload into a message list; returns a new array.
+ */
+export function applyStatusUpdate(messages, { messages: updates }) {
+    const byId = new Map(updates.map(update => [update.id, update]));
+    return messages.map(message => {
+        const update = byId.get(message.id);
+        return update
+            ? { ...message, status: update.status, deliveredAt: update.deliveredAt, readAt: update.readAt, seen: update.status === 'read' }
+            : message;
+    });
+}
+
+/**
+ * Tick glyphs for the sender's bubble.
+ */
+export function messageTicks(message) {
+    switch (message.status) {
+        case 'read': return { icon: '✓✓', className: 'ticks ticks-read' };
+        case 'delivered': return { icon: '✓✓', className: 'ticks' };
+        default: return { icon: '✓', className: 'ticks' };
+    }
+}
@@ -0,0 +1,48 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - MESSAGE SEARCH
+// =====================================================
+// Full-text search across every chat and group the user belongs to, and the
+// jump-to-message view that opens a result in its chat.
+
+import { apiFetch } from './api.js';
+
+/**
+ * filters: { peerId, conversationId, from, to, type: 'text' | 'image' | 'file',
+ *            limit, offset }
+ * Resolves to { status, results: [{ message, chat, rank, highlights }], hasMore }.
+ */
+export function searchMessages(query, filters = {}) {
+    const params = new URLSearchParams({ q: query });
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, value instanceof Date ? value.toISOString() : String(value));
+        }
+    });
+    return apiFetch(`/api/search/messages?${params}`);
+}
+
+/**
+ * The page of messages surrounding one result, for scrolling to it in its chat.
+ * Resolves to { status, messageId, messages, hasMoreBefore, hasMoreAfter }.
+ */
+export function getMessageContext(messageId, limit = 50) {
+    return apiFetch(`/api/messages/${messageId}/context?limit=${limit}`);
+}
+
+/**
+ * Split message text into [{ text, match }] runs from a result's `highlights`,
+ * so matches can be wrapped in <mark> without injecting HTML.
+ */
+export function highlightSegments(text, highlights = []) {
+    const segments = [];
+    let cursor = 0;
+
+    highlights.forEach(({ start, end }) => {
+        if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+        segments.push({ text: text.slice(start, end), match: true });
+        cursor = end;
+    });
+
+    if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+    return segments;
+}
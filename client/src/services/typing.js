@@ -0,0 +1,104 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - TYPING INDICATORS
+// =====================================================
+// Replacement for the SupabaseClient.updateTypingStatus stub. Typing state is
+// an ephemeral broadcast over the Socket.IO connection (the TYPING channel);
+// nothing is stored. The server relays typing_start/typing_stop to the other
+// side of the chat and expires indicators whose stop never arrives.
+//
+// `chat` is { peerId } for a 1:1 chat or { conversationId } for a group.
+
+const RENEW_INTERVAL = 2000; // ms between typing_start renewals while typing
+const IDLE_TIMEOUT = 4000;   // ms without keystrokes before sending typing_stop
+const DEFAULT_EXPIRY = 6000; // ms; used if the server omits expiresIn
+
+function targetOf(chat) {
+    return chat.conversationId ? { conversationId: chat.conversationId } : { to: chat.peerId };
+}
+
+/**
+ * Send a single typing update for a chat.
+ */
+export function updateTypingStatus(socket, chat, isTyping) {
+    socket.emit(isTyping ? 'typing_start' : 'typing_stop', targetOf(chat));
+}
+
+/**
+ * Debounced sender for the message input. Call keystroke() on every input
+ * event and stop() when the message is sent or the input loses focus.
+ */
+export class TypingNotifier {
+    constructor(socket, chat) {
+        this.socket = socket;
+        this.chat = chat;
+        this.lastSent = 0;
+        this.idleTimer = null;
+    }
+
+    keystroke() {
+        const now = Date.now();
+        if (now - this.lastSent >= RENEW_INTERVAL) {
+            this.lastSent = now;
+            updateTypingStatus(this.socket, this.chat, true);
+        }
+
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.stop(), IDLE_TIMEOUT);
+    }
+
+    stop() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (this.lastSent === 0) return;
+
+        this.lastSent = 0;
+        updateTypingStatus(this.socket, this.chat, false);
+    }
+}
+
+/**
+ * Call `callback(userIds)` with who is typing in one chat whenever that set
+ * changes. Indicators expire on their own if no stop arrives. Returns an
+ * unsubscribe function.
+ */
+export function subscribeToTyping(socket, chat, callback) {
+    const typing = new Map(); // userId -> expiry timer
+
+    const inChat = (event) => (chat.conversationId
+        ? event.conversationId === chat.conversationId
+        : !event.conversationId && event.from === chat.peerId);
+
+    const remove = (userId) => {
+        clearTimeout(typing.get(userId));
+        if (typing.delete(userId)) callback(Array.from(typing.keys()));
+    };
+
+    const onTyping = (event) => {
+        if (!inChat(event)) return;
+
+        if (!event.isTyping) {
+            remove(event.from);
+            return;
+        }
+
+        const isNew = !typing.has(event.from);
+        clearTimeout(typing.get(event.from));
+        typing.set(event.from, setTimeout(() => remove(event.from), event.expiresIn || DEFAULT_EXPIRY));
+        if (isNew) callback(Array.from(typing.keys()));
+    };
+
+    // A message from someone ends their indicator immediately
+    const onMessage = (message) => {
+        if (inChat(message)) remove(message.from);
+    };
+
+    socket.on('user_typing', onTyping);
+    socket.on('receive_message', onMessage);
+
+    return () => {
+        socket.off('user_typing', onTyping);
+        socket.off('receive_message', onMessage);
+        typing.forEach(timer => clearTimeout(timer));
+        typing.clear();
+    };
+}
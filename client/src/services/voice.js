@@ -0,0 +1,320 @@
+// =====================================================
+// DIGIDAD MESSAGING APP - VOICE NOTES
+// =====================================================
+// Record in the browser with VoiceRecorder and send the recording through the
+// outbox like any other attachment:
+//
+//     const recorder = new VoiceRecorder({ onLevel: level => ... });
+//     await recorder.start();
+//     const recording = await recorder.stop();     // { blob, name, duration, waveform }
+//     await sendVoiceNote(outbox, chat, recording);
+//
+// The server measures the recording and sends `media: { duration, waveform }`
+// with the message, `waveform` being 64 peak levels from 0 to 100. Browsers
+// often cannot tell the length of a recorded WebM themselves, so prefer
+// `media.duration`. If the server cannot decode the file it keeps the
+// duration and waveform measured here while recording, with
+// `media.estimated` set. VoicePlayer plays a voice note inside its bubble with
+// scrubbing and reports the recipient's first playback, which reaches the
+// sender as `playedAt` (1:1 chats only, like read receipts).
+
+import { uploadFile, getFileUrl } from './files.js';
+
+const MAX_DURATION = 15 * 60 * 1000; // ms; longer recordings stop by themselves
+const WAVEFORM_BARS = 64; // as measured by the server
+// First supported wins; Safari only records MP4
+const RECORDING_TYPES = [
+    { mimeType: 'audio/webm;codecs=opus', extension: 'webm' },
+    { mimeType: 'audio/ogg;codecs=opus', extension: 'ogg' },
+    { mimeType: 'audio/mp4', extension: 'm4a' }
+];
+
+// WAVEFORM_BARS peaks (0-100, relative to the loudest) of the levels seen
+// while recording, or null if there were none
+function waveformOf(levels) {
+    if (levels.length === 0) return null;
+
+    const perBar = Math.ceil(levels.length / WAVEFORM_BARS);
+    const peaks = [];
+    for (let start = 0; start < levels.length; start += perBar) {
+        peaks.push(Math.max(...levels.slice(start, start + perBar)));
+    }
+    const loudest = Math.max(...peaks) || 1;
+    return peaks.map(peak => Math.round((peak / loudest) * 100));
+}
+
+function recordingType() {
+    return RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type.mimeType)) || null;
+}
+
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia) && Boolean(recordingType());
+}
+
+/**
+ * Records one voice note from the microphone. `onLevel(level)` gets the
+ * input level (0-1) on every animation frame while recording, for a live
+ * meter.
+ */
+export class VoiceRecorder {
+    constructor({ onLevel = null } = {}) {
+        this.onLevel = onLevel;
+        this.state = 'idle'; // idle | recording | stopped | cancelled
+        this.chunks = [];
+        this.stream = null;
+        this.recorder = null;
+        this.extension = null;
+        this.startedAt = null;
+        this.duration = 0;
+        this.levels = [];
+        this.audioContext = null;
+        this.limitTimer = null;
+        this.levelFrame = null;
+        this.finished = null;
+    }
+
+    /** Ask for the microphone and start recording. */
+    async start() {
+        if (this.state !== 'idle') throw new Error('This recorder has already been used');
+        const type = recordingType();
+        if (!type) throw new Error('Voice recording is not supported in this browser');
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.recorder = new MediaRecorder(this.stream, { mimeType: type.mimeType });
+        this.extension = type.extension;
+        this.recorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        });
+        this.finished = new Promise(resolve => {
+            this.recorder.addEventListener('stop', () => {
+                this.release();
+                resolve(this.recording());
+            });
+        });
+
+        this.recorder.start(250);
+        this.startedAt = Date.now();
+        this.state = 'recording';
+        this.limitTimer = setTimeout(() => this.stop(), MAX_DURATION);
+        this.meter();
+    }
+
+    /** Finish recording; resolves to { blob, name, duration, waveform }, or null if cancelled. */
+    stop() {
+        if (this.state === 'recording') {
+            this.state = 'stopped';
+            this.duration = (Date.now() - this.startedAt) / 1000;
+            this.recorder.stop();
+        }
+        return this.finished || Promise.resolve(null);
+    }
+
+    /** Throw the recording away. */
+    cancel() {
+        if (this.state === 'recording') this.recorder.stop();
+        this.state = 'cancelled';
+        this.chunks = [];
+    }
+
+    recording() {
+        if (this.state === 'cancelled' || this.chunks.length === 0) return null;
+
+        const type = this.recorder.mimeType.split(';')[0] || 'audio/webm';
+        return {
+            blob: new Blob(this.chunks, { type }),
+            name: `voice-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.${this.extension}`,
+            duration: this.duration,
+            waveform: waveformOf(this.levels)
+        };
+    }
+
+    meter() {
+        this.audioContext = new AudioContext();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        this.audioContext.createMediaStreamSource(this.stream).connect(analyser);
+        const samples = new Uint8Array(analyser.fftSize);
+
+        const tick = () => {
+            analyser.getByteTimeDomainData(samples);
+            let peak = 0;
+            samples.forEach(sample => { peak = Math.max(peak, Math.abs(sample - 128)); });
+            this.levels.push(peak / 128);
+            if (this.onLevel) this.onLevel(peak / 128);
+            this.levelFrame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    // Give the microphone back so the browser stops showing it in use
+    release() {
+        clearTimeout(this.limitTimer);
+        cancelAnimationFrame(this.levelFrame);
+        if (this.audioContext) this.audioContext.close();
+        this.stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+/**
+ * Upload a recording from VoiceRecorder and queue it as a voice message.
+ * Resolves with the optimistic `pending` message from the outbox.
+ */
+export async function sendVoiceNote(outbox, chat, recording, { replyToMessageId = null } = {}) {
+    const attachment = await uploadFile(recording.blob, recording.name);
+    const media = recording.waveform ? { duration: recording.duration, waveform: recording.waveform } : null;
+    return outbox.send(chat, null, { messageType: 'voice', replyToMessageId, attachment, media });
+}
+
+// =====================================================
+// PLAYBACK
+// =====================================================
+
+/**
+ * Plays one voice message. `onUpdate({ playing, currentTime, duration, progress, played })`
+ * fires whenever any of these change, to redraw the bubble; `progress` is
+ * 0-1, for colouring the waveform bars already heard. Pass the socket and
+ * the current user's id so the first playback is reported to the sender.
+ */
+export class VoicePlayer {
+    constructor(message, { socket = null, currentUserId = null, onUpdate = null } = {}) {
+        this.message = message;
+        this.socket = socket;
+        this.currentUserId = currentUserId;
+        this.onUpdate = onUpdate;
+        // For the sender: the recipient has listened. For the recipient: no unplayed dot.
+        this.played = Boolean(message.playedAt);
+        this.urlExpiresAt = 0;
+        this.pendingSeek = null;
+        this.retried = false;
+
+        this.audio = new Audio();
+        this.audio.preload = 'none';
+        ['play', 'pause', 'timeupdate', 'durationchange'].forEach(event => {
+            this.audio.addEventListener(event, () => this.update());
+        });
+        this.audio.addEventListener('ended', () => {
+            this.audio.currentTime = 0;
+            this.update();
+        });
+        this.audio.addEventListener('loadedmetadata', () => {
+            if (this.pendingSeek !== null) this.audio.currentTime = this.pendingSeek;
+            this.pendingSeek = null;
+        });
+        // Signed URLs expire; fetch a fresh one and carry on from the same spot
+        this.audio.addEventListener('error', () => {
+            if (this.retried) return;
+            this.retried = true;
+            this.urlExpiresAt = 0;
+            const resumeAt = this.audio.currentTime;
+            this.play({ from: resumeAt }).catch(() => this.update());
+        });
+    }
+
+    get duration() {
+        const measured = this.message.media?.duration;
+        if (measured) return measured;
+        return Number.isFinite(this.audio.duration) ? this.audio.duration : 0;
+    }
+
+    state() {
+        const duration = this.duration;
+        const currentTime = this.pendingSeek ?? this.audio.currentTime;
+        return {
+            playing: !this.audio.paused,
+            currentTime,
+            duration,
+            progress: duration ? Math.min(currentTime / duration, 1) : 0,
+            played: this.played
+        };
+    }
+
+    update() {
+        if (this.onUpdate) this.onUpdate(this.state());
+    }
+
+    async load() {
+        if (Date.now() < this.urlExpiresAt) return;
+        const { url, expiresAt } = await getFileUrl(this.message.id);
+        this.urlExpiresAt = new Date(expiresAt).getTime();
+        if (this.pendingSeek === null) this.pendingSeek = this.audio.currentTime;
+        this.audio.src = url;
+    }
+
+    async play({ from = null } = {}) {
+        if (from !== null) this.pendingSeek = from;
+        await this.load();
+        await this.audio.play();
+        this.retried = false;
+        this.markPlayed();
+    }
+
+    pause() {
+        this.audio.pause();
+    }
+
+    toggle() {
+        return this.audio.paused ? this.play() : this.pause();
+    }
+
+    /** Scrub to `fraction` (0-1) of the message, e.g. from a tap on the waveform. */
+    seek(fraction) {
+        const time = Math.min(Math.max(fraction, 0), 1) * this.duration;
+        if (this.audio.readyState > 0) this.audio.currentTime = time;
+        else this.pendingSeek = time;
+        this.update();
+    }
+
+    markPlayed() {
+        if (this.played || this.message.from === this.currentUserId) return;
+        this.played = true;
+        // Only 1:1 voice notes are tracked; the server ignores the rest
+        if (this.socket && this.message.to === this.currentUserId) {
+            this.socket.emit('message_played', { messageId: this.message.id });
+        }
+        this.update();
+    }
+
+    dispose() {
+        this.retried = true; // unloading is not an error to recover from
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+    }
+}
+
+/**
+ * Resample a message's `media.waveform` to `count` bars (0-1) to fit the
+ * bubble. Without a waveform the bars are flat.
+ */
+export function waveformBars(waveform, count) {
+    if (!waveform || waveform.length === 0) return new Array(count).fill(0.1);
+
+    return Array.from({ length: count }, (_, bar) => {
+        const start = Math.floor((bar * waveform.length) / count);
+        const end = Math.max(Math.floor(((bar + 1) * waveform.length) / count), start + 1);
+        return Math.max(...waveform.slice(start, end)) / 100;
+    });
+}
+
+/** "0:07", "12:34" */
+export function formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Call `onPlayed({ messageId, playedAt, peerId })` when a voice note is first
+ * played, by its recipient or on another of this user's devices. Returns an
+ * unsubscribe function.
+ */
+export function watchPlayed(socket, onPlayed) {
+    socket.on('message_played', onPlayed);
+    return () => socket.off('message_played', onPlayed);
+}
+
+/**
+ * Merge a `message_played` event into a message list; returns a new array.
+ */
+export function applyPlayedUpdate(messages, { messageId, playedAt }) {
+    return messages.map(message => (message.id === messageId ? { ...message, playedAt } : message));
+}
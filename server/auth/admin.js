@@ -0,0 +1,21 @@
+// Operators allowed to use /api/admin, listed by user id in ADMIN_USER_IDS
+// (comma-separated). Nobody is an admin when it is unset.
+
+function resolveAdminIds(env = process.env) {
+  return new Set((env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean));
+}
+
+// Runs after requireAuth
+function requireAdmin(adminIds) {
+  return (req, res, next) => {
+    if (!adminIds.has(req.user.id)) {
+      return res.status(403).json({ status: 'error', message: 'Admin access required' });
+    }
+    next();
+  };
+}
+
+module.exports = { resolveAdminIds, requireAdmin };
@@ -0,0 +1,48 @@
+// Authentication guards for Express routes and Socket.IO connections
+
+function bearerToken(header) {
+  if (typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Populates req.user from `Authorization: Bearer <accessToken>` or responds 401
+function requireAuth(tokens) {
+  return (req, res, next) => {
+    const user = tokens.verifyAccessToken(bearerToken(req.headers.authorization));
+
+    if (!user) {
+      return res.status(401).json({ status: 'error', message: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+// Only lets a request act on its own :userId
+function requireSelf(param = 'userId') {
+  return (req, res, next) => {
+    if (req.params[param] !== req.user.id) {
+      return res.status(403).json({ status: 'error', message: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+// io.use() middleware; the token comes from `io(url, { auth: { token } })`
+function socketAuth(tokens) {
+  return (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const user = tokens.verifyAccessToken(auth.token || bearerToken(headers.authorization));
+
+    if (!user) {
+      return next(new Error('Unauthorized'));
+    }
+
+    socket.data.user = user;
+    next();
+  };
+}
+
+module.exports = { requireAuth, requireSelf, socketAuth };
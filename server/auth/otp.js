@@ -0,0 +1,112 @@
+// One-time passcode challenges for phone login.
+//
+// Codes are never stored in clear text: only a bcrypt hash is persisted along
+// with the expiry, the number of attempts and when the code was last sent.
+// The resend cooldown and the attempt counter are enforced by conditional
+// writes in the store, so concurrent requests cannot get around either.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const DEFAULTS = {
+  length: 6,
+  ttlMs: 5 * 60 * 1000, // 5 minutes
+  maxAttempts: 5,
+  resendCooldownMs: 60 * 1000 // 1 minute
+};
+
+function generateCode(length) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+}
+
+// '+91 12345-67890' and '0091 1234567890' -> '+911234567890', the form phone
+// numbers are stored in, so one number always maps to the same challenge and user
+function normalizePhone(phone) {
+  return `+${String(phone).replace(/\D/g, '').replace(/^00/, '')}`;
+}
+
+function createOtpService({ store, transport, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  return {
+    /**
+     * Issue a new code for a phone number and hand it to the delivery transport.
+     * `email` and `name` are remembered on the challenge so a first-time login can
+     * register the user once the code is verified.
+     */
+    async requestCode({ phone, email = null, name = null }) {
+      phone = normalizePhone(phone);
+      const now = Date.now();
+      const code = generateCode(config.length);
+
+      const issued = await store.issueOtpChallenge({
+        phone,
+        email,
+        name,
+        code_hash: await bcrypt.hash(code, 10),
+        attempts: 0,
+        expires_at: new Date(now + config.ttlMs).toISOString(),
+        last_sent_at: new Date(now).toISOString()
+      }, { notSentSince: new Date(now - config.resendCooldownMs).toISOString() });
+
+      if (!issued) {
+        const existing = await store.getOtpChallenge(phone);
+        const nextSendAt = existing
+          ? new Date(existing.last_sent_at).getTime() + config.resendCooldownMs
+          : now + 1000;
+        return { status: 'cooldown', retryAfter: Math.max(Math.ceil((nextSendAt - now) / 1000), 1) };
+      }
+
+      try {
+        await transport.send({ phone, email, name, code });
+      } catch (error) {
+        // Let the user retry immediately instead of waiting out the cooldown
+        await store.deleteOtpChallenge(phone);
+        console.error('OTP delivery failed:', error.message);
+        return { status: 'error', message: 'Could not deliver verification code' };
+      }
+
+      return {
+        status: 'sent',
+        expiresIn: Math.floor(config.ttlMs / 1000),
+        resendIn: Math.floor(config.resendCooldownMs / 1000)
+      };
+    },
+
+    /**
+     * Check a submitted code. Every check counts as an attempt before the code
+     * is compared; a successful check consumes the challenge so the same code
+     * cannot be replayed.
+     */
+    async verifyCode(phone, code) {
+      phone = normalizePhone(phone);
+      const challenge = await store.recordOtpAttempt(phone, config.maxAttempts);
+
+      if (!challenge) {
+        // Either there is no challenge or its attempts are used up
+        const existing = await store.getOtpChallenge(phone);
+        return { status: existing ? 'locked' : 'not_found' };
+      }
+
+      if (Date.now() > new Date(challenge.expires_at).getTime()) {
+        await store.deleteOtpChallenge(phone);
+        return { status: 'expired' };
+      }
+
+      const matches = typeof code === 'string' && await bcrypt.compare(code, challenge.code_hash);
+
+      if (!matches) {
+        return challenge.attempts >= config.maxAttempts
+          ? { status: 'locked' }
+          : { status: 'invalid', attemptsLeft: config.maxAttempts - challenge.attempts };
+      }
+
+      // Only one of several concurrent requests with the right code gets to consume it
+      const consumed = await store.deleteOtpChallenge(phone, { codeHash: challenge.code_hash });
+      if (!consumed) return { status: 'not_found' };
+
+      return { status: 'verified', email: challenge.email, name: challenge.name };
+    }
+  };
+}
+
+module.exports = { createOtpService, normalizePhone };
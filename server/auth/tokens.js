@@ -0,0 +1,130 @@
+// Session tokens.
+//
+// Access tokens are short-lived JWTs carrying the user id (`sub`) and phone.
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Every refresh rotates the token, and presenting an already-rotated token is
+// treated as theft: the whole token family is revoked and the user must log in again.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULTS = {
+  accessTtl: '15m',
+  refreshTtlMs: 30 * 24 * 60 * 60 * 1000 // 30 days
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function resolveSecret(env) {
+  if (env.JWT_SECRET) return env.JWT_SECRET;
+
+  if (env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  console.warn('JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function createTokenService({ store, secret, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  async function createRefreshToken(userId, familyId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const row = await store.saveRefreshToken({
+      user_id: userId,
+      family_id: familyId,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + config.refreshTtlMs).toISOString(),
+      revoked_at: null
+    });
+    return { token, row };
+  }
+
+  function signAccessToken(user) {
+    return jwt.sign({ phone: user.phone }, secret, {
+      subject: user.id,
+      expiresIn: config.accessTtl
+    });
+  }
+
+  async function buildSession(user, familyId) {
+    const { token: refreshToken, row } = await createRefreshToken(user.id, familyId);
+    const accessToken = signAccessToken(user);
+
+    return {
+      session: {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+      },
+      row
+    };
+  }
+
+  return {
+    async issueSession(user) {
+      const { session } = await buildSession(user, crypto.randomUUID());
+      return session;
+    },
+
+    /**
+     * Returns `{ id, phone }` for a valid access token, or null.
+     */
+    verifyAccessToken(token) {
+      try {
+        const payload = jwt.verify(token, secret);
+        return { id: payload.sub, phone: payload.phone };
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Exchange a refresh token for a new session, revoking the old token.
+     * Resolves `{ status: 'success', session, user }` or `{ status: 'invalid' | 'reused' }`.
+     */
+    async rotate(refreshToken) {
+      if (typeof refreshToken !== 'string' || !refreshToken) return { status: 'invalid' };
+
+      const current = await store.getRefreshTokenByHash(hashToken(refreshToken));
+      if (!current) return { status: 'invalid' };
+
+      if (current.revoked_at) {
+        await store.revokeRefreshTokenFamily(current.family_id);
+        return { status: 'reused' };
+      }
+
+      if (Date.now() > new Date(current.expires_at).getTime()) {
+        return { status: 'invalid' };
+      }
+
+      const user = await store.getUserById(current.user_id);
+      if (!user) return { status: 'invalid' };
+
+      // Two requests may present the same token at once; only the one whose
+      // conditional revoke lands wins, the other is treated as reuse. The new
+      // token is already in the family, so revoking the family catches it too.
+      const { session, row } = await buildSession(user, current.family_id);
+      const revoked = await store.revokeRefreshToken(current.id, { replacedBy: row.id });
+      if (!revoked) {
+        await store.revokeRefreshTokenFamily(current.family_id);
+        return { status: 'reused' };
+      }
+
+      return { status: 'success', session, user };
+    },
+
+    async revoke(refreshToken) {
+      if (typeof refreshToken !== 'string' || !refreshToken) return false;
+
+      const current = await store.getRefreshTokenByHash(hashToken(refreshToken));
+      if (!current) return false;
+
+      await store.revokeRefreshTokenFamily(current.family_id);
+      return true;
+    }
+  };
+}
+
+module.exports = { createTokenService, resolveSecret };
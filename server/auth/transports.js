@@ -0,0 +1,75 @@
+// Delivery transports for OTP codes. Each exposes `send({ phone, email, name, code })`.
+//
+//   OTP_TRANSPORT=email    Supabase `send-otp` edge function (needs the Supabase store)
+//   OTP_TRANSPORT=console  print codes to the server log
+//   OTP_TRANSPORT=file     append JSON lines to OTP_FILE, for integration tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function createEmailTransport(supabase) {
+  return {
+    name: 'email',
+
+    async send({ email, name, code }) {
+      if (!email) {
+        throw new Error('No email address on file for this phone number');
+      }
+
+      const { error } = await supabase.functions.invoke('send-otp', {
+        body: { to: email, otp: code, name }
+      });
+
+      if (error) throw error;
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send({ phone, code }) {
+      console.log(`OTP for ${phone}: ${code}`);
+    }
+  };
+}
+
+function createFileTransport(filePath) {
+  return {
+    name: 'file',
+
+    async send({ phone, email, code }) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(
+        filePath,
+        JSON.stringify({ phone, email, code, sentAt: new Date().toISOString() }) + '\n'
+      );
+    }
+  };
+}
+
+function createOtpTransport(store, env = process.env) {
+  const type = env.OTP_TRANSPORT || (store.driver === 'supabase' ? 'email' : 'console');
+
+  switch (type) {
+    case 'email':
+      if (!store.supabase) {
+        throw new Error('OTP_TRANSPORT=email requires Supabase storage');
+      }
+      return createEmailTransport(store.supabase);
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport(env.OTP_FILE || path.join(os.tmpdir(), 'digidad-otp.log'));
+    default:
+      throw new Error(`Unknown OTP_TRANSPORT: ${type}`);
+  }
+}
+
+module.exports = {
+  createOtpTransport,
+  createEmailTransport,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,58 @@
+// Opaque history cursors. A cursor encodes a message's (created_at, id), the
+// same key history is ordered by, so messages sharing a timestamp are neither
+// skipped nor repeated between pages.
+//
+// Decoded values end up inside PostgREST filter strings, so both parts are
+// checked against strict patterns rather than trusted.
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+function encodePair(timestamp, id, ...flags) {
+  return Buffer.from(JSON.stringify([timestamp, id, ...flags])).toString('base64url');
+}
+
+function decodePair(value) {
+  try {
+    const [timestamp, id, ...flags] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!TIMESTAMP.test(timestamp) || !UUID.test(id)) return null;
+    return { timestamp, id, flags };
+  } catch (error) {
+    return null;
+  }
+}
+
+function encodeCursor(message) {
+  return encodePair(message.created_at, message.id);
+}
+
+// Returns { createdAt, id }, or null if the value is not a cursor. Plain
+// timestamps (the old `before`/`after` parameters) decode with a null id and
+// keep their strict before/after behaviour.
+function decodeCursor(value) {
+  if (typeof value !== 'string' || !value) return null;
+
+  const timestamp = new Date(value);
+  if (value.includes(':') && !Number.isNaN(timestamp.getTime())) {
+    return { createdAt: timestamp.toISOString(), id: null };
+  }
+
+  const pair = decodePair(value);
+  return pair && { createdAt: pair.timestamp, id: pair.id };
+}
+
+// Delta sync tokens: the (updated_at, id) of the last change a client has
+// seen. A `resume` token is handed out in the middle of a batch and carries
+// on exactly where that page ended (see routes/sync.js).
+function encodeSyncToken(message, { resume = false } = {}) {
+  return resume
+    ? encodePair(message.updated_at, message.id, 'resume')
+    : encodePair(message.updated_at, message.id);
+}
+
+function decodeSyncToken(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const pair = decodePair(value);
+  return pair && { updatedAt: pair.timestamp, id: pair.id, resume: pair.flags.includes('resume') };
+}
+
+module.exports = { encodeCursor, decodeCursor, encodeSyncToken, decodeSyncToken };
@@ -0,0 +1,101 @@
+// End-to-end encrypted message envelopes (see client/src/services/e2e.js)
+//
+// The server never sees message keys or plaintext. It only checks that an
+// envelope is well formed and that it carries a wrapped key for exactly the
+// devices currently registered by both participants, so no device is silently
+// left unable to read a message.
+//
+//   {
+//     v: 1,
+//     senderDevice: '<uuid>',
+//     senderKey: '<base64 SPKI>',   must match the device's registered key
+//     iv: '<base64, 12 bytes>',
+//     ciphertext: '<base64 AES-GCM>',
+//     keys: { '<deviceId>': '<base64 wrapped message key>', ... }
+//   }
+
+const ENVELOPE_VERSION = 1;
+const MAX_CIPHERTEXT_LENGTH = 96 * 1024; // base64 chars; plaintext is capped well below this client-side
+const MAX_DEVICES = 20; // per envelope, across both participants
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+// SubjectPublicKeyInfo of an uncompressed P-256 point is 91 bytes
+const IDENTITY_KEY_LENGTH = 124;
+
+const isBase64 = (value, maxLength) =>
+  typeof value === 'string' && value.length > 0 && value.length <= maxLength &&
+  value.length % 4 === 0 && BASE64.test(value);
+
+function isIdentityKey(value) {
+  return typeof value === 'string' && value.length === IDENTITY_KEY_LENGTH && BASE64.test(value);
+}
+
+// Returns an error message, or null when the envelope is well formed
+function validateEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) return 'Invalid encrypted message';
+  if (envelope.v !== ENVELOPE_VERSION) return 'Unsupported encryption version';
+  if (typeof envelope.senderDevice !== 'string' || !UUID.test(envelope.senderDevice)) return 'Invalid sender device';
+  if (!isIdentityKey(envelope.senderKey)) return 'Invalid sender key';
+  if (!isBase64(envelope.iv, 16)) return 'Invalid IV';
+  if (!isBase64(envelope.ciphertext, MAX_CIPHERTEXT_LENGTH)) return 'Invalid ciphertext';
+
+  const keys = envelope.keys;
+  if (!keys || typeof keys !== 'object' || Array.isArray(keys)) return 'Invalid message keys';
+
+  const deviceIds = Object.keys(keys);
+  if (deviceIds.length === 0 || deviceIds.length > MAX_DEVICES) return 'Invalid message keys';
+  if (!deviceIds.every(id => UUID.test(id) && isBase64(keys[id], 64))) return 'Invalid message keys';
+
+  const extra = Object.keys(envelope).filter(key => !['v', 'senderDevice', 'senderKey', 'iv', 'ciphertext', 'keys'].includes(key));
+  if (extra.length > 0) return 'Invalid encrypted message';
+
+  return null;
+}
+
+// Only what was validated is stored; strings are copied so nothing else rides along
+function normalizeEnvelope(envelope) {
+  return {
+    v: envelope.v,
+    senderDevice: envelope.senderDevice.toLowerCase(),
+    senderKey: envelope.senderKey,
+    iv: envelope.iv,
+    ciphertext: envelope.ciphertext,
+    keys: Object.fromEntries(Object.entries(envelope.keys).map(([id, key]) => [id.toLowerCase(), key]))
+  };
+}
+
+/**
+ * Compare the envelope's recipients with the devices registered right now.
+ * Every device of both users gets a key, the sending one included so it can
+ * read its own message again after its local cache is cleared.
+ * Resolves to null, or to { message, code } for the sender to act on.
+ */
+async function checkRecipients(store, envelope, fromUserId, toUserId) {
+  const devices = await store.listDeviceKeys([fromUserId, toUserId]);
+
+  if (!devices.some(device => device.user_id === toUserId)) {
+    return { message: 'Recipient has not enabled encryption', code: 'recipient_not_enabled' };
+  }
+  const sender = devices.find(device => device.user_id === fromUserId && device.device_id === envelope.senderDevice);
+  if (!sender || sender.identity_key !== envelope.senderKey) {
+    return { message: 'Unknown sender device', code: 'unknown_device' };
+  }
+
+  const expected = devices.map(device => device.device_id).sort();
+  const actual = Object.keys(envelope.keys).sort();
+
+  if (expected.join() !== actual.join()) {
+    // Someone added or removed a device since the sender fetched the list
+    return { message: 'Recipient devices changed', code: 'devices_changed' };
+  }
+  return null;
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  validateEnvelope,
+  normalizeEnvelope,
+  checkRecipients,
+  isIdentityKey
+};
@@ -0,0 +1,190 @@
+// Which files may be uploaded, judged by their bytes rather than the type the
+// browser claims. Every accepted extension names the signature its contents
+// must carry; the stored content type comes from this table, never from the
+// request. SVG is refused outright because it can carry script.
+//
+// Uploads come in memory (`data`) or, when assembled from resumable chunks,
+// as a local file (`file`) that is only ever read a piece at a time.
+const fs = require('fs');
+const path = require('path');
+
+// Enough of a file for every signature below
+const HEAD_BYTES = 64 * 1024;
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+function hasBytes(data, bytes, offset = 0) {
+  return data.length >= offset + bytes.length && bytes.every((byte, i) => data[offset + i] === byte);
+}
+
+function isUtf8Text(data) {
+  if (data.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function startsLikeSvg(head) {
+  const start = head.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  return start.startsWith('<?xml') || start.startsWith('<svg') || start.startsWith('<!doctype svg');
+}
+
+async function readHead(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// isUtf8Text() for a file, one chunk at a time
+async function isUtf8File(file) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  try {
+    for await (const chunk of fs.createReadStream(file)) {
+      if (chunk.includes(0)) return false;
+      decoder.decode(chunk, { stream: true });
+    }
+    decoder.decode();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Whether the file contains `text` (lower case ASCII), ignoring case
+async function fileIncludes(file, text) {
+  let carry = '';
+  for await (const chunk of fs.createReadStream(file, { encoding: 'latin1' })) {
+    const window = carry + chunk.toLowerCase();
+    if (window.includes(text)) return true;
+    carry = window.slice(-(text.length - 1));
+  }
+  return false;
+}
+
+// What the checks need of an upload: its first bytes, and whole-file tests
+// for text and SVG
+async function sample({ data, file }) {
+  if (data) {
+    return {
+      head: data,
+      isText: async () => isUtf8Text(data),
+      includes: async text => data.toString('utf8').toLowerCase().includes(text)
+    };
+  }
+  return {
+    head: await readHead(file),
+    isText: () => isUtf8File(file),
+    includes: text => fileIncludes(file, text)
+  };
+}
+
+// Signature checks, by the name used in ACCEPTED below
+const SIGNATURES = {
+  jpeg: data => hasBytes(data, [0xff, 0xd8, 0xff]),
+  png: data => hasBytes(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  gif: data => hasBytes(data, ascii('GIF87a')) || hasBytes(data, ascii('GIF89a')),
+  webp: data => hasBytes(data, ascii('RIFF')) && hasBytes(data, ascii('WEBP'), 8),
+  pdf: data => hasBytes(data, ascii('%PDF-')),
+  // Compound File Binary: legacy Office documents
+  ole: data => hasBytes(data, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  // Also the container for .docx, .xlsx and .pptx
+  zip: data => hasBytes(data, [0x50, 0x4b, 0x03, 0x04]) || hasBytes(data, [0x50, 0x4b, 0x05, 0x06]),
+  rar: data => hasBytes(data, ascii('Rar!\x1a\x07')),
+  // ISO base media (MP4, MOV, M4A): a box size, then "ftyp"
+  isoMedia: data => hasBytes(data, ascii('ftyp'), 4),
+  // Matroska / WebM
+  ebml: data => hasBytes(data, [0x1a, 0x45, 0xdf, 0xa3]),
+  ogg: data => hasBytes(data, ascii('OggS')),
+  wav: data => hasBytes(data, ascii('RIFF')) && hasBytes(data, ascii('WAVE'), 8),
+  // An ID3 tag or an MPEG audio frame sync
+  mp3: data => hasBytes(data, ascii('ID3')) || (data.length > 1 && data[0] === 0xff && (data[1] & 0xe0) === 0xe0),
+  // Checked over the whole file, see matches()
+  text: isUtf8Text,
+  // End-to-end encrypted attachments are ciphertext; there is nothing to
+  // sniff, so anything passes and the upload is flagged `opaque` instead
+  opaque: () => true
+};
+
+// Extension -> the signature its contents must match and the types it may be
+// stored as (the declared type picks between them, e.g. audio vs video WebM)
+const ACCEPTED = {
+  '.jpg': { signature: 'jpeg', types: ['image/jpeg'] },
+  '.jpeg': { signature: 'jpeg', types: ['image/jpeg'] },
+  '.png': { signature: 'png', types: ['image/png'] },
+  '.gif': { signature: 'gif', types: ['image/gif'] },
+  '.webp': { signature: 'webp', types: ['image/webp'] },
+  '.pdf': { signature: 'pdf', types: ['application/pdf'] },
+  '.txt': { signature: 'text', types: ['text/plain'] },
+  '.csv': { signature: 'text', types: ['text/csv'] },
+  '.doc': { signature: 'ole', types: ['application/msword'] },
+  '.xls': { signature: 'ole', types: ['application/vnd.ms-excel'] },
+  '.ppt': { signature: 'ole', types: ['application/vnd.ms-powerpoint'] },
+  '.docx': { signature: 'zip', types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  '.xlsx': { signature: 'zip', types: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+  '.pptx': { signature: 'zip', types: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'] },
+  '.zip': { signature: 'zip', types: ['application/zip'] },
+  '.rar': { signature: 'rar', types: ['application/x-rar-compressed'] },
+  '.mp4': { signature: 'isoMedia', types: ['video/mp4', 'audio/mp4'] },
+  '.m4a': { signature: 'isoMedia', types: ['audio/mp4'] },
+  '.mov': { signature: 'isoMedia', types: ['video/quicktime'] },
+  '.webm': { signature: 'ebml', types: ['video/webm', 'audio/webm'] },
+  '.ogg': { signature: 'ogg', types: ['audio/ogg'] },
+  '.opus': { signature: 'ogg', types: ['audio/ogg'] },
+  '.mp3': { signature: 'mp3', types: ['audio/mpeg'] },
+  '.wav': { signature: 'wav', types: ['audio/wav'] },
+  '.bin': { signature: 'opaque', types: ['application/octet-stream'] }
+};
+
+// For names without an extension (pasted images, recordings named "blob"),
+// the extension whose signature matches; opaque data needs an explicit .bin
+const SNIFF_ORDER = ['.jpg', '.png', '.gif', '.webp', '.pdf', '.mp4', '.webm', '.ogg', '.wav', '.mp3', '.txt'];
+
+async function matches(upload, signature) {
+  return signature === 'text' ? upload.isText() : SIGNATURES[signature](upload.head);
+}
+
+/**
+ * Check an upload's name against its contents, given as `data` or a local
+ * `file`. Resolves to `{ status: 'accepted', type, opaque }` with the type to
+ * store it as, or `{ status: 'rejected', message }`. `opaque` uploads went
+ * unchecked and may only be attached to encrypted messages.
+ */
+async function inspectUpload({ name, declaredType = null, data = null, file = null }) {
+  let extension = path.extname(name || '').toLowerCase();
+  const upload = await sample({ data, file });
+
+  if (extension === '.svg' || extension === '.svgz' ||
+      (startsLikeSvg(upload.head) && await upload.includes('<svg'))) {
+    return { status: 'rejected', message: 'SVG images are not accepted' };
+  }
+
+  if (!extension) {
+    for (const candidate of SNIFF_ORDER) {
+      if (await matches(upload, ACCEPTED[candidate].signature)) {
+        extension = candidate;
+        break;
+      }
+    }
+    if (!extension) return { status: 'rejected', message: 'This kind of file is not accepted' };
+  }
+
+  const accepted = ACCEPTED[extension];
+  if (!accepted) {
+    return { status: 'rejected', message: `${extension} files are not accepted` };
+  }
+  if (!(await matches(upload, accepted.signature))) {
+    return { status: 'rejected', message: `File contents do not match its ${extension} extension` };
+  }
+
+  const type = accepted.types.includes(declaredType) ? declaredType : accepted.types[0];
+  return { status: 'accepted', type, opaque: accepted.signature === 'opaque' };
+}
+
+module.exports = { inspectUpload };
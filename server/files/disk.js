@@ -0,0 +1,101 @@
+// Local-disk file storage for demo mode. Each bucket is a directory under
+// `root`; an object's content type sits next to it in `<name>.meta.json`.
+// Downloads go through the server's signed /api/files/:token proxy.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { signFileToken, verifyFileToken } = require('./signing');
+
+function createDiskFileStore({ root, secret }) {
+  // Kept apart from the access-token key so one kind of token can never pass as the other
+  const signingKey = crypto.createHmac('sha256', secret).update('digidad file urls').digest();
+
+  // Object paths come from the server (see newObjectPath), but never let one
+  // climb out of its bucket
+  function locate(bucket, objectPath) {
+    const base = path.resolve(root, bucket);
+    const full = path.resolve(base, objectPath);
+    if (!full.startsWith(base + path.sep)) throw new Error(`Invalid object path "${objectPath}"`);
+    return full;
+  }
+
+  async function readMeta(full) {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${full}.meta.json`, 'utf8'));
+    } catch (err) {
+      return {};
+    }
+  }
+
+  return {
+    driver: 'disk',
+
+    // `data` is a Buffer or a readable stream
+    async save(bucket, objectPath, data, { contentType = 'application/octet-stream' } = {}) {
+      const full = locate(bucket, objectPath);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      if (Buffer.isBuffer(data)) {
+        await fs.promises.writeFile(full, data, { flag: 'wx' });
+      } else {
+        await pipeline(data, fs.createWriteStream(full, { flags: 'wx' }));
+      }
+      await fs.promises.writeFile(`${full}.meta.json`, JSON.stringify({ contentType }));
+      return { path: objectPath, size: (await fs.promises.stat(full)).size, contentType };
+    },
+
+    async stat(bucket, objectPath) {
+      const full = locate(bucket, objectPath);
+      try {
+        const stats = await fs.promises.stat(full);
+        const meta = await readMeta(full);
+        return { size: stats.size, contentType: meta.contentType || 'application/octet-stream' };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    // `start`/`end` are inclusive byte offsets, as in a Range header
+    async open(bucket, objectPath, { start, end } = {}) {
+      return fs.createReadStream(locate(bucket, objectPath), { start, end });
+    },
+
+    async read(bucket, objectPath) {
+      return fs.promises.readFile(locate(bucket, objectPath));
+    },
+
+    async remove(bucket, objectPaths) {
+      const removed = [];
+      for (const objectPath of objectPaths) {
+        const full = locate(bucket, objectPath);
+        try {
+          await fs.promises.unlink(full);
+          await fs.promises.rm(`${full}.meta.json`, { force: true });
+          removed.push(objectPath);
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      }
+      return removed;
+    },
+
+    // Relative to the API server; clients resolve it against their API URL
+    async signedUrl(bucket, objectPath, { expiresIn, fileName = null }) {
+      const token = signFileToken(signingKey, {
+        bucket,
+        path: objectPath,
+        fileName,
+        expiresAt: Date.now() + expiresIn * 1000
+      });
+      return `/api/files/${token}`;
+    },
+
+    // The object a signedUrl() token points at, or null
+    verifyToken(token) {
+      return verifyFileToken(signingKey, token);
+    }
+  };
+}
+
+module.exports = { createDiskFileStore };
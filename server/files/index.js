@@ -0,0 +1,36 @@
+// File storage selection, alongside the data store in ../storage.
+//
+// Both drivers expose save / stat / open / read / remove / signedUrl, each
+// taking a bucket name and an object path inside it, plus verifyToken for
+// the download proxy:
+//
+//   FILE_STORAGE=supabase  private Supabase Storage buckets (needs the Supabase data store)
+//   FILE_STORAGE=disk      files under FILE_STORAGE_DIR (default: <tmp>/digidad-files)
+//
+// Without FILE_STORAGE, files go wherever the data store lives. Signed URLs
+// last FILE_URL_TTL_SECONDS (default 300).
+const os = require('os');
+const path = require('path');
+const { createDiskFileStore } = require('./disk');
+const { createSupabaseFileStore } = require('./supabase');
+
+const DEFAULT_URL_TTL_SECONDS = 5 * 60;
+
+function createFileStore({ store, secret, env = process.env }) {
+  const driver = env.FILE_STORAGE || (store.driver === 'supabase' ? 'supabase' : 'disk');
+  const urlTtlSeconds = Number(env.FILE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+
+  if (driver === 'supabase') {
+    if (!store.supabase) throw new Error('FILE_STORAGE=supabase requires the Supabase data store');
+    return { ...createSupabaseFileStore({ supabase: store.supabase }), urlTtlSeconds };
+  }
+
+  if (driver === 'disk') {
+    const root = env.FILE_STORAGE_DIR || path.join(os.tmpdir(), 'digidad-files');
+    return { ...createDiskFileStore({ root, secret }), urlTtlSeconds };
+  }
+
+  throw new Error(`Unknown FILE_STORAGE: ${driver}`);
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,264 @@
+// Derived images and audio details for attachments, made when a file is uploaded.
+//
+// Photos are re-encoded upright (EXIF orientation applied) with all metadata,
+// GPS position included, dropped before anything is stored. Videos are
+// remuxed without their container metadata (location, device, dates) or
+// data tracks; their audio and video streams are copied untouched. Audio in
+// containers that can also hold video (MP4, WebM) is remuxed the same way,
+// keeping only its audio streams, so a video cannot pass as audio with its
+// metadata intact. Images and
+// videos get a small `thumbnail` for chat bubbles, images larger than a
+// screen a `preview`, and videos a `poster` from their first frame. A
+// blurhash of each is stored with the message so clients can paint a
+// placeholder before any download. Audio, voice notes included, gets its
+// `duration` in seconds and a `waveform` of peak levels to draw.
+//
+//   FFMPEG_PATH            ffmpeg binary for videos and audio (default: ffmpeg on PATH)
+//   MEDIA_TIMEOUT_SECONDS  limit for one ffmpeg run (default 20)
+//
+// ffmpeg is required in production and checked at startup. Elsewhere the
+// server starts without it, with a warning, and rejects videos and MP4/WebM
+// audio, since they cannot be cleaned.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+
+const THUMBNAIL_SIZE = 320;
+const PREVIEW_SIZE = 1280;
+// 4x3 components fit most photos; the hash stays around 30 characters
+const BLURHASH_COMPONENTS = [4, 3];
+// Audio is decoded to 16-bit mono at this rate; plenty for a level meter
+const AUDIO_SAMPLE_RATE = 8000;
+const WAVEFORM_BARS = 64;
+
+// Re-encoded to their own format so the stored file keeps its type
+const STILL_IMAGES = {
+  'image/jpeg': image => image.jpeg({ quality: 90 }),
+  'image/png': image => image.png(),
+  'image/webp': image => image.webp({ quality: 90 })
+};
+// GIFs are kept as uploaded (animation intact; GIF has no EXIF block)
+const ANIMATED_IMAGES = ['image/gif'];
+// Remuxed to the same container, named by extension
+const VIDEOS = { 'video/mp4': '.mp4', 'video/quicktime': '.mov', 'video/webm': '.webm' };
+const AUDIO = ['audio/mp4', 'audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/wav'];
+// Audio types whose containers may carry video, metadata and data tracks too
+const AUDIO_CONTAINERS = { 'audio/mp4': '.mp4', 'audio/webm': '.webm' };
+
+async function blurhashOf(data) {
+  const { data: pixels, info } = await sharp(data)
+    .resize(32, 32, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encodeBlurhash(new Uint8ClampedArray(pixels), info.width, info.height, ...BLURHASH_COMPONENTS);
+}
+
+function resized(data, size, quality) {
+  return sharp(data, { animated: false })
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality })
+    .toBuffer();
+}
+
+// Size, placeholder and smaller copies of an upright, metadata-free image
+async function describe(data) {
+  const { width, height } = await sharp(data, { animated: false }).metadata();
+  const variants = { thumbnail: await resized(data, THUMBNAIL_SIZE, 70) };
+  if (Math.max(width, height) > PREVIEW_SIZE) {
+    variants.preview = await resized(data, PREVIEW_SIZE, 80);
+  }
+
+  return { media: { width, height, blurhash: await blurhashOf(data) }, variants };
+}
+
+// Duration and WAVEFORM_BARS peaks (0-100, relative to the loudest) of
+// decoded 16-bit little-endian mono samples
+function describeAudio(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const perBar = Math.max(Math.ceil(samples / WAVEFORM_BARS), 1);
+  const peaks = [];
+
+  for (let start = 0; start < samples; start += perBar) {
+    let peak = 0;
+    for (let i = start; i < Math.min(start + perBar, samples); i++) {
+      peak = Math.max(peak, Math.abs(pcm.readInt16LE(i * 2)));
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks, 1);
+  return {
+    duration: Math.round((samples / AUDIO_SAMPLE_RATE) * 100) / 100,
+    waveform: peaks.map(peak => Math.round((peak / loudest) * 100))
+  };
+}
+
+const temporaryPath = (extension = '') => path.join(os.tmpdir(), `digidad-media-${crypto.randomUUID()}${extension}`);
+
+// The ffmpeg binary to use. Missing ffmpeg stops a production server from
+// starting; elsewhere it is only a warning.
+function resolveFfmpeg(env) {
+  const ffmpegPath = env.FFMPEG_PATH || 'ffmpeg';
+  const check = spawnSync(ffmpegPath, ['-version'], { stdio: 'ignore', timeout: 10000 });
+  if (!check.error && check.status === 0) return { ffmpegPath, available: true };
+
+  const problem = `ffmpeg not found at "${ffmpegPath}" (FFMPEG_PATH)`;
+  if (env.NODE_ENV === 'production') {
+    throw new Error(`${problem}; it is required to clean videos and measure audio`);
+  }
+
+  console.warn(`${problem} - video and MP4/WebM audio uploads will be rejected`);
+  return { ffmpegPath, available: false };
+}
+
+function createMediaProcessor(env = process.env) {
+  const { ffmpegPath, available: ffmpegAvailable } = resolveFfmpeg(env);
+  const timeoutMs = (Number(env.MEDIA_TIMEOUT_SECONDS) || 20) * 1000;
+
+  // Run ffmpeg on an upload (`{ data }` or `{ file }`) with these output
+  // options. Resolves to what it wrote to stdout, or to true when it wrote
+  // to the `output` file instead; null when ffmpeg is missing or cannot read
+  // the upload (`what` names it in the warning). Data in memory is written to
+  // a temporary file first, since some formats cannot be read from a pipe.
+  async function ffmpeg(what, upload, outputOptions, output = null) {
+    const input = upload.file || temporaryPath();
+    if (!upload.file) await fs.promises.writeFile(input, upload.data);
+
+    try {
+      return await new Promise((resolve) => {
+        const child = spawn(ffmpegPath, ['-v', 'error', '-i', input, ...outputOptions, output || 'pipe:1']);
+        const stdout = [];
+        const errors = [];
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+        let settled = false;
+
+        const skip = (reason) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          console.warn(`${what} skipped: ${reason}`);
+          resolve(null);
+        };
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => errors.push(chunk));
+        // A missing binary fires 'error' and then 'close'
+        child.on('error', error => skip(`${ffmpegPath}: ${error.message}`));
+        child.on('close', (code) => {
+          if (code !== 0 || (!output && stdout.length === 0)) {
+            return skip(Buffer.concat(errors).toString().trim() || `ffmpeg exited with ${code}`);
+          }
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          resolve(output ? true : Buffer.concat(stdout));
+        });
+      });
+    } finally {
+      if (!upload.file) await fs.promises.rm(input, { force: true });
+    }
+  }
+
+  // The first frame as PNG
+  const firstFrame = upload => ffmpeg('Video poster', upload, ['-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png']);
+
+  // A temporary copy of the video without global metadata, chapters or
+  // data tracks (phones keep location in both), or null if ffmpeg failed
+  async function stripVideo(upload, type) {
+    const output = temporaryPath(VIDEOS[type]);
+    const done = await ffmpeg('Video cleanup', upload, [
+      '-map', '0:v', '-map', '0:a?', '-map_metadata', '-1', '-map_chapters', '-1', '-c', 'copy'
+    ], output);
+    if (done) return output;
+
+    await fs.promises.rm(output, { force: true });
+    return null;
+  }
+
+  // A temporary copy with only the audio streams of an MP4 or WebM file,
+  // whatever else it held, and no metadata; null if ffmpeg failed (or the
+  // file had no audio)
+  async function stripAudio(upload, type) {
+    const output = temporaryPath(AUDIO_CONTAINERS[type]);
+    const done = await ffmpeg('Audio cleanup', upload, [
+      '-map', '0:a', '-map_metadata', '-1', '-map_chapters', '-1', '-c', 'copy'
+    ], output);
+    if (done) return output;
+
+    await fs.promises.rm(output, { force: true });
+    return null;
+  }
+
+  // The audio track as raw samples (see describeAudio)
+  const decodeAudio = upload => ffmpeg('Audio waveform', upload, [
+    '-vn', '-ac', '1', '-ar', String(AUDIO_SAMPLE_RATE), '-f', 's16le', '-acodec', 'pcm_s16le'
+  ]);
+
+  return {
+    /**
+     * Takes the upload as `{ data }` or, for large files, a local `{ file }`.
+     * Resolves to `{ data, file, media, variants }`: the bytes to store in
+     * place of the upload (in memory or in a file; a file other than the
+     * upload's is temporary and the caller's to delete), `{ width, height,
+     * blurhash }` for images and videos or `{ duration, waveform }` for audio
+     * (null for other files), and derived WebP images by name. Rejects if an
+     * image or video cannot be decoded, or MP4/WebM audio cannot be remuxed.
+     */
+    async process(type, { data = null, file = null }) {
+      const upload = { data, file };
+
+      if (STILL_IMAGES[type]) {
+        // rotate() without an angle applies the EXIF orientation; sharp
+        // writes no metadata unless asked to
+        const upright = await STILL_IMAGES[type](sharp(data || file).rotate()).toBuffer();
+        return { data: upright, file: null, ...(await describe(upright)) };
+      }
+
+      if (ANIMATED_IMAGES.includes(type)) {
+        return { ...upload, ...(await describe(data || file)) };
+      }
+
+      if (VIDEOS[type]) {
+        if (!ffmpegAvailable) throw new Error('Videos cannot be cleaned without ffmpeg');
+        const stripped = await stripVideo(upload, type);
+        if (!stripped) throw new Error('The video could not be remuxed');
+
+        const cleaned = { data: null, file: stripped };
+        const frame = await firstFrame(cleaned);
+        if (!frame) return { ...cleaned, media: null, variants: {} };
+
+        const { media, variants } = await describe(frame);
+        return {
+          ...cleaned,
+          media,
+          variants: { poster: await resized(frame, PREVIEW_SIZE, 80), thumbnail: variants.thumbnail }
+        };
+      }
+
+      if (AUDIO_CONTAINERS[type]) {
+        if (!ffmpegAvailable) throw new Error('MP4 and WebM audio cannot be cleaned without ffmpeg');
+        const stripped = await stripAudio(upload, type);
+        if (!stripped) throw new Error('The audio could not be remuxed');
+
+        const cleaned = { data: null, file: stripped };
+        const pcm = await decodeAudio(cleaned);
+        return { ...cleaned, media: pcm ? describeAudio(pcm) : null, variants: {} };
+      }
+
+      if (AUDIO.includes(type)) {
+        const pcm = await decodeAudio(upload);
+        return { ...upload, media: pcm ? describeAudio(pcm) : null, variants: {} };
+      }
+
+      return { ...upload, media: null, variants: {} };
+    }
+  };
+}
+
+module.exports = { createMediaProcessor };
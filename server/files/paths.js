@@ -0,0 +1,68 @@
+// Buckets and object paths. New objects are named <owner id>/<random uuid><ext>,
+// which cannot be guessed and shows who uploaded them. Rows written before
+// the buckets went private hold a public URL instead of a path:
+//   <SUPABASE_URL>/storage/v1/object/public/<bucket>/<path>
+const crypto = require('crypto');
+const path = require('path');
+
+const CHAT_FILES_BUCKET = 'chat-files';
+const PROFILE_PICTURES_BUCKET = 'profile-pictures';
+// Uploads the malware scanner flagged; never signed or served
+const QUARANTINE_BUCKET = 'quarantine';
+
+const OBJECT_NAME = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(\.[a-z0-9]{1,10})?$/;
+
+function newObjectPath(ownerId, fileName = '') {
+  const extension = path.extname(fileName).toLowerCase();
+  const safe = /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '';
+  return `${ownerId}/${crypto.randomUUID()}${safe}`;
+}
+
+const MEDIA_VARIANTS = ['thumbnail', 'preview', 'poster'];
+
+// Where a derived image (thumbnail, preview, poster) of `objectPath` is kept.
+// isOwnObjectPath() rejects these, so they cannot be attached on their own.
+function variantPath(objectPath, variant) {
+  const extension = path.extname(objectPath);
+  return `${objectPath.slice(0, objectPath.length - extension.length)}.${variant}.webp`;
+}
+
+// Whether `objectPath` is a name newObjectPath() could have given `ownerId`
+function isOwnObjectPath(ownerId, objectPath) {
+  if (typeof objectPath !== 'string') return false;
+  const [owner, name, extra] = objectPath.split('/');
+  return owner === ownerId && extra === undefined && OBJECT_NAME.test(name || '');
+}
+
+// The object path inside `bucket`, or null for URLs that point elsewhere
+function storagePathFromUrl(fileUrl, bucket = CHAT_FILES_BUCKET) {
+  if (!fileUrl) return null;
+
+  let pathname;
+  try {
+    pathname = new URL(fileUrl).pathname;
+  } catch (err) {
+    return null;
+  }
+
+  const prefix = `/storage/v1/object/public/${bucket}/`;
+  if (!pathname.startsWith(prefix)) return null;
+  return decodeURIComponent(pathname.slice(prefix.length)) || null;
+}
+
+// Where a message's attachment is stored, if it has one
+function attachmentPath(message) {
+  return message.file_path || storagePathFromUrl(message.file_url);
+}
+
+module.exports = {
+  CHAT_FILES_BUCKET,
+  PROFILE_PICTURES_BUCKET,
+  QUARANTINE_BUCKET,
+  newObjectPath,
+  MEDIA_VARIANTS,
+  variantPath,
+  isOwnObjectPath,
+  storagePathFromUrl,
+  attachmentPath
+};
@@ -0,0 +1,279 @@
+// Resumable uploads for attachments too large to send in one request,
+// loosely following tus (https://tus.io). The client announces the file's
+// size and SHA-256, sends it in chunks at the offset the server reports, and
+// after a dropped connection or a pause asks for the offset again instead of
+// starting over. The SHA-256 is computed as chunks arrive; once the last
+// byte is in, the checksum is verified and the assembled file is streamed
+// through the upload service (uploads.js) like any other upload, never read
+// into memory whole.
+//
+//   UPLOAD_RESUMABLE_MAX_MB  largest file sent this way (default 500; UPLOAD_MAX_FILE_MB
+//                            only limits single-request uploads)
+//   UPLOAD_CHUNK_MB          largest chunk per request (default 5)
+//   UPLOAD_SESSION_HOURS     how long an unfinished upload is kept after its last chunk (default 24)
+//   UPLOAD_TEMP_DIR          where chunks are assembled (default: <tmp>/digidad-uploads)
+//
+// Partial files are kept on this server's disk: with several API instances,
+// requests for one upload must reach the same instance.
+//
+// An unfinished upload counts against its owner's quota at its full size, so
+// starting many uploads at once cannot get around it.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { CHAT_FILES_BUCKET } = require('./paths');
+
+const MB = 1024 * 1024;
+const DEFAULT_MAX_MB = 500;
+const DEFAULT_CHUNK_MB = 5;
+const DEFAULT_SESSION_HOURS = 24;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHA256_HEX = /^[0-9a-f]{64}$/i;
+
+function createResumableUploads({ uploads, env = process.env }) {
+  const dir = env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'digidad-uploads');
+  const maxFileBytes = Math.floor((Number(env.UPLOAD_RESUMABLE_MAX_MB) || DEFAULT_MAX_MB) * MB);
+  const chunkBytes = Math.floor((Number(env.UPLOAD_CHUNK_MB) || DEFAULT_CHUNK_MB) * MB);
+  const sessionMs = (Number(env.UPLOAD_SESSION_HOURS) || DEFAULT_SESSION_HOURS) * 60 * 60 * 1000;
+  // Uploads with a chunk or the final checks in progress
+  const busy = new Set();
+  // Upload id -> { hash, offset }: the SHA-256 of the first `offset` bytes
+  const hashes = new Map();
+  // Owner id -> the create() in progress, so their quota checks take turns
+  const creating = new Map();
+  let lastSweep = 0;
+
+  const metaFile = id => path.join(dir, `${id}.json`);
+  const dataFile = id => path.join(dir, `${id}.part`);
+
+  async function discard(id) {
+    hashes.delete(id);
+    await fs.promises.rm(dataFile(id), { force: true });
+    await fs.promises.rm(metaFile(id), { force: true });
+  }
+
+  // The session with this id if `ownerId` started it and it has not expired
+  async function load(ownerId, id) {
+    if (!UUID.test(id)) return null;
+
+    let session;
+    try {
+      session = JSON.parse(await fs.promises.readFile(metaFile(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (session.owner_id !== ownerId) return null;
+    if (Date.parse(session.expires_at) <= Date.now()) {
+      if (!busy.has(id)) await discard(id);
+      return null;
+    }
+    return session;
+  }
+
+  // The bytes received so far are the length of the partial file
+  async function receivedBytes(id) {
+    try {
+      return (await fs.promises.stat(dataFile(id))).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  function describe(session, offset) {
+    return {
+      id: session.id,
+      name: session.file_name,
+      size: session.size,
+      offset,
+      chunkSize: chunkBytes,
+      expiresAt: session.expires_at
+    };
+  }
+
+  async function sweep() {
+    if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = Date.now();
+
+    const names = await fs.promises.readdir(dir).catch(() => []);
+    for (const name of names.filter(entry => entry.endsWith('.json'))) {
+      const id = path.basename(name, '.json');
+      if (busy.has(id)) continue;
+      try {
+        const session = JSON.parse(await fs.promises.readFile(metaFile(id), 'utf8'));
+        if (Date.parse(session.expires_at) <= Date.now()) await discard(id);
+      } catch (error) {
+        console.error(`Upload session cleanup (${id}):`, error.message);
+      }
+    }
+  }
+
+  // The declared sizes of the owner's unexpired uploads on this server
+  async function reservedBytes(ownerId) {
+    const names = await fs.promises.readdir(dir).catch(() => []);
+    let total = 0;
+    for (const name of names.filter(entry => entry.endsWith('.json'))) {
+      try {
+        const session = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+        if (session.owner_id === ownerId && Date.parse(session.expires_at) > Date.now()) total += session.size;
+      } catch (error) {
+        // Finished or discarded while we were reading
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return total;
+  }
+
+  async function start(ownerId, { name, declaredType, size, checksum }) {
+    const { usedBytes, quotaBytes } = await uploads.usage(ownerId);
+    if (size > maxFileBytes) return { status: 'too_large', maxFileBytes };
+    if (quotaBytes > 0) {
+      const committedBytes = usedBytes + (await reservedBytes(ownerId));
+      if (committedBytes + size > quotaBytes) {
+        return { status: 'over_quota', usedBytes: committedBytes, quotaBytes };
+      }
+    }
+
+    await sweep();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const session = {
+      id: crypto.randomUUID(),
+      owner_id: ownerId,
+      file_name: name,
+      content_type: declaredType,
+      size,
+      checksum: checksum.toLowerCase(),
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + sessionMs).toISOString()
+    };
+    await fs.promises.writeFile(dataFile(session.id), Buffer.alloc(0));
+    await fs.promises.writeFile(metaFile(session.id), JSON.stringify(session));
+
+    return { status: 'created', upload: describe(session, 0) };
+  }
+
+  // The running hash of the `received` bytes so far. After a restart, or a
+  // chunk that failed halfway, it is rebuilt from the partial file.
+  async function hashAt(id, received) {
+    const known = hashes.get(id);
+    if (known && known.offset === received) return known;
+
+    const hash = crypto.createHash('sha256');
+    if (received > 0) {
+      for await (const chunk of fs.createReadStream(dataFile(id), { end: received - 1 })) hash.update(chunk);
+    }
+    const state = { hash, offset: received };
+    hashes.set(id, state);
+    return state;
+  }
+
+  async function finish(session, state) {
+    if (state.hash.digest('hex') !== session.checksum) return { status: 'checksum_mismatch' };
+
+    return uploads.accept(session.owner_id, {
+      bucket: CHAT_FILES_BUCKET,
+      name: session.file_name,
+      declaredType: session.content_type,
+      file: dataFile(session.id),
+      maxFileBytes
+    });
+  }
+
+  return {
+    chunkBytes,
+    maxFileBytes,
+
+    /**
+     * Start an upload of `size` bytes whose SHA-256 is `checksum` (hex).
+     * Resolves to { status: 'created', upload }, { status: 'invalid', message },
+     * or the upload service's too_large / over_quota results, checked up
+     * front so nobody sends a file that cannot be kept. The owner's other
+     * unfinished uploads count as used (and are included in `usedBytes`).
+     */
+    async create(ownerId, { name, declaredType, size, checksum }) {
+      if (!Number.isSafeInteger(size) || size <= 0) {
+        return { status: 'invalid', message: 'size must be a positive number of bytes' };
+      }
+      if (typeof checksum !== 'string' || !SHA256_HEX.test(checksum)) {
+        return { status: 'invalid', message: 'checksum must be the hex SHA-256 of the file' };
+      }
+
+      const previous = creating.get(ownerId) || Promise.resolve();
+      const result = previous.catch(() => {}).then(() => start(ownerId, { name, declaredType, size, checksum }));
+      creating.set(ownerId, result);
+      try {
+        return await result;
+      } finally {
+        if (creating.get(ownerId) === result) creating.delete(ownerId);
+      }
+    },
+
+    // Resolves to the upload's state, or null if there is no such upload
+    async get(ownerId, id) {
+      const session = await load(ownerId, id);
+      return session && describe(session, await receivedBytes(id));
+    },
+
+    /**
+     * Add `chunk` at `offset`. Resolves to one of
+     *   { status: 'not_found' }
+     *   { status: 'busy' }                        another request for this upload is running
+     *   { status: 'offset_mismatch', offset }     resume from `offset` instead
+     *   { status: 'invalid', message }
+     *   { status: 'received', upload }            more chunks to come
+     *   { status: 'checksum_mismatch' }           the assembled file was discarded
+     * or, after the last chunk, the upload service's result for the whole file.
+     */
+    async append(ownerId, id, offset, chunk) {
+      const session = await load(ownerId, id);
+      if (!session) return { status: 'not_found' };
+      if (busy.has(id)) return { status: 'busy' };
+
+      busy.add(id);
+      try {
+        const received = await receivedBytes(id);
+        if (offset !== received) return { status: 'offset_mismatch', offset: received };
+        if (received + chunk.length > session.size) {
+          return { status: 'invalid', message: `The upload is only ${session.size} bytes long` };
+        }
+
+        const state = await hashAt(id, received);
+        await fs.promises.appendFile(dataFile(id), chunk);
+        const total = received + chunk.length;
+        state.hash.update(chunk);
+        state.offset = total;
+
+        if (total < session.size) {
+          session.expires_at = new Date(Date.now() + sessionMs).toISOString();
+          await fs.promises.writeFile(metaFile(id), JSON.stringify(session));
+          return { status: 'received', upload: describe(session, total) };
+        }
+
+        // Whatever the outcome, a finished upload is not resumed again
+        try {
+          return await finish(session, state);
+        } finally {
+          await discard(id);
+        }
+      } finally {
+        busy.delete(id);
+      }
+    },
+
+    // Resolves to { status: 'cancelled' | 'not_found' | 'busy' }
+    async cancel(ownerId, id) {
+      const session = await load(ownerId, id);
+      if (!session) return { status: 'not_found' };
+      if (busy.has(id)) return { status: 'busy' };
+
+      await discard(id);
+      return { status: 'cancelled' };
+    }
+  };
+}
+
+module.exports = { createResumableUploads };
@@ -0,0 +1,114 @@
+// Malware scanners for uploads. Each exposes `scan(data)`, taking a Buffer
+// or a readable stream and resolving to `{ clean: true }` or
+// `{ clean: false, threat }`; it rejects when the file could not be scanned.
+//
+//   FILE_SCANNER=clamav  clamd's INSTREAM command, over CLAMAV_SOCKET (a unix
+//                        socket path) or CLAMAV_HOST:CLAMAV_PORT (default 127.0.0.1:3310)
+//   FILE_SCANNER=none    accept everything (the default; for local development)
+//
+// CLAMAV_TIMEOUT_SECONDS (default 30) bounds a single scan.
+const net = require('net');
+
+// clamd reads INSTREAM data in length-prefixed chunks
+const CHUNK_BYTES = 64 * 1024;
+
+// Until `socket` can take more, or has closed
+function drained(socket) {
+  return new Promise((resolve) => {
+    const done = () => {
+      socket.off('drain', done);
+      socket.off('close', done);
+      resolve();
+    };
+    socket.on('drain', done);
+    socket.on('close', done);
+  });
+}
+
+function createNoopScanner() {
+  return {
+    name: 'none',
+
+    async scan() {
+      return { clean: true };
+    }
+  };
+}
+
+function createClamavScanner({ socketPath = null, host = '127.0.0.1', port = 3310, timeoutMs = 30 * 1000 }) {
+  return {
+    name: 'clamav',
+
+    scan(data) {
+      return new Promise((resolve, reject) => {
+        const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+        const reply = [];
+        let settled = false;
+
+        const finish = (error, verdict) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          if (error) reject(error);
+          else resolve(verdict);
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new Error('ClamAV scan timed out')));
+        socket.on('error', error => finish(error));
+        socket.on('data', chunk => reply.push(chunk));
+
+        // A stream is read only as fast as clamd takes it
+        async function send() {
+          socket.write('zINSTREAM\0');
+          for await (const piece of Buffer.isBuffer(data) ? [data] : data) {
+            for (let offset = 0; offset < piece.length; offset += CHUNK_BYTES) {
+              const chunk = piece.subarray(offset, offset + CHUNK_BYTES);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(chunk.length);
+              socket.write(length);
+              if (!socket.write(chunk)) await drained(socket);
+              // Stops reading the file once the scan has failed
+              if (settled) return;
+            }
+          }
+          // A zero-length chunk ends the stream
+          socket.end(Buffer.alloc(4));
+        }
+
+        socket.on('connect', () => {
+          send().catch(error => finish(error));
+        });
+
+        // "stream: OK" or "stream: <signature> FOUND"; anything else is an error
+        socket.on('end', () => {
+          const text = Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim();
+          const found = /^stream: (.+) FOUND$/.exec(text);
+
+          if (text === 'stream: OK') finish(null, { clean: true });
+          else if (found) finish(null, { clean: false, threat: found[1] });
+          else finish(new Error(`Unexpected ClamAV reply: ${text || '(empty)'}`));
+        });
+      });
+    }
+  };
+}
+
+function createFileScanner(env = process.env) {
+  const type = env.FILE_SCANNER || 'none';
+
+  switch (type) {
+    case 'none':
+      return createNoopScanner();
+    case 'clamav':
+      return createClamavScanner({
+        socketPath: env.CLAMAV_SOCKET || null,
+        host: env.CLAMAV_HOST || '127.0.0.1',
+        port: Number(env.CLAMAV_PORT) || 3310,
+        timeoutMs: (Number(env.CLAMAV_TIMEOUT_SECONDS) || 30) * 1000
+      });
+    default:
+      throw new Error(`Unknown FILE_SCANNER: ${type}`);
+  }
+}
+
+module.exports = { createFileScanner, createNoopScanner, createClamavScanner };
@@ -0,0 +1,37 @@
+// Expiring, HMAC-signed tokens for GET /api/files/:token. The token names one
+// object and is the only credential the download needs, so it can be used
+// directly in <img src> or <video src>.
+const crypto = require('crypto');
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function signFileToken(secret, { bucket, path, fileName = null, expiresAt }) {
+  const payload = Buffer.from(JSON.stringify({ b: bucket, p: path, n: fileName, e: expiresAt })).toString('base64url');
+  return `${payload}.${hmac(secret, payload)}`;
+}
+
+// The signed object, or null for a forged, malformed or expired token
+function verifyFileToken(secret, token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(hmac(secret, payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (typeof claims.e !== 'number' || claims.e < now) return null;
+  return { bucket: claims.b, path: claims.p, fileName: claims.n, expiresAt: claims.e };
+}
+
+module.exports = { signFileToken, verifyFileToken };
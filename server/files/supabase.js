@@ -0,0 +1,62 @@
+// Supabase Storage with private buckets. Signed URLs point straight at
+// Storage, so downloads (and their Range requests) never pass through this
+// server.
+const { Readable } = require('stream');
+
+function createSupabaseFileStore({ supabase }) {
+  const bucketOf = (bucket) => supabase.storage.from(bucket);
+
+  async function download(bucket, objectPath) {
+    const { data, error } = await bucketOf(bucket).download(objectPath);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  return {
+    driver: 'supabase',
+
+    // `data` is a Buffer or a readable stream, which is sent as it is read
+    async save(bucket, objectPath, data, { contentType = 'application/octet-stream' } = {}) {
+      const { error } = await bucketOf(bucket).upload(objectPath, data, { contentType, upsert: false });
+      if (error) throw error;
+      return { path: objectPath, size: Buffer.isBuffer(data) ? data.length : null, contentType };
+    },
+
+    async stat(bucket, objectPath) {
+      const { data, error } = await bucketOf(bucket).info(objectPath);
+      if (error && [400, 404].includes(error.status)) return null;
+      if (error) throw error;
+      return { size: data.size, contentType: data.contentType || 'application/octet-stream' };
+    },
+
+    async open(bucket, objectPath, { start = 0, end } = {}) {
+      const data = await download(bucket, objectPath);
+      return Readable.from([data.subarray(start, end === undefined ? undefined : end + 1)]);
+    },
+
+    read: download,
+
+    async remove(bucket, objectPaths) {
+      if (objectPaths.length === 0) return [];
+
+      const { data, error } = await bucketOf(bucket).remove(objectPaths);
+      if (error) throw error;
+      return data.map(object => object.name);
+    },
+
+    async signedUrl(bucket, objectPath, { expiresIn, fileName = null }) {
+      const { data, error } = await bucketOf(bucket).createSignedUrl(objectPath, expiresIn, {
+        ...(fileName && { download: fileName })
+      });
+      if (error) throw error;
+      return data.signedUrl;
+    },
+
+    // Nothing is served through /api/files here
+    verifyToken() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createSupabaseFileStore };
@@ -0,0 +1,190 @@
+// Accepting uploads: content checks, per-user quotas and malware scanning,
+// then the media pipeline (media.js) and storage. Every stored object gets an
+// `uploads` row recording its owner, size, verdict and derived images;
+// send_message only attaches clean uploads.
+//
+//   UPLOAD_MAX_FILE_MB  largest single upload (default 25)
+//   UPLOAD_QUOTA_MB     total a user may keep in storage (default 500, 0 = no limit)
+//
+// Infected files are kept in the private quarantine bucket for review and
+// are never served.
+//
+// An upload arrives as `data` in memory, or as a local `file` (resumable
+// uploads, see resumable.js) that is streamed through every step.
+const fs = require('fs');
+const { inspectUpload } = require('./contentTypes');
+const { QUARANTINE_BUCKET, newObjectPath, variantPath } = require('./paths');
+
+const MB = 1024 * 1024;
+const DEFAULT_MAX_FILE_MB = 25;
+const DEFAULT_QUOTA_MB = 500;
+
+function parseMegabytes(name, value, fallback) {
+  if (value === undefined || value === '') return fallback * MB;
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`Invalid ${name} "${value}": expected a non-negative number`);
+  }
+  return Math.floor(amount * MB);
+}
+
+function resolveUploadPolicy(env = process.env) {
+  return {
+    maxFileBytes: parseMegabytes('UPLOAD_MAX_FILE_MB', env.UPLOAD_MAX_FILE_MB, DEFAULT_MAX_FILE_MB),
+    quotaBytes: parseMegabytes('UPLOAD_QUOTA_MB', env.UPLOAD_QUOTA_MB, DEFAULT_QUOTA_MB)
+  };
+}
+
+function createUploadService({ store, files, scanner, media, policy = resolveUploadPolicy() }) {
+  // Remove what an upload that failed halfway stored, since without its
+  // record nothing would ever delete it or count it; then pass the error on
+  async function discardSaved(bucket, objectPaths, error) {
+    try {
+      await files.remove(bucket, objectPaths);
+    } catch (cleanupError) {
+      console.error(`Could not remove ${objectPaths.join(', ')} after a failed upload:`, cleanupError.message);
+    }
+    throw error;
+  }
+
+  return {
+    policy,
+
+    /**
+     * Check and store one file for `ownerId`. Resolves to one of
+     *   { status: 'stored', upload }
+     *   { status: 'rejected', message }            contents or type not accepted, or unreadable media
+     *   { status: 'too_large', maxFileBytes }
+     *   { status: 'over_quota', usedBytes, quotaBytes }
+     *   { status: 'infected', threat }             quarantined, not stored in `bucket`
+     *   { status: 'scan_failed' }                  the scanner could not be reached
+     * `types` optionally narrows which content types are accepted, and
+     * `maxFileBytes` replaces the UPLOAD_MAX_FILE_MB limit.
+     */
+    async accept(ownerId, {
+      bucket, name, declaredType = null, data = null, file = null, types = null, maxFileBytes = policy.maxFileBytes
+    }) {
+      const size = data ? data.length : (await fs.promises.stat(file)).size;
+      // The bytes once more, for each step that reads them
+      const contents = () => data || fs.createReadStream(file);
+
+      if (size > maxFileBytes) {
+        return { status: 'too_large', maxFileBytes };
+      }
+
+      const inspected = await inspectUpload({ name, declaredType, data, file });
+      if (inspected.status === 'rejected') return inspected;
+      if (types && !types.includes(inspected.type)) {
+        return { status: 'rejected', message: 'This kind of file is not accepted here' };
+      }
+
+      const usedBytes = await store.getStorageUsage(ownerId);
+      if (policy.quotaBytes > 0 && usedBytes + size > policy.quotaBytes) {
+        return { status: 'over_quota', usedBytes, quotaBytes: policy.quotaBytes };
+      }
+
+      let verdict;
+      const scanned = contents();
+      try {
+        verdict = await scanner.scan(scanned);
+      } catch (error) {
+        console.error(`File scan (${scanner.name}) failed:`, error.message);
+        return { status: 'scan_failed' };
+      } finally {
+        if (!data) scanned.destroy();
+      }
+
+      const objectPath = newObjectPath(ownerId, name);
+      const record = {
+        owner_id: ownerId,
+        path: objectPath,
+        file_name: name,
+        content_type: inspected.type,
+        opaque: inspected.opaque,
+        size,
+        scanned_by: scanner.name,
+        media: null
+      };
+
+      if (!verdict.clean) {
+        try {
+          await files.save(QUARANTINE_BUCKET, objectPath, contents(), { contentType: inspected.type });
+          await store.insertUpload({
+            ...record,
+            bucket: QUARANTINE_BUCKET,
+            status: 'quarantined',
+            threat: verdict.threat || null
+          });
+        } catch (error) {
+          await discardSaved(QUARANTINE_BUCKET, [objectPath], error);
+        }
+        console.warn(`Quarantined upload from ${ownerId}: ${verdict.threat}`);
+        return { status: 'infected', threat: verdict.threat || null };
+      }
+
+      let processed;
+      try {
+        processed = await media.process(inspected.type, { data, file });
+      } catch (error) {
+        const kind = inspected.type.split('/')[0];
+        return { status: 'rejected', message: `The ${kind} could not be read` };
+      }
+
+      // Listed before each save, as a save that fails may leave part behind
+      const saved = [objectPath];
+      try {
+        // Only the cleaned-up file is stored, never the upload as received
+        await files.save(bucket, objectPath, processed.data || fs.createReadStream(processed.file), {
+          contentType: inspected.type
+        });
+        const variants = {};
+        for (const [variant, image] of Object.entries(processed.variants)) {
+          variants[variant] = variantPath(objectPath, variant);
+          saved.push(variants[variant]);
+          await files.save(bucket, variants[variant], image, { contentType: 'image/webp' });
+        }
+
+        const upload = await store.insertUpload({
+          ...record,
+          size: processed.data ? processed.data.length : (await fs.promises.stat(processed.file)).size,
+          bucket,
+          status: 'clean',
+          threat: null,
+          media: processed.media && { ...processed.media, variants }
+        });
+        return { status: 'stored', upload };
+      } catch (error) {
+        await discardSaved(bucket, saved, error);
+      } finally {
+        // A cleaned video or audio file is written to a temporary file of its own
+        if (processed.file && processed.file !== file) {
+          await fs.promises.rm(processed.file, { force: true });
+        }
+      }
+    },
+
+    // Delete objects, their derived images and their records, which frees
+    // their owners' quota. Resolves to the `objectPaths` that were removed.
+    async remove(bucket, objectPaths) {
+      if (objectPaths.length === 0) return [];
+
+      const records = await store.listUploads(bucket, objectPaths);
+      const variants = records.flatMap(record => Object.values((record.media && record.media.variants) || {}));
+
+      const removed = await files.remove(bucket, [...objectPaths, ...variants]);
+      await store.deleteUploads(bucket, objectPaths);
+      return removed.filter(objectPath => objectPaths.includes(objectPath));
+    },
+
+    async usage(ownerId) {
+      return {
+        usedBytes: await store.getStorageUsage(ownerId),
+        quotaBytes: policy.quotaBytes,
+        maxFileBytes: policy.maxFileBytes
+      };
+    }
+  };
+}
+
+module.exports = { createUploadService, resolveUploadPolicy };
@@ -0,0 +1,179 @@
+// Convert database rows into the shapes the React client already consumes
+// (see SupabaseClient.getMessages / getUserChats / findUserByPhone)
+const { encodeCursor } = require('./cursors');
+
+// sent -> delivered -> read, derived from the receipt timestamps
+function messageStatus(message) {
+  if (message.read_at) return 'read';
+  if (message.delivered_at) return 'delivered';
+  return 'sent';
+}
+
+// [{ emoji, count, reacted }] in the order each emoji was first used.
+// `reacted` is whether `viewerId` is among the reactors.
+function formatReactions(rows, viewerId = null) {
+  const byEmoji = new Map();
+  [...rows]
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .forEach(row => {
+      const entry = byEmoji.get(row.emoji) || { emoji: row.emoji, count: 0, reacted: false };
+      entry.count += 1;
+      entry.reacted = entry.reacted || row.user_id === viewerId;
+      byEmoji.set(row.emoji, entry);
+    });
+  return Array.from(byEmoji.values());
+}
+
+// Image, video and audio details made at upload time (files/media.js). Only
+// the variant names are sent; GET /api/messages/:id/file?variant= signs them.
+function formatMedia(media) {
+  if (!media) return null;
+  const { variants, ...details } = media;
+  return { ...details, variants: Object.keys(variants || {}) };
+}
+
+// `reactions` is only included when the rows were loaded (see reactions.js),
+// so partial updates such as message_updated never wipe a client's copy.
+// A message deleted for everyone comes out as a tombstone: `isDeleted` with
+// `msg`, attachment and envelope all null.
+function formatMessage(message, viewerId = null) {
+  return {
+    id: message.id,
+    clientMessageId: message.client_message_id || null,
+    from: message.from_user_id,
+    to: message.to_user_id,
+    conversationId: message.conversation_id || null,
+    msg: message.is_deleted ? null : message.content,
+    ts: message.created_at,
+    status: messageStatus(message),
+    deliveredAt: message.delivered_at || null,
+    readAt: message.read_at || null,
+    seen: Boolean(message.read_at),
+    // Voice notes: when the recipient first played it
+    playedAt: message.played_at || null,
+    replyTo: message.reply_to_message ? {
+      id: message.reply_to_message.id,
+      text: message.reply_to_message.content,
+      author: message.reply_to_message.users?.name || 'User'
+    } : null,
+    messageType: message.message_type,
+    // Stored attachments are private: `hasFile` says there is one, and
+    // GET /api/messages/:id/file gives a short-lived URL for it
+    hasFile: !message.is_deleted && Boolean(message.file_path || message.file_url),
+    fileUrl: message.is_deleted ? null : message.file_url,
+    fileName: message.is_deleted ? null : message.file_name,
+    fileSize: message.is_deleted ? null : (message.file_size || null),
+    media: message.is_deleted ? null : formatMedia(message.media),
+    // E2E envelope (server/envelopes.js); `msg` is null when this is set
+    encrypted: (!message.is_deleted && message.encrypted) || null,
+    isEdited: Boolean(message.is_edited),
+    editedAt: message.edited_at || null,
+    isDeleted: Boolean(message.is_deleted),
+    deletedAt: message.deleted_at || null,
+    ...(message.reactions && { reactions: formatReactions(message.reactions, viewerId) }),
+    cursor: encodeCursor(message)
+  };
+}
+
+// A message the viewer deleted for themselves: enough to find and drop it
+function formatHiddenMessage(message) {
+  return {
+    id: message.id,
+    clientMessageId: message.client_message_id || null,
+    from: message.from_user_id,
+    to: message.to_user_id,
+    conversationId: message.conversation_id || null,
+    isDeleted: true,
+    hidden: true
+  };
+}
+
+function formatRevision(revision) {
+  return {
+    revision: revision.revision,
+    msg: revision.content,
+    encrypted: revision.encrypted || null,
+    writtenAt: revision.written_at,
+    replacedAt: revision.replaced_at
+  };
+}
+
+// Pin, mute and archive state; also sent alone in chat_updated
+function formatChatOrganisation(chat) {
+  const pinned = chat.pin_rank !== null && chat.pin_rank !== undefined;
+  return {
+    peerId: chat.peer_id,
+    pinned,
+    pinRank: pinned ? chat.pin_rank : null,
+    mutedUntil: chat.muted_until || null,
+    isArchived: Boolean(chat.is_archived)
+  };
+}
+
+// `presence` is the peer's status as the viewer may see it (see socket/presence.js)
+function formatChat(chat, presence = null) {
+  return {
+    peerId: chat.peer_id,
+    peerPhone: chat.peer?.name || chat.peer?.phone || 'Unknown',
+    lastMessage: {
+      msg: chat.last_message_content,
+      ts: chat.last_message_timestamp
+    },
+    unreadCount: chat.unread_count,
+    clearedBefore: chat.cleared_before || null,
+    ...formatChatOrganisation(chat),
+    isOnline: presence ? presence.isOnline : false,
+    lastSeen: presence ? presence.lastSeen : null
+  };
+}
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    phone: user.phone,
+    name: user.name
+  };
+}
+
+function formatMember(member) {
+  return {
+    userId: member.user_id,
+    name: member.user?.name || null,
+    phone: member.user?.phone || null,
+    role: member.role,
+    joinedAt: member.joined_at,
+    lastReadAt: member.last_read_at
+  };
+}
+
+// A group as seen by one member (role and unread count are per member)
+function formatConversation(conversation, membership = null) {
+  return {
+    conversationId: conversation.id,
+    type: conversation.type,
+    name: conversation.name,
+    // Fetch it with GET /api/conversations/:id/avatar
+    hasAvatar: Boolean(conversation.avatar_path),
+    createdBy: conversation.created_by,
+    memberCount: conversation.member_count,
+    lastMessage: {
+      msg: conversation.last_message_content,
+      ts: conversation.last_message_timestamp
+    },
+    role: membership?.role || null,
+    unreadCount: membership?.unread_count || 0
+  };
+}
+
+module.exports = {
+  messageStatus,
+  formatReactions,
+  formatMessage,
+  formatHiddenMessage,
+  formatRevision,
+  formatChat,
+  formatChatOrganisation,
+  formatUser,
+  formatMember,
+  formatConversation
+};
@@ -0,0 +1,8 @@
+// Server entry point (npm start / npm run dev)
+const { server, store } = require('./production');
+
+const PORT = process.env.PORT || 5000;
+
+server.listen(PORT, () => {
+  console.log(`Digidad server listening on port ${PORT} (${store.driver} storage)`);
+});
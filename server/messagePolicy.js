@@ -0,0 +1,39 @@
+// How long after sending a message its author may still change it, and how
+// long a cleared chat can be brought back.
+//
+//   MESSAGE_EDIT_WINDOW_MINUTES    editing (default 15)
+//   MESSAGE_DELETE_WINDOW_MINUTES  deleting for everyone (default 2880, two days)
+//   CHAT_CLEAR_UNDO_SECONDS        undoing "clear chat" (default 30)
+//
+// 0 turns an edit or delete limit off. "Delete for me" is always allowed.
+
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const DEFAULT_DELETE_WINDOW_MINUTES = 48 * 60;
+const DEFAULT_CLEAR_UNDO_SECONDS = 30;
+
+function parseWindow(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`Invalid ${name} "${value}": expected a non-negative number`);
+  }
+  return amount;
+}
+
+function resolveMessagePolicy(env = process.env) {
+  const minutes = (name, fallback) => parseWindow(name, env[name], fallback) * 60 * 1000;
+
+  return {
+    editWindowMs: minutes('MESSAGE_EDIT_WINDOW_MINUTES', DEFAULT_EDIT_WINDOW_MINUTES),
+    deleteWindowMs: minutes('MESSAGE_DELETE_WINDOW_MINUTES', DEFAULT_DELETE_WINDOW_MINUTES),
+    clearUndoMs: parseWindow('CHAT_CLEAR_UNDO_SECONDS', env.CHAT_CLEAR_UNDO_SECONDS, DEFAULT_CLEAR_UNDO_SECONDS) * 1000
+  };
+}
+
+// Whether `message` is still inside a window of `windowMs` (0 = no limit)
+function withinWindow(message, windowMs, at = Date.now()) {
+  return windowMs === 0 || at - new Date(message.created_at).getTime() <= windowMs;
+}
+
+module.exports = { resolveMessagePolicy, withinWindow };
@@ -0,0 +1,53 @@
+// Query parsing and match highlighting for message search. Both storage
+// adapters match the same way: every term must be a prefix of some word in
+// the message, case-insensitively.
+const WORD = /[\p{L}\p{N}]+/gu;
+const MAX_TERMS = 8;
+
+// "Dinner at 8?" -> ['dinner', 'at', '8']
+function parseSearchTerms(query) {
+  const words = String(query || '').toLowerCase().match(WORD) || [];
+  return Array.from(new Set(words)).slice(0, MAX_TERMS);
+}
+
+// Postgres to_tsquery() input with prefix matching: 'dinner:* & at:*'
+function toTsQuery(terms) {
+  return terms.map(term => `${term}:*`).join(' & ');
+}
+
+function wordsOf(content) {
+  return Array.from(String(content || '').matchAll(WORD), match => ({
+    word: match[0].toLowerCase(),
+    start: match.index
+  }));
+}
+
+// Character ranges of `content` to highlight, e.g. [{ start: 0, end: 6 }];
+// each covers the part of a word the longest matching term spans
+function highlightRanges(content, terms) {
+  const longestFirst = [...terms].sort((a, b) => b.length - a.length);
+
+  return wordsOf(content).reduce((ranges, { word, start }) => {
+    const term = longestFirst.find(candidate => word.startsWith(candidate));
+    if (term) ranges.push({ start, end: start + term.length });
+    return ranges;
+  }, []);
+}
+
+// Relevance used by the in-memory store: matched words weighted against
+// message length, roughly like ts_rank's default normalisation. Returns 0 if
+// any term is missing.
+function matchRank(content, terms) {
+  const words = wordsOf(content).map(({ word }) => word);
+  let matches = 0;
+
+  for (const term of terms) {
+    const count = words.filter(word => word.startsWith(term)).length;
+    if (count === 0) return 0;
+    matches += count;
+  }
+
+  return matches / (1 + Math.log(1 + words.length));
+}
+
+module.exports = { parseSearchTerms, toTsQuery, highlightRanges, matchRank };
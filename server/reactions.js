@@ -0,0 +1,35 @@
+// Emoji reactions on messages
+//
+// A user may put several different emoji on one message, each at most once.
+// Rows live in message_reactions; API responses carry a per-viewer aggregate
+// (see formatReactions in formatters.js).
+
+const MAX_EMOJI_LENGTH = 32; // UTF-16 units; room for ZWJ sequences and skin tones
+const MAX_REACTIONS_PER_USER = 20; // distinct emoji per user per message
+
+const PICTOGRAPH = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+// Pictographs, flags, skin tones, zero-width joiners and emoji variation selectors
+const ALLOWED = /^[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200D\uFE0F]+$/u;
+
+function isEmoji(value) {
+  return typeof value === 'string' && value.length <= MAX_EMOJI_LENGTH &&
+    PICTOGRAPH.test(value) && ALLOWED.test(value);
+}
+
+// Adds `reactions` (raw rows) to each message so formatMessage can aggregate them
+async function attachReactions(store, messages) {
+  const ids = messages.filter(Boolean).map(message => message.id);
+  if (ids.length === 0) return messages;
+
+  const rows = await store.listReactions(ids);
+  const byMessage = new Map(ids.map(id => [id, []]));
+  rows.forEach(row => byMessage.get(row.message_id)?.push(row));
+
+  return messages.map(message => (message ? { ...message, reactions: byMessage.get(message.id) } : message));
+}
+
+module.exports = {
+  MAX_REACTIONS_PER_USER,
+  isEmoji,
+  attachReactions
+};
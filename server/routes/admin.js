@@ -0,0 +1,49 @@
+// Operator endpoints; callers must be listed in ADMIN_USER_IDS
+//
+//   DELETE /api/admin/chats/:userId/:peerId  permanently delete a 1:1 chat's
+//                                            messages and their uploaded files
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { requireAdmin } = require('../auth/admin');
+const { CHAT_FILES_BUCKET, attachmentPath } = require('../files/paths');
+
+function createAdminRouter({ store, uploads, registry, adminIds = new Set() }) {
+  const router = express.Router();
+  router.use('/admin', requireAdmin(adminIds));
+
+  router.delete('/admin/chats/:userId/:peerId', asyncHandler(async (req, res) => {
+    const { userId, peerId } = req.params;
+
+    const purged = await store.purgeChat(userId, peerId);
+    // Each upload belongs to one message, so these files are not shared with other chats
+    const paths = [...new Set(purged.map(attachmentPath).filter(Boolean))];
+
+    // The rows are gone already, so a storage failure is reported rather than thrown
+    let filesDeleted = 0;
+    let fileError = null;
+    try {
+      filesDeleted = (await uploads.remove(CHAT_FILES_BUCKET, paths)).length;
+    } catch (err) {
+      console.error('Chat file purge failed:', err);
+      fileError = err.message;
+    }
+
+    await Promise.all([
+      store.refreshUserChat(userId, peerId),
+      store.refreshUserChat(peerId, userId)
+    ]);
+    registry.emitToUsers([userId], 'chat_purged', { peerId });
+    registry.emitToUsers([peerId], 'chat_purged', { peerId: userId });
+
+    res.json({
+      status: 'success',
+      messagesDeleted: purged.length,
+      filesDeleted,
+      ...(fileError && { fileError, files: paths })
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
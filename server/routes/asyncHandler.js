@@ -0,0 +1,8 @@
+// Express 4 does not forward rejected promises to the error middleware on its own
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = { asyncHandler };
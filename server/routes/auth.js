@@ -0,0 +1,127 @@
+// Phone login with one-time passcodes
+//
+//   POST /api/auth/otp  { phone, email?, name? }  send a code
+//   POST /api/auth      { phone, code }           verify it and log in (registering on first use)
+//   POST /api/auth/refresh { refreshToken }       rotate the refresh token, issue a new session
+//   POST /api/auth/logout  { refreshToken }       revoke the refresh token
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { formatUser } = require('../formatters');
+const { normalizePhone } = require('../auth/otp');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+const VERIFY_FAILURES = {
+  not_found: [400, 'Request a verification code first'],
+  expired: [400, 'Verification code expired, request a new one'],
+  invalid: [401, 'Incorrect verification code'],
+  locked: [429, 'Too many incorrect attempts, request a new code']
+};
+
+function isValidPhone(phone) {
+  return typeof phone === 'string' && phone.replace(/\D/g, '').length >= 10;
+}
+
+function createAuthRouter({ store, otp, tokens }) {
+  const router = express.Router();
+
+  router.post('/auth/otp', asyncHandler(async (req, res) => {
+    const { phone: enteredPhone, email = null, name = null } = req.body || {};
+
+    if (!isValidPhone(enteredPhone)) {
+      return res.status(400).json({ status: 'error', message: 'A valid phone number is required' });
+    }
+    const phone = normalizePhone(enteredPhone);
+
+    // Existing users receive the code at the address already on file
+    const user = await store.getUserByPhone(phone);
+    const result = await otp.requestCode({
+      phone,
+      email: user?.email || email,
+      name: user?.name || name
+    });
+
+    if (result.status === 'cooldown') {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: 'Please wait before requesting another code',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    if (result.status === 'error') {
+      return res.status(502).json(result);
+    }
+
+    res.json({ status: 'otp_sent', expiresIn: result.expiresIn, resendIn: result.resendIn });
+  }));
+
+  router.post('/auth', asyncHandler(async (req, res) => {
+    const { phone: enteredPhone, code } = req.body || {};
+
+    if (!isValidPhone(enteredPhone)) {
+      return res.status(400).json({ status: 'error', message: 'A valid phone number is required' });
+    }
+    const phone = normalizePhone(enteredPhone);
+
+    if (!code) {
+      return res.status(400).json({ status: 'otp_required', message: 'Verification code is required' });
+    }
+
+    const verification = await otp.verifyCode(phone, String(code));
+
+    if (verification.status !== 'verified') {
+      const [httpStatus, message] = VERIFY_FAILURES[verification.status];
+      return res.status(httpStatus).json({
+        status: 'error',
+        reason: verification.status,
+        message,
+        ...(verification.attemptsLeft !== undefined && { attemptsLeft: verification.attemptsLeft })
+      });
+    }
+
+    let user = await store.getUserByPhone(phone);
+    let isNew = false;
+
+    if (!user) {
+      try {
+        user = await store.createUser({ phone, name: verification.name, email: verification.email });
+        isNew = true;
+      } catch (error) {
+        // Lost a race with a concurrent registration for the same phone
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+        user = await store.getUserByPhone(phone);
+      }
+    }
+
+    const session = await tokens.issueSession(user);
+    res.status(isNew ? 201 : 200).json({ status: 'success', user: formatUser(user), session });
+  }));
+
+  router.post('/auth/refresh', asyncHandler(async (req, res) => {
+    const result = await tokens.rotate((req.body || {}).refreshToken);
+
+    if (result.status !== 'success') {
+      return res.status(401).json({
+        status: 'error',
+        reason: result.status,
+        message: result.status === 'reused'
+          ? 'Session was revoked, please log in again'
+          : 'Invalid refresh token'
+      });
+    }
+
+    res.json({ status: 'success', user: formatUser(result.user), session: result.session });
+  }));
+
+  router.post('/auth/logout', asyncHandler(async (req, res) => {
+    await tokens.revoke((req.body || {}).refreshToken);
+    res.json({ status: 'success' });
+  }));
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,153 @@
+// 1:1 chat list, organisation and per-user chat clearing
+//
+//   GET    /api/chats/:userId                  chat list with last message preview, pinned first
+//   GET    /api/chats/:userId/archived         archived chats
+//   PATCH  /api/chats/:userId/:peerId          { pinned?, mutedUntil?, archived? }
+//   PUT    /api/chats/:userId/pins             reorder pinned chats ({ peerIds })
+//   DELETE /api/chats/:userId/:peerId          clear the chat for yourself only
+//   POST   /api/chats/:userId/:peerId/restore  undo the last clear (within CHAT_CLEAR_UNDO_SECONDS)
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { requireSelf } = require('../auth/middleware');
+const { formatChat, formatChatOrganisation } = require('../formatters');
+const { resolveMessagePolicy } = require('../messagePolicy');
+
+function createChatsRouter({ store, presence, registry, messagePolicy = resolveMessagePolicy() }) {
+  const router = express.Router();
+
+  async function listChats(req, res, options) {
+    const chats = await store.listUserChats(req.params.userId, options);
+
+    // Peers' online state honours their presence privacy setting
+    const statuses = await presence.query(req.user.id, chats.map(chat => chat.peer_id));
+    const byId = new Map(statuses.map(status => [status.userId, status]));
+
+    res.json({ status: 'success', chats: chats.map(chat => formatChat(chat, byId.get(chat.peer_id))) });
+  }
+
+  router.get('/chats/:userId', requireSelf(), asyncHandler(async (req, res) => {
+    await listChats(req, res, { archived: false });
+  }));
+
+  router.get('/chats/:userId/archived', requireSelf(), asyncHandler(async (req, res) => {
+    await listChats(req, res, { archived: true });
+  }));
+
+  // The user's other devices re-sort their chat list from this
+  function announce(chat) {
+    registry.emitToUsers([chat.owner_id], 'chat_updated', formatChatOrganisation(chat));
+  }
+
+  function parseOrganisation({ pinned, mutedUntil, archived }) {
+    if (pinned !== undefined && typeof pinned !== 'boolean') return { error: 'pinned must be true or false' };
+    if (archived !== undefined && typeof archived !== 'boolean') return { error: 'archived must be true or false' };
+    if (pinned && archived) return { error: 'Archived chats cannot be pinned' };
+
+    if (mutedUntil !== undefined && mutedUntil !== null) {
+      const until = new Date(mutedUntil);
+      if (typeof mutedUntil !== 'string' || Number.isNaN(until.getTime())) {
+        return { error: 'mutedUntil must be an ISO timestamp or null' };
+      }
+      if (until.getTime() <= Date.now()) return { error: 'mutedUntil must be in the future' };
+      return { pinned, archived, mutedUntil: until.toISOString() };
+    }
+    return { pinned, archived, mutedUntil };
+  }
+
+  // Pinning puts the chat on top; archiving also unpins it
+  router.patch('/chats/:userId/:peerId', requireSelf(), asyncHandler(async (req, res) => {
+    const { userId, peerId } = req.params;
+    const { pinned, archived, mutedUntil, error } = parseOrganisation(req.body || {});
+
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    let chat = await store.getUserChat(userId, peerId);
+    if (!chat) {
+      return res.status(404).json({ status: 'error', message: 'Chat not found' });
+    }
+    if (pinned && chat.is_archived && archived !== false) {
+      return res.status(400).json({ status: 'error', message: 'Archived chats cannot be pinned' });
+    }
+
+    const changes = {};
+    if (archived !== undefined) changes.is_archived = archived;
+    if (archived) changes.pin_rank = null;
+    if (pinned === false) changes.pin_rank = null;
+    if (pinned && (chat.pin_rank === null || chat.pin_rank === undefined)) {
+      const ranks = (await store.listUserChats(userId))
+        .map(other => other.pin_rank)
+        .filter(rank => rank !== null && rank !== undefined);
+      changes.pin_rank = ranks.length > 0 ? Math.min(...ranks) - 1 : 0;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      chat = await store.updateUserChat(userId, peerId, changes);
+    }
+    if (mutedUntil !== undefined) {
+      chat = await store.setChatMutedUntil(userId, peerId, mutedUntil);
+    }
+
+    announce(chat);
+    res.json({ status: 'success', chat: formatChatOrganisation(chat) });
+  }));
+
+  // peerIds lists every pinned chat, top first
+  router.put('/chats/:userId/pins', requireSelf(), asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { peerIds } = req.body || {};
+
+    const pinned = (await store.listUserChats(userId))
+      .filter(chat => chat.pin_rank !== null && chat.pin_rank !== undefined);
+    const current = pinned.map(chat => chat.peer_id).sort().join();
+
+    if (!Array.isArray(peerIds) || [...peerIds].sort().join() !== current || new Set(peerIds).size !== peerIds.length) {
+      return res.status(400).json({ status: 'error', message: 'peerIds must list every pinned chat exactly once' });
+    }
+
+    const updated = await Promise.all(peerIds.map((peerId, rank) => store.updateUserChat(userId, peerId, { pin_rank: rank })));
+    updated.forEach(announce);
+
+    res.json({ status: 'success', chats: updated.map(formatChatOrganisation) });
+  }));
+
+  // The peer keeps their copy; only the owner's history, preview and unread
+  // count change. The owner's other devices drop their cached messages.
+  router.delete('/chats/:userId/:peerId', requireSelf(), asyncHandler(async (req, res) => {
+    const { userId, peerId } = req.params;
+
+    const cleared = await store.clearUserChat(userId, peerId);
+    if (!cleared) {
+      return res.status(404).json({ status: 'error', message: 'Chat not found' });
+    }
+    await store.refreshUserChat(userId, peerId);
+
+    registry.emitToUsers([userId], 'chat_cleared', { peerId, clearedBefore: cleared.cleared_before });
+
+    res.json({
+      status: 'success',
+      clearedBefore: cleared.cleared_before,
+      undoUntil: new Date(new Date(cleared.cleared_at).getTime() + messagePolicy.clearUndoMs).toISOString()
+    });
+  }));
+
+  router.post('/chats/:userId/:peerId/restore', requireSelf(), asyncHandler(async (req, res) => {
+    const { userId, peerId } = req.params;
+    const since = new Date(Date.now() - messagePolicy.clearUndoMs).toISOString();
+
+    const restored = await store.undoClearUserChat(userId, peerId, since);
+    if (!restored) {
+      return res.status(409).json({ status: 'error', message: 'Nothing to restore' });
+    }
+    await store.refreshUserChat(userId, peerId);
+
+    registry.emitToUsers([userId], 'chat_restored', { peerId, clearedBefore: restored.cleared_before });
+
+    res.json({ status: 'success', clearedBefore: restored.cleared_before });
+  }));
+
+  return router;
+}
+
+module.exports = { createChatsRouter };
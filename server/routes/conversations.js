@@ -0,0 +1,320 @@
+// Group conversations
+//
+//   POST   /api/conversations                             create ({ name, avatarPath?, memberIds })
+//   GET    /api/conversations                             groups you belong to
+//   GET    /api/conversations/:conversationId             details and members
+//   PATCH  /api/conversations/:conversationId             rename / change avatar (admins; avatarPath null removes it)
+//   GET    /api/conversations/:conversationId/avatar      short-lived URL for the avatar (?variant=thumbnail for a small one)
+//   POST   /api/conversations/:conversationId/members     invite ({ userIds }, admins)
+//   PATCH  /api/conversations/:conversationId/members/:userId  change role ({ role }, admins)
+//   DELETE /api/conversations/:conversationId/members/:userId  kick (admins) or leave (yourself)
+//   GET    /api/conversations/:conversationId/messages    one page of history (see history.js)
+//   POST   /api/conversations/:conversationId/read        mark everything read
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { parseHistoryQuery, loadPage, loadAround } = require('./history');
+const { formatConversation, formatMember } = require('../formatters');
+const { CHAT_FILES_BUCKET, isOwnObjectPath } = require('../files/paths');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MEMBERS = 256;
+const ROLES = ['admin', 'member'];
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const INVALID_AVATAR = 'avatarPath must be a JPEG, PNG, WebP or GIF image uploaded with POST /api/files and not sent yet';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function validName(name) {
+  return typeof name === 'string' && name.trim().length > 0 && name.trim().length <= MAX_NAME_LENGTH;
+}
+
+function validUserIds(userIds) {
+  return Array.isArray(userIds) && userIds.every(id => typeof id === 'string' && UUID.test(id));
+}
+
+function createConversationsRouter({ store, registry, files, uploads }) {
+  const router = express.Router();
+
+  // An avatar is an image the caller uploaded with POST /api/files. Like an
+  // attachment it is claimed, so no message can share (and later delete) it.
+  // Resolves to whether `avatarPath` was claimed.
+  async function claimAvatar(userId, avatarPath) {
+    if (!isOwnObjectPath(userId, avatarPath)) return false;
+    const upload = await store.getUpload(CHAT_FILES_BUCKET, avatarPath);
+    if (!upload || upload.owner_id !== userId || upload.status !== 'clean' || !AVATAR_TYPES.includes(upload.content_type)) {
+      return false;
+    }
+    return store.claimUpload(CHAT_FILES_BUCKET, avatarPath);
+  }
+
+  // Loads the conversation and the caller's membership, or responds 404/403
+  async function loadMembership(req, res, { admin = false } = {}) {
+    const conversation = await store.getConversation(req.params.conversationId);
+    if (!conversation) {
+      res.status(404).json({ status: 'error', message: 'Conversation not found' });
+      return null;
+    }
+
+    const membership = await store.getConversationMember(conversation.id, req.user.id);
+    if (!membership) {
+      res.status(403).json({ status: 'error', message: 'You are not a member of this conversation' });
+      return null;
+    }
+    if (admin && membership.role !== 'admin') {
+      res.status(403).json({ status: 'error', message: 'Only group admins can do that' });
+      return null;
+    }
+
+    return { conversation, membership };
+  }
+
+  async function describe(conversationId, userId) {
+    const [conversation, members] = await Promise.all([
+      store.getConversation(conversationId),
+      store.listConversationMembers(conversationId)
+    ]);
+    const membership = members.find(member => member.user_id === userId);
+
+    return {
+      ...formatConversation({ ...conversation, member_count: members.length }, membership),
+      members: members.map(formatMember)
+    };
+  }
+
+  // Tell every current member (and anyone just removed) that the group changed
+  async function broadcastUpdate(conversationId, extraUserIds = []) {
+    const members = await store.listConversationMembers(conversationId);
+    const conversation = await store.getConversation(conversationId);
+
+    registry.emitToConversation(conversationId, 'conversation_updated', {
+      ...formatConversation({ ...conversation, member_count: members.length }),
+      members: members.map(formatMember)
+    });
+    registry.emitToUsers(extraUserIds, 'conversation_removed', { conversationId });
+  }
+
+  router.post('/conversations', asyncHandler(async (req, res) => {
+    const { name, avatarPath = null, memberIds = [] } = req.body || {};
+
+    if (!validName(name)) {
+      return res.status(400).json({ status: 'error', message: `Group name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+    if (!validUserIds(memberIds)) {
+      return res.status(400).json({ status: 'error', message: 'memberIds must be a list of user ids' });
+    }
+
+    // The creator joins as admin anyway; unknown ids would be dropped silently
+    const others = [...new Set(memberIds)].filter(id => id !== req.user.id);
+    if (others.length + 1 > MAX_MEMBERS) {
+      return res.status(400).json({ status: 'error', message: `Groups are limited to ${MAX_MEMBERS} members` });
+    }
+    const users = await store.getUsersByIds(others);
+    if (users.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'memberIds must list at least one other user' });
+    }
+
+    if (avatarPath !== null && !(await claimAvatar(req.user.id, avatarPath))) {
+      return res.status(400).json({ status: 'error', message: INVALID_AVATAR });
+    }
+
+    let conversation;
+    try {
+      conversation = await store.createConversation(
+        { name: name.trim(), avatar_path: avatarPath, created_by: req.user.id },
+        users.map(user => user.id)
+      );
+    } catch (error) {
+      if (avatarPath !== null) await store.releaseUpload(CHAT_FILES_BUCKET, avatarPath).catch(() => {});
+      throw error;
+    }
+
+    const members = await store.listConversationMembers(conversation.id);
+    registry.joinConversation(members.map(member => member.user_id), conversation.id);
+
+    await broadcastUpdate(conversation.id);
+    res.status(201).json({ status: 'success', conversation: await describe(conversation.id, req.user.id) });
+  }));
+
+  router.get('/conversations', asyncHandler(async (req, res) => {
+    const conversations = await store.listUserConversations(req.user.id);
+    res.json({
+      status: 'success',
+      conversations: conversations.map(conversation => formatConversation(conversation, conversation.membership))
+    });
+  }));
+
+  router.get('/conversations/:conversationId', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res);
+    if (!loaded) return;
+
+    res.json({ status: 'success', conversation: await describe(loaded.conversation.id, req.user.id) });
+  }));
+
+  router.patch('/conversations/:conversationId', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res, { admin: true });
+    if (!loaded) return;
+
+    const { name, avatarPath } = req.body || {};
+    const updates = {};
+
+    if (name !== undefined) {
+      if (!validName(name)) {
+        return res.status(400).json({ status: 'error', message: `Group name must be 1-${MAX_NAME_LENGTH} characters` });
+      }
+      updates.name = name.trim();
+    }
+    const previousAvatar = loaded.conversation.avatar_path;
+    if (avatarPath !== undefined && avatarPath !== previousAvatar) {
+      if (avatarPath !== null && !(await claimAvatar(req.user.id, avatarPath))) {
+        return res.status(400).json({ status: 'error', message: INVALID_AVATAR });
+      }
+      updates.avatar_path = avatarPath;
+    }
+
+    await store.updateConversation(loaded.conversation.id, updates);
+    await broadcastUpdate(loaded.conversation.id);
+
+    if (updates.avatar_path !== undefined && previousAvatar) {
+      await uploads.remove(CHAT_FILES_BUCKET, [previousAvatar])
+        .catch(error => console.error('Group avatar cleanup error:', error));
+    }
+
+    res.json({ status: 'success', conversation: await describe(loaded.conversation.id, req.user.id) });
+  }));
+
+  router.get('/conversations/:conversationId/avatar', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res);
+    if (!loaded) return;
+
+    const objectPath = loaded.conversation.avatar_path;
+    if (!objectPath) {
+      return res.status(404).json({ status: 'error', message: 'No group avatar' });
+    }
+
+    let signedPath = objectPath;
+    if (req.query.variant === 'thumbnail') {
+      const upload = await store.getUpload(CHAT_FILES_BUCKET, objectPath);
+      signedPath = (upload && upload.media && upload.media.variants.thumbnail) || objectPath;
+    }
+
+    const url = await files.signedUrl(CHAT_FILES_BUCKET, signedPath, { expiresIn: files.urlTtlSeconds });
+    res.json({
+      status: 'success',
+      url,
+      expiresAt: new Date(Date.now() + files.urlTtlSeconds * 1000).toISOString()
+    });
+  }));
+
+  router.post('/conversations/:conversationId/members', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res, { admin: true });
+    if (!loaded) return;
+
+    const { userIds } = req.body || {};
+    if (!validUserIds(userIds) || userIds.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'userIds is required' });
+    }
+
+    const members = await store.listConversationMembers(loaded.conversation.id);
+    if (members.length + userIds.length > MAX_MEMBERS) {
+      return res.status(400).json({ status: 'error', message: `Groups are limited to ${MAX_MEMBERS} members` });
+    }
+
+    const added = await store.addConversationMembers(loaded.conversation.id, userIds);
+    registry.joinConversation(added.map(member => member.user_id), loaded.conversation.id);
+    await broadcastUpdate(loaded.conversation.id);
+
+    res.json({
+      status: 'success',
+      added: added.map(member => member.user_id),
+      conversation: await describe(loaded.conversation.id, req.user.id)
+    });
+  }));
+
+  router.patch('/conversations/:conversationId/members/:userId', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res, { admin: true });
+    if (!loaded) return;
+
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ status: 'error', message: 'role must be admin or member' });
+    }
+
+    const members = await store.listConversationMembers(loaded.conversation.id);
+    const admins = members.filter(member => member.role === 'admin');
+    if (role === 'member' && admins.length === 1 && admins[0].user_id === req.params.userId) {
+      return res.status(400).json({ status: 'error', message: 'A group needs at least one admin' });
+    }
+
+    const updated = await store.updateConversationMember(loaded.conversation.id, req.params.userId, { role });
+    if (!updated) {
+      return res.status(404).json({ status: 'error', message: 'Member not found' });
+    }
+
+    await broadcastUpdate(loaded.conversation.id);
+    res.json({ status: 'success', conversation: await describe(loaded.conversation.id, req.user.id) });
+  }));
+
+  router.delete('/conversations/:conversationId/members/:userId', asyncHandler(async (req, res) => {
+    const leaving = req.params.userId === req.user.id;
+    const loaded = await loadMembership(req, res, { admin: !leaving });
+    if (!loaded) return;
+
+    const conversationId = loaded.conversation.id;
+    const removed = await store.removeConversationMember(conversationId, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ status: 'error', message: 'Member not found' });
+    }
+    registry.leaveConversation([req.params.userId], conversationId);
+
+    // Never leave a group without an admin: promote the longest-standing member
+    const remaining = await store.listConversationMembers(conversationId);
+    if (remaining.length > 0 && !remaining.some(member => member.role === 'admin')) {
+      await store.updateConversationMember(conversationId, remaining[0].user_id, { role: 'admin' });
+    }
+
+    await broadcastUpdate(conversationId, [req.params.userId]);
+    res.json({ status: 'success' });
+  }));
+
+  router.get('/conversations/:conversationId/messages', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res);
+    if (!loaded) return;
+
+    const conversationId = loaded.conversation.id;
+    const query = parseHistoryQuery(req.query);
+
+    if (query.error) {
+      return res.status(400).json({ status: 'error', message: query.error });
+    }
+
+    if (query.around) {
+      const message = await store.getMessageById(query.around);
+      const hidden = message && (await store.listHiddenMessageIds(req.user.id, [message.id])).length > 0;
+      if (!message || hidden || message.conversation_id !== conversationId) {
+        return res.status(404).json({ status: 'error', message: 'Message not found' });
+      }
+      return res.json(await loadAround({ store, userId: req.user.id }, message, query.limit));
+    }
+
+    res.json(await loadPage({ store, userId: req.user.id }, options => store.listConversationMessages(conversationId, { ...options, viewerId: req.user.id }), query));
+  }));
+
+  router.post('/conversations/:conversationId/read', asyncHandler(async (req, res) => {
+    const loaded = await loadMembership(req, res);
+    if (!loaded) return;
+
+    const membership = await store.markConversationRead(loaded.conversation.id, req.user.id);
+
+    // Senders work out "read by everyone" from each member's lastReadAt
+    registry.emitToConversation(loaded.conversation.id, 'conversation_read', {
+      conversationId: loaded.conversation.id,
+      userId: req.user.id,
+      readAt: membership.last_read_at
+    });
+
+    res.json({ status: 'success', lastReadAt: membership.last_read_at });
+  }));
+
+  return router;
+}
+
+module.exports = { createConversationsRouter };
@@ -0,0 +1,127 @@
+// POST /api/files        - upload a chat attachment, then send it with send_message
+// GET  /api/files/:token - download through a signed URL (disk storage only)
+// GET  /api/storage      - how much of your upload quota is used
+//
+// Uploads are checked, counted against the quota and scanned by
+// files/uploads.js before anything is stored.
+//
+// The download route is public: the expiring token from files.signedUrl() is
+// the credential, so it works in <img src> and <video src>. Range requests
+// are honoured so media can seek.
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { rawBody, uploadFileName, uploadContentType, sendUploadFailure } = require('./uploadRequests');
+const { CHAT_FILES_BUCKET } = require('../files/paths');
+
+// Types a browser may render in place; anything else (HTML, SVG, ...) is
+// always downloaded so it cannot run script on the API's origin
+const INLINE_TYPES = /^(image\/(png|jpeg|gif|webp|avif)|video\/|audio\/|application\/pdf$)/;
+
+// { start, end } for a single `bytes=` range, null to send the whole file,
+// or false when the range cannot be satisfied
+function parseRange(header, size) {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple ranges or other units: answering with the whole file is allowed
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // bytes=-N is the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+function contentDisposition(type, fileName) {
+  const disposition = INLINE_TYPES.test(type) ? 'inline' : 'attachment';
+  if (!fileName) return disposition;
+
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+function createFileDownloadRouter({ files }) {
+  const router = express.Router();
+
+  router.get('/files/:token', asyncHandler(async (req, res) => {
+    const object = files.verifyToken(req.params.token);
+    if (!object) {
+      return res.status(403).json({ status: 'error', message: 'This link is invalid or has expired' });
+    }
+
+    const info = await files.stat(object.bucket, object.path);
+    if (!info) {
+      return res.status(404).json({ status: 'error', message: 'File not found' });
+    }
+
+    const range = parseRange(req.get('Range'), info.size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${info.size}`);
+      return res.status(416).json({ status: 'error', message: 'Requested range not satisfiable' });
+    }
+
+    const maxAge = Math.max(Math.floor((object.expiresAt - Date.now()) / 1000), 0);
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': info.contentType,
+      'Content-Disposition': contentDisposition(info.contentType, object.fileName),
+      'Cache-Control': `private, max-age=${maxAge}`,
+      // The web client is usually served from another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${info.size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else {
+      res.set('Content-Length', info.size);
+    }
+
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = await files.open(object.bucket, object.path, range || {});
+    stream.on('error', (error) => {
+      console.error('File download error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }));
+
+  return router;
+}
+
+function createFilesRouter({ uploads }) {
+  const router = express.Router();
+
+  router.post('/files', rawBody(uploads.policy.maxFileBytes), asyncHandler(async (req, res) => {
+    const result = await uploads.accept(req.user.id, {
+      bucket: CHAT_FILES_BUCKET,
+      name: uploadFileName(req),
+      declaredType: uploadContentType(req),
+      data: req.body
+    });
+    if (result.status !== 'stored') return sendUploadFailure(res, result);
+
+    const { path, file_name: name, size, content_type: type } = result.upload;
+    res.status(201).json({ status: 'success', file: { path, name, size, type } });
+  }));
+
+  router.get('/storage', asyncHandler(async (req, res) => {
+    res.json({ status: 'success', ...(await uploads.usage(req.user.id)) });
+  }));
+
+  return router;
+}
+
+module.exports = { createFileDownloadRouter, createFilesRouter };
@@ -0,0 +1,94 @@
+// Message history paging shared by 1:1 chats and groups
+//
+//   ?limit=50             the latest page
+//   ?before=<cursor>      the page before a cursor (scrolling up)
+//   ?after=<cursor>       the page after a cursor (catching up after a reconnect)
+//   ?around=<messageId>   a page centred on one message (reply and search jumps)
+//
+// Cursors come from `message.cursor` and the response's `cursors`. Every
+// response says whether more messages exist on either side of the page.
+const { formatMessage } = require('../formatters');
+const { decodeCursor } = require('../cursors');
+const { attachReactions } = require('../reactions');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Returns { limit, before, after, around } or { error }
+function parseHistoryQuery(query) {
+  const before = query.before ? decodeCursor(query.before) : null;
+  const after = query.after ? decodeCursor(query.after) : null;
+
+  if ((query.before && !before) || (query.after && !after)) {
+    return { error: 'Invalid cursor' };
+  }
+  if ([before, after, query.around].filter(Boolean).length > 1) {
+    return { error: 'Use only one of before, after and around' };
+  }
+
+  return { limit: parseLimit(query.limit), before, after, around: query.around || null };
+}
+
+async function historyResponse(viewer, rows, { hasMoreBefore, hasMoreAfter, hasMore = hasMoreBefore }) {
+  const messages = (await attachReactions(viewer.store, rows)).map(row => formatMessage(row, viewer.userId));
+
+  return {
+    status: 'success',
+    messages,
+    // Older clients only know `hasMore`: "another page in the direction I asked for"
+    hasMore,
+    hasMoreBefore,
+    hasMoreAfter,
+    cursors: {
+      before: messages.length > 0 ? messages[0].cursor : null,
+      after: messages.length > 0 ? messages[messages.length - 1].cursor : null
+    }
+  };
+}
+
+// `load(options)` is store.listMessages or store.listConversationMessages
+// bound to one chat. One extra row is read to learn whether more exist.
+// `viewer` is { store, userId }: whose reactions count as `reacted`.
+async function loadPage(viewer, load, { limit, before, after }) {
+  const rows = await load({ limit: limit + 1, before, after });
+
+  if (after) {
+    const hasMoreAfter = rows.length > limit;
+    return historyResponse(viewer, rows.slice(0, limit), { hasMoreBefore: true, hasMoreAfter, hasMore: hasMoreAfter });
+  }
+
+  const hasMoreBefore = rows.length > limit;
+  return historyResponse(viewer, hasMoreBefore ? rows.slice(1) : rows, {
+    hasMoreBefore,
+    hasMoreAfter: Boolean(before)
+  });
+}
+
+// A page of `limit` messages with `message` in the middle
+async function loadAround(viewer, message, limit) {
+  const beforeCount = Math.floor((limit - 1) / 2);
+  const afterCount = limit - 1 - beforeCount;
+  const around = await viewer.store.listMessagesAround(message, {
+    before: beforeCount + 1,
+    after: afterCount + 1,
+    viewerId: viewer.userId
+  });
+
+  const hasMoreBefore = around.before.length > beforeCount;
+  const hasMoreAfter = around.after.length > afterCount;
+  const rows = [
+    ...(hasMoreBefore ? around.before.slice(1) : around.before),
+    around.message,
+    ...around.after.slice(0, afterCount)
+  ];
+
+  return { ...(await historyResponse(viewer, rows, { hasMoreBefore, hasMoreAfter })), messageId: message.id };
+}
+
+module.exports = { parseLimit, parseHistoryQuery, loadPage, loadAround };
@@ -0,0 +1,41 @@
+// REST API mounted under /api
+const express = require('express');
+const { requireAuth } = require('../auth/middleware');
+const { createAuthRouter } = require('./auth');
+const { createChatsRouter } = require('./chats');
+const { createMessagesRouter } = require('./messages');
+const { createSearchRouter } = require('./search');
+const { createConversationsRouter } = require('./conversations');
+const { createPresenceRouter } = require('./presence');
+const { createSyncRouter } = require('./sync');
+const { createKeysRouter } = require('./keys');
+const { createAdminRouter } = require('./admin');
+const { createFileDownloadRouter, createFilesRouter } = require('./files');
+const { createProfileRouter } = require('./profile');
+const { createResumableUploadsRouter } = require('./resumableUploads');
+
+function createApiRouter(deps) {
+  const router = express.Router();
+
+  router.use(createAuthRouter(deps));
+  // Signed download links carry their own credential (see files.js)
+  router.use(createFileDownloadRouter(deps));
+
+  // Everything below needs an access token
+  router.use(requireAuth(deps.tokens));
+  router.use(createChatsRouter(deps));
+  router.use(createMessagesRouter(deps));
+  router.use(createSearchRouter(deps));
+  router.use(createConversationsRouter(deps));
+  router.use(createPresenceRouter(deps));
+  router.use(createSyncRouter(deps));
+  router.use(createKeysRouter(deps));
+  router.use(createAdminRouter(deps));
+  router.use(createFilesRouter(deps));
+  router.use(createResumableUploadsRouter(deps));
+  router.use(createProfileRouter(deps));
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,107 @@
+// Device identity keys for end-to-end encrypted 1:1 chats
+//
+//   GET    /api/keys/:userId            a user's registered devices and their public keys
+//   PUT    /api/keys/devices/:deviceId  register this device, or replace its key ({ identityKey })
+//   DELETE /api/keys/devices/:deviceId  unregister one of your devices
+//
+// Only public keys ever reach the server. Peers and the owner's other tabs get
+// `devices_changed` so they re-encrypt for the new device list and can warn
+// that the safety number changed.
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { isIdentityKey } = require('../envelopes');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_DEVICES_PER_USER = 10;
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+function formatDevice(device) {
+  return {
+    deviceId: device.device_id,
+    identityKey: device.identity_key,
+    createdAt: device.created_at,
+    updatedAt: device.updated_at
+  };
+}
+
+function createKeysRouter({ store, registry }) {
+  const router = express.Router();
+
+  async function announce(userId) {
+    const [devices, watchers] = await Promise.all([
+      store.listDeviceKeys([userId]),
+      store.listPresenceWatchers(userId)
+    ]);
+    registry.emitToUsers([userId, ...watchers], 'devices_changed', {
+      userId,
+      devices: devices.map(formatDevice)
+    });
+  }
+
+  router.get('/keys/:userId', asyncHandler(async (req, res) => {
+    if (!UUID.test(req.params.userId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid user id' });
+    }
+
+    const devices = await store.listDeviceKeys([req.params.userId]);
+    res.json({ status: 'success', userId: req.params.userId, devices: devices.map(formatDevice) });
+  }));
+
+  router.put('/keys/devices/:deviceId', asyncHandler(async (req, res) => {
+    const deviceId = req.params.deviceId.toLowerCase();
+    const { identityKey } = req.body || {};
+
+    if (!UUID.test(deviceId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid device id' });
+    }
+    if (!isIdentityKey(identityKey)) {
+      return res.status(400).json({ status: 'error', message: 'identityKey must be a base64 P-256 public key (SPKI)' });
+    }
+
+    const existing = await store.getDeviceKey(deviceId);
+    if (existing && existing.user_id !== req.user.id) {
+      return res.status(409).json({ status: 'error', message: 'Device id already in use' });
+    }
+    if (existing && existing.identity_key === identityKey) {
+      return res.json({ status: 'success', device: formatDevice(existing) });
+    }
+    if (!existing) {
+      const devices = await store.listDeviceKeys([req.user.id]);
+      if (devices.length >= MAX_DEVICES_PER_USER) {
+        return res.status(400).json({
+          status: 'error',
+          message: `At most ${MAX_DEVICES_PER_USER} devices; remove one first`
+        });
+      }
+    }
+
+    let device;
+    try {
+      device = await store.saveDeviceKey({ user_id: req.user.id, device_id: deviceId, identity_key: identityKey });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ status: 'error', message: 'Device id already in use' });
+      }
+      throw error;
+    }
+
+    await announce(req.user.id);
+    res.status(existing ? 200 : 201).json({ status: 'success', device: formatDevice(device) });
+  }));
+
+  router.delete('/keys/devices/:deviceId', asyncHandler(async (req, res) => {
+    const removed = await store.deleteDeviceKey(req.user.id, req.params.deviceId.toLowerCase());
+
+    if (!removed) {
+      return res.status(404).json({ status: 'error', message: 'Device not found' });
+    }
+
+    await announce(req.user.id);
+    res.json({ status: 'success' });
+  }));
+
+  return router;
+}
+
+module.exports = { createKeysRouter };
@@ -0,0 +1,330 @@
+// Conversation history and message changes
+//
+//   GET    /api/messages/:userId/:peerId  one page of history (see history.js)
+//   GET    /api/messages/:messageId/context  the page surrounding one message (search results)
+//   GET    /api/messages/:messageId/revisions  earlier versions of an edited message
+//   GET    /api/messages/:messageId/file  short-lived URL for the message's attachment
+//                                         ?variant=thumbnail|preview|poster for a derived image
+//   PATCH  /api/messages/:messageId       edit your own message ({ content }, or { encrypted } if it is encrypted)
+//   DELETE /api/messages/:messageId       ?for=everyone (default): tombstone your own message
+//                                         ?for=me: hide any message from your own history
+//   PUT    /api/messages/:messageId/reactions/:emoji  react to a message
+//   DELETE /api/messages/:messageId/reactions/:emoji  take your reaction back
+//
+// Edits and deletes for everyone are limited to the windows in messagePolicy.js.
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { requireSelf } = require('../auth/middleware');
+const { formatMessage, formatReactions, formatRevision } = require('../formatters');
+const { parseLimit, parseHistoryQuery, loadPage, loadAround } = require('./history');
+const { validateEnvelope, normalizeEnvelope, checkRecipients } = require('../envelopes');
+const { isEmoji, MAX_REACTIONS_PER_USER } = require('../reactions');
+const { resolveMessagePolicy, withinWindow } = require('../messagePolicy');
+const { CHAT_FILES_BUCKET, MEDIA_VARIANTS, attachmentPath } = require('../files/paths');
+
+function createMessagesRouter({ store, registry, files, uploads, messagePolicy = resolveMessagePolicy() }) {
+  const router = express.Router();
+
+  // 1:1 messages are readable by both parties, group messages by current members
+  async function canRead(message, userId) {
+    if (message.conversation_id) {
+      return Boolean(await store.getConversationMember(message.conversation_id, userId));
+    }
+    return message.from_user_id === userId || message.to_user_id === userId;
+  }
+
+  async function isHidden(message, userId) {
+    const hidden = await store.listHiddenMessageIds(userId, [message.id]);
+    return hidden.length > 0;
+  }
+
+  async function loadReadableMessage(req, res) {
+    const message = await store.getMessageById(req.params.messageId);
+    const readable = message && !message.is_deleted && (await canRead(message, req.user.id)) &&
+      !(await isHidden(message, req.user.id));
+
+    if (!readable) {
+      res.status(404).json({ status: 'error', message: 'Message not found' });
+      return null;
+    }
+    return message;
+  }
+
+  // Must come first: '/messages/:userId/:peerId' also matches '<id>/context'
+  router.get('/messages/:messageId/context', asyncHandler(async (req, res) => {
+    const message = await loadReadableMessage(req, res);
+    if (!message) return;
+
+    res.json(await loadAround({ store, userId: req.user.id }, message, parseLimit(req.query.limit)));
+  }));
+
+  // Oldest first; `current` is the version everyone sees now
+  router.get('/messages/:messageId/revisions', asyncHandler(async (req, res) => {
+    const message = await loadReadableMessage(req, res);
+    if (!message) return;
+
+    const revisions = await store.listMessageRevisions(message.id);
+    res.json({
+      status: 'success',
+      messageId: message.id,
+      revisions: revisions.map(formatRevision),
+      current: formatRevision({
+        revision: revisions.length + 1,
+        content: message.content,
+        encrypted: message.encrypted,
+        written_at: message.edited_at || message.created_at,
+        replaced_at: null
+      })
+    });
+  }));
+
+  // Attachments are private; only people who can read the message get a link
+  router.get('/messages/:messageId/file', asyncHandler(async (req, res) => {
+    const message = await loadReadableMessage(req, res);
+    if (!message) return;
+
+    const { variant } = req.query;
+    if (variant !== undefined && !MEDIA_VARIANTS.includes(variant)) {
+      return res.status(400).json({ status: 'error', message: `variant must be one of ${MEDIA_VARIANTS.join(', ')}` });
+    }
+
+    const objectPath = attachmentPath(message);
+    if (!objectPath) {
+      return res.status(404).json({ status: 'error', message: 'Message has no attachment' });
+    }
+
+    const variants = (message.media && message.media.variants) || {};
+    if (variant && !variants[variant]) {
+      return res.status(404).json({ status: 'error', message: `No ${variant} for this attachment` });
+    }
+
+    const url = await files.signedUrl(CHAT_FILES_BUCKET, variant ? variants[variant] : objectPath, {
+      expiresIn: files.urlTtlSeconds,
+      fileName: variant ? undefined : message.file_name
+    });
+    res.json({
+      status: 'success',
+      url,
+      expiresAt: new Date(Date.now() + files.urlTtlSeconds * 1000).toISOString(),
+      fileName: message.file_name || null
+    });
+  }));
+
+  router.get('/messages/:userId/:peerId', requireSelf(), asyncHandler(async (req, res) => {
+    const { userId, peerId } = req.params;
+    const query = parseHistoryQuery(req.query);
+
+    if (query.error) {
+      return res.status(400).json({ status: 'error', message: query.error });
+    }
+
+    if (query.around) {
+      const message = await store.getMessageById(query.around);
+      const inChat = message && !message.conversation_id &&
+        [message.from_user_id, message.to_user_id].sort().join() === [userId, peerId].sort().join();
+
+      if (!inChat || await isHidden(message, req.user.id)) {
+        return res.status(404).json({ status: 'error', message: 'Message not found' });
+      }
+      return res.json(await loadAround({ store, userId: req.user.id }, message, query.limit));
+    }
+
+    res.json(await loadPage({ store, userId: req.user.id }, options => store.listMessages(userId, peerId, options), query));
+  }));
+
+  // Edits and deletes can change what chat lists show as the last message
+  async function refreshPreviews(message) {
+    if (message.conversation_id) {
+      await store.refreshConversationPreview(message.conversation_id);
+      return;
+    }
+
+    await Promise.all([
+      store.refreshUserChat(message.from_user_id, message.to_user_id),
+      store.refreshUserChat(message.to_user_id, message.from_user_id)
+    ]);
+  }
+
+  function emitToChat(message, event, payload) {
+    if (message.conversation_id) {
+      registry.emitToConversation(message.conversation_id, event, payload);
+    } else {
+      registry.emitToUsers([message.to_user_id, message.from_user_id], event, payload);
+    }
+  }
+
+  async function loadOwnMessage(req, res) {
+    const message = await store.getMessageById(req.params.messageId);
+
+    if (!message || message.is_deleted) {
+      res.status(404).json({ status: 'error', message: 'Message not found' });
+      return null;
+    }
+    if (message.from_user_id !== req.user.id) {
+      res.status(403).json({ status: 'error', message: 'You can only change your own messages' });
+      return null;
+    }
+    return message;
+  }
+
+  // An encrypted message can only be replaced by a new envelope, never by plaintext
+  async function editChanges(message, { content, encrypted }) {
+    if (message.encrypted) {
+      const invalid = encrypted ? validateEnvelope(encrypted) : 'Encrypted messages must be edited with { encrypted }';
+      if (invalid) return { error: invalid };
+
+      const envelope = normalizeEnvelope(encrypted);
+      const mismatch = await checkRecipients(store, envelope, message.from_user_id, message.to_user_id);
+      if (mismatch) return { error: mismatch.message, code: mismatch.code };
+
+      return { changes: { encrypted: envelope } };
+    }
+
+    if (typeof content !== 'string' || !content.trim()) return { error: 'Message is empty' };
+    return { changes: { content: content.trim() } };
+  }
+
+  router.patch('/messages/:messageId', asyncHandler(async (req, res) => {
+    const message = await loadOwnMessage(req, res);
+    if (!message) return;
+
+    if (!withinWindow(message, messagePolicy.editWindowMs)) {
+      return res.status(403).json({ status: 'error', message: 'This message can no longer be edited' });
+    }
+
+    const { changes, error, code } = await editChanges(message, req.body || {});
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error, ...(code && { code }) });
+    }
+
+    const updated = await store.editMessage(message.id, changes);
+    if (!updated) {
+      return res.status(404).json({ status: 'error', message: 'Message not found' });
+    }
+    await refreshPreviews(updated);
+
+    const formatted = formatMessage(updated);
+    emitToChat(updated, 'message_updated', formatted);
+
+    res.json({ status: 'success', message: formatted });
+  }));
+
+  router.delete('/messages/:messageId', asyncHandler(async (req, res) => {
+    const scope = req.query.for || 'everyone';
+    if (scope !== 'everyone' && scope !== 'me') {
+      return res.status(400).json({ status: 'error', message: 'for must be "me" or "everyone"' });
+    }
+
+    if (scope === 'me') {
+      const message = await store.getMessageById(req.params.messageId);
+      if (!message || !(await canRead(message, req.user.id))) {
+        return res.status(404).json({ status: 'error', message: 'Message not found' });
+      }
+
+      if (await store.hideMessage(message.id, req.user.id)) {
+        if (!message.conversation_id) {
+          const peerId = message.from_user_id === req.user.id ? message.to_user_id : message.from_user_id;
+          await store.refreshUserChat(req.user.id, peerId);
+        }
+
+        // Only the user's other devices need to know
+        registry.emitToUsers([req.user.id], 'message_deleted', {
+          id: message.id,
+          from: message.from_user_id,
+          to: message.to_user_id || null,
+          conversationId: message.conversation_id || null,
+          hidden: true,
+          deletedFor: 'me'
+        });
+      }
+      return res.json({ status: 'success' });
+    }
+
+    const message = await loadOwnMessage(req, res);
+    if (!message) return;
+
+    if (!withinWindow(message, messagePolicy.deleteWindowMs)) {
+      return res.status(403).json({ status: 'error', message: 'This message can no longer be deleted for everyone' });
+    }
+
+    const deleted = await store.deleteMessageForEveryone(message.id);
+    if (!deleted) {
+      return res.status(404).json({ status: 'error', message: 'Message not found' });
+    }
+    await refreshPreviews(deleted);
+
+    // The tombstone no longer points at the file, and uploads are attached to
+    // one message only (socket/messaging.js), so nothing else does either
+    const objectPath = attachmentPath(message);
+    if (objectPath) {
+      await uploads.remove(CHAT_FILES_BUCKET, [objectPath])
+        .catch(error => console.error('Attachment cleanup error:', error));
+    }
+
+    emitToChat(deleted, 'message_deleted', { ...formatMessage(deleted), deletedFor: 'everyone' });
+
+    res.json({ status: 'success', message: formatMessage(deleted) });
+  }));
+
+  // ---- reactions ----
+
+  // Everyone in the chat gets the new totals with the reactors' ids, so each
+  // client can work out its own `reacted`
+  function broadcastReactions(message, change, rows) {
+    const reactions = formatReactions(rows).map(({ emoji, count }) => ({
+      emoji,
+      count,
+      userIds: rows.filter(row => row.emoji === emoji).map(row => row.user_id)
+    }));
+    const payload = {
+      messageId: message.id,
+      conversationId: message.conversation_id || null,
+      from: message.from_user_id,
+      to: message.to_user_id || null,
+      ...change,
+      reactions
+    };
+
+    emitToChat(message, 'reaction_updated', payload);
+  }
+
+  router.put('/messages/:messageId/reactions/:emoji', asyncHandler(async (req, res) => {
+    const { emoji } = req.params;
+    if (!isEmoji(emoji)) {
+      return res.status(400).json({ status: 'error', message: 'Reaction must be an emoji' });
+    }
+
+    const message = await loadReadableMessage(req, res);
+    if (!message) return;
+
+    const existing = await store.listReactions([message.id]);
+    const own = existing.filter(row => row.user_id === req.user.id);
+    if (!own.some(row => row.emoji === emoji) && own.length >= MAX_REACTIONS_PER_USER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_REACTIONS_PER_USER} reactions per message`
+      });
+    }
+
+    const added = await store.addReaction(message.id, req.user.id, emoji);
+    const rows = added ? await store.listReactions([message.id]) : existing;
+    if (added) broadcastReactions(message, { userId: req.user.id, emoji, action: 'added' }, rows);
+
+    res.json({ status: 'success', messageId: message.id, reactions: formatReactions(rows, req.user.id) });
+  }));
+
+  router.delete('/messages/:messageId/reactions/:emoji', asyncHandler(async (req, res) => {
+    const message = await loadReadableMessage(req, res);
+    if (!message) return;
+
+    const removed = await store.removeReaction(message.id, req.user.id, req.params.emoji);
+    const rows = await store.listReactions([message.id]);
+    if (removed) broadcastReactions(message, { userId: req.user.id, emoji: req.params.emoji, action: 'removed' }, rows);
+
+    res.json({ status: 'success', messageId: message.id, reactions: formatReactions(rows, req.user.id) });
+  }));
+
+  return router;
+}
+
+module.exports = { createMessagesRouter };
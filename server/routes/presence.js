@@ -0,0 +1,40 @@
+// Presence lookups for contact lists and the caller's presence privacy setting
+//   GET /api/presence?userIds=a,b,c
+//   GET /api/presence/settings
+//   PUT /api/presence/settings  { visibility: 'everyone' | 'contacts' | 'nobody' }
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { parseUserIds, PRESENCE_VISIBILITY, DEFAULT_VISIBILITY } = require('../socket/presence');
+
+function createPresenceRouter({ store, presence }) {
+  const router = express.Router();
+
+  router.get('/presence', asyncHandler(async (req, res) => {
+    const userIds = parseUserIds(req.query.userIds);
+    const users = await presence.query(req.user.id, userIds);
+    res.json({ status: 'success', users });
+  }));
+
+  router.get('/presence/settings', asyncHandler(async (req, res) => {
+    const user = await store.getUserById(req.user.id);
+    res.json({ status: 'success', visibility: user?.presence_visibility || DEFAULT_VISIBILITY });
+  }));
+
+  router.put('/presence/settings', asyncHandler(async (req, res) => {
+    const { visibility } = req.body || {};
+
+    if (!PRESENCE_VISIBILITY.includes(visibility)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `visibility must be one of ${PRESENCE_VISIBILITY.join(', ')}`
+      });
+    }
+
+    await presence.setVisibility(req.user.id, visibility);
+    res.json({ status: 'success', visibility });
+  }));
+
+  return router;
+}
+
+module.exports = { createPresenceRouter };
@@ -0,0 +1,86 @@
+// Profile pictures, kept in the private profile-pictures bucket
+//
+//   PUT    /api/profile/picture        replace your picture (raw image body, checked like POST /api/files)
+//   DELETE /api/profile/picture        remove it
+//   GET    /api/users/:userId/picture  short-lived URL for anyone's picture (?variant=thumbnail for a small one)
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { rawBody, uploadFileName, uploadContentType, sendUploadFailure } = require('./uploadRequests');
+const { PROFILE_PICTURES_BUCKET, storagePathFromUrl } = require('../files/paths');
+
+const MAX_PICTURE_BYTES = 5 * 1024 * 1024;
+const PICTURE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+function picturePath(profile) {
+  if (!profile) return null;
+  return profile.picture_path || storagePathFromUrl(profile.profile_picture_url, PROFILE_PICTURES_BUCKET);
+}
+
+function createProfileRouter({ store, files, uploads }) {
+  const router = express.Router();
+
+  async function replacePicture(userId, picture_path) {
+    const previous = picturePath(await store.getProfile(userId));
+    const profile = await store.updateProfile(userId, { picture_path, profile_picture_url: null });
+
+    if (previous && previous !== picture_path) {
+      await uploads.remove(PROFILE_PICTURES_BUCKET, [previous])
+        .catch(error => console.error('Profile picture cleanup error:', error));
+    }
+    return profile;
+  }
+
+  router.put('/profile/picture', rawBody(MAX_PICTURE_BYTES), asyncHandler(async (req, res) => {
+    const result = await uploads.accept(req.user.id, {
+      bucket: PROFILE_PICTURES_BUCKET,
+      name: uploadFileName(req, 'picture'),
+      declaredType: uploadContentType(req),
+      data: req.body,
+      types: PICTURE_TYPES
+    });
+    if (result.status === 'rejected') {
+      return res.status(415).json({
+        status: 'error',
+        reason: 'rejected',
+        message: 'Profile pictures must be JPEG, PNG, WebP or GIF images'
+      });
+    }
+    if (result.status !== 'stored') return sendUploadFailure(res, result);
+
+    const objectPath = result.upload.path;
+    await replacePicture(req.user.id, objectPath);
+
+    const url = await files.signedUrl(PROFILE_PICTURES_BUCKET, objectPath, { expiresIn: files.urlTtlSeconds });
+    res.json({ status: 'success', url, expiresAt: expiresAt(files) });
+  }));
+
+  router.delete('/profile/picture', asyncHandler(async (req, res) => {
+    await replacePicture(req.user.id, null);
+    res.json({ status: 'success' });
+  }));
+
+  router.get('/users/:userId/picture', asyncHandler(async (req, res) => {
+    const objectPath = picturePath(await store.getProfile(req.params.userId));
+    if (!objectPath) {
+      return res.status(404).json({ status: 'error', message: 'No profile picture' });
+    }
+
+    // Pictures set before thumbnails were made have none; fall back to the original
+    let signedPath = objectPath;
+    if (req.query.variant === 'thumbnail') {
+      const upload = await store.getUpload(PROFILE_PICTURES_BUCKET, objectPath);
+      signedPath = (upload && upload.media && upload.media.variants.thumbnail) || objectPath;
+    }
+
+    const url = await files.signedUrl(PROFILE_PICTURES_BUCKET, signedPath, { expiresIn: files.urlTtlSeconds });
+    res.json({ status: 'success', url, expiresAt: expiresAt(files) });
+  }));
+
+  return router;
+}
+
+function expiresAt(files) {
+  return new Date(Date.now() + files.urlTtlSeconds * 1000).toISOString();
+}
+
+module.exports = { createProfileRouter };
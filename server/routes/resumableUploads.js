@@ -0,0 +1,102 @@
+// Resumable uploads for large attachments (see files/resumable.js)
+//
+//   POST   /api/uploads      start one ({ name, type, size, checksum }: hex SHA-256 of the whole file)
+//   HEAD   /api/uploads/:id  how much has arrived, in Upload-Offset (GET answers with JSON as well)
+//   PUT    /api/uploads/:id  the next chunk as the raw body, starting at the Upload-Offset header
+//   DELETE /api/uploads/:id  give up and discard what was sent
+//
+// The PUT carrying the last chunk answers 201 with the stored `file`, the
+// same as POST /api/files; send it with send_message as usual.
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { rawBody, cleanFileName, normalizeContentType, sendUploadFailure } = require('./uploadRequests');
+
+function uploadState(res, upload) {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Cache-Control': 'no-store'
+  });
+  return { status: 'success', upload };
+}
+
+function notFound(res) {
+  return res.status(404).json({ status: 'error', message: 'Upload not found or expired' });
+}
+
+function busy(res) {
+  return res.status(409).json({ status: 'error', reason: 'busy', message: 'A chunk for this upload is still being processed' });
+}
+
+function createResumableUploadsRouter({ resumable }) {
+  const router = express.Router();
+
+  router.post('/uploads', asyncHandler(async (req, res) => {
+    const { name, type, size, checksum } = req.body || {};
+    const result = await resumable.create(req.user.id, {
+      name: cleanFileName(name),
+      declaredType: normalizeContentType(type),
+      size,
+      checksum
+    });
+
+    if (result.status === 'invalid') return res.status(400).json({ status: 'error', message: result.message });
+    if (result.status !== 'created') return sendUploadFailure(res, result);
+
+    res.status(201).location(`${req.baseUrl}/uploads/${result.upload.id}`);
+    res.json(uploadState(res, result.upload));
+  }));
+
+  // Express answers HEAD with this handler too, without the body
+  router.get('/uploads/:uploadId', asyncHandler(async (req, res) => {
+    const upload = await resumable.get(req.user.id, req.params.uploadId);
+    if (!upload) return notFound(res);
+
+    res.json(uploadState(res, upload));
+  }));
+
+  router.put('/uploads/:uploadId', rawBody(resumable.chunkBytes, 'Chunks'), asyncHandler(async (req, res) => {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ status: 'error', message: 'Upload-Offset header is required' });
+    }
+
+    const result = await resumable.append(req.user.id, req.params.uploadId, offset, req.body);
+    switch (result.status) {
+      case 'not_found':
+        return notFound(res);
+      case 'busy':
+        return busy(res);
+      case 'offset_mismatch':
+        res.set('Upload-Offset', String(result.offset));
+        return res.status(409).json({
+          status: 'error',
+          reason: 'offset_mismatch',
+          message: `Expected the chunk at offset ${result.offset}`,
+          offset: result.offset
+        });
+      case 'invalid':
+        return res.status(400).json({ status: 'error', message: result.message });
+      case 'received':
+        return res.json(uploadState(res, result.upload));
+      case 'stored': {
+        const { path, file_name: name, size, content_type: type } = result.upload;
+        return res.status(201).json({ status: 'success', file: { path, name, size, type } });
+      }
+      default:
+        return sendUploadFailure(res, result);
+    }
+  }));
+
+  router.delete('/uploads/:uploadId', asyncHandler(async (req, res) => {
+    const result = await resumable.cancel(req.user.id, req.params.uploadId);
+    if (result.status === 'not_found') return notFound(res);
+    if (result.status === 'busy') return busy(res);
+
+    res.json({ status: 'success' });
+  }));
+
+  return router;
+}
+
+module.exports = { createResumableUploadsRouter };
@@ -0,0 +1,99 @@
+// Search
+//
+//   GET /api/search/messages?q=  ranked full-text search over your messages
+//   GET /api/search/:phone       find users by the last 10 digits of their phone number
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { formatMessage, formatUser } = require('../formatters');
+const { attachReactions } = require('../reactions');
+const { parseSearchTerms, highlightRanges } = require('../messageSearch');
+const { MESSAGE_TYPES } = require('../socket/messaging');
+
+const DEFAULT_RESULTS = 20;
+const MAX_RESULTS = 50;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// The chat a result belongs to, in the shape the client routes on
+function chatOf(message, userId) {
+  if (message.conversation_id) return { conversationId: message.conversation_id };
+  return { peerId: message.from_user_id === userId ? message.to_user_id : message.from_user_id };
+}
+
+function createSearchRouter({ store }) {
+  const router = express.Router();
+
+  // Registered before /search/:phone, which would otherwise capture it
+  router.get('/search/messages', asyncHandler(async (req, res) => {
+    const { q, peerId, conversationId, type } = req.query;
+    const terms = parseSearchTerms(q);
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (terms.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'Search text is required' });
+    }
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ status: 'error', message: 'from and to must be dates' });
+    }
+    if (type && !MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({ status: 'error', message: `type must be one of ${MESSAGE_TYPES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_RESULTS, MAX_RESULTS);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    // One extra row tells us whether another page exists
+    const rows = await store.searchMessages(req.user.id, {
+      terms,
+      peerId: peerId || null,
+      conversationId: conversationId || null,
+      from,
+      to,
+      messageType: type || null,
+      limit: limit + 1,
+      offset
+    });
+
+    const page = await attachReactions(store, rows.slice(0, limit));
+
+    res.json({
+      status: 'success',
+      results: page.map(row => ({
+        message: formatMessage(row, req.user.id),
+        chat: chatOf(row, req.user.id),
+        rank: row.rank,
+        highlights: highlightRanges(row.content, terms)
+      })),
+      hasMore: rows.length > limit
+    });
+  }));
+
+  router.get('/search/:phone', asyncHandler(async (req, res) => {
+    // Accept any formatting ("+91 98765-43210", "098765 43210", ...)
+    const last10Digits = req.params.phone.replace(/\D/g, '').slice(-10);
+
+    if (last10Digits.length < 10) {
+      return res.json({ status: 'not_found' });
+    }
+
+    const users = await store.findUsersByPhoneSuffix(last10Digits, {
+      excludeUserId: req.user.id
+    });
+
+    if (users.length === 0) {
+      return res.json({ status: 'not_found' });
+    }
+
+    const results = users.map(formatUser);
+    res.json({ status: 'found', user: results[0], allResults: results });
+  }));
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,79 @@
+// GET /api/sync?since=<token> - delta sync for the client-side cache
+//
+// Returns every message in the caller's chats and current groups created,
+// edited, deleted, receipted or reacted to after `since`, oldest change
+// first, with the token to pass next time. Without `since` it only returns a
+// starting token. Messages deleted for everyone come back as tombstones;
+// messages the caller deleted for themselves come back with `hidden: true`.
+//
+// A change is stamped when it is written but only becomes visible when its
+// transaction commits, so it can land behind a token already handed out.
+// Every sync therefore re-scans OVERLAP_MS behind the token, and changes may
+// come back more than once; clients upsert them by id. Pages after the first
+// one of a batch carry on exactly where the previous page ended.
+const express = require('express');
+const { asyncHandler } = require('./asyncHandler');
+const { formatMessage, formatHiddenMessage } = require('../formatters');
+const { encodeSyncToken, decodeSyncToken } = require('../cursors');
+const { attachReactions } = require('../reactions');
+
+const BATCH_SIZE = 500;
+const OVERLAP_MS = 60 * 1000;
+const ZERO_ID = '00000000-0000-0000-0000-000000000000';
+
+// Orders two { updatedAt, id } positions. Database timestamps carry
+// microseconds, which Date drops.
+function comparePositions(a, b) {
+  const micros = timestamp => Number(((/\.(\d+)/.exec(timestamp) || [])[1] || '').padEnd(6, '0').slice(0, 6));
+  return (Date.parse(a.updatedAt) - Date.parse(b.updatedAt))
+    || (micros(a.updatedAt) - micros(b.updatedAt))
+    || a.id.localeCompare(b.id);
+}
+
+function scanFrom(since) {
+  if (since.resume) return since;
+  return { updatedAt: new Date(Date.parse(since.updatedAt) - OVERLAP_MS).toISOString(), id: ZERO_ID };
+}
+
+function createSyncRouter({ store }) {
+  const router = express.Router();
+
+  router.get('/sync', asyncHandler(async (req, res) => {
+    if (!req.query.since) {
+      return res.json({
+        status: 'success',
+        changes: [],
+        // The database's clock stamps changes, so it also sets the start
+        syncToken: encodeSyncToken({ updated_at: await store.getDatabaseTime(), id: ZERO_ID }),
+        hasMore: false
+      });
+    }
+
+    const since = decodeSyncToken(req.query.since);
+    if (!since) {
+      return res.status(400).json({ status: 'error', message: 'Invalid sync token' });
+    }
+
+    const rows = await store.listMessageChanges(req.user.id, { since: scanFrom(since), limit: BATCH_SIZE });
+    const hasMore = rows.length === BATCH_SIZE;
+    const last = rows.length > 0 && { updatedAt: rows[rows.length - 1].updated_at, id: rows[rows.length - 1].id };
+    // A finished batch never moves the token backwards, even if the re-scan
+    // only found changes the client already had
+    const next = hasMore || (last && comparePositions(last, since) > 0) ? last : since;
+    const hidden = new Set(await store.listHiddenMessageIds(req.user.id, rows.map(row => row.id)));
+    const withReactions = await attachReactions(store, rows);
+
+    res.json({
+      status: 'success',
+      changes: withReactions.map(row => (hidden.has(row.id)
+        ? formatHiddenMessage(row)
+        : formatMessage(row, req.user.id))),
+      syncToken: encodeSyncToken({ updated_at: next.updatedAt, id: next.id }, { resume: hasMore }),
+      hasMore
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createSyncRouter };
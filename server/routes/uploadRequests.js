@@ -0,0 +1,89 @@
+// Reading upload requests and answering the ones the upload service turns down.
+//
+// Uploads are sent as the raw request body with Content-Type
+// application/octet-stream (so the app-wide JSON parser leaves them alone),
+// the file's own type in X-File-Type and its name URL-encoded in X-File-Name.
+const express = require('express');
+
+const MB = 1024 * 1024;
+
+// Upload service statuses (files/uploads.js) -> HTTP status and message
+const UPLOAD_FAILURES = {
+  rejected: [415, null],
+  too_large: [413, null],
+  over_quota: [413, 'Storage quota exceeded; delete some files first'],
+  infected: [422, 'This file failed the malware scan and was not stored'],
+  scan_failed: [503, 'The file could not be scanned right now, please try again later'],
+  // Resumable uploads only (files/resumable.js)
+  checksum_mismatch: [422, 'The file changed while it was uploaded; start the upload again']
+};
+
+function tooLargeMessage(limitBytes, what = 'Files') {
+  const limit = limitBytes >= MB ? `${+(limitBytes / MB).toFixed(1)} MB` : `${Math.ceil(limitBytes / 1024)} KB`;
+  return `${what} can be at most ${limit}`;
+}
+
+// `what` names the body in the 413 message
+function rawBody(limitBytes, what = 'Files') {
+  const parse = express.raw({ type: () => true, limit: limitBytes });
+
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (err && err.type === 'entity.too.large') {
+        return res.status(413).json({ status: 'error', reason: 'too_large', message: tooLargeMessage(limitBytes, what) });
+      }
+      if (err) return next(err);
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ status: 'error', message: 'File is empty' });
+      }
+      next();
+    });
+  };
+}
+
+// A client-supplied name reduced to a plain file name
+function cleanFileName(name, fallback = 'file') {
+  const clean = typeof name === 'string'
+    ? name.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 255)
+    : '';
+  return clean || fallback;
+}
+
+// The X-File-Name header, reduced to a plain file name
+function uploadFileName(req, fallback = 'file') {
+  let name = req.get('X-File-Name') || '';
+  try {
+    name = decodeURIComponent(name);
+  } catch (err) {
+    // Not URL-encoded; use it as sent
+  }
+
+  return cleanFileName(name, fallback);
+}
+
+function normalizeContentType(type) {
+  return (typeof type === 'string' && type.split(';')[0].trim().toLowerCase()) || 'application/octet-stream';
+}
+
+function uploadContentType(req) {
+  return normalizeContentType(req.get('X-File-Type') || req.get('Content-Type'));
+}
+
+function sendUploadFailure(res, result) {
+  const [httpStatus, message] = UPLOAD_FAILURES[result.status];
+  res.status(httpStatus).json({
+    status: 'error',
+    reason: result.status,
+    message: message || result.message || tooLargeMessage(result.maxFileBytes),
+    ...(result.status === 'over_quota' && { usedBytes: result.usedBytes, quotaBytes: result.quotaBytes })
+  });
+}
+
+module.exports = {
+  rawBody,
+  cleanFileName,
+  uploadFileName,
+  normalizeContentType,
+  uploadContentType,
+  sendUploadFailure
+};
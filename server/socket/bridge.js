@@ -0,0 +1,29 @@
+// Routes database changes made outside this server (e.g. rows written straight
+// through PostgREST) to the sockets that are allowed to see them. Browsers no
+// longer subscribe to whole tables; the server holds the only broad
+// subscription and fans each change out to user and conversation rooms.
+// Changes the API made itself are left out (see messages.origin); the API has
+// emitted those already.
+const { formatMessage } = require('../formatters');
+
+function startChangeBridge({ store, registry }) {
+  // Only the Supabase adapter has out-of-band writers; in-memory writes all
+  // pass through the API and are emitted there
+  if (typeof store.subscribeToChanges !== 'function') {
+    return () => {};
+  }
+
+  return store.subscribeToChanges({
+    onMessageChange(eventType, row) {
+      const payload = { event: eventType, message: formatMessage(row) };
+
+      if (row.conversation_id) {
+        registry.emitToConversation(row.conversation_id, 'message_change', payload);
+      } else {
+        registry.emitToUsers([row.from_user_id, row.to_user_id], 'message_change', payload);
+      }
+    }
+  });
+}
+
+module.exports = { startChangeBridge };
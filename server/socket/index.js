@@ -0,0 +1,47 @@
+// Socket.IO gateway implementing the protocol documented in the README
+const { conversationRoom } = require('./registry');
+const { socketAuth } = require('../auth/middleware');
+const { registerMessagingHandlers } = require('./messaging');
+const { registerReceiptHandlers } = require('./receipts');
+const { registerPresenceHandlers } = require('./presence');
+const { registerTypingHandlers } = require('./typing');
+
+function registerSocketHandlers(io, { store, tokens, registry, presence }) {
+  // Sockets must present an access token in the handshake; see auth/middleware.js
+  io.use(socketAuth(tokens));
+
+  io.on('connection', (socket) => {
+    const userId = socket.data.user.id;
+    socket.data.userId = userId;
+    registry.add(userId, socket);
+    presence.connected(socket);
+
+    store.listUserConversations(userId)
+      .then(conversations => conversations.forEach(conversation => {
+        socket.join(conversationRoom(conversation.id));
+      }))
+      .catch(error => console.error('Socket conversation rooms error:', error));
+
+    // Kept for clients that still announce themselves after connecting; identity
+    // always comes from the token, never from this payload
+    socket.on('authenticate', (payload = {}) => {
+      if (payload.userId && payload.userId !== userId) {
+        return socket.emit('auth_error', { message: 'userId does not match the session' });
+      }
+
+      socket.emit('authenticated', { userId, phone: socket.data.user.phone });
+    });
+
+    registerMessagingHandlers(socket, { store, registry });
+    registerTypingHandlers(socket, { store, registry });
+    registerReceiptHandlers(socket, { store, registry });
+    registerPresenceHandlers(socket, { presence });
+
+    socket.on('disconnect', () => {
+      registry.remove(userId, socket);
+      presence.disconnected(socket);
+    });
+  });
+}
+
+module.exports = { registerSocketHandlers };
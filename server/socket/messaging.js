@@ -0,0 +1,234 @@
+// send_message and join_chat events for 1:1 chats (`to`) and groups (`conversationId`)
+const { formatMessage } = require('../formatters');
+const { validateEnvelope, normalizeEnvelope, checkRecipients } = require('../envelopes');
+const { CHAT_FILES_BUCKET, isOwnObjectPath } = require('../files/paths');
+
+// `voice` is a recorded audio attachment, played inline with its waveform
+const MESSAGE_TYPES = ['text', 'image', 'file', 'voice'];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ALREADY_ATTACHED = 'This upload is already attached to another message; upload the file again';
+// Limits for the duration and waveform a client measured itself
+const MAX_VOICE_SECONDS = 60 * 60;
+const WAVEFORM_BARS = 64;
+
+// The `media: { duration, waveform }` a client sends with a voice note, as
+// measured while recording. It is only stored when the server could not
+// decode the upload, and is marked `estimated`. Returns null when none was
+// sent and false when it is malformed.
+function clientVoiceMedia(media) {
+  if (media === undefined || media === null) return null;
+  if (typeof media !== 'object') return false;
+
+  const { duration, waveform } = media;
+  if (typeof duration !== 'number' || !(duration > 0) || duration > MAX_VOICE_SECONDS) return false;
+  if (!Array.isArray(waveform) || waveform.length === 0 || waveform.length > WAVEFORM_BARS) return false;
+  if (!waveform.every(level => Number.isInteger(level) && level >= 0 && level <= 100)) return false;
+
+  return { duration: Math.round(duration * 100) / 100, waveform, estimated: true, variants: {} };
+}
+
+function registerMessagingHandlers(socket, { store, registry }) {
+  const userId = socket.data.userId;
+
+  async function isMember(conversationId) {
+    return Boolean(await store.getConversationMember(conversationId, userId));
+  }
+
+  // An `attachment` names a file this user uploaded with POST /api/files,
+  // which only records files that passed its checks and the malware scan.
+  // Resolves to its `uploads` row, or null if there is no such upload. Rows
+  // with `attached_at` set already belong to a message.
+  async function findUpload(attachment) {
+    if (!attachment || !isOwnObjectPath(userId, attachment.path)) return null;
+    const upload = await store.getUpload(CHAT_FILES_BUCKET, attachment.path);
+    return upload && upload.owner_id === userId && upload.status === 'clean' ? upload : null;
+  }
+
+  // A reply may only quote a message from the same chat that the sender can
+  // still see; the quote is sent along with the reply
+  async function canReplyTo(messageId, { to, conversationId }) {
+    if (typeof messageId !== 'string' || !UUID.test(messageId)) return false;
+
+    const target = await store.getMessageById(messageId);
+    if (!target) return false;
+    const sameChat = conversationId
+      ? target.conversation_id === conversationId
+      : !target.conversation_id && [target.from_user_id, target.to_user_id].sort().join() === [userId, to].sort().join();
+    if (!sameChat) return false;
+
+    return (await store.listHiddenMessageIds(userId, [target.id])).length === 0;
+  }
+
+  socket.on('join_chat', (payload = {}) => {
+    socket.data.activeChat = payload.conversationId
+      ? { conversationId: payload.conversationId }
+      : (payload.peerId ? { peerId: payload.peerId } : null);
+  });
+
+  socket.on('send_message', async (payload = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    // `retryable` tells an outbox whether sending the same payload again can
+    // succeed; `code` is set where the client can fix things and try again
+    const fail = (message, retryable = false, code = null) => {
+      socket.emit('message_error', {
+        message,
+        retryable,
+        code,
+        messageId: payload.messageId || null,
+        clientMessageId: payload.clientMessageId || null
+      });
+      reply({ status: 'error', message, retryable, code });
+    };
+
+    const {
+      to, conversationId, message, messageType = 'text', messageId, replyToMessageId = null, clientMessageId = null,
+      encrypted = null, attachment = null
+    } = payload;
+
+    if (!conversationId && (!to || to === userId)) return fail('Invalid recipient');
+    if (!MESSAGE_TYPES.includes(messageType)) return fail('Invalid message type');
+    if (clientMessageId !== null && !UUID.test(clientMessageId)) return fail('Invalid clientMessageId');
+    if (encrypted !== null) {
+      if (conversationId) return fail('Encryption is only available in one-to-one chats');
+      if (message || messageId) return fail('Encrypted messages must not include plaintext');
+      // The file name and size of an encrypted attachment stay inside the envelope
+      if (attachment && Object.keys(attachment).some(key => key !== 'path')) {
+        return fail('Encrypted attachments must only include a path');
+      }
+      const invalid = validateEnvelope(encrypted);
+      if (invalid) return fail(invalid);
+    }
+    if (attachment !== null) {
+      if (typeof attachment !== 'object' || messageId) return fail('Invalid attachment');
+      if (encrypted === null && messageType === 'text') {
+        return fail('Attachments must be sent as an image, file or voice message');
+      }
+    }
+    if (messageType === 'voice' && (attachment === null || encrypted !== null)) {
+      return fail('Voice messages need a recording as their attachment');
+    }
+    const voiceMedia = messageType === 'voice' ? clientVoiceMedia(payload.media) : null;
+    if (voiceMedia === false) {
+      return fail('media must be { duration, waveform } with a duration in seconds and up to 64 levels from 0 to 100');
+    }
+
+    try {
+      let saved = null;
+
+      if (conversationId) {
+        if (!(await isMember(conversationId))) return fail('You are not a member of this conversation');
+      } else {
+        // The client may already have inserted the row itself; relay that instead of duplicating it
+        saved = messageId ? await store.getMessageById(messageId) : null;
+        if (saved && (saved.from_user_id !== userId || saved.to_user_id !== to)) {
+          return fail('Message does not belong to this conversation');
+        }
+      }
+
+      // An outbox retry of a send that already went through (the ack was
+      // lost): acknowledge it again without delivering it twice
+      const duplicate = !saved && clientMessageId
+        ? await store.getMessageByClientId(userId, clientMessageId)
+        : null;
+      if (duplicate) {
+        const sameChat = conversationId
+          ? duplicate.conversation_id === conversationId
+          : duplicate.to_user_id === to && !duplicate.conversation_id;
+        if (!sameChat) return fail('clientMessageId was already used for another chat');
+
+        const formatted = formatMessage(duplicate);
+        socket.emit('message_sent', formatted);
+        return reply({ status: 'sent', message: formatted, duplicate: true });
+      }
+
+      if (!saved) {
+        let row;
+        const upload = attachment && await findUpload(attachment);
+        if (attachment && !upload) return fail('Attachment not found; upload it first');
+        if (upload && upload.attached_at) return fail(ALREADY_ATTACHED);
+        // Nothing about an opaque (.bin) upload was checked; only ciphertext may be sent that way
+        if (upload && upload.opaque && encrypted === null) {
+          return fail('.bin uploads can only be attached to encrypted messages');
+        }
+        if (messageType === 'voice' && !upload.content_type.startsWith('audio/')) {
+          return fail('Voice messages must be audio recordings');
+        }
+        if (replyToMessageId !== null && !(await canReplyTo(replyToMessageId, { to, conversationId }))) {
+          return fail('The message being replied to is not in this chat');
+        }
+
+        if (encrypted !== null) {
+          const envelope = normalizeEnvelope(encrypted);
+          const mismatch = await checkRecipients(store, envelope, userId, to);
+          if (mismatch) return fail(mismatch.message, false, mismatch.code);
+
+          // The real type, text and any attachment pointer are inside the ciphertext
+          row = {
+            from_user_id: userId,
+            content: null,
+            message_type: 'encrypted',
+            encrypted: envelope,
+            file_path: attachment ? attachment.path : null,
+            reply_to_message_id: replyToMessageId,
+            client_message_id: clientMessageId
+          };
+        } else if (attachment) {
+          // The message text is an optional caption
+          if (message !== undefined && message !== null && typeof message !== 'string') return fail('Invalid caption');
+          const name = typeof attachment.name === 'string' ? attachment.name.trim().slice(0, 255) : '';
+
+          row = {
+            from_user_id: userId,
+            content: (message && message.trim()) || null,
+            message_type: messageType,
+            file_path: attachment.path,
+            file_name: name || 'file',
+            file_size: upload.size,
+            // Dimensions, blurhash and derived images made at upload time;
+            // for voice notes the server could not decode, the client's measurements
+            media: upload.media || voiceMedia,
+            reply_to_message_id: replyToMessageId,
+            client_message_id: clientMessageId
+          };
+        } else {
+          if (typeof message !== 'string' || !message.trim()) return fail('Message is empty');
+
+          row = {
+            from_user_id: userId,
+            content: message.trim(),
+            message_type: messageType,
+            reply_to_message_id: replyToMessageId,
+            client_message_id: clientMessageId
+          };
+        }
+
+        // Each upload goes with one message, so deleting that message can delete the file
+        if (upload && !(await store.claimUpload(CHAT_FILES_BUCKET, upload.path))) return fail(ALREADY_ATTACHED);
+        try {
+          saved = conversationId
+            ? await store.insertConversationMessage({ ...row, conversation_id: conversationId })
+            : await store.insertMessage({ ...row, to_user_id: to });
+        } catch (error) {
+          if (upload) await store.releaseUpload(CHAT_FILES_BUCKET, upload.path).catch(() => {});
+          throw error;
+        }
+      }
+
+      const formatted = formatMessage(saved);
+
+      // Everyone involved, including the sender's other tabs, but not this socket
+      if (conversationId) {
+        registry.emitToConversation(conversationId, 'receive_message', formatted, socket);
+      } else {
+        registry.emitToUsers([to, userId], 'receive_message', formatted, socket);
+      }
+      socket.emit('message_sent', formatted);
+      reply({ status: 'sent', message: formatted });
+    } catch (error) {
+      console.error('Socket send_message error:', error);
+      fail('Failed to send message', true);
+    }
+  });
+}
+
+module.exports = { registerMessagingHandlers, MESSAGE_TYPES };
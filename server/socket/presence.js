@@ -0,0 +1,221 @@
+// Presence: a user is online while at least one of their sockets is connected
+// and still heartbeating. Status is persisted to users.is_online/last_seen and
+// pushed as `user_status` to contacts, chat peers and explicit subscribers,
+// subject to the user's presence_visibility setting.
+const PRESENCE_VISIBILITY = ['everyone', 'contacts', 'nobody'];
+const DEFAULT_VISIBILITY = 'everyone';
+const MAX_SUBSCRIPTIONS = 500;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_OPTIONS = {
+  heartbeatTimeoutMs: 60 * 1000,
+  sweepIntervalMs: 15 * 1000
+};
+
+class PresenceService {
+  constructor({ store, registry, options = {} }) {
+    this.store = store;
+    this.registry = registry;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.online = new Set();
+    this.queues = new Map();
+    // subject user id -> Map<socket id, viewer user id>
+    this.subscribers = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep(), this.options.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  connected(socket) {
+    this.heartbeat(socket);
+    return this.sync(socket.data.userId);
+  }
+
+  heartbeat(socket) {
+    socket.data.lastHeartbeat = Date.now();
+  }
+
+  disconnected(socket) {
+    this.unsubscribe(socket);
+    return this.sync(socket.data.userId);
+  }
+
+  // Drop sockets whose client stopped heartbeating (sleeping laptop, killed
+  // tab behind a proxy that keeps the transport open)
+  sweep(now = Date.now()) {
+    for (const socket of this.registry.io.of('/').sockets.values()) {
+      if (now - (socket.data.lastHeartbeat || 0) > this.options.heartbeatTimeoutMs) {
+        socket.disconnect(true);
+      }
+    }
+  }
+
+  // Writes for one user run in order, and each compares against the registry
+  // at write time, so a quick connect/disconnect cannot leave a stale flag
+  sync(userId) {
+    const previous = this.queues.get(userId) || Promise.resolve();
+    const next = previous
+      .then(() => this.write(userId))
+      .catch(error => console.error('Presence update error:', error));
+
+    this.queues.set(userId, next);
+    next.then(() => {
+      if (this.queues.get(userId) === next) this.queues.delete(userId);
+    });
+    return next;
+  }
+
+  async write(userId) {
+    const isOnline = this.registry.isOnline(userId);
+    if (this.online.has(userId) === isOnline) return;
+
+    if (isOnline) this.online.add(userId);
+    else this.online.delete(userId);
+
+    await this.store.setUserOnline(userId, isOnline);
+    const user = await this.store.getUserById(userId);
+    if (user) await this.broadcast(user);
+  }
+
+  // Push the user's status to everyone watching it. When `revoke` is set,
+  // watchers that may no longer see it get a blank status instead.
+  async broadcast(user, { revoke = false } = {}) {
+    const watchers = await this.store.listPresenceWatchers(user.id);
+    const candidates = Array.from(new Set([
+      ...watchers,
+      ...(this.subscribers.get(user.id) || new Map()).values()
+    ]));
+    const allowed = await this.filterViewers(user, candidates);
+
+    this.registry.emitToUsers(allowed, 'user_status', statusOf(user));
+
+    if (revoke) {
+      const denied = candidates.filter(id => !allowed.includes(id));
+      this.registry.emitToUsers(denied, 'user_status', hiddenStatus(user.id));
+    }
+  }
+
+  async filterViewers(user, viewerIds) {
+    const visibility = user.presence_visibility || DEFAULT_VISIBILITY;
+    if (visibility === 'everyone') return viewerIds;
+    if (visibility === 'nobody') return [];
+
+    const contacts = new Set(await this.store.listPresenceContacts(user.id));
+    return viewerIds.filter(id => contacts.has(id));
+  }
+
+  // Statuses for `userIds` as `viewerId` may see them; hidden users read as
+  // offline with no last-seen time. Whoever counts the viewer as a contact is
+  // exactly whoever watches the viewer, so one lookup covers every user.
+  async query(viewerId, userIds) {
+    const users = await this.store.getUsersByIds(userIds);
+    const visibility = user => user.presence_visibility || DEFAULT_VISIBILITY;
+
+    const needsContacts = users.some(user => user.id !== viewerId && visibility(user) === 'contacts');
+    const contactOf = new Set(needsContacts ? await this.store.listPresenceWatchers(viewerId) : []);
+
+    return users.map((user) => {
+      const visible = user.id === viewerId ||
+        visibility(user) === 'everyone' ||
+        (visibility(user) === 'contacts' && contactOf.has(user.id));
+      return visible ? statusOf(user) : hiddenStatus(user.id);
+    });
+  }
+
+  async subscribe(socket, userIds) {
+    const viewerId = socket.data.userId;
+    const subscriptions = socket.data.presenceSubscriptions || new Set();
+    socket.data.presenceSubscriptions = subscriptions;
+
+    const added = userIds
+      .filter(id => id !== viewerId && !subscriptions.has(id))
+      .slice(0, Math.max(0, MAX_SUBSCRIPTIONS - subscriptions.size));
+
+    added.forEach((id) => {
+      subscriptions.add(id);
+      if (!this.subscribers.has(id)) this.subscribers.set(id, new Map());
+      this.subscribers.get(id).set(socket.id, viewerId);
+    });
+
+    return this.query(viewerId, userIds.filter(id => subscriptions.has(id)));
+  }
+
+  // Without `userIds`, drops every subscription the socket holds
+  unsubscribe(socket, userIds = null) {
+    const subscriptions = socket.data.presenceSubscriptions;
+    if (!subscriptions) return;
+
+    (userIds || Array.from(subscriptions)).forEach((id) => {
+      subscriptions.delete(id);
+      const sockets = this.subscribers.get(id);
+      if (!sockets) return;
+      sockets.delete(socket.id);
+      if (sockets.size === 0) this.subscribers.delete(id);
+    });
+  }
+
+  async setVisibility(userId, visibility) {
+    const user = await this.store.updateUser(userId, { presence_visibility: visibility });
+    if (user) await this.broadcast(user, { revoke: true });
+    return user;
+  }
+}
+
+function statusOf(user) {
+  return {
+    userId: user.id,
+    isOnline: Boolean(user.is_online),
+    lastSeen: user.last_seen || null
+  };
+}
+
+function hiddenStatus(userId) {
+  return { userId, isOnline: false, lastSeen: null };
+}
+
+function parseUserIds(value) {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(ids.filter(id => typeof id === 'string').map(id => id.trim()).filter(id => UUID.test(id))))
+    .slice(0, MAX_SUBSCRIPTIONS);
+}
+
+function registerPresenceHandlers(socket, { presence }) {
+  // Any traffic proves the client is alive; `heartbeat` covers idle periods
+  socket.onAny(() => presence.heartbeat(socket));
+
+  socket.on('heartbeat', (ack) => {
+    if (typeof ack === 'function') ack({ ts: new Date().toISOString() });
+  });
+
+  socket.on('presence_subscribe', async (payload = {}, ack) => {
+    try {
+      const users = await presence.subscribe(socket, parseUserIds(payload.userIds));
+      socket.emit('presence_state', { users });
+      if (typeof ack === 'function') ack({ status: 'success', users });
+    } catch (error) {
+      console.error('Presence subscribe error:', error);
+      if (typeof ack === 'function') ack({ status: 'error', message: 'Failed to load presence' });
+    }
+  });
+
+  socket.on('presence_unsubscribe', (payload = {}) => {
+    presence.unsubscribe(socket, payload.userIds ? parseUserIds(payload.userIds) : null);
+  });
+}
+
+module.exports = {
+  PresenceService,
+  registerPresenceHandlers,
+  parseUserIds,
+  PRESENCE_VISIBILITY,
+  DEFAULT_VISIBILITY
+};
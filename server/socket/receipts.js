@@ -0,0 +1,94 @@
+// Delivery and read receipts.
+//
+// The recipient's client acknowledges messages as they arrive (`message_delivered`)
+// and as they are viewed (`message_read`); each sender then receives one
+// `message_status` event per batch listing the updated messages. Voice notes
+// also report their first playback (`message_played`), answered with
+// `message_played` to both sides.
+const { messageStatus } = require('../formatters');
+
+const MAX_BATCH = 500;
+
+function validIds(messageIds) {
+  return Array.isArray(messageIds)
+    && messageIds.length > 0
+    && messageIds.length <= MAX_BATCH
+    && messageIds.every(id => typeof id === 'string');
+}
+
+function notifySenders(registry, recipientId, updated) {
+  const bySender = new Map();
+
+  updated.forEach(message => {
+    if (!bySender.has(message.from_user_id)) bySender.set(message.from_user_id, []);
+    bySender.get(message.from_user_id).push({
+      id: message.id,
+      status: messageStatus(message),
+      deliveredAt: message.delivered_at,
+      readAt: message.read_at
+    });
+  });
+
+  bySender.forEach((messages, senderId) => {
+    registry.emitToUser(senderId, 'message_status', {
+      peerId: recipientId,
+      messages
+    });
+  });
+}
+
+function registerReceiptHandlers(socket, { store, registry }) {
+  const userId = socket.data.userId;
+
+  // { messageIds: [...] }
+  socket.on('message_delivered', async (payload = {}) => {
+    if (!validIds(payload.messageIds)) return;
+
+    try {
+      const updated = await store.markMessagesDelivered(userId, payload.messageIds);
+      if (updated.length > 0) notifySenders(registry, userId, updated);
+    } catch (error) {
+      console.error('Socket message_delivered error:', error);
+    }
+  });
+
+  // { messageIds: [...] } for specific messages, or { peerId } for everything from that peer
+  socket.on('message_read', async (payload = {}) => {
+    const { messageIds, peerId } = payload;
+    if (!validIds(messageIds) && typeof peerId !== 'string') return;
+
+    try {
+      const updated = await store.markMessagesRead(userId, validIds(messageIds) ? { messageIds } : { peerId });
+      if (updated.length === 0) return;
+
+      notifySenders(registry, userId, updated);
+
+      const peerIds = new Set(updated.map(message => message.from_user_id));
+      await Promise.all(Array.from(peerIds).map(peer => store.refreshUserChat(userId, peer)));
+
+      // Let the reader's other tabs clear their unread state too
+      registry.emitToUser(userId, 'messages_read', { messageIds: updated.map(message => message.id) }, socket);
+    } catch (error) {
+      console.error('Socket message_read error:', error);
+    }
+  });
+
+  // { messageId } of a voice note sent to this user
+  socket.on('message_played', async (payload = {}) => {
+    if (typeof payload.messageId !== 'string') return;
+
+    try {
+      const played = await store.markMessagePlayed(userId, payload.messageId);
+      if (!played) return;
+
+      const update = { messageId: played.id, playedAt: played.played_at };
+      registry.emitToUser(played.from_user_id, 'message_played', { ...update, peerId: userId });
+      // The listener's other tabs drop their unplayed dot
+      registry.emitToUser(userId, 'message_played', { ...update, peerId: played.from_user_id }, socket);
+    } catch (error) {
+      console.error('Socket message_played error:', error);
+    }
+  });
+}
+
+module.exports = { registerReceiptHandlers };
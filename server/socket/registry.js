@@ -0,0 +1,80 @@
+// Tracks which sockets belong to which user and routes events through rooms.
+//
+// Every socket joins `user:<id>` for its user and `conversation:<id>` for each
+// group that user belongs to, so an event is only ever delivered to the sockets
+// of the people it concerns.
+const userRoom = (userId) => `user:${userId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+class SocketRegistry {
+  constructor(io) {
+    this.io = io;
+    this.userSockets = new Map();
+  }
+
+  add(userId, socket) {
+    if (!this.userSockets.has(userId)) {
+      this.userSockets.set(userId, new Map());
+    }
+    this.userSockets.get(userId).set(socket.id, socket);
+    socket.join(userRoom(userId));
+  }
+
+  remove(userId, socket) {
+    const sockets = this.userSockets.get(userId);
+    if (!sockets) return;
+
+    sockets.delete(socket.id);
+    if (sockets.size === 0) {
+      this.userSockets.delete(userId);
+    }
+  }
+
+  getSockets(userId) {
+    const sockets = this.userSockets.get(userId);
+    return sockets ? Array.from(sockets.values()) : [];
+  }
+
+  isOnline(userId) {
+    return this.userSockets.has(userId);
+  }
+
+  get size() {
+    return this.userSockets.size;
+  }
+
+  // Room membership follows group membership; call after invites, kicks and leaves
+  joinConversation(userIds, conversationId) {
+    if (userIds.length === 0) return;
+    this.io.in(userIds.map(userRoom)).socketsJoin(conversationRoom(conversationId));
+  }
+
+  leaveConversation(userIds, conversationId) {
+    if (userIds.length === 0) return;
+    this.io.in(userIds.map(userRoom)).socketsLeave(conversationRoom(conversationId));
+  }
+
+  // `except` may be a socket or a room name (e.g. userRoom(id) to skip all of a user's tabs)
+  target(rooms, except) {
+    const operator = this.io.to(rooms);
+    if (!except) return operator;
+    return operator.except(typeof except === 'string' ? except : except.id);
+  }
+
+  // Emit to every socket of a user, optionally skipping the originating one
+  emitToUser(userId, event, payload, except = null) {
+    this.target(userRoom(userId), except).emit(event, payload);
+  }
+
+  // Each socket receives the event once even if several of its users are listed
+  emitToUsers(userIds, event, payload, except = null) {
+    if (userIds.length === 0) return;
+    this.target(userIds.map(userRoom), except).emit(event, payload);
+  }
+
+  emitToConversation(conversationId, event, payload, except = null) {
+    this.target(conversationRoom(conversationId), except).emit(event, payload);
+  }
+}
+
+module.exports = { SocketRegistry, userRoom, conversationRoom };
@@ -0,0 +1,111 @@
+// Typing indicators. Nothing is written to the database: typing_start/typing_stop
+// are relayed as `user_typing` to the other side of the chat only. Each
+// indicator carries `expiresIn`; the server sends the stop itself if the
+// client's stop never arrives (crashed tab, lost packet), and repeated
+// typing_start events within the refresh window only extend the timer.
+// Indicators only reach people the typist already shares a chat with.
+const { userRoom } = require('./registry');
+
+const TYPING_TTL_MS = 6 * 1000;
+const TYPING_REFRESH_MS = 3 * 1000;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function typingKey(target) {
+  if (target.conversationId) return `conversation:${target.conversationId}`;
+  if (target.to) return `user:${target.to}`;
+  return null;
+}
+
+function registerTypingHandlers(socket, { store, registry, options = {} }) {
+  const userId = socket.data.userId;
+  const ttl = options.ttlMs || TYPING_TTL_MS;
+  const refresh = options.refreshMs || TYPING_REFRESH_MS;
+  // chat key -> { target, relayedAt, timer }
+  const active = new Map();
+
+  function relay(target, isTyping) {
+    const payload = { from: userId, isTyping, ...(isTyping && { expiresIn: ttl }) };
+
+    if (target.conversationId) {
+      // Skips all of the typist's tabs, not just this socket
+      registry.emitToConversation(
+        target.conversationId,
+        'user_typing',
+        { ...payload, conversationId: target.conversationId },
+        userRoom(userId)
+      );
+    } else {
+      registry.emitToUser(target.to, 'user_typing', payload);
+    }
+  }
+
+  function stop(key) {
+    const entry = active.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    active.delete(key);
+    relay(entry.target, false);
+  }
+
+  async function start(target, key) {
+    const entry = active.get(key);
+    const now = Date.now();
+
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => stop(key), ttl);
+      // Debounce: clients renew as they type, peers only need an occasional refresh
+      if (now - entry.relayedAt < refresh) return;
+      entry.relayedAt = now;
+      return relay(target, true);
+    }
+
+    if (target.conversationId && !(await store.getConversationMember(target.conversationId, userId))) {
+      return;
+    }
+    if (target.to && !(await store.getUserChat(userId, target.to)) && !(await store.getUserChat(target.to, userId))) {
+      return;
+    }
+    // Another typing_start may have won the race during the checks above
+    if (active.has(key)) return;
+
+    active.set(key, { target, relayedAt: now, timer: setTimeout(() => stop(key), ttl) });
+    relay(target, true);
+  }
+
+  function parseTarget(payload = {}) {
+    const target = payload.conversationId
+      ? { conversationId: payload.conversationId }
+      : { to: payload.to };
+    // A one-to-one chat needs a valid peer other than the typist
+    if (!target.conversationId && (typeof target.to !== 'string' || !UUID.test(target.to) || target.to === userId)) {
+      return { key: null, target };
+    }
+    return { key: typingKey(target), target };
+  }
+
+  socket.on('typing_start', (payload) => {
+    const { key, target } = parseTarget(payload);
+    if (!key) return;
+    start(target, key).catch(error => console.error('Socket typing error:', error));
+  });
+
+  socket.on('typing_stop', (payload) => {
+    const { key } = parseTarget(payload);
+    if (key) stop(key);
+  });
+
+  // Sending a message ends the indicator for that chat
+  socket.on('send_message', (payload) => {
+    const { key } = parseTarget(payload);
+    if (key) stop(key);
+  });
+
+  // Clear any typing indicator this tab left behind
+  socket.on('disconnect', () => {
+    Array.from(active.keys()).forEach(stop);
+  });
+}
+
+module.exports = { registerTypingHandlers, TYPING_TTL_MS, TYPING_REFRESH_MS };
@@ -0,0 +1,35 @@
+// Storage adapter selection.
+//
+// Every adapter exposes the same async interface (getUserById, listMessages,
+// listUserChats, listContacts, ...) and returns database-shaped rows, so the
+// REST routes and socket gateway never know which backend they are using.
+//
+//   STORAGE_DRIVER=supabase  requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY;
+//                            the anon key cannot reach the locked-down tables
+//   STORAGE_DRIVER=memory    demo mode, seeded with mock users
+//
+// Without STORAGE_DRIVER, Supabase is used when it is configured and demo mode otherwise.
+const { createSupabaseStore } = require('./supabase');
+const { createMemoryStore } = require('./memory');
+const { seedDemoData } = require('./seed');
+
+function createStore(env = process.env) {
+  const url = env.SUPABASE_URL;
+  const key = env.SUPABASE_SERVICE_ROLE_KEY;
+  const driver = env.STORAGE_DRIVER || (url && key ? 'supabase' : 'memory');
+
+  if (driver === 'supabase') {
+    if (!url || !key) {
+      throw new Error('STORAGE_DRIVER=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (the anon key is not accepted)');
+    }
+    return createSupabaseStore({ url, key });
+  }
+
+  if (driver === 'memory') {
+    return createMemoryStore({ seed: env.DEMO_SEED === 'false' ? null : seedDemoData });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+module.exports = { createStore, createMemoryStore, createSupabaseStore };
@@ -0,0 +1,992 @@
+// In-memory storage for demo mode and offline integration tests.
+// Implements the same interface as storage/supabase.js and returns rows in the
+// same snake_case shape PostgREST would.
+const crypto = require('crypto');
+const { matchRank } = require('../messageSearch');
+
+function uniqueViolation(constraint) {
+  const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  error.code = '23505';
+  return error;
+}
+
+// Chat list preview text; mirrors public.message_preview() in the SQL migrations
+function messagePreview(message) {
+  if (message.encrypted) return 'Encrypted message';
+  if (message.message_type === 'voice') return 'Voice message';
+  return message.content || message.file_name || 'Attachment';
+}
+
+function createMemoryStore({ seed = null } = {}) {
+  const tables = {
+    users: new Map(),
+    profiles: new Map(),
+    messages: new Map(),
+    user_chats: new Map(),
+    chat_settings: new Map(),
+    contacts: new Map(),
+    otp_challenges: new Map(),
+    refresh_tokens: new Map(),
+    conversations: new Map(),
+    conversation_members: new Map(),
+    device_keys: new Map(),
+    message_reactions: new Map(),
+    message_revisions: new Map(),
+    hidden_messages: new Map(),
+    uploads: new Map()
+  };
+
+  const now = () => new Date().toISOString();
+  const clone = (row) => (row ? { ...row } : null);
+  const rows = (table) => Array.from(tables[table].values());
+
+  function insert(table, row) {
+    const record = { id: crypto.randomUUID(), created_at: now(), ...row };
+    tables[table].set(record.id, record);
+    return record;
+  }
+
+  function withReply(message) {
+    const reply = message.reply_to_message_id && tables.messages.get(message.reply_to_message_id);
+    if (!reply) return { ...message, reply_to_message: null };
+
+    const author = tables.users.get(reply.from_user_id);
+    return {
+      ...message,
+      reply_to_message: {
+        id: reply.id,
+        content: reply.content,
+        from_user_id: reply.from_user_id,
+        users: author ? { name: author.name } : null
+      }
+    };
+  }
+
+  function findChatRow(ownerId, peerId) {
+    return rows('user_chats').find(row => row.owner_id === ownerId && row.peer_id === peerId);
+  }
+
+  function upsertChatRow(ownerId, peerId) {
+    return findChatRow(ownerId, peerId) || insert('user_chats', {
+      owner_id: ownerId,
+      peer_id: peerId,
+      last_message_content: null,
+      last_message_timestamp: null,
+      unread_count: 0,
+      is_archived: false,
+      pin_rank: null,
+      cleared_before: null,
+      previous_cleared_before: null,
+      cleared_at: null
+    });
+  }
+
+  // chat_settings is keyed by the user_chats row id
+  function isMuted(chat, at = now()) {
+    const settings = tables.chat_settings.get(chat.id);
+    return Boolean(settings && settings.muted_until && settings.muted_until > at);
+  }
+
+  function withSettings(chat) {
+    const settings = tables.chat_settings.get(chat.id);
+    return { ...chat, muted_until: settings ? settings.muted_until : null };
+  }
+
+  function conversationMessages(userId, peerId) {
+    return rows('messages').filter(message =>
+      (message.from_user_id === userId && message.to_user_id === peerId) ||
+      (message.from_user_id === peerId && message.to_user_id === userId));
+  }
+
+  // Predicate for messages a user may read: their 1:1 chats and current groups
+  function visibleTo(userId) {
+    const groups = new Set(rows('conversation_members')
+      .filter(member => member.user_id === userId)
+      .map(member => member.conversation_id));
+
+    return (message) => (message.conversation_id
+      ? groups.has(message.conversation_id)
+      : message.from_user_id === userId || message.to_user_id === userId);
+  }
+
+  // Messages one user no longer sees: ones they deleted for themselves
+  // (hidden_messages, keyed `${message_id}:${user_id}`) and, in 1:1 chats,
+  // everything up to the chat's cleared_before
+  function isHiddenFor(message, userId) {
+    if (!userId) return false;
+    if (tables.hidden_messages.has(`${message.id}:${userId}`)) return true;
+    if (message.conversation_id) return false;
+
+    const peerId = message.from_user_id === userId ? message.to_user_id : message.from_user_id;
+    const chat = findChatRow(userId, peerId);
+    return Boolean(chat && chat.cleared_before && message.created_at <= chat.cleared_before);
+  }
+
+  function findByClientId(fromUserId, clientMessageId) {
+    if (!clientMessageId) return null;
+    return rows('messages').find(message =>
+      message.from_user_id === fromUserId && message.client_message_id === clientMessageId);
+  }
+
+  // History order is (created_at, id). A cursor without an id (a plain
+  // timestamp) compares equal to every row at that time, excluding them all.
+  function compareToCursor(message, cursor) {
+    return message.created_at.localeCompare(cursor.createdAt) ||
+      (cursor.id ? message.id.localeCompare(cursor.id) : 0);
+  }
+
+  // One page of `messages`, oldest first: the first `limit` after `after`,
+  // otherwise the last `limit` before `before` (or overall). Messages deleted
+  // for everyone stay in as tombstones; those `viewerId` hid are left out.
+  function messagePage(messages, { limit = 50, before = null, after = null, viewerId = null } = {}) {
+    const sorted = messages
+      .filter(message => !isHiddenFor(message, viewerId))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+
+    if (after) {
+      return sorted.filter(message => compareToCursor(message, after) > 0).slice(0, limit).map(withReply);
+    }
+
+    const older = before ? sorted.filter(message => compareToCursor(message, before) < 0) : sorted;
+    return older.slice(Math.max(0, older.length - limit)).map(withReply);
+  }
+
+  function findMember(conversationId, userId) {
+    return rows('conversation_members')
+      .find(member => member.conversation_id === conversationId && member.user_id === userId);
+  }
+
+  function membersOf(conversationId) {
+    return rows('conversation_members')
+      .filter(member => member.conversation_id === conversationId)
+      .sort((a, b) => a.joined_at.localeCompare(b.joined_at));
+  }
+
+  const store = {
+    driver: 'memory',
+
+    // ---- users ----
+
+    async getUserById(id) {
+      return clone(tables.users.get(id));
+    },
+
+    async getUserByPhone(phone) {
+      return clone(rows('users').find(user => user.phone === phone));
+    },
+
+    async findUsersByPhoneSuffix(digits, { excludeUserId = null, limit = 5 } = {}) {
+      return rows('users')
+        .filter(user => user.phone.endsWith(digits) && user.id !== excludeUserId)
+        .slice(0, limit)
+        .map(({ id, phone, name }) => ({ id, phone, name }));
+    },
+
+    async createUser({ id, phone, name = null, email = null }) {
+      if (rows('users').some(user => user.phone === phone)) {
+        throw uniqueViolation('users_phone_key');
+      }
+
+      const user = insert('users', {
+        ...(id && { id }),
+        phone,
+        name,
+        email,
+        is_online: false,
+        last_seen: now(),
+        presence_visibility: 'everyone',
+        updated_at: now()
+      });
+
+      tables.profiles.set(user.id, {
+        id: user.id,
+        user_id: user.id,
+        display_name: name || phone,
+        status: 'Hey there! I am using Digidad.',
+        created_at: user.created_at
+      });
+
+      return clone(user);
+    },
+
+    async setUserOnline(id, isOnline) {
+      const user = tables.users.get(id);
+      if (!user) return;
+
+      user.is_online = isOnline;
+      user.last_seen = now();
+    },
+
+    async getUsersByIds(ids) {
+      return ids.map(id => tables.users.get(id)).filter(Boolean).map(clone);
+    },
+
+    async updateUser(id, changes) {
+      const user = tables.users.get(id);
+      if (!user) return null;
+
+      Object.assign(user, changes, { updated_at: now() });
+      return clone(user);
+    },
+
+    async getProfile(userId) {
+      return clone(tables.profiles.get(userId));
+    },
+
+    async updateProfile(userId, changes) {
+      const profile = tables.profiles.get(userId);
+      if (!profile) return null;
+
+      Object.assign(profile, changes, { updated_at: now() });
+      return clone(profile);
+    },
+
+    // ---- device_keys (end-to-end encryption identity keys, keyed by device_id) ----
+
+    async listDeviceKeys(userIds) {
+      return rows('device_keys')
+        .filter(device => userIds.includes(device.user_id))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(clone);
+    },
+
+    async getDeviceKey(deviceId) {
+      return clone(tables.device_keys.get(deviceId));
+    },
+
+    async saveDeviceKey({ user_id, device_id, identity_key }) {
+      const existing = tables.device_keys.get(device_id);
+      if (existing && existing.user_id !== user_id) throw uniqueViolation('device_keys_pkey');
+
+      const device = existing
+        ? Object.assign(existing, { identity_key, updated_at: now() })
+        : { user_id, device_id, identity_key, created_at: now(), updated_at: now() };
+      tables.device_keys.set(device_id, device);
+      return clone(device);
+    },
+
+    async deleteDeviceKey(userId, deviceId) {
+      const device = tables.device_keys.get(deviceId);
+      if (!device || device.user_id !== userId) return false;
+
+      tables.device_keys.delete(deviceId);
+      return true;
+    },
+
+    // ---- otp_challenges (keyed by phone) ----
+
+    async getOtpChallenge(phone) {
+      return clone(tables.otp_challenges.get(phone));
+    },
+
+    // Store `challenge` unless a code was sent for the phone after
+    // `notSentSince`; resolves to whether it was stored
+    async issueOtpChallenge(challenge, { notSentSince }) {
+      const existing = tables.otp_challenges.get(challenge.phone);
+      if (existing && Date.parse(existing.last_sent_at) > Date.parse(notSentSince)) return false;
+
+      tables.otp_challenges.set(challenge.phone, { ...challenge, attempts: 0 });
+      return true;
+    },
+
+    // Count an attempt unless `maxAttempts` are used up; resolves to the
+    // updated challenge, or null
+    async recordOtpAttempt(phone, maxAttempts) {
+      const challenge = tables.otp_challenges.get(phone);
+      if (!challenge || challenge.attempts >= maxAttempts) return null;
+
+      challenge.attempts += 1;
+      return clone(challenge);
+    },
+
+    // With `codeHash`, only deletes that very challenge; resolves to whether one was deleted
+    async deleteOtpChallenge(phone, { codeHash = null } = {}) {
+      const challenge = tables.otp_challenges.get(phone);
+      if (!challenge || (codeHash && challenge.code_hash !== codeHash)) return false;
+
+      return tables.otp_challenges.delete(phone);
+    },
+
+    // ---- refresh_tokens ----
+
+    async saveRefreshToken(token) {
+      return clone(insert('refresh_tokens', token));
+    },
+
+    async getRefreshTokenByHash(tokenHash) {
+      return clone(rows('refresh_tokens').find(token => token.token_hash === tokenHash));
+    },
+
+    // Revoke one token unless it already was; resolves to whether it was revoked now
+    async revokeRefreshToken(id, { replacedBy = null } = {}) {
+      const token = tables.refresh_tokens.get(id);
+      if (!token || token.revoked_at) return false;
+
+      Object.assign(token, { revoked_at: now(), replaced_by: replacedBy });
+      return true;
+    },
+
+    async revokeRefreshTokenFamily(familyId) {
+      const revokedAt = now();
+      rows('refresh_tokens')
+        .filter(token => token.family_id === familyId && !token.revoked_at)
+        .forEach(token => { token.revoked_at = revokedAt; });
+    },
+
+    // ---- messages ----
+
+    async getMessageById(id) {
+      return clone(tables.messages.get(id));
+    },
+
+    async getMessageByClientId(fromUserId, clientMessageId) {
+      return clone(findByClientId(fromUserId, clientMessageId));
+    },
+
+    // Inserts the message and updates both participants' user_chats rows.
+    // Nothing awaits in between, so no other request can observe a half-applied send.
+    // A repeated client_message_id returns the original row and changes nothing.
+    async insertMessage(message) {
+      const existing = findByClientId(message.from_user_id, message.client_message_id);
+      if (existing) return clone(existing);
+
+      const saved = insert('messages', {
+        reply_to_message_id: null,
+        file_url: null,
+        file_path: null,
+        file_name: null,
+        file_size: null,
+        media: null,
+        is_edited: false,
+        is_deleted: false,
+        delivered_at: null,
+        read_at: null,
+        played_at: null,
+        client_message_id: null,
+        encrypted: null,
+        updated_at: message.created_at || now(),
+        ...message
+      });
+
+      const preview = {
+        last_message_content: messagePreview(saved),
+        last_message_timestamp: saved.created_at
+      };
+      Object.assign(upsertChatRow(saved.from_user_id, saved.to_user_id), preview);
+
+      // A new message brings an archived chat back, unless it is muted
+      const recipientChat = upsertChatRow(saved.to_user_id, saved.from_user_id);
+      Object.assign(recipientChat, preview, {
+        unread_count: recipientChat.unread_count + 1,
+        is_archived: recipientChat.is_archived && isMuted(recipientChat)
+      });
+
+      return clone(saved);
+    },
+
+    async updateMessage(id, updates) {
+      const message = tables.messages.get(id);
+      if (!message) return null;
+
+      Object.assign(message, updates, { updated_at: now() });
+      return clone(message);
+    },
+
+    async markMessagesDelivered(recipientId, messageIds) {
+      const deliveredAt = now();
+      return messageIds
+        .map(id => tables.messages.get(id))
+        .filter(message => message && message.to_user_id === recipientId && !message.delivered_at)
+        .map(message => {
+          message.delivered_at = deliveredAt;
+          message.updated_at = deliveredAt;
+          return clone(message);
+        });
+    },
+
+    async markMessagesRead(recipientId, { messageIds = null, peerId = null } = {}) {
+      const readAt = now();
+      return rows('messages')
+        .filter(message => message.to_user_id === recipientId && !message.read_at)
+        .filter(message => (messageIds ? messageIds.includes(message.id) : message.from_user_id === peerId))
+        .map(message => {
+          message.delivered_at = message.delivered_at || readAt;
+          message.read_at = readAt;
+          message.updated_at = readAt;
+          return clone(message);
+        });
+    },
+
+    // Only the recipient of a 1:1 voice note marks it played, once
+    async markMessagePlayed(recipientId, messageId) {
+      const message = tables.messages.get(messageId);
+      if (!message || message.to_user_id !== recipientId || message.message_type !== 'voice'
+        || message.is_deleted || message.played_at) {
+        return null;
+      }
+
+      message.played_at = now();
+      message.updated_at = message.played_at;
+      return clone(message);
+    },
+
+    async listMessages(userId, peerId, options = {}) {
+      return messagePage(conversationMessages(userId, peerId), { ...options, viewerId: userId });
+    },
+
+    // The clock that stamps created_at and updated_at, for sync tokens
+    async getDatabaseTime() {
+      return now();
+    },
+
+    // Messages in the user's 1:1 chats and current groups created or changed
+    // after the `since` keyset ({ updatedAt, id }), oldest change first.
+    // Deleted and hidden rows are included (see listHiddenMessageIds).
+    async listMessageChanges(userId, { since, limit = 500 }) {
+      return rows('messages')
+        .filter(visibleTo(userId))
+        .filter(message => (message.updated_at.localeCompare(since.updatedAt) || message.id.localeCompare(since.id)) > 0)
+        .sort((a, b) => a.updated_at.localeCompare(b.updated_at) || a.id.localeCompare(b.id))
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    // Ranked matches across every 1:1 chat and current group of the user.
+    // Each row carries its `rank`.
+    async searchMessages(userId, { terms, peerId = null, conversationId = null, from = null, to = null, messageType = null, limit = 20, offset = 0 }) {
+      const visible = visibleTo(userId);
+      const inScope = (message) => {
+        if (conversationId) return message.conversation_id === conversationId;
+        if (peerId) return !message.conversation_id && [message.from_user_id, message.to_user_id].includes(peerId);
+        return true;
+      };
+
+      return rows('messages')
+        .filter(message => !message.is_deleted && visible(message) && inScope(message))
+        .filter(message => !isHiddenFor(message, userId))
+        .filter(message => !from || message.created_at >= from)
+        .filter(message => !to || message.created_at <= to)
+        .filter(message => !messageType || message.message_type === messageType)
+        .map(message => ({ ...message, rank: matchRank(message.content, terms) }))
+        .filter(message => message.rank > 0)
+        .sort((a, b) => b.rank - a.rank || b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id))
+        .slice(offset, offset + limit)
+        .map(withReply);
+    },
+
+    // `message` plus up to `before` older and `after` newer messages from the
+    // same chat, each list oldest first
+    async listMessagesAround(message, { before = 25, after = 25, viewerId = null } = {}) {
+      const chat = message.conversation_id
+        ? rows('messages').filter(row => row.conversation_id === message.conversation_id)
+        : conversationMessages(message.from_user_id, message.to_user_id);
+      const cursor = { createdAt: message.created_at, id: message.id };
+
+      return {
+        before: messagePage(chat, { limit: before, before: cursor, viewerId }),
+        message: withReply(tables.messages.get(message.id) || message),
+        after: messagePage(chat, { limit: after, after: cursor, viewerId })
+      };
+    },
+
+    // Keeps the replaced text (or envelope) as a revision, then applies the edit
+    async editMessage(id, { content = null, encrypted = null }) {
+      const message = tables.messages.get(id);
+      if (!message || message.is_deleted) return null;
+
+      const revisions = rows('message_revisions').filter(revision => revision.message_id === id);
+      insert('message_revisions', {
+        message_id: id,
+        revision: revisions.length + 1,
+        content: message.content,
+        encrypted: message.encrypted,
+        written_at: message.edited_at || message.created_at,
+        replaced_at: now()
+      });
+
+      Object.assign(message, { content, encrypted, is_edited: true, edited_at: now(), updated_at: now() });
+      return clone(message);
+    },
+
+    async listMessageRevisions(messageId) {
+      return rows('message_revisions')
+        .filter(revision => revision.message_id === messageId)
+        .sort((a, b) => a.revision - b.revision)
+        .map(clone);
+    },
+
+    // Leaves a tombstone: the row stays, everything the sender wrote goes,
+    // along with its revisions and reactions
+    async deleteMessageForEveryone(id) {
+      const message = tables.messages.get(id);
+      if (!message || message.is_deleted) return null;
+
+      rows('message_revisions')
+        .filter(revision => revision.message_id === id)
+        .forEach(revision => tables.message_revisions.delete(revision.id));
+      rows('message_reactions')
+        .filter(reaction => reaction.message_id === id)
+        .forEach(reaction => tables.message_reactions.delete(`${id}:${reaction.user_id}:${reaction.emoji}`));
+
+      Object.assign(message, {
+        is_deleted: true,
+        deleted_at: now(),
+        content: null,
+        encrypted: null,
+        file_url: null,
+        file_path: null,
+        file_name: null,
+        file_size: null,
+        media: null,
+        updated_at: now()
+      });
+      return clone(message);
+    },
+
+    // "Delete for me". Resolves to whether the message was newly hidden.
+    async hideMessage(messageId, userId) {
+      const key = `${messageId}:${userId}`;
+      if (tables.hidden_messages.has(key)) return false;
+
+      tables.hidden_messages.set(key, { message_id: messageId, user_id: userId, hidden_at: now() });
+      const message = tables.messages.get(messageId);
+      if (message) message.updated_at = now();
+      return true;
+    },
+
+    // Which of `messageIds` the user has hidden or cleared
+    async listHiddenMessageIds(userId, messageIds) {
+      return messageIds.filter(id => tables.messages.has(id) && isHiddenFor(tables.messages.get(id), userId));
+    },
+
+    // ---- message_reactions (keyed by message, user and emoji) ----
+
+    async listReactions(messageIds) {
+      return rows('message_reactions')
+        .filter(reaction => messageIds.includes(reaction.message_id))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(clone);
+    },
+
+    // Both resolve to whether anything changed. A change stamps the message's
+    // updated_at so delta sync picks it up, like the trigger in the migrations.
+    async addReaction(messageId, userId, emoji) {
+      const key = `${messageId}:${userId}:${emoji}`;
+      if (tables.message_reactions.has(key)) return false;
+
+      tables.message_reactions.set(key, { message_id: messageId, user_id: userId, emoji, created_at: now() });
+      const message = tables.messages.get(messageId);
+      if (message) message.updated_at = now();
+      return true;
+    },
+
+    async removeReaction(messageId, userId, emoji) {
+      if (!tables.message_reactions.delete(`${messageId}:${userId}:${emoji}`)) return false;
+
+      const message = tables.messages.get(messageId);
+      if (message) message.updated_at = now();
+      return true;
+    },
+
+    // ---- user_chats ----
+
+    // Pinned chats first (lowest pin_rank on top), then the most recent
+    async listUserChats(ownerId, { archived = false } = {}) {
+      return rows('user_chats')
+        .filter(chat => chat.owner_id === ownerId && Boolean(chat.is_archived) === archived)
+        .sort((a, b) => {
+          const aPinned = a.pin_rank !== null && a.pin_rank !== undefined;
+          const bPinned = b.pin_rank !== null && b.pin_rank !== undefined;
+          if (aPinned !== bPinned) return aPinned ? -1 : 1;
+          if (aPinned) return a.pin_rank - b.pin_rank;
+          return (b.last_message_timestamp || '').localeCompare(a.last_message_timestamp || '');
+        })
+        .map(chat => {
+          const peer = tables.users.get(chat.peer_id);
+          return {
+            ...withSettings(chat),
+            peer: peer ? {
+              id: peer.id,
+              name: peer.name,
+              phone: peer.phone,
+              is_online: peer.is_online,
+              last_seen: peer.last_seen
+            } : null
+          };
+        });
+    },
+
+    async getUserChat(ownerId, peerId) {
+      const chat = findChatRow(ownerId, peerId);
+      return chat ? withSettings(chat) : null;
+    },
+
+    // Pin and archive state; does not create missing chats
+    async updateUserChat(ownerId, peerId, changes) {
+      const chat = findChatRow(ownerId, peerId);
+      if (!chat) return null;
+
+      Object.assign(chat, changes);
+      return withSettings(chat);
+    },
+
+    async setChatMutedUntil(ownerId, peerId, mutedUntil) {
+      const chat = findChatRow(ownerId, peerId);
+      if (!chat) return null;
+
+      const settings = tables.chat_settings.get(chat.id) || { id: chat.id, owner_id: ownerId, chat_id: chat.id, settings: {} };
+      tables.chat_settings.set(chat.id, { ...settings, muted_until: mutedUntil, updated_at: now() });
+      return withSettings(chat);
+    },
+
+    async upsertUserChat(ownerId, peerId, updates = {}) {
+      return clone(Object.assign(upsertChatRow(ownerId, peerId), updates));
+    },
+
+    // Recompute the owner's preview and unread count from the messages themselves
+    async refreshUserChat(ownerId, peerId) {
+      const chat = findChatRow(ownerId, peerId);
+      if (!chat) return null;
+
+      const visible = conversationMessages(ownerId, peerId)
+        .filter(message => !message.is_deleted && !isHiddenFor(message, ownerId));
+      const latest = visible.sort((a, b) => b.created_at.localeCompare(a.created_at))[0];
+
+      Object.assign(chat, {
+        last_message_content: latest ? messagePreview(latest) : null,
+        last_message_timestamp: latest ? latest.created_at : null,
+        unread_count: visible.filter(message => message.to_user_id === ownerId && !message.read_at).length
+      });
+
+      return clone(chat);
+    },
+
+    // "Clear chat": hides everything up to `before` from the owner only. The
+    // previous marker is kept so the clear can be undone.
+    async clearUserChat(ownerId, peerId, before = now()) {
+      const chat = findChatRow(ownerId, peerId);
+      if (!chat) return null;
+
+      Object.assign(chat, {
+        previous_cleared_before: chat.cleared_before,
+        cleared_before: before,
+        cleared_at: now()
+      });
+      return clone(chat);
+    },
+
+    // Puts back the marker replaced by the last clear, if that clear happened
+    // at or after `since`
+    async undoClearUserChat(ownerId, peerId, since) {
+      const chat = findChatRow(ownerId, peerId);
+      if (!chat || !chat.cleared_at || chat.cleared_at < since) return null;
+
+      Object.assign(chat, {
+        cleared_before: chat.previous_cleared_before,
+        previous_cleared_before: null,
+        cleared_at: null
+      });
+      return clone(chat);
+    },
+
+    // Permanently deletes every message between two users, with their
+    // reactions, revisions and hides. Resolves to the deleted rows.
+    async purgeChat(userId, peerId) {
+      const purged = conversationMessages(userId, peerId).filter(message => !message.conversation_id);
+      const ids = new Set(purged.map(message => message.id));
+
+      ['message_reactions', 'message_revisions', 'hidden_messages'].forEach(table => {
+        for (const [key, row] of tables[table]) {
+          if (ids.has(row.message_id)) tables[table].delete(key);
+        }
+      });
+      purged.forEach(message => tables.messages.delete(message.id));
+
+      return purged.map(clone);
+    },
+
+    // ---- conversations (groups) ----
+
+    async createConversation({ name, avatar_path = null, created_by }, memberIds) {
+      const conversation = insert('conversations', {
+        type: 'group',
+        name,
+        avatar_path,
+        created_by,
+        last_message_content: null,
+        last_message_timestamp: null,
+        updated_at: now()
+      });
+
+      const joinedAt = now();
+      insert('conversation_members', {
+        conversation_id: conversation.id,
+        user_id: created_by,
+        role: 'admin',
+        joined_at: joinedAt,
+        last_read_at: joinedAt,
+        unread_count: 0
+      });
+      memberIds
+        .filter(userId => userId !== created_by && tables.users.has(userId))
+        .forEach(userId => insert('conversation_members', {
+          conversation_id: conversation.id,
+          user_id: userId,
+          role: 'member',
+          joined_at: joinedAt,
+          last_read_at: null,
+          unread_count: 0
+        }));
+
+      return clone(conversation);
+    },
+
+    async getConversation(id) {
+      return clone(tables.conversations.get(id));
+    },
+
+    async updateConversation(id, updates) {
+      const conversation = tables.conversations.get(id);
+      if (!conversation) return null;
+
+      Object.assign(conversation, updates, { updated_at: now() });
+      return clone(conversation);
+    },
+
+    async getConversationMember(conversationId, userId) {
+      return clone(findMember(conversationId, userId));
+    },
+
+    async listConversationMembers(conversationId) {
+      return membersOf(conversationId).map(member => {
+        const user = tables.users.get(member.user_id);
+        return {
+          ...member,
+          user: user ? { id: user.id, name: user.name, phone: user.phone } : null
+        };
+      });
+    },
+
+    // Returns only the rows that were actually added
+    async addConversationMembers(conversationId, userIds, role = 'member') {
+      const joinedAt = now();
+      return userIds
+        .filter(userId => tables.users.has(userId) && !findMember(conversationId, userId))
+        .map(userId => clone(insert('conversation_members', {
+          conversation_id: conversationId,
+          user_id: userId,
+          role,
+          joined_at: joinedAt,
+          last_read_at: null,
+          unread_count: 0
+        })));
+    },
+
+    async updateConversationMember(conversationId, userId, updates) {
+      const member = findMember(conversationId, userId);
+      if (!member) return null;
+
+      Object.assign(member, updates);
+      return clone(member);
+    },
+
+    async removeConversationMember(conversationId, userId) {
+      const member = findMember(conversationId, userId);
+      return member ? tables.conversation_members.delete(member.id) : false;
+    },
+
+    async listUserConversations(userId) {
+      return rows('conversation_members')
+        .filter(member => member.user_id === userId)
+        .map(member => ({
+          ...tables.conversations.get(member.conversation_id),
+          membership: clone(member),
+          member_count: membersOf(member.conversation_id).length
+        }))
+        .sort((a, b) => (b.last_message_timestamp || b.created_at).localeCompare(a.last_message_timestamp || a.created_at));
+    },
+
+    // Inserts a group message, updates the group preview and bumps every other
+    // member's unread count without yielding in between
+    async insertConversationMessage(message) {
+      const existing = findByClientId(message.from_user_id, message.client_message_id);
+      if (existing) return clone(existing);
+
+      const saved = insert('messages', {
+        to_user_id: null,
+        reply_to_message_id: null,
+        file_url: null,
+        file_path: null,
+        file_name: null,
+        file_size: null,
+        media: null,
+        is_edited: false,
+        is_deleted: false,
+        delivered_at: null,
+        read_at: null,
+        played_at: null,
+        client_message_id: null,
+        encrypted: null,
+        updated_at: message.created_at || now(),
+        ...message
+      });
+
+      Object.assign(tables.conversations.get(saved.conversation_id), {
+        last_message_content: messagePreview(saved),
+        last_message_timestamp: saved.created_at
+      });
+      membersOf(saved.conversation_id)
+        .filter(member => member.user_id !== saved.from_user_id)
+        .forEach(member => { member.unread_count++; });
+
+      return clone(saved);
+    },
+
+    async listConversationMessages(conversationId, options = {}) {
+      return messagePage(rows('messages').filter(message => message.conversation_id === conversationId), options);
+    },
+
+    // Recompute the group's preview after its latest message was edited or deleted
+    async refreshConversationPreview(conversationId) {
+      const conversation = tables.conversations.get(conversationId);
+      if (!conversation) return null;
+
+      const latest = rows('messages')
+        .filter(message => message.conversation_id === conversationId && !message.is_deleted)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))[0];
+
+      Object.assign(conversation, {
+        last_message_content: latest ? messagePreview(latest) : null,
+        last_message_timestamp: latest ? latest.created_at : null
+      });
+      return clone(conversation);
+    },
+
+    async markConversationRead(conversationId, userId) {
+      const member = findMember(conversationId, userId);
+      if (!member) return null;
+
+      Object.assign(member, { last_read_at: now(), unread_count: 0 });
+      return clone(member);
+    },
+
+    // ---- contacts ----
+
+    // Users who should see this user's presence: anyone with a chat with them
+    // or with their number saved as a contact
+    async listPresenceWatchers(userId) {
+      const user = tables.users.get(userId);
+      if (!user) return [];
+
+      const last10 = user.phone.replace(/\D/g, '').slice(-10);
+      const owners = [
+        ...rows('user_chats').filter(chat => chat.peer_id === userId),
+        ...rows('contacts').filter(contact => contact.contact_phone.replace(/\D/g, '').endsWith(last10))
+      ].map(row => row.owner_id);
+
+      return Array.from(new Set(owners)).filter(ownerId => ownerId !== userId);
+    },
+
+    // Users this user has chatted with or saved as a contact; the audience for
+    // presence_visibility = 'contacts'
+    async listPresenceContacts(userId) {
+      const saved = rows('contacts')
+        .filter(contact => contact.owner_id === userId)
+        .map(contact => contact.contact_phone.replace(/\D/g, '').slice(-10))
+        .filter(Boolean);
+
+      const ids = [
+        ...rows('user_chats').filter(chat => chat.owner_id === userId).map(chat => chat.peer_id),
+        ...rows('users')
+          .filter(user => saved.some(last10 => user.phone.replace(/\D/g, '').endsWith(last10)))
+          .map(user => user.id)
+      ];
+
+      return Array.from(new Set(ids)).filter(id => id !== userId);
+    },
+
+    async listContacts(ownerId) {
+      return rows('contacts')
+        .filter(contact => contact.owner_id === ownerId)
+        .sort((a, b) => (a.contact_name || '').localeCompare(b.contact_name || ''))
+        .map(clone);
+    },
+
+    async addContact(ownerId, { contact_name, contact_phone, contact_email = null }) {
+      return clone(insert('contacts', {
+        owner_id: ownerId,
+        contact_name,
+        contact_phone,
+        contact_email
+      }));
+    },
+
+    async updateContact(ownerId, contactId, updates) {
+      const contact = tables.contacts.get(contactId);
+      if (!contact || contact.owner_id !== ownerId) return null;
+
+      Object.assign(contact, updates, { id: contact.id, owner_id: ownerId });
+      return clone(contact);
+    },
+
+    async deleteContact(ownerId, contactId) {
+      const contact = tables.contacts.get(contactId);
+      if (!contact || contact.owner_id !== ownerId) return false;
+
+      return tables.contacts.delete(contactId);
+    },
+
+    // ---- uploads (one row per stored object, keyed by bucket and path) ----
+
+    async insertUpload(upload) {
+      return clone(insert('uploads', { attached_at: null, ...upload }));
+    },
+
+    // Mark an upload as attached to a message unless it already is; resolves
+    // to whether this call claimed it
+    async claimUpload(bucket, objectPath) {
+      const upload = rows('uploads').find(row => row.bucket === bucket && row.path === objectPath);
+      if (!upload || upload.attached_at) return false;
+
+      upload.attached_at = now();
+      return true;
+    },
+
+    // Undo claimUpload() when the message could not be saved after all
+    async releaseUpload(bucket, objectPath) {
+      const upload = rows('uploads').find(row => row.bucket === bucket && row.path === objectPath);
+      if (upload) upload.attached_at = null;
+    },
+
+    async getUpload(bucket, objectPath) {
+      return clone(rows('uploads').find(upload => upload.bucket === bucket && upload.path === objectPath));
+    },
+
+    async listUploads(bucket, objectPaths) {
+      return rows('uploads')
+        .filter(upload => upload.bucket === bucket && objectPaths.includes(upload.path))
+        .map(clone);
+    },
+
+    async deleteUploads(bucket, objectPaths) {
+      rows('uploads')
+        .filter(upload => upload.bucket === bucket && objectPaths.includes(upload.path))
+        .forEach(upload => tables.uploads.delete(upload.id));
+    },
+
+    // Bytes of clean uploads the user still has in storage
+    async getStorageUsage(ownerId) {
+      return rows('uploads')
+        .filter(upload => upload.owner_id === ownerId && upload.status === 'clean')
+        .reduce((total, upload) => total + upload.size, 0);
+    }
+  };
+
+  if (seed) {
+    seed(tables);
+  }
+
+  return store;
+}
+
+module.exports = { createMemoryStore };
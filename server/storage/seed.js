@@ -0,0 +1,109 @@
+// Demo data loaded into the in-memory store when Supabase is not configured
+const DEMO_USERS = [
+  { id: '00000000-0000-4000-8000-000000000001', phone: '+911234567890', name: 'Papa' },
+  { id: '00000000-0000-4000-8000-000000000002', phone: '+919876543210', name: 'Mummy' },
+  { id: '00000000-0000-4000-8000-000000000003', phone: '+919123456789', name: 'Beta' }
+];
+
+const [PAPA, MUMMY, BETA] = DEMO_USERS.map(user => user.id);
+
+// [from, to, content, minutes ago]
+const DEMO_MESSAGES = [
+  [MUMMY, PAPA, 'Did you reach office?', 90],
+  [PAPA, MUMMY, 'Yes, just now 👍', 88],
+  [MUMMY, PAPA, 'Bring milk on the way back', 30],
+  [BETA, PAPA, 'Papa, can you call me after lunch?', 15],
+  [PAPA, BETA, 'Sure beta', 12]
+];
+
+function seedDemoData(tables) {
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  const seededAt = minutesAgo(24 * 60);
+
+  DEMO_USERS.forEach(user => {
+    tables.users.set(user.id, {
+      ...user,
+      email: null,
+      is_online: false,
+      last_seen: seededAt,
+      presence_visibility: 'everyone',
+      created_at: seededAt,
+      updated_at: seededAt
+    });
+    tables.profiles.set(user.id, {
+      id: user.id,
+      user_id: user.id,
+      display_name: user.name,
+      status: 'Hey there! I am using Digidad.',
+      created_at: seededAt
+    });
+  });
+
+  DEMO_MESSAGES.forEach(([from, to, content, minutes], index) => {
+    const id = `00000000-0000-4000-9000-${String(index + 1).padStart(12, '0')}`;
+    tables.messages.set(id, {
+      id,
+      from_user_id: from,
+      to_user_id: to,
+      content,
+      message_type: 'text',
+      reply_to_message_id: null,
+      file_url: null,
+      file_name: null,
+      file_size: null,
+      is_edited: false,
+      is_deleted: false,
+      // Everything but the latest message in each direction has been read
+      delivered_at: minutesAgo(minutes - 1),
+      read_at: minutes > 20 ? minutesAgo(minutes - 1) : null,
+      created_at: minutesAgo(minutes),
+      updated_at: minutesAgo(minutes - 1)
+    });
+  });
+
+  // One summary row per participant, mirroring what the messages above imply
+  const summaries = new Map();
+  Array.from(tables.messages.values()).forEach(message => {
+    [[message.from_user_id, message.to_user_id], [message.to_user_id, message.from_user_id]].forEach(([owner, peer]) => {
+      const key = `${owner}:${peer}`;
+      const summary = summaries.get(key) || {
+        id: `00000000-0000-4000-a000-${String(summaries.size + 1).padStart(12, '0')}`,
+        owner_id: owner,
+        peer_id: peer,
+        unread_count: 0,
+        is_archived: false,
+        pin_rank: null,
+        cleared_before: null,
+        previous_cleared_before: null,
+        cleared_at: null,
+        created_at: seededAt
+      };
+
+      summary.last_message_content = message.content;
+      summary.last_message_timestamp = message.created_at;
+      if (message.to_user_id === owner && !message.read_at) summary.unread_count++;
+
+      summaries.set(key, summary);
+    });
+  });
+  summaries.forEach(summary => tables.user_chats.set(summary.id, summary));
+
+  [
+    [PAPA, 'Mummy', '+919876543210'],
+    [PAPA, 'Beta', '+919123456789'],
+    [MUMMY, 'Papa', '+911234567890'],
+    [BETA, 'Papa', '+911234567890']
+  ].forEach(([owner, name, phone], index) => {
+    const id = `00000000-0000-4000-b000-${String(index + 1).padStart(12, '0')}`;
+    tables.contacts.set(id, {
+      id,
+      owner_id: owner,
+      contact_name: name,
+      contact_phone: phone,
+      contact_email: null,
+      created_at: seededAt
+    });
+  });
+}
+
+module.exports = { seedDemoData, DEMO_USERS };
@@ -0,0 +1,1000 @@
+// Supabase-backed storage used by the REST API and the socket gateway
+const { createClient } = require('@supabase/supabase-js');
+const WebSocket = require('ws');
+const { toTsQuery } = require('../messageSearch');
+
+// PostgREST "no rows returned" error code for .single() lookups
+const NOT_FOUND = 'PGRST116';
+
+const MESSAGE_WITH_REPLY = `
+  *,
+  reply_to_message:messages!reply_to_message_id(
+    id,
+    content,
+    from_user_id,
+    users!from_user_id(name)
+  )
+`;
+
+// chat_settings is one-to-one with user_chats (unique chat_id)
+const CHAT_SETTINGS = 'chat_settings(muted_until)';
+
+function withMutedUntil({ chat_settings: settings, ...chat }) {
+  const row = Array.isArray(settings) ? settings[0] : settings;
+  return { ...chat, muted_until: row ? row.muted_until : null };
+}
+
+function createSupabaseStore({ url, key }) {
+  const supabase = createClient(url, key, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+      detectSessionInUrl: false
+    },
+    // Node < 22 has no global WebSocket for the realtime client
+    realtime: {
+      transport: WebSocket
+    }
+  });
+
+  async function single(query) {
+    const { data, error } = await query.single();
+    if (error && error.code === NOT_FOUND) return null;
+    if (error) throw error;
+    return data;
+  }
+
+  // PostgREST or() condition for rows strictly before/after a history cursor.
+  // A cursor without an id (a plain timestamp) only compares created_at.
+  function keyset(cursor, op) {
+    const at = `"${cursor.createdAt}"`;
+    return cursor.id
+      ? `created_at.${op}.${at},and(created_at.eq.${at},id.${op}.${cursor.id})`
+      : `created_at.${op}.${at}`;
+  }
+
+  // The viewer's "clear chat" marker for a 1:1 scope, if any
+  async function chatClearedBefore({ userId, peerId }, viewerId) {
+    const chat = await single(supabase
+      .from('user_chats')
+      .select('cleared_before')
+      .eq('owner_id', viewerId)
+      .eq('peer_id', userId === viewerId ? peerId : userId));
+    return chat ? chat.cleared_before : null;
+  }
+
+  // One page of a chat, oldest first: the first `limit` after `after`,
+  // otherwise the last `limit` before `before` (or overall). `scope` is
+  // { userId, peerId } for a 1:1 chat or { conversationId } for a group.
+  // Tombstones are included; messages `viewerId` hid, or cleared from a 1:1
+  // chat, are not.
+  async function messagePage(scope, { limit = 50, before = null, after = null, viewerId = null } = {}) {
+    const ascending = Boolean(after);
+    const condition = after ? keyset(after, 'gt') : (before ? keyset(before, 'lt') : null);
+    const clearedBefore = viewerId && !scope.conversationId ? await chatClearedBefore(scope, viewerId) : null;
+
+    let query;
+    if (viewerId) {
+      // Anti-join: embed the viewer's hidden_messages row and keep messages without one
+      query = supabase
+        .from('messages')
+        .select(`${MESSAGE_WITH_REPLY}, hidden:hidden_messages(user_id)`)
+        .eq('hidden.user_id', viewerId)
+        .is('hidden', null);
+    } else {
+      query = supabase.from('messages').select(MESSAGE_WITH_REPLY);
+    }
+
+    if (scope.conversationId) {
+      query = query.eq('conversation_id', scope.conversationId);
+      if (condition) query = query.or(condition);
+    } else {
+      // A query takes a single or(), so the keyset condition is nested in it
+      const { userId: a, peerId: b } = scope;
+      const within = condition ? `,or(${condition})` : '';
+      query = query
+        .is('conversation_id', null)
+        .or(`and(from_user_id.eq.${a},to_user_id.eq.${b}${within}),and(from_user_id.eq.${b},to_user_id.eq.${a}${within})`);
+    }
+
+    if (clearedBefore) query = query.gt('created_at', clearedBefore);
+
+    const { data, error } = await query
+      .order('created_at', { ascending })
+      .order('id', { ascending })
+      .limit(limit);
+
+    if (error) throw error;
+    // Paging backwards reads newest-first; pages are always returned oldest-first
+    return ascending ? data : data.reverse();
+  }
+
+  return {
+    driver: 'supabase',
+    supabase,
+
+    async getUserById(id) {
+      return single(supabase.from('users').select('*').eq('id', id));
+    },
+
+    async findUsersByPhoneSuffix(digits, { excludeUserId = null, limit = 5 } = {}) {
+      let query = supabase
+        .from('users')
+        .select('id, phone, name')
+        .like('phone', `%${digits}`)
+        .limit(limit);
+
+      if (excludeUserId) {
+        query = query.neq('id', excludeUserId);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    },
+
+    async createUser({ phone, name = null, email = null }) {
+      const { data, error } = await supabase
+        .from('users')
+        .insert({
+          phone,
+          name,
+          email,
+          is_online: false,
+          last_seen: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const { error: profileError } = await supabase
+        .from('profiles')
+        .insert({
+          id: data.id,
+          user_id: data.id,
+          display_name: name || phone,
+          status: 'Hey there! I am using Digidad.'
+        });
+
+      if (profileError) {
+        // A missing profile row should not block registration
+        console.warn('Profile creation warning:', profileError.message);
+      }
+
+      return data;
+    },
+
+    async getProfile(userId) {
+      return single(supabase.from('profiles').select('*').eq('user_id', userId));
+    },
+
+    async updateProfile(userId, changes) {
+      return single(supabase
+        .from('profiles')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .select());
+    },
+
+    async getUserByPhone(phone) {
+      return single(supabase.from('users').select('*').eq('phone', phone));
+    },
+
+    async setUserOnline(id, isOnline) {
+      const { error } = await supabase
+        .from('users')
+        .update({ is_online: isOnline, last_seen: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    async getUsersByIds(ids) {
+      if (ids.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('users')
+        .select('id, phone, name, is_online, last_seen, presence_visibility')
+        .in('id', ids);
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateUser(id, changes) {
+      return single(supabase
+        .from('users')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select());
+    },
+
+    async listDeviceKeys(userIds) {
+      if (userIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('device_keys')
+        .select('*')
+        .in('user_id', userIds)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async getDeviceKey(deviceId) {
+      return single(supabase.from('device_keys').select('*').eq('device_id', deviceId));
+    },
+
+    // Registers a device or replaces its key. The user_id filter stops one
+    // user from overwriting another's device; the insert then hits the primary key.
+    async saveDeviceKey({ user_id, device_id, identity_key }) {
+      const updated = await single(supabase
+        .from('device_keys')
+        .update({ identity_key, updated_at: new Date().toISOString() })
+        .eq('device_id', device_id)
+        .eq('user_id', user_id)
+        .select());
+      if (updated) return updated;
+
+      const { data, error } = await supabase
+        .from('device_keys')
+        .insert({ user_id, device_id, identity_key })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async deleteDeviceKey(userId, deviceId) {
+      const { data, error } = await supabase
+        .from('device_keys')
+        .delete()
+        .eq('device_id', deviceId)
+        .eq('user_id', userId)
+        .select('device_id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async getOtpChallenge(phone) {
+      return single(supabase.from('otp_challenges').select('*').eq('phone', phone));
+    },
+
+    async issueOtpChallenge(challenge, { notSentSince }) {
+      const { data, error } = await supabase.rpc('issue_otp_challenge', {
+        p_phone: challenge.phone,
+        p_email: challenge.email,
+        p_name: challenge.name,
+        p_code_hash: challenge.code_hash,
+        p_expires_at: challenge.expires_at,
+        p_sent_at: challenge.last_sent_at,
+        p_not_sent_since: notSentSince
+      });
+
+      if (error) throw error;
+      return data === true;
+    },
+
+    async recordOtpAttempt(phone, maxAttempts) {
+      const { data, error } = await supabase.rpc('record_otp_attempt', {
+        p_phone: phone,
+        p_max_attempts: maxAttempts
+      });
+
+      if (error) throw error;
+      return data[0] || null;
+    },
+
+    async deleteOtpChallenge(phone, { codeHash = null } = {}) {
+      let query = supabase
+        .from('otp_challenges')
+        .delete()
+        .eq('phone', phone);
+      if (codeHash) query = query.eq('code_hash', codeHash);
+
+      const { data, error } = await query.select('phone');
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async saveRefreshToken(token) {
+      const { data, error } = await supabase
+        .from('refresh_tokens')
+        .insert(token)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async getRefreshTokenByHash(tokenHash) {
+      return single(supabase.from('refresh_tokens').select('*').eq('token_hash', tokenHash));
+    },
+
+    async revokeRefreshToken(id, { replacedBy = null } = {}) {
+      const { data, error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString(), replaced_by: replacedBy })
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async revokeRefreshTokenFamily(familyId) {
+      const { error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('family_id', familyId)
+        .is('revoked_at', null);
+
+      if (error) throw error;
+    },
+
+    async listReactions(messageIds) {
+      if (messageIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('message_reactions')
+        .select('message_id, user_id, emoji, created_at')
+        .in('message_id', messageIds)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    },
+
+    // The message_reactions triggers stamp messages.updated_at for delta sync
+    async addReaction(messageId, userId, emoji) {
+      const { data, error } = await supabase
+        .from('message_reactions')
+        .upsert({ message_id: messageId, user_id: userId, emoji }, {
+          onConflict: 'message_id,user_id,emoji',
+          ignoreDuplicates: true
+        })
+        .select('message_id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async removeReaction(messageId, userId, emoji) {
+      const { data, error } = await supabase
+        .from('message_reactions')
+        .delete()
+        .eq('message_id', messageId)
+        .eq('user_id', userId)
+        .eq('emoji', emoji)
+        .select('message_id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    // Pinned chats first (lowest pin_rank on top), then the most recent
+    async listUserChats(ownerId, { archived = false } = {}) {
+      const { data, error } = await supabase
+        .from('user_chats')
+        .select(`
+          *,
+          peer:users!peer_id(
+            id,
+            name,
+            phone,
+            is_online,
+            last_seen
+          ),
+          ${CHAT_SETTINGS}
+        `)
+        .eq('owner_id', ownerId)
+        .eq('is_archived', archived)
+        .order('pin_rank', { ascending: true, nullsFirst: false })
+        .order('last_message_timestamp', { ascending: false, nullsFirst: false });
+
+      if (error) throw error;
+      return data.map(withMutedUntil);
+    },
+
+    async listMessages(userId, peerId, options = {}) {
+      return messagePage({ userId, peerId }, { ...options, viewerId: userId });
+    },
+
+    async getDatabaseTime() {
+      const { data, error } = await supabase.rpc('database_time');
+      if (error) throw error;
+      return data;
+    },
+
+    // public.message_changes() applies the membership rules; see
+    // storage/memory.js for the contract
+    async listMessageChanges(userId, { since, limit = 500 }) {
+      const { data, error } = await supabase.rpc('message_changes', {
+        p_user_id: userId,
+        p_since: since.updatedAt,
+        p_since_id: since.id,
+        p_limit: limit
+      });
+
+      if (error) throw error;
+      return data;
+    },
+
+    // public.search_messages() ranks and filters; rows are then loaded with
+    // their reply previews and returned in rank order, each with its `rank`
+    async searchMessages(userId, { terms, peerId = null, conversationId = null, from = null, to = null, messageType = null, limit = 20, offset = 0 }) {
+      const { data: hits, error } = await supabase.rpc('search_messages', {
+        p_user_id: userId,
+        p_query: toTsQuery(terms),
+        p_peer_id: peerId,
+        p_conversation_id: conversationId,
+        p_from: from,
+        p_to: to,
+        p_message_type: messageType,
+        p_limit: limit,
+        p_offset: offset
+      });
+
+      if (error) throw error;
+      if (hits.length === 0) return [];
+
+      const { data, error: loadError } = await supabase
+        .from('messages')
+        .select(MESSAGE_WITH_REPLY)
+        .in('id', hits.map(hit => hit.id));
+
+      if (loadError) throw loadError;
+
+      const byId = new Map(data.map(row => [row.id, row]));
+      return hits
+        .filter(hit => byId.has(hit.id))
+        .map(hit => ({ ...byId.get(hit.id), rank: hit.rank }));
+    },
+
+    // `message` plus up to `before` older and `after` newer messages from the
+    // same chat, each list oldest first
+    async listMessagesAround(message, { before = 25, after = 25, viewerId = null } = {}) {
+      const scope = message.conversation_id
+        ? { conversationId: message.conversation_id }
+        : { userId: message.from_user_id, peerId: message.to_user_id };
+      const cursor = { createdAt: message.created_at, id: message.id };
+
+      const [older, target, newer] = await Promise.all([
+        messagePage(scope, { limit: before, before: cursor, viewerId }),
+        single(supabase.from('messages').select(MESSAGE_WITH_REPLY).eq('id', message.id)),
+        messagePage(scope, { limit: after, after: cursor, viewerId })
+      ]);
+
+      return { before: older, message: target || message, after: newer };
+    },
+
+    async getMessageById(id) {
+      return single(supabase.from('messages').select('*').eq('id', id));
+    },
+
+    async getMessageByClientId(fromUserId, clientMessageId) {
+      return single(supabase
+        .from('messages')
+        .select('*')
+        .eq('from_user_id', fromUserId)
+        .eq('client_message_id', clientMessageId));
+    },
+
+    // public.send_message() inserts the row and updates both user_chats
+    // summaries in a single transaction. A repeated client_message_id
+    // returns the original row.
+    async insertMessage(message) {
+      const { data, error } = await supabase.rpc('send_message', { p_message: message });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateMessage(id, updates) {
+      return single(
+        supabase
+          .from('messages')
+          .update({ ...updates, updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .select()
+      );
+    },
+
+    // public.edit_message() stores the replaced version as a revision
+    async editMessage(id, { content = null, encrypted = null }) {
+      const { data, error } = await supabase.rpc('edit_message', {
+        p_message_id: id,
+        p_content: content,
+        p_encrypted: encrypted
+      });
+
+      if (error) throw error;
+      return data && data.id ? data : null;
+    },
+
+    async listMessageRevisions(messageId) {
+      const { data, error } = await supabase
+        .from('message_revisions')
+        .select('*')
+        .eq('message_id', messageId)
+        .order('revision', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async deleteMessageForEveryone(id) {
+      const { data, error } = await supabase.rpc('delete_message_for_everyone', { p_message_id: id });
+
+      if (error) throw error;
+      return data && data.id ? data : null;
+    },
+
+    // The hidden_messages trigger stamps messages.updated_at for delta sync
+    async hideMessage(messageId, userId) {
+      const { data, error } = await supabase
+        .from('hidden_messages')
+        .upsert({ message_id: messageId, user_id: userId }, {
+          onConflict: 'message_id,user_id',
+          ignoreDuplicates: true
+        })
+        .select('message_id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    // Hidden with "delete for me" or by clearing the chat
+    async listHiddenMessageIds(userId, messageIds) {
+      if (messageIds.length === 0) return [];
+
+      const { data, error } = await supabase.rpc('hidden_message_ids', {
+        p_user_id: userId,
+        p_message_ids: messageIds
+      });
+
+      if (error) throw error;
+      return data.map(row => row.id);
+    },
+
+    async markMessagesDelivered(recipientId, messageIds) {
+      const { data, error } = await supabase
+        .from('messages')
+        .update({ delivered_at: new Date().toISOString() })
+        .eq('to_user_id', recipientId)
+        .in('id', messageIds)
+        .is('delivered_at', null)
+        .select();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async markMessagesRead(recipientId, { messageIds = null, peerId = null } = {}) {
+      const readAt = new Date().toISOString();
+      const scope = (query) => {
+        query = query.eq('to_user_id', recipientId);
+        return messageIds ? query.in('id', messageIds) : query.eq('from_user_id', peerId);
+      };
+
+      // Reading implies delivery; backfill delivered_at for anything never acknowledged
+      const { error: deliveredError } = await scope(
+        supabase.from('messages').update({ delivered_at: readAt })
+      ).is('delivered_at', null);
+
+      if (deliveredError) throw deliveredError;
+
+      const { data, error } = await scope(
+        supabase.from('messages').update({ read_at: readAt })
+      ).is('read_at', null).select();
+
+      if (error) throw error;
+      return data;
+    },
+
+    // Only the recipient of a 1:1 voice note marks it played, once
+    async markMessagePlayed(recipientId, messageId) {
+      return single(supabase
+        .from('messages')
+        .update({ played_at: new Date().toISOString() })
+        .eq('id', messageId)
+        .eq('to_user_id', recipientId)
+        .eq('message_type', 'voice')
+        .eq('is_deleted', false)
+        .is('played_at', null)
+        .select());
+    },
+
+    async getUserChat(ownerId, peerId) {
+      const chat = await single(supabase
+        .from('user_chats')
+        .select(`*, ${CHAT_SETTINGS}`)
+        .eq('owner_id', ownerId)
+        .eq('peer_id', peerId));
+      return chat ? withMutedUntil(chat) : null;
+    },
+
+    // Pin and archive state; does not create missing chats
+    async updateUserChat(ownerId, peerId, changes) {
+      const chat = await single(supabase
+        .from('user_chats')
+        .update(changes)
+        .eq('owner_id', ownerId)
+        .eq('peer_id', peerId)
+        .select(`*, ${CHAT_SETTINGS}`));
+      return chat ? withMutedUntil(chat) : null;
+    },
+
+    async setChatMutedUntil(ownerId, peerId, mutedUntil) {
+      const chat = await single(supabase
+        .from('user_chats')
+        .select('*')
+        .eq('owner_id', ownerId)
+        .eq('peer_id', peerId));
+      if (!chat) return null;
+
+      const { error } = await supabase
+        .from('chat_settings')
+        .upsert({ owner_id: ownerId, chat_id: chat.id, muted_until: mutedUntil }, { onConflict: 'chat_id' });
+
+      if (error) throw error;
+      return { ...chat, muted_until: mutedUntil };
+    },
+
+    async upsertUserChat(ownerId, peerId, updates = {}) {
+      const { data, error } = await supabase
+        .from('user_chats')
+        .upsert({ owner_id: ownerId, peer_id: peerId, ...updates }, { onConflict: 'owner_id,peer_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async refreshUserChat(ownerId, peerId) {
+      const { data, error } = await supabase.rpc('refresh_user_chat', {
+        p_owner: ownerId,
+        p_peer: peerId
+      });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async refreshConversationPreview(conversationId) {
+      const { data, error } = await supabase.rpc('refresh_conversation_preview', {
+        p_conversation_id: conversationId
+      });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async clearUserChat(ownerId, peerId, before = new Date().toISOString()) {
+      const { data, error } = await supabase.rpc('clear_user_chat', {
+        p_owner: ownerId,
+        p_peer: peerId,
+        p_before: before
+      });
+
+      if (error) throw error;
+      return data && data.owner_id ? data : null;
+    },
+
+    async undoClearUserChat(ownerId, peerId, since) {
+      const { data, error } = await supabase.rpc('undo_clear_user_chat', {
+        p_owner: ownerId,
+        p_peer: peerId,
+        p_since: since
+      });
+
+      if (error) throw error;
+      return data && data.owner_id ? data : null;
+    },
+
+    // Cascades to reactions, revisions and hides
+    async purgeChat(userId, peerId) {
+      const { data, error } = await supabase.rpc('purge_chat', { p_user_a: userId, p_user_b: peerId });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async createConversation({ name, avatar_path = null, created_by }, memberIds) {
+      const { data, error } = await supabase.rpc('create_conversation', {
+        p_name: name,
+        p_avatar_path: avatar_path,
+        p_created_by: created_by,
+        p_member_ids: memberIds
+      });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async getConversation(id) {
+      return single(supabase.from('conversations').select('*').eq('id', id));
+    },
+
+    async updateConversation(id, updates) {
+      return single(
+        supabase
+          .from('conversations')
+          .update({ ...updates, updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .select()
+      );
+    },
+
+    async getConversationMember(conversationId, userId) {
+      return single(
+        supabase
+          .from('conversation_members')
+          .select('*')
+          .eq('conversation_id', conversationId)
+          .eq('user_id', userId)
+      );
+    },
+
+    async listConversationMembers(conversationId) {
+      const { data, error } = await supabase
+        .from('conversation_members')
+        .select('*, user:users!user_id(id, name, phone)')
+        .eq('conversation_id', conversationId)
+        .order('joined_at');
+
+      if (error) throw error;
+      return data;
+    },
+
+    async addConversationMembers(conversationId, userIds, role = 'member') {
+      const { data, error } = await supabase
+        .from('conversation_members')
+        .upsert(
+          userIds.map(userId => ({ conversation_id: conversationId, user_id: userId, role })),
+          { onConflict: 'conversation_id,user_id', ignoreDuplicates: true }
+        )
+        .select();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateConversationMember(conversationId, userId, updates) {
+      return single(
+        supabase
+          .from('conversation_members')
+          .update(updates)
+          .eq('conversation_id', conversationId)
+          .eq('user_id', userId)
+          .select()
+      );
+    },
+
+    async removeConversationMember(conversationId, userId) {
+      const { data, error } = await supabase
+        .from('conversation_members')
+        .delete()
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async listUserConversations(userId) {
+      const { data, error } = await supabase
+        .from('conversation_members')
+        .select('*, conversation:conversations(*, conversation_members(count))')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return data
+        .map(({ conversation, ...membership }) => {
+          const { conversation_members: counts, ...fields } = conversation;
+          return { ...fields, membership, member_count: counts[0]?.count || 0 };
+        })
+        .sort((a, b) => (b.last_message_timestamp || b.created_at).localeCompare(a.last_message_timestamp || a.created_at));
+    },
+
+    // public.send_conversation_message() inserts the row, updates the group
+    // preview and bumps the other members' unread counts in one transaction
+    async insertConversationMessage(message) {
+      const { data, error } = await supabase.rpc('send_conversation_message', { p_message: message });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async listConversationMessages(conversationId, options = {}) {
+      return messagePage({ conversationId }, options);
+    },
+
+    async markConversationRead(conversationId, userId) {
+      return single(
+        supabase
+          .from('conversation_members')
+          .update({ last_read_at: new Date().toISOString(), unread_count: 0 })
+          .eq('conversation_id', conversationId)
+          .eq('user_id', userId)
+          .select()
+      );
+    },
+
+    // Users who should see this user's presence: anyone with a chat with them
+    // or with their number saved as a contact
+    async listPresenceWatchers(userId) {
+      const user = await single(supabase.from('users').select('phone').eq('id', userId));
+      if (!user) return [];
+
+      const [chats, contacts] = await Promise.all([
+        supabase.from('user_chats').select('owner_id').eq('peer_id', userId),
+        supabase.from('contacts').select('owner_id').like('contact_phone', `%${user.phone.replace(/\D/g, '').slice(-10)}`)
+      ]);
+
+      if (chats.error) throw chats.error;
+      if (contacts.error) throw contacts.error;
+
+      return Array.from(new Set([...chats.data, ...contacts.data].map(row => row.owner_id)))
+        .filter(ownerId => ownerId !== userId);
+    },
+
+    // Users this user has chatted with or saved as a contact; the audience for
+    // presence_visibility = 'contacts'
+    async listPresenceContacts(userId) {
+      const [chats, contacts] = await Promise.all([
+        supabase.from('user_chats').select('peer_id').eq('owner_id', userId),
+        supabase.from('contacts').select('contact_phone').eq('owner_id', userId)
+      ]);
+
+      if (chats.error) throw chats.error;
+      if (contacts.error) throw contacts.error;
+
+      const suffixes = Array.from(new Set(contacts.data
+        .map(contact => contact.contact_phone.replace(/\D/g, '').slice(-10))
+        .filter(Boolean)));
+
+      let saved = [];
+      if (suffixes.length > 0) {
+        const { data, error } = await supabase
+          .from('users')
+          .select('id')
+          .or(suffixes.map(digits => `phone.like.%${digits}`).join(','));
+
+        if (error) throw error;
+        saved = data.map(user => user.id);
+      }
+
+      return Array.from(new Set([...chats.data.map(chat => chat.peer_id), ...saved]))
+        .filter(id => id !== userId);
+    },
+
+    // Server-side realtime feed (service role) of messages written outside
+    // the API; messages.origin marks the API's own writes, which it has
+    // already emitted. Returns an unsubscribe function.
+    subscribeToChanges({ onMessageChange }) {
+      const external = { schema: 'public', table: 'messages', filter: 'origin=eq.external' };
+      const channel = supabase
+        .channel('server-change-bridge')
+        .on('postgres_changes', { event: 'INSERT', ...external },
+          (payload) => onMessageChange('INSERT', payload.new))
+        .on('postgres_changes', { event: 'UPDATE', ...external },
+          (payload) => onMessageChange('UPDATE', payload.new))
+        .subscribe((status) => {
+          if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+            console.error('Realtime change bridge status:', status);
+          }
+        });
+
+      return () => supabase.removeChannel(channel);
+    },
+
+    async listContacts(ownerId) {
+      const { data, error } = await supabase
+        .from('contacts')
+        .select('*')
+        .eq('owner_id', ownerId)
+        .order('contact_name');
+
+      if (error) throw error;
+      return data;
+    },
+
+    async addContact(ownerId, { contact_name, contact_phone, contact_email = null }) {
+      const { data, error } = await supabase
+        .from('contacts')
+        .insert({ owner_id: ownerId, contact_name, contact_phone, contact_email })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateContact(ownerId, contactId, updates) {
+      return single(
+        supabase
+          .from('contacts')
+          .update(updates)
+          .eq('id', contactId)
+          .eq('owner_id', ownerId)
+          .select()
+      );
+    },
+
+    async deleteContact(ownerId, contactId) {
+      const { data, error } = await supabase
+        .from('contacts')
+        .delete()
+        .eq('id', contactId)
+        .eq('owner_id', ownerId)
+        .select('id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    // ---- uploads ----
+
+    async insertUpload(upload) {
+      const { data, error } = await supabase.from('uploads').insert(upload).select().single();
+      if (error) throw error;
+      return data;
+    },
+
+    async getUpload(bucket, objectPath) {
+      return single(supabase.from('uploads').select('*').eq('bucket', bucket).eq('path', objectPath));
+    },
+
+    async claimUpload(bucket, objectPath) {
+      const { data, error } = await supabase
+        .from('uploads')
+        .update({ attached_at: new Date().toISOString() })
+        .eq('bucket', bucket)
+        .eq('path', objectPath)
+        .is('attached_at', null)
+        .select('id');
+
+      if (error) throw error;
+      return data.length > 0;
+    },
+
+    async releaseUpload(bucket, objectPath) {
+      const { error } = await supabase
+        .from('uploads')
+        .update({ attached_at: null })
+        .eq('bucket', bucket)
+        .eq('path', objectPath);
+
+      if (error) throw error;
+    },
+
+    async listUploads(bucket, objectPaths) {
+      const { data, error } = await supabase.from('uploads').select('*').eq('bucket', bucket).in('path', objectPaths);
+      if (error) throw error;
+      return data;
+    },
+
+    async deleteUploads(bucket, objectPaths) {
+      const { error } = await supabase.from('uploads').delete().eq('bucket', bucket).in('path', objectPaths);
+      if (error) throw error;
+    },
+
+    async getStorageUsage(ownerId) {
+      const { data, error } = await supabase.rpc('storage_usage', { p_owner_id: ownerId });
+      if (error) throw error;
+      return Number(data) || 0;
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
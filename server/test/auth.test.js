@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+const PHONE = '+911111111111';
+
+async function requestCode(api, phone = PHONE) {
+  const response = await api.request('POST', '/auth/otp', { body: { phone } });
+  assert.equal(response.body.status, 'otp_sent');
+  return api.codes[api.codes.length - 1].code;
+}
+
+const wrongCode = code => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+test('OTP login', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+
+  await t.test('registers a new phone, then logs it in', async () => {
+    const code = await requestCode(api);
+    const first = await api.request('POST', '/auth', { body: { phone: PHONE, code } });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.user.phone, PHONE);
+    assert.ok(first.body.session.accessToken);
+
+    const again = await api.request('POST', '/auth', { body: { phone: PHONE, code: await requestCode(api) } });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.user.id, first.body.user.id);
+  });
+
+  await t.test('normalises the phone number', async () => {
+    const code = await requestCode(api, '0091 11111-11111');
+    assert.equal(api.codes[api.codes.length - 1].phone, PHONE);
+
+    const response = await api.request('POST', '/auth', { body: { phone: '+91 1111111111', code } });
+    assert.equal(response.status, 200);
+  });
+
+  await t.test('a code works only once', async () => {
+    const code = await requestCode(api);
+    assert.equal((await api.request('POST', '/auth', { body: { phone: PHONE, code } })).status, 200);
+
+    const replay = await api.request('POST', '/auth', { body: { phone: PHONE, code } });
+    assert.equal(replay.status, 400);
+    assert.equal(replay.body.reason, 'not_found');
+  });
+
+  await t.test('locks the challenge after five wrong codes, even for the right one', async () => {
+    const code = await requestCode(api);
+
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const response = await api.request('POST', '/auth', { body: { phone: PHONE, code: wrongCode(code) } });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.attemptsLeft, 5 - attempt);
+    }
+    const fifth = await api.request('POST', '/auth', { body: { phone: PHONE, code: wrongCode(code) } });
+    assert.equal(fifth.status, 429);
+    assert.equal(fifth.body.reason, 'locked');
+
+    const right = await api.request('POST', '/auth', { body: { phone: PHONE, code } });
+    assert.equal(right.status, 429);
+  });
+
+  await t.test('counts concurrent guesses against the same limit', async () => {
+    const code = await requestCode(api);
+    const guesses = await Promise.all(Array.from({ length: 10 }, () => api.otp.verifyCode(PHONE, wrongCode(code))));
+
+    assert.equal(guesses.filter(result => result.status === 'invalid').length, 4);
+    assert.equal(guesses.filter(result => result.status === 'locked').length, 6);
+  });
+
+  await t.test('a new code clears the lockout', async () => {
+    const code = await requestCode(api);
+    assert.equal((await api.request('POST', '/auth', { body: { phone: PHONE, code } })).status, 200);
+  });
+
+  await t.test('rejects expired codes', async () => {
+    const code = await requestCode(api);
+    const challenge = await api.store.getOtpChallenge(PHONE);
+    await api.store.issueOtpChallenge({ ...challenge, expires_at: new Date(Date.now() - 1000).toISOString() }, {
+      notSentSince: new Date().toISOString()
+    });
+
+    const response = await api.request('POST', '/auth', { body: { phone: PHONE, code } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.reason, 'expired');
+  });
+});
+
+test('OTP resend cooldown', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const { createOtpService } = require('../auth/otp');
+  const otp = createOtpService({ store: api.store, transport: { async send() {} } });
+
+  assert.equal((await otp.requestCode({ phone: PHONE })).status, 'sent');
+  const again = await otp.requestCode({ phone: PHONE });
+  assert.equal(again.status, 'cooldown');
+  assert.ok(again.retryAfter > 0 && again.retryAfter <= 60);
+});
+
+test('refresh token rotation', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const user = await api.login(PHONE);
+
+  await t.test('issues a new pair and retires the old refresh token', async () => {
+    const rotated = await api.request('POST', '/auth/refresh', { body: { refreshToken: user.session.refreshToken } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.session.refreshToken, user.session.refreshToken);
+    assert.equal(rotated.body.user.id, user.id);
+
+    const next = await api.request('POST', '/auth/refresh', { body: { refreshToken: rotated.body.session.refreshToken } });
+    assert.equal(next.status, 200);
+  });
+
+  await t.test('reusing a retired token revokes the whole family', async () => {
+    const session = (await api.login(PHONE)).session;
+    const rotated = await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+
+    const reused = await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.reason, 'reused');
+
+    // The token handed out before the reuse was detected is gone too
+    const latest = await api.request('POST', '/auth/refresh', { body: { refreshToken: rotated.body.session.refreshToken } });
+    assert.equal(latest.status, 401);
+  });
+
+  await t.test('only one of two concurrent rotations wins', async () => {
+    const session = (await api.login(PHONE)).session;
+    const results = await Promise.all([api.tokens.rotate(session.refreshToken), api.tokens.rotate(session.refreshToken)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['reused', 'success']);
+    const winner = results.find(result => result.status === 'success');
+    assert.equal((await api.tokens.rotate(winner.session.refreshToken)).status, 'reused');
+  });
+
+  await t.test('rejects unknown tokens and logged out sessions', async () => {
+    const unknown = await api.request('POST', '/auth/refresh', { body: { refreshToken: 'nope' } });
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.reason, 'invalid');
+
+    const session = (await api.login(PHONE)).session;
+    await api.request('POST', '/auth/logout', { body: { refreshToken: session.refreshToken } });
+    const afterLogout = await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.equal(afterLogout.status, 401);
+  });
+});
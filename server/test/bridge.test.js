@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+const { startChangeBridge } = require('../socket/bridge');
+const { SocketRegistry } = require('../socket/registry');
+
+test('change bridge', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const outsider = await api.login('+913333333333');
+
+  // Stands in for the Supabase realtime feed of messages written outside the API
+  let feed = null;
+  api.store.subscribeToChanges = (handlers) => {
+    feed = handlers;
+    return () => { feed = null; };
+  };
+  const stop = startChangeBridge({ store: api.store, registry: api.registry });
+  t.after(() => stop());
+
+  const row = (fields) => ({
+    id: crypto.randomUUID(),
+    content: 'written elsewhere',
+    message_type: 'text',
+    created_at: new Date().toISOString(),
+    ...fields
+  });
+
+  await t.test('relays a one-to-one change to its two participants only', async () => {
+    const message = row({ from_user_id: papa.id, to_user_id: mummy.id });
+    feed.onMessageChange('INSERT', message);
+
+    for (const user of [papa, mummy]) {
+      const [change] = api.registry.eventsFor(user.id, 'message_change');
+      assert.equal(change.event, 'INSERT');
+      assert.equal(change.message.id, message.id);
+    }
+    assert.deepEqual(api.registry.eventsFor(outsider.id, 'message_change'), []);
+  });
+
+  await t.test('relays a group change to the group\'s room only', async () => {
+    const conversationId = crypto.randomUUID();
+    feed.onMessageChange('UPDATE', row({ from_user_id: papa.id, to_user_id: null, conversation_id: conversationId }));
+
+    assert.equal(api.registry.eventsFor(conversationId, 'message_change').length, 1);
+    assert.equal(api.registry.eventsFor(outsider.id, 'message_change').length, 0);
+  });
+
+  await t.test('does nothing for a store without outside writers', () => {
+    delete api.store.subscribeToChanges;
+    const noop = startChangeBridge({ store: api.store, registry: api.registry });
+    assert.equal(typeof noop, 'function');
+    noop();
+  });
+});
+
+// Records which rooms each emit and join went to, as Socket.IO would route them
+function recordingIo() {
+  const emitted = [];
+  const joined = [];
+  const left = [];
+  const operator = (rooms, except = []) => ({
+    except: room => operator(rooms, [...except, room]),
+    emit: (event, payload) => emitted.push({ rooms: [].concat(rooms), except, event, payload })
+  });
+
+  return {
+    emitted,
+    joined,
+    left,
+    to: rooms => operator(rooms),
+    in: rooms => ({
+      socketsJoin: room => joined.push({ rooms, room }),
+      socketsLeave: room => left.push({ rooms, room })
+    })
+  };
+}
+
+test('socket rooms', async (t) => {
+  const io = recordingIo();
+  const registry = new SocketRegistry(io);
+  const socket = { id: 'tab-1', rooms: [], join(room) { this.rooms.push(room); } };
+
+  await t.test('each socket joins its user\'s room, and counts as online while connected', () => {
+    registry.add('papa', socket);
+    assert.deepEqual(socket.rooms, ['user:papa']);
+    assert.equal(registry.isOnline('papa'), true);
+
+    registry.remove('papa', socket);
+    assert.equal(registry.isOnline('papa'), false);
+  });
+
+  await t.test('events go to the rooms of the users or group they concern', () => {
+    registry.emitToUser('papa', 'user_typing', {}, 'user:mummy');
+    registry.emitToUsers(['papa', 'mummy'], 'message_change', {});
+    registry.emitToConversation('family', 'receive_message', {});
+
+    assert.deepEqual(io.emitted.map(entry => [entry.rooms, entry.except]), [
+      [['user:papa'], ['user:mummy']],
+      [['user:papa', 'user:mummy'], []],
+      [['conversation:family'], []]
+    ]);
+  });
+
+  await t.test('group rooms follow membership', () => {
+    registry.joinConversation(['grandpa'], 'family');
+    registry.leaveConversation(['mummy'], 'family');
+    registry.joinConversation([], 'family');
+
+    assert.deepEqual(io.joined, [{ rooms: ['user:grandpa'], room: 'conversation:family' }]);
+    assert.deepEqual(io.left, [{ rooms: ['user:mummy'], room: 'conversation:family' }]);
+  });
+});
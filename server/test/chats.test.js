@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+async function chatWith(api) {
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const socket = papa.connect();
+  const send = async message => (await socket.send('send_message', { to: mummy.id, message })).message;
+  return { papa, mummy, send };
+}
+
+// Sorted, since messages sent in the same millisecond have no fixed order
+const texts = response => response.body.messages.map(message => message.msg).sort();
+
+test('clearing a chat', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const { papa, mummy, send } = await chatWith(api);
+  const outsider = await api.login('+913333333333');
+  await send('old news');
+  await send('older news');
+
+  const history = user => user.request('GET', `/messages/${user.id}/${user === papa ? mummy.id : papa.id}`);
+
+  await t.test('empties the chat for the user only', async () => {
+    const response = await papa.request('DELETE', `/chats/${papa.id}/${mummy.id}`);
+    assert.equal(response.status, 200);
+    assert.ok(response.body.undoUntil > response.body.clearedBefore);
+
+    assert.deepEqual(texts(await history(papa)), []);
+    assert.deepEqual(texts(await history(mummy)), ['old news', 'older news']);
+    assert.equal(api.registry.eventsFor(papa.id, 'chat_cleared')[0].peerId, mummy.id);
+
+    const chat = (await papa.request('GET', `/chats/${papa.id}`)).body.chats.find(entry => entry.peerId === mummy.id);
+    assert.equal(chat.lastMessage.msg, null);
+    assert.equal(chat.unreadCount, 0);
+  });
+
+  await t.test('messages sent afterwards show up as usual', async () => {
+    // The clear covers its own millisecond
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await send('new news');
+    assert.deepEqual(texts(await history(papa)), ['new news']);
+  });
+
+  await t.test('can be undone once, shortly afterwards', async () => {
+    assert.equal((await papa.request('POST', `/chats/${papa.id}/${mummy.id}/restore`)).status, 200);
+    assert.deepEqual(texts(await history(papa)), ['new news', 'old news', 'older news']);
+
+    assert.equal((await papa.request('POST', `/chats/${papa.id}/${mummy.id}/restore`)).status, 409);
+  });
+
+  await t.test('nobody can clear or restore someone else\'s chat', async () => {
+    assert.equal((await outsider.request('DELETE', `/chats/${papa.id}/${mummy.id}`)).status, 403);
+    assert.equal((await mummy.request('POST', `/chats/${papa.id}/${mummy.id}/restore`)).status, 403);
+    assert.equal((await outsider.request('DELETE', `/chats/${outsider.id}/${mummy.id}`)).status, 404);
+    assert.equal(texts(await history(papa)).length, 3);
+  });
+});
+
+test('organising chats', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const { papa, mummy, send } = await chatWith(api);
+  const others = [await api.login('+913333333333'), await api.login('+914444444444')];
+  await send('Hello');
+  for (const other of others) await other.connect().send('send_message', { to: papa.id, message: 'Hello' });
+
+  const organise = (peer, body) => papa.request('PATCH', `/chats/${papa.id}/${peer.id}`, { body });
+  const list = async (suffix = '') => (await papa.request('GET', `/chats/${papa.id}${suffix}`)).body.chats.map(chat => chat.peerId);
+
+  await t.test('pinned chats come first, in the order the user chose', async () => {
+    await organise(mummy, { pinned: true });
+    await organise(others[0], { pinned: true });
+    assert.deepEqual((await list()).slice(0, 2), [others[0].id, mummy.id]);
+
+    const reordered = await papa.request('PUT', `/chats/${papa.id}/pins`, { body: { peerIds: [mummy.id, others[0].id] } });
+    assert.equal(reordered.status, 200);
+    assert.deepEqual(await list(), [mummy.id, others[0].id, others[1].id]);
+
+    const partial = await papa.request('PUT', `/chats/${papa.id}/pins`, { body: { peerIds: [mummy.id] } });
+    assert.equal(partial.status, 400);
+  });
+
+  await t.test('archived chats move to their own list and lose their pin', async () => {
+    const archived = await organise(others[0], { archived: true });
+    assert.deepEqual(archived.body.chat, { peerId: others[0].id, pinned: false, pinRank: null, mutedUntil: null, isArchived: true });
+    assert.deepEqual(await list('/archived'), [others[0].id]);
+    assert.ok(!(await list()).includes(others[0].id));
+
+    assert.equal((await organise(others[0], { pinned: true })).status, 400);
+    assert.equal(api.registry.eventsFor(papa.id, 'chat_updated').pop().isArchived, true);
+  });
+
+  await t.test('a new message brings an archived chat back unless it is muted', async () => {
+    const muted = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await organise(others[1], { archived: true, mutedUntil: muted });
+
+    await others[0].connect().send('send_message', { to: papa.id, message: 'Still there?' });
+    await others[1].connect().send('send_message', { to: papa.id, message: 'Still there?' });
+
+    assert.ok((await list()).includes(others[0].id));
+    assert.deepEqual(await list('/archived'), [others[1].id]);
+  });
+
+  await t.test('mutes need a time in the future and can be lifted', async () => {
+    assert.equal((await organise(mummy, { mutedUntil: '2000-01-01T00:00:00Z' })).status, 400);
+    assert.equal((await organise(mummy, { mutedUntil: 'tomorrow' })).status, 400);
+
+    const until = new Date(Date.now() + 60 * 1000).toISOString();
+    assert.equal((await organise(mummy, { mutedUntil: until })).body.chat.mutedUntil, until);
+    assert.equal((await organise(mummy, { mutedUntil: null })).body.chat.mutedUntil, null);
+  });
+
+  await t.test('only the owner can organise their chats', async () => {
+    const response = await mummy.request('PATCH', `/chats/${papa.id}/${mummy.id}`, { body: { archived: true } });
+    assert.equal(response.status, 403);
+    assert.equal((await mummy.request('GET', `/chats/${papa.id}/archived`)).status, 403);
+    assert.ok((await list()).includes(mummy.id));
+
+    // A chat that does not exist cannot be organised either
+    assert.equal((await mummy.request('PATCH', `/chats/${mummy.id}/${others[1].id}`, { body: { pinned: true } })).status, 404);
+  });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('group conversations', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const grandpa = await api.login('+913333333333');
+  const outsider = await api.login('+914444444444');
+
+  const created = await papa.request('POST', '/conversations', { body: { name: ' Family ', memberIds: [mummy.id] } });
+  const { conversationId } = created.body.conversation;
+  const members = async () => (await papa.request('GET', `/conversations/${conversationId}`)).body.conversation.members;
+  const roleOf = async user => (await members()).find(member => member.userId === user.id)?.role;
+
+  await t.test('the creator is the admin of a new group', async () => {
+    assert.equal(created.status, 201);
+    assert.equal(created.body.conversation.name, 'Family');
+    assert.equal(created.body.conversation.role, 'admin');
+    assert.equal(await roleOf(papa), 'admin');
+    assert.equal(await roleOf(mummy), 'member');
+  });
+
+  await t.test('messages reach every member and count as unread for the others', async () => {
+    const ack = await papa.connect().send('send_message', { conversationId, message: 'Lunch on Sunday?' });
+    assert.equal(ack.status, 'sent');
+    assert.deepEqual(api.registry.eventsFor(conversationId, 'receive_message').map(message => message.id), [ack.message.id]);
+
+    const mummys = (await mummy.request('GET', '/conversations')).body.conversations;
+    assert.equal(mummys.find(group => group.conversationId === conversationId).unreadCount, 1);
+
+    const read = await mummy.request('POST', `/conversations/${conversationId}/read`);
+    assert.ok(read.body.lastReadAt);
+    const history = await mummy.request('GET', `/conversations/${conversationId}/messages`);
+    assert.deepEqual(history.body.messages.map(message => message.msg), ['Lunch on Sunday?']);
+  });
+
+  await t.test('people outside the group cannot read it, write to it or change it', async () => {
+    assert.equal((await outsider.request('GET', `/conversations/${conversationId}`)).status, 403);
+    assert.equal((await outsider.request('GET', `/conversations/${conversationId}/messages`)).status, 403);
+    assert.equal((await outsider.request('POST', `/conversations/${conversationId}/members`, { body: { userIds: [outsider.id] } })).status, 403);
+
+    const ack = await outsider.connect().send('send_message', { conversationId, message: 'Let me in' });
+    assert.equal(ack.status, 'error');
+  });
+
+  await t.test('only admins can rename, invite or change roles', async () => {
+    assert.equal((await mummy.request('PATCH', `/conversations/${conversationId}`, { body: { name: 'Mine' } })).status, 403);
+    assert.equal((await mummy.request('POST', `/conversations/${conversationId}/members`, { body: { userIds: [grandpa.id] } })).status, 403);
+    assert.equal((await mummy.request('PATCH', `/conversations/${conversationId}/members/${mummy.id}`, { body: { role: 'admin' } })).status, 403);
+
+    const renamed = await papa.request('PATCH', `/conversations/${conversationId}`, { body: { name: 'The Sharmas' } });
+    assert.equal(renamed.body.conversation.name, 'The Sharmas');
+  });
+
+  await t.test('invited members see the group and its history', async () => {
+    const invited = await papa.request('POST', `/conversations/${conversationId}/members`, { body: { userIds: [grandpa.id] } });
+    assert.deepEqual(invited.body.added, [grandpa.id]);
+
+    const history = await grandpa.request('GET', `/conversations/${conversationId}/messages`);
+    assert.equal(history.status, 200);
+    assert.equal((await grandpa.connect().send('send_message', { conversationId, message: 'Namaste' })).status, 'sent');
+  });
+
+  await t.test('the last admin cannot step down', async () => {
+    const response = await papa.request('PATCH', `/conversations/${conversationId}/members/${papa.id}`, { body: { role: 'member' } });
+    assert.equal(response.status, 400);
+
+    await papa.request('PATCH', `/conversations/${conversationId}/members/${mummy.id}`, { body: { role: 'admin' } });
+    assert.equal(await roleOf(mummy), 'admin');
+  });
+
+  await t.test('kicked members lose access and are told so', async () => {
+    assert.equal((await grandpa.request('DELETE', `/conversations/${conversationId}/members/${mummy.id}`)).status, 403);
+
+    assert.equal((await mummy.request('DELETE', `/conversations/${conversationId}/members/${grandpa.id}`)).status, 200);
+    assert.deepEqual(api.registry.eventsFor(grandpa.id, 'conversation_removed'), [{ conversationId }]);
+    assert.equal((await grandpa.request('GET', `/conversations/${conversationId}/messages`)).status, 403);
+  });
+
+  await t.test('when the admins leave, the longest-standing member takes over', async () => {
+    await papa.request('POST', `/conversations/${conversationId}/members`, { body: { userIds: [grandpa.id] } });
+    assert.equal((await papa.request('DELETE', `/conversations/${conversationId}/members/${papa.id}`)).status, 200);
+    assert.equal((await mummy.request('DELETE', `/conversations/${conversationId}/members/${mummy.id}`)).status, 200);
+
+    const group = (await grandpa.request('GET', `/conversations/${conversationId}`)).body.conversation;
+    assert.deepEqual(group.members.map(member => [member.userId, member.role]), [[grandpa.id, 'admin']]);
+  });
+
+  await t.test('rejects groups without a name or other members', async () => {
+    assert.equal((await papa.request('POST', '/conversations', { body: { name: ' ', memberIds: [mummy.id] } })).status, 400);
+    assert.equal((await papa.request('POST', '/conversations', { body: { name: 'Alone', memberIds: [papa.id] } })).status, 400);
+  });
+});
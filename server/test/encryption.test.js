@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+
+const publicKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+  .publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+const base64 = bytes => crypto.randomBytes(bytes).toString('base64');
+
+// What a device publishes, and an envelope it would send to `deviceIds`
+function device() {
+  const id = crypto.randomUUID();
+  const key = publicKey();
+  return {
+    id,
+    key,
+    envelope: deviceIds => ({
+      v: 1,
+      senderDevice: id,
+      senderKey: key,
+      iv: base64(12),
+      ciphertext: base64(48),
+      keys: Object.fromEntries(deviceIds.map(deviceId => [deviceId, base64(40)]))
+    })
+  };
+}
+
+test('end-to-end encrypted messages', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const outsider = await api.login('+913333333333');
+  const socket = papa.connect();
+  await socket.send('send_message', { to: mummy.id, message: 'Switching to encryption' });
+
+  const laptop = device();
+  const phone = device();
+  const register = (user, { id, key }) => user.request('PUT', `/keys/devices/${id}`, { body: { identityKey: key } });
+
+  await t.test('a recipient without devices cannot be sent encrypted messages', async () => {
+    assert.equal((await register(papa, laptop)).status, 201);
+
+    const ack = await socket.send('send_message', { to: mummy.id, encrypted: laptop.envelope([laptop.id]) });
+    assert.equal(ack.code, 'recipient_not_enabled');
+  });
+
+  await t.test('devices are published to the user\'s chats', async () => {
+    assert.equal((await register(mummy, phone)).status, 201);
+
+    const keys = await papa.request('GET', `/keys/${mummy.id}`);
+    assert.deepEqual(keys.body.devices.map(entry => [entry.deviceId, entry.identityKey]), [[phone.id, phone.key]]);
+    const changed = api.registry.eventsFor(papa.id, 'devices_changed').pop();
+    assert.equal(changed.userId, mummy.id);
+  });
+
+  await t.test('someone else\'s device id cannot be taken over or removed', async () => {
+    assert.equal((await outsider.request('PUT', `/keys/devices/${phone.id}`, { body: { identityKey: publicKey() } })).status, 409);
+    assert.equal((await outsider.request('DELETE', `/keys/devices/${phone.id}`)).status, 404);
+    assert.equal((await register(outsider, { id: crypto.randomUUID(), key: 'not a key' })).status, 400);
+  });
+
+  await t.test('an envelope for every device is stored as ciphertext only', async () => {
+    const envelope = laptop.envelope([laptop.id, phone.id]);
+    const ack = await socket.send('send_message', { to: mummy.id, encrypted: envelope });
+    assert.equal(ack.status, 'sent');
+
+    const stored = await api.store.getMessageById(ack.message.id);
+    assert.equal(stored.content, null);
+    const history = await mummy.request('GET', `/messages/${mummy.id}/${papa.id}`);
+    assert.deepEqual(history.body.messages.find(message => message.id === ack.message.id).encrypted, envelope);
+  });
+
+  await t.test('an envelope missing a device, or sent from another user\'s device, is refused', async () => {
+    const missing = await socket.send('send_message', { to: mummy.id, encrypted: laptop.envelope([laptop.id]) });
+    assert.equal(missing.code, 'devices_changed');
+
+    const impostor = await outsider.connect().send('send_message', { to: mummy.id, encrypted: laptop.envelope([laptop.id, phone.id]) });
+    assert.equal(impostor.code, 'unknown_device');
+  });
+
+  await t.test('plaintext never travels with an envelope', async () => {
+    const ack = await socket.send('send_message', { to: mummy.id, message: 'oops', encrypted: laptop.envelope([laptop.id, phone.id]) });
+    assert.equal(ack.status, 'error');
+    assert.equal(ack.message, 'Encrypted messages must not include plaintext');
+  });
+
+  await t.test('removing a device tells the user\'s chats', async () => {
+    assert.equal((await mummy.request('DELETE', `/keys/devices/${phone.id}`)).status, 200);
+    assert.deepEqual(api.registry.eventsFor(papa.id, 'devices_changed').pop(), { userId: mummy.id, devices: [] });
+  });
+});
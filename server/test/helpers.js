@@ -0,0 +1,179 @@
+// The API as production.js assembles it, on the in-memory store with no seed
+// data, listening on a random port. Files go to a temporary directory that
+// close() removes.
+//
+// Sockets are stand-ins carrying the real send_message, receipt and typing
+// handlers: `socket.send(event, payload)` delivers an event as a client
+// would and resolves to its ack, and what the server sends back is kept in
+// `socket.received`. Events routed to other users' sockets are kept in
+// `registry.events`.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { createMemoryStore } = require('../storage');
+const { createApiRouter } = require('../routes');
+const { createOtpService } = require('../auth/otp');
+const { createTokenService } = require('../auth/tokens');
+const { resolveMessagePolicy } = require('../messagePolicy');
+const { createFileStore } = require('../files');
+const { createFileScanner } = require('../files/scanners');
+const { createUploadService, resolveUploadPolicy } = require('../files/uploads');
+const { createMediaProcessor } = require('../files/media');
+const { createResumableUploads } = require('../files/resumable');
+const { registerMessagingHandlers } = require('../socket/messaging');
+const { registerReceiptHandlers } = require('../socket/receipts');
+const { registerTypingHandlers } = require('../socket/typing');
+const { PresenceService } = require('../socket/presence');
+
+const SECRET = 'test-secret';
+
+// Without env.FFMPEG_PATH there is no ffmpeg; make that processor once and
+// warn once
+let noFfmpeg = null;
+
+class TestSocket {
+  constructor(userId) {
+    this.id = crypto.randomUUID();
+    this.data = { userId };
+    this.handlers = new Map();
+    this.received = [];
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(handler);
+  }
+
+  // Server to client
+  emit(event, payload) {
+    this.received.push({ event, payload });
+  }
+
+  // Client to server; resolves once every handler has finished
+  async send(event, payload) {
+    let ack;
+    await Promise.all((this.handlers.get(event) || []).map(handler => handler(payload, (response) => { ack = response; })));
+    return ack;
+  }
+}
+
+function recordingRegistry() {
+  const events = [];
+  const record = (to, event, payload) => events.push({ to, event, payload });
+
+  return {
+    events,
+    emitToUser: (userId, event, payload) => record([userId], event, payload),
+    emitToUsers: (userIds, event, payload) => record(userIds, event, payload),
+    emitToConversation: (conversationId, event, payload) => record([conversationId], event, payload),
+    joinConversation() {},
+    leaveConversation() {},
+    isOnline: () => false,
+    eventsFor(userId, event) {
+      return events.filter(entry => entry.event === event && entry.to.includes(userId)).map(entry => entry.payload);
+    }
+  };
+}
+
+async function startTestServer({ env = {} } = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'digidad-test-'));
+  const settings = {
+    FILE_STORAGE: 'disk',
+    FILE_STORAGE_DIR: path.join(dir, 'files'),
+    UPLOAD_TEMP_DIR: path.join(dir, 'uploads'),
+    FILE_SCANNER: 'none',
+    ...env
+  };
+
+  const store = createMemoryStore();
+  const codes = [];
+  const otp = createOtpService({
+    store,
+    transport: { async send(message) { codes.push(message); } },
+    options: { resendCooldownMs: 0 }
+  });
+  const tokens = createTokenService({ store, secret: SECRET });
+  const registry = recordingRegistry();
+  // Never started: no sweeps, everyone offline
+  const presence = new PresenceService({ store, registry });
+  const files = createFileStore({ store, secret: SECRET, env: settings });
+  noFfmpeg = noFfmpeg || createMediaProcessor({ FFMPEG_PATH: path.join(os.tmpdir(), 'no-ffmpeg-for-tests') });
+  const media = settings.FFMPEG_PATH ? createMediaProcessor(settings) : noFfmpeg;
+  const uploads = createUploadService({
+    store,
+    files,
+    scanner: createFileScanner(settings),
+    media,
+    policy: resolveUploadPolicy(settings)
+  });
+  const resumable = createResumableUploads({ uploads, env: settings });
+  const messagePolicy = resolveMessagePolicy(settings);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', createApiRouter({
+    store, otp, tokens, registry, presence, messagePolicy, adminIds: new Set(), files, uploads, resumable
+  }));
+  // Errors are answered as production.js answers them, without the log
+  app.use((err, req, res, next) => {
+    res.status(500).json({ error: 'Internal server error', message: err.message });
+  });
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  // JSON in and out; `body` may also be a Buffer, sent as it is
+  async function request(method, url, { token = null, body, headers = {} } = {}) {
+    const raw = Buffer.isBuffer(body);
+    const response = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': raw ? 'application/octet-stream' : 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined || raw ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  // Log in with a code through the API, registering the phone on first use.
+  // Resolves to { id, phone, session, token, request, connect }.
+  async function login(phone, { name = null } = {}) {
+    await request('POST', '/auth/otp', { body: { phone, name } });
+    const { code } = codes.filter(message => message.phone === phone).pop();
+    const { body } = await request('POST', '/auth', { body: { phone, code } });
+    const token = body.session.accessToken;
+
+    return {
+      id: body.user.id,
+      phone,
+      session: body.session,
+      token,
+      request: (method, url, options = {}) => request(method, url, { ...options, token }),
+      connect: () => connect(body.user.id)
+    };
+  }
+
+  function connect(userId) {
+    const socket = new TestSocket(userId);
+    registerMessagingHandlers(socket, { store, registry });
+    registerReceiptHandlers(socket, { store, registry });
+    registerTypingHandlers(socket, { store, registry });
+    return socket;
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+
+  return { store, otp, tokens, registry, files, codes, request, login, connect, close };
+}
+
+module.exports = { startTestServer };
@@ -0,0 +1,267 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+async function twoUsers(api) {
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  return { papa, mummy };
+}
+
+// A message stored directly, e.g. to backdate it
+function storeMessage(api, from, to, content, createdAt = new Date()) {
+  return api.store.insertMessage({
+    from_user_id: from.id,
+    to_user_id: to.id,
+    content,
+    message_type: 'text',
+    created_at: createdAt.toISOString()
+  });
+}
+
+test('send_message', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const { papa, mummy } = await twoUsers(api);
+  const socket = papa.connect();
+
+  await t.test('stores and delivers a message', async () => {
+    const ack = await socket.send('send_message', { to: mummy.id, message: '  Hello  ' });
+
+    assert.equal(ack.status, 'sent');
+    assert.equal(ack.message.msg, 'Hello');
+    assert.equal(ack.message.status, 'sent');
+    assert.deepEqual(api.registry.eventsFor(mummy.id, 'receive_message').map(message => message.id), [ack.message.id]);
+  });
+
+  await t.test('a retry with the same clientMessageId is acknowledged without a second copy', async () => {
+    const clientMessageId = crypto.randomUUID();
+    const first = await socket.send('send_message', { to: mummy.id, message: 'Once', clientMessageId });
+    const retry = await socket.send('send_message', { to: mummy.id, message: 'Once', clientMessageId });
+
+    assert.equal(retry.status, 'sent');
+    assert.equal(retry.duplicate, true);
+    assert.equal(retry.message.id, first.message.id);
+
+    const history = await papa.request('GET', `/messages/${papa.id}/${mummy.id}`);
+    assert.equal(history.body.messages.filter(message => message.msg === 'Once').length, 1);
+  });
+
+  await t.test('concurrent sends with one clientMessageId store one message', async () => {
+    const clientMessageId = crypto.randomUUID();
+    const acks = await Promise.all([1, 2, 3].map(() => socket.send('send_message', { to: mummy.id, message: 'Race', clientMessageId })));
+
+    assert.equal(new Set(acks.map(ack => ack.message.id)).size, 1);
+  });
+
+  await t.test('a clientMessageId cannot be reused for another chat', async () => {
+    const other = await api.login('+913333333333');
+    const clientMessageId = crypto.randomUUID();
+    await socket.send('send_message', { to: mummy.id, message: 'Here', clientMessageId });
+
+    const ack = await socket.send('send_message', { to: other.id, message: 'There', clientMessageId });
+    assert.equal(ack.status, 'error');
+    assert.equal(ack.retryable, false);
+  });
+
+  await t.test('replies quote a message from the same chat', async () => {
+    const original = (await socket.send('send_message', { to: mummy.id, message: 'Dinner at 8?' })).message;
+    const ack = await mummy.connect().send('send_message', { to: papa.id, message: 'Yes', replyToMessageId: original.id });
+
+    assert.equal(ack.status, 'sent');
+    const history = await papa.request('GET', `/messages/${papa.id}/${mummy.id}`);
+    const quoted = history.body.messages.find(message => message.id === ack.message.id).replyTo;
+    assert.equal(quoted.id, original.id);
+    assert.equal(quoted.text, 'Dinner at 8?');
+  });
+
+  await t.test('a reply to a message from another chat is rejected without quoting it', async () => {
+    const outsider = await api.login('+914444444444');
+    const secret = (await socket.send('send_message', { to: mummy.id, message: 'Private' })).message;
+
+    const ack = await outsider.connect().send('send_message', { to: papa.id, message: 'Gotcha', replyToMessageId: secret.id });
+    assert.equal(ack.status, 'error');
+    assert.equal(ack.message, 'The message being replied to is not in this chat');
+    assert.ok(!JSON.stringify(api.registry.events).includes('Gotcha'));
+
+    const unknown = await socket.send('send_message', { to: mummy.id, message: 'x', replyToMessageId: crypto.randomUUID() });
+    assert.equal(unknown.status, 'error');
+  });
+
+  await t.test('rejects invalid sends', async () => {
+    assert.equal((await socket.send('send_message', { to: mummy.id, message: '   ' })).message, 'Message is empty');
+    assert.equal((await socket.send('send_message', { to: papa.id, message: 'Me' })).message, 'Invalid recipient');
+    assert.equal((await socket.send('send_message', { to: mummy.id, message: 'x', clientMessageId: 'abc' })).message, 'Invalid clientMessageId');
+  });
+});
+
+test('receipts', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const { papa, mummy } = await twoUsers(api);
+  const papaSocket = papa.connect();
+  const mummySocket = mummy.connect();
+
+  const sent = [];
+  for (const text of ['one', 'two', 'three']) {
+    sent.push((await papaSocket.send('send_message', { to: mummy.id, message: text })).message);
+  }
+  const statuses = () => api.registry.eventsFor(papa.id, 'message_status');
+
+  await t.test('delivery is reported to the sender once per batch', async () => {
+    await mummySocket.send('message_delivered', { messageIds: sent.map(message => message.id) });
+
+    assert.equal(statuses().length, 1);
+    assert.equal(statuses()[0].peerId, mummy.id);
+    assert.deepEqual(statuses()[0].messages.map(message => message.status), ['delivered', 'delivered', 'delivered']);
+  });
+
+  await t.test('only the recipient can acknowledge a message', async () => {
+    const before = statuses().length;
+    await papaSocket.send('message_read', { messageIds: [sent[0].id] });
+    assert.equal(statuses().length, before);
+  });
+
+  await t.test('reading everything from a peer marks each message read and clears the unread count', async () => {
+    await mummySocket.send('message_read', { peerId: papa.id });
+
+    const last = statuses()[statuses().length - 1];
+    assert.deepEqual(last.messages.map(message => message.status), ['read', 'read', 'read']);
+    assert.ok(last.messages.every(message => message.readAt));
+
+    const history = await papa.request('GET', `/messages/${papa.id}/${mummy.id}`);
+    assert.ok(history.body.messages.every(message => message.status === 'read'));
+
+    const chats = await mummy.request('GET', `/chats/${mummy.id}`);
+    assert.equal(chats.body.chats.find(chat => chat.peerId === papa.id).unreadCount, 0);
+  });
+
+  await t.test('acknowledging again changes nothing', async () => {
+    const before = statuses().length;
+    await mummySocket.send('message_read', { messageIds: sent.map(message => message.id) });
+    await mummySocket.send('message_delivered', { messageIds: sent.map(message => message.id) });
+    assert.equal(statuses().length, before);
+  });
+});
+
+test('history cursors', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const { papa, mummy } = await twoUsers(api);
+
+  // Pairs of messages share a timestamp, so paging must break ties by id
+  const start = Date.now() - 60 * MINUTE;
+  const stored = [];
+  for (let i = 0; i < 10; i++) {
+    stored.push(await storeMessage(api, i % 2 ? papa : mummy, i % 2 ? mummy : papa, `m${i}`, new Date(start + Math.floor(i / 2) * 1000)));
+  }
+  const inOrder = stored
+    .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+    .map(message => message.id);
+  const page = query => papa.request('GET', `/messages/${papa.id}/${mummy.id}?${query}`);
+
+  await t.test('pages backwards through history without gaps or repeats', async () => {
+    const seen = [];
+    let response = await page('limit=3');
+    assert.equal(response.body.hasMoreAfter, false);
+
+    for (;;) {
+      seen.unshift(...response.body.messages.map(message => message.id));
+      if (!response.body.hasMoreBefore) break;
+      response = await page(`limit=3&before=${response.body.cursors.before}`);
+    }
+
+    assert.deepEqual(seen, inOrder);
+  });
+
+  await t.test('pages forwards from a cursor', async () => {
+    const oldest = await page(`limit=4&before=${(await page('limit=6')).body.cursors.before}`);
+    assert.deepEqual(oldest.body.messages.map(message => message.id), inOrder.slice(0, 4));
+
+    const next = await page(`limit=4&after=${oldest.body.cursors.after}`);
+    assert.deepEqual(next.body.messages.map(message => message.id), inOrder.slice(4, 8));
+    assert.equal(next.body.hasMoreAfter, true);
+    assert.equal(next.body.hasMoreBefore, true);
+  });
+
+  await t.test('centres a page on one message', async () => {
+    const response = await page(`limit=5&around=${inOrder[5]}`);
+    assert.ok(response.body.messages.map(message => message.id).includes(inOrder[5]));
+  });
+
+  await t.test('rejects bad cursors', async () => {
+    assert.equal((await page('before=nonsense')).status, 400);
+    assert.equal((await page(`before=${inOrder[0]}&after=${inOrder[1]}`)).status, 400);
+  });
+
+  await t.test('only the participants can read the chat', async () => {
+    const outsider = await api.login('+913333333333');
+    const response = await outsider.request('GET', `/messages/${papa.id}/${mummy.id}`);
+    assert.equal(response.status, 403);
+  });
+});
+
+test('edit and delete windows', async (t) => {
+  const api = await startTestServer({
+    env: { MESSAGE_EDIT_WINDOW_MINUTES: '15', MESSAGE_DELETE_WINDOW_MINUTES: '60' }
+  });
+  t.after(() => api.close());
+  const { papa, mummy } = await twoUsers(api);
+
+  await t.test('edits inside the window keep the replaced text', async () => {
+    const message = await storeMessage(api, papa, mummy, 'first', new Date(Date.now() - 14 * MINUTE));
+
+    const edited = await papa.request('PATCH', `/messages/${message.id}`, { body: { content: 'second' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.message.msg, 'second');
+    assert.equal(edited.body.message.isEdited, true);
+    assert.deepEqual(api.registry.eventsFor(mummy.id, 'message_updated').map(update => update.id), [message.id]);
+
+    const revisions = await mummy.request('GET', `/messages/${message.id}/revisions`);
+    assert.deepEqual(revisions.body.revisions.map(revision => revision.msg), ['first']);
+    assert.equal(revisions.body.current.msg, 'second');
+  });
+
+  await t.test('edits after the window are refused', async () => {
+    const message = await storeMessage(api, papa, mummy, 'old', new Date(Date.now() - 16 * MINUTE));
+
+    const response = await papa.request('PATCH', `/messages/${message.id}`, { body: { content: 'new' } });
+    assert.equal(response.status, 403);
+  });
+
+  await t.test('only the author can edit or delete for everyone', async () => {
+    const message = await storeMessage(api, papa, mummy, 'mine');
+
+    assert.equal((await mummy.request('PATCH', `/messages/${message.id}`, { body: { content: 'x' } })).status, 403);
+    assert.equal((await mummy.request('DELETE', `/messages/${message.id}`)).status, 403);
+  });
+
+  await t.test('deleting for everyone inside the window leaves a tombstone', async () => {
+    const message = await storeMessage(api, papa, mummy, 'oops', new Date(Date.now() - 59 * MINUTE));
+
+    const response = await papa.request('DELETE', `/messages/${message.id}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.message.isDeleted, true);
+    assert.equal(response.body.message.msg, null);
+
+    const history = await mummy.request('GET', `/messages/${mummy.id}/${papa.id}`);
+    const tombstone = history.body.messages.find(entry => entry.id === message.id);
+    assert.equal(tombstone.isDeleted, true);
+    assert.equal(tombstone.msg, null);
+  });
+
+  await t.test('deleting for everyone after the window is refused, deleting for me is not', async () => {
+    const message = await storeMessage(api, papa, mummy, 'ancient', new Date(Date.now() - 61 * MINUTE));
+
+    assert.equal((await papa.request('DELETE', `/messages/${message.id}`)).status, 403);
+
+    assert.equal((await papa.request('DELETE', `/messages/${message.id}?for=me`)).status, 200);
+    const mine = await papa.request('GET', `/messages/${papa.id}/${mummy.id}`);
+    assert.ok(!mine.body.messages.some(entry => entry.id === message.id));
+    const theirs = await mummy.request('GET', `/messages/${mummy.id}/${papa.id}`);
+    assert.ok(theirs.body.messages.some(entry => entry.id === message.id));
+  });
+});
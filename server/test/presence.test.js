@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('presence', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const stranger = await api.login('+913333333333');
+
+  // Chatting makes papa and mummy each other's contacts
+  await papa.connect().send('send_message', { to: mummy.id, message: 'Hi' });
+  await api.store.setUserOnline(papa.id, true);
+
+  const statusOf = async (viewer, user) => {
+    const response = await viewer.request('GET', `/presence?userIds=${user.id}`);
+    return response.body.users[0];
+  };
+  const setVisibility = visibility => papa.request('PUT', '/presence/settings', { body: { visibility } });
+
+  await t.test('everyone sees an online user by default', async () => {
+    assert.equal((await statusOf(mummy, papa)).isOnline, true);
+    assert.equal((await statusOf(stranger, papa)).isOnline, true);
+  });
+
+  await t.test('with contacts only, people outside the user\'s chats and contacts see nothing', async () => {
+    assert.equal((await setVisibility('contacts')).status, 200);
+
+    assert.equal((await statusOf(mummy, papa)).isOnline, true);
+    assert.deepEqual(await statusOf(stranger, papa), { userId: papa.id, isOnline: false, lastSeen: null });
+  });
+
+  await t.test('with nobody, only the user sees their own status', async () => {
+    await setVisibility('nobody');
+
+    assert.equal((await statusOf(mummy, papa)).isOnline, false);
+    assert.equal((await statusOf(papa, papa)).isOnline, true);
+  });
+
+  await t.test('looks up contacts once however many users are asked about', async () => {
+    await setVisibility('contacts');
+    await mummy.request('PUT', '/presence/settings', { body: { visibility: 'contacts' } });
+
+    const lookups = [];
+    const { listPresenceWatchers } = api.store;
+    api.store.listPresenceWatchers = (...args) => {
+      lookups.push(args);
+      return listPresenceWatchers(...args);
+    };
+    try {
+      const response = await stranger.request('GET', `/presence?userIds=${papa.id},${mummy.id}`);
+      assert.equal(response.body.users.length, 2);
+      assert.ok(response.body.users.every(user => user.lastSeen === null));
+    } finally {
+      api.store.listPresenceWatchers = listPresenceWatchers;
+    }
+    assert.equal(lookups.length, 1);
+  });
+
+  await t.test('ignores ids that are not user ids', async () => {
+    const response = await mummy.request('GET', `/presence?userIds=nonsense,${papa.id},,${papa.id}`);
+    assert.deepEqual(response.body.users.map(user => user.userId), [papa.id]);
+  });
+
+  await t.test('rejects unknown visibility settings', async () => {
+    assert.equal((await setVisibility('friends')).status, 400);
+  });
+});
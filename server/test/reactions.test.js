@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('reactions', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const outsider = await api.login('+913333333333');
+  const { message } = await papa.connect().send('send_message', { to: mummy.id, message: 'Got the tickets!' });
+
+  const react = (user, emoji) => user.request('PUT', `/messages/${message.id}/reactions/${encodeURIComponent(emoji)}`);
+  const unreact = (user, emoji) => user.request('DELETE', `/messages/${message.id}/reactions/${encodeURIComponent(emoji)}`);
+  const reactionsSeenBy = async (user) => {
+    const history = await user.request('GET', `/messages/${user.id}/${user.id === papa.id ? mummy.id : papa.id}`);
+    return history.body.messages.find(entry => entry.id === message.id).reactions;
+  };
+
+  await t.test('both sides of the chat can react, and see totals with their own marked', async () => {
+    assert.equal((await react(mummy, '🎉')).status, 200);
+    const response = await react(papa, '🎉');
+    assert.deepEqual(response.body.reactions, [{ emoji: '🎉', count: 2, reacted: true }]);
+
+    await react(mummy, '👍🏽');
+    assert.deepEqual(await reactionsSeenBy(papa), [
+      { emoji: '🎉', count: 2, reacted: true },
+      { emoji: '👍🏽', count: 1, reacted: false }
+    ]);
+  });
+
+  await t.test('changes reach the chat live', async () => {
+    const update = api.registry.eventsFor(papa.id, 'reaction_updated').pop();
+    assert.equal(update.messageId, message.id);
+    assert.equal(update.action, 'added');
+    assert.deepEqual(update.reactions.find(reaction => reaction.emoji === '👍🏽').userIds, [mummy.id]);
+  });
+
+  await t.test('reacting twice counts once, and a reaction can be taken back', async () => {
+    await react(mummy, '🎉');
+    const response = await unreact(mummy, '🎉');
+    assert.deepEqual(response.body.reactions.find(reaction => reaction.emoji === '🎉'), { emoji: '🎉', count: 1, reacted: false });
+    assert.equal(api.registry.eventsFor(papa.id, 'reaction_updated').pop().action, 'removed');
+  });
+
+  await t.test('people outside the chat cannot react or see reactions', async () => {
+    assert.equal((await react(outsider, '😂')).status, 404);
+    assert.equal((await unreact(outsider, '👍🏽')).status, 404);
+    assert.ok(!(await reactionsSeenBy(papa)).some(reaction => reaction.emoji === '😂'));
+  });
+
+  await t.test('only emoji are accepted', async () => {
+    assert.equal((await react(papa, 'lol')).status, 400);
+    assert.equal((await react(papa, '🎉<b>')).status, 400);
+  });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('message search', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const outsider = await api.login('+913333333333');
+  const papaSocket = papa.connect();
+
+  const send = async (socket, to, message) => (await socket.send('send_message', { to: to.id, message })).message;
+  const planned = await send(papaSocket, mummy, 'Dinner plans: dinner at 8, dinner with Nani');
+  const mention = await send(papaSocket, mummy, 'Did you book dinner?');
+  const removed = await send(papaSocket, mummy, 'Dinner is cancelled');
+  await papa.request('DELETE', `/messages/${removed.id}`);
+  await send(outsider.connect(), mummy, 'Dinner at my place');
+
+  const search = (user, query) => user.request('GET', `/search/messages?${query}`);
+  const ids = response => response.body.results.map(result => result.message.id);
+
+  await t.test('finds the user\'s own messages, best match first, with highlights', async () => {
+    const response = await search(papa, 'q=dinn');
+    assert.equal(response.status, 200);
+    assert.deepEqual(ids(response), [planned.id, mention.id]);
+
+    const best = response.body.results[0];
+    assert.deepEqual(best.chat, { peerId: mummy.id });
+    assert.deepEqual(best.highlights[0], { start: 0, end: 4 });
+  });
+
+  await t.test('never returns deleted messages or other people\'s chats', async () => {
+    const response = await search(papa, 'q=dinner');
+    assert.ok(!ids(response).includes(removed.id));
+    assert.ok(response.body.results.every(result => result.chat.peerId === mummy.id));
+
+    const theirs = await search(outsider, 'q=dinner');
+    assert.equal(theirs.body.results.length, 1);
+    assert.ok(!ids(theirs).includes(planned.id));
+  });
+
+  await t.test('filters by chat, date and type', async () => {
+    assert.equal((await search(mummy, `q=dinner&peerId=${outsider.id}`)).body.results.length, 1);
+    assert.equal((await search(papa, 'q=dinner&to=2000-01-01')).body.results.length, 0);
+    assert.equal((await search(papa, 'q=dinner&type=image')).body.results.length, 0);
+  });
+
+  await t.test('pages through results', async () => {
+    const first = await search(papa, 'q=dinner&limit=1');
+    assert.equal(first.body.hasMore, true);
+    const second = await search(papa, 'q=dinner&limit=1&offset=1');
+    assert.deepEqual(ids(second), [mention.id]);
+    assert.equal(second.body.hasMore, false);
+  });
+
+  await t.test('a result can be opened in context', async () => {
+    const response = await mummy.request('GET', `/messages/${mummy.id}/${papa.id}?limit=3&around=${mention.id}`);
+    assert.ok(response.body.messages.some(message => message.id === mention.id));
+    assert.equal((await outsider.request('GET', `/messages/${mummy.id}/${papa.id}?around=${mention.id}`)).status, 403);
+  });
+
+  await t.test('rejects empty queries and bad filters', async () => {
+    assert.equal((await search(papa, 'q=%20!')).status, 400);
+    assert.equal((await search(papa, 'q=dinner&from=someday')).status, 400);
+    assert.equal((await search(papa, 'q=dinner&type=sticker')).status, 400);
+  });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('delta sync', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const socket = papa.connect();
+
+  const sync = since => mummy.request('GET', since ? `/sync?since=${encodeURIComponent(since)}` : '/sync');
+  const send = async message => (await socket.send('send_message', { to: mummy.id, message })).message;
+  let token = (await sync()).body.syncToken;
+
+  await t.test('the first call only returns a token', async () => {
+    const response = await sync();
+    assert.deepEqual(response.body.changes, []);
+    assert.equal(response.body.hasMore, false);
+    assert.ok(response.body.syncToken);
+  });
+
+  await t.test('returns new, edited and deleted messages', async () => {
+    const kept = await send('keep me');
+    const edited = await send('edit me');
+    const deleted = await send('delete me');
+    await papa.request('PATCH', `/messages/${edited.id}`, { body: { content: 'edited' } });
+    await papa.request('DELETE', `/messages/${deleted.id}`);
+
+    const response = await sync(token);
+    const changes = new Map(response.body.changes.map(change => [change.id, change]));
+    assert.equal(changes.get(kept.id).msg, 'keep me');
+    assert.equal(changes.get(edited.id).msg, 'edited');
+    assert.equal(changes.get(edited.id).isEdited, true);
+    assert.equal(changes.get(deleted.id).isDeleted, true);
+    assert.equal(changes.get(deleted.id).msg, null);
+    token = response.body.syncToken;
+  });
+
+  await t.test('receipts and hidden messages come back as changes', async () => {
+    const read = await send('read me');
+    const hidden = await send('hide me');
+    token = (await sync(token)).body.syncToken;
+
+    await mummy.connect().send('message_read', { messageIds: [read.id] });
+    await mummy.request('DELETE', `/messages/${hidden.id}?for=me`);
+
+    const changes = new Map((await sync(token)).body.changes.map(change => [change.id, change]));
+    assert.equal(changes.get(read.id).status, 'read');
+    assert.equal(changes.get(hidden.id).hidden, true);
+  });
+
+  await t.test('re-scans behind the token for changes that committed late', async () => {
+    const response = await sync(token);
+    const position = JSON.parse(Buffer.from(response.body.syncToken, 'base64url').toString())[0];
+
+    // Stamped before the token's position, but only visible now
+    const late = await api.store.insertMessage({
+      from_user_id: papa.id,
+      to_user_id: mummy.id,
+      content: 'late',
+      message_type: 'text',
+      created_at: new Date(Date.parse(position) - 5000).toISOString()
+    });
+
+    const next = await sync(response.body.syncToken);
+    assert.ok(next.body.changes.some(change => change.id === late.id));
+    assert.equal(next.body.syncToken, response.body.syncToken);
+  });
+
+  await t.test('never moves the token backwards when nothing is new', async () => {
+    const first = await sync(token);
+    const second = await sync(first.body.syncToken);
+    assert.equal(second.body.syncToken, first.body.syncToken);
+  });
+
+  await t.test('pages through large batches and then stops', async () => {
+    const start = (await sync(token)).body.syncToken;
+    for (let i = 0; i < 520; i++) await send(`bulk ${i}`);
+
+    const ids = new Set();
+    let since = start;
+    let pages = 0;
+    let response;
+    do {
+      response = await sync(since);
+      response.body.changes.forEach(change => ids.add(change.id));
+      since = response.body.syncToken;
+      pages++;
+    } while (response.body.hasMore && pages < 10);
+
+    assert.equal(response.body.hasMore, false);
+    assert.ok(pages >= 2);
+    const bulk = (await mummy.request('GET', `/messages/${mummy.id}/${papa.id}?limit=100`)).body.messages;
+    assert.ok(bulk.every(message => ids.has(message.id)));
+  });
+
+  await t.test('only includes chats the user is in', async () => {
+    const outsider = await api.login('+913333333333');
+    const start = (await outsider.request('GET', '/sync')).body.syncToken;
+    await send('private');
+
+    const response = await outsider.request('GET', `/sync?since=${encodeURIComponent(start)}`);
+    assert.deepEqual(response.body.changes, []);
+  });
+
+  await t.test('rejects malformed tokens', async () => {
+    assert.equal((await sync('not-a-token')).status, 400);
+  });
+});
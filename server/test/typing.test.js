@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+
+// typing_start is not acknowledged; let its checks finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('typing indicators', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const stranger = await api.login('+913333333333');
+  const socket = papa.connect();
+  await socket.send('send_message', { to: mummy.id, message: 'Hi' });
+
+  const typingFor = user => api.registry.eventsFor(user.id, 'user_typing');
+
+  await t.test('reach the other side of a one-to-one chat, and stop', async () => {
+    await socket.send('typing_start', { to: mummy.id });
+    await settle();
+    await socket.send('typing_stop', { to: mummy.id });
+
+    assert.deepEqual(typingFor(mummy).map(event => event.isTyping), [true, false]);
+    assert.equal(typingFor(mummy)[0].from, papa.id);
+  });
+
+  await t.test('are not relayed to someone the typist has no chat with', async () => {
+    const strangerSocket = stranger.connect();
+    await strangerSocket.send('typing_start', { to: papa.id });
+    await settle();
+    await strangerSocket.send('typing_stop', { to: papa.id });
+
+    assert.deepEqual(typingFor(papa), []);
+  });
+
+  await t.test('need a valid recipient', async () => {
+    const before = api.registry.events.length;
+    for (const payload of [{}, { to: undefined }, { to: 'mummy' }, { to: papa.id }, { to: crypto.randomUUID() }]) {
+      await socket.send('typing_start', payload);
+      await settle();
+    }
+    assert.equal(api.registry.events.length, before);
+  });
+
+  await t.test('reach a group only from its members', async () => {
+    const created = await papa.request('POST', '/conversations', { body: { name: 'Family', memberIds: [mummy.id] } });
+    const { conversationId } = created.body.conversation;
+
+    const strangerSocket = stranger.connect();
+    await strangerSocket.send('typing_start', { conversationId });
+    await settle();
+    assert.equal(api.registry.eventsFor(conversationId, 'user_typing').length, 0);
+
+    await socket.send('typing_start', { conversationId });
+    await settle();
+    await socket.send('typing_stop', { conversationId });
+    assert.deepEqual(api.registry.eventsFor(conversationId, 'user_typing').map(event => event.isTyping), [true, false]);
+  });
+});
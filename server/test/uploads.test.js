@@ -0,0 +1,287 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { startTestServer } = require('./helpers');
+
+const MB = 1024 * 1024;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+function upload(user, data, name, type) {
+  return user.request('POST', '/files', {
+    body: data,
+    headers: { 'X-File-Type': type, 'X-File-Name': encodeURIComponent(name) }
+  });
+}
+
+test('uploads', async (t) => {
+  const api = await startTestServer({ env: { UPLOAD_MAX_FILE_MB: '1', UPLOAD_QUOTA_MB: '3' } });
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+
+  await t.test('stores an accepted file under the uploader', async () => {
+    const response = await upload(papa, Buffer.from('shopping list'), 'list.txt', 'text/plain');
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.file.type, 'text/plain');
+    assert.equal(response.body.file.size, 13);
+    assert.ok(response.body.file.path.startsWith(`${papa.id}/`));
+  });
+
+  await t.test('refuses file types that are not allowed', async () => {
+    const html = await upload(papa, Buffer.from('<html><script>alert(1)</script></html>'), 'page.html', 'text/html');
+    assert.equal(html.status, 415);
+  });
+
+  await t.test('refuses contents that do not match the declared type', async () => {
+    const fake = await upload(papa, Buffer.from('not really a picture'), 'photo.png', 'image/png');
+    assert.equal(fake.status, 415);
+  });
+
+  await t.test('refuses files over the size limit', async () => {
+    const response = await upload(papa, Buffer.alloc(MB + 1, 'a'), 'big.txt', 'text/plain');
+    assert.equal(response.status, 413);
+    assert.equal(response.body.reason, 'too_large');
+  });
+
+  await t.test('re-encodes photos without their metadata and makes a thumbnail', async () => {
+    const photo = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#3366cc' } })
+      .jpeg()
+      .withExif({ IFD0: { Copyright: 'Somewhere secret' } })
+      .toBuffer();
+    assert.ok((await sharp(photo).metadata()).exif);
+
+    const response = await upload(papa, photo, 'photo.jpg', 'image/jpeg');
+    assert.equal(response.status, 201);
+
+    const stored = await sharp(await api.files.read('chat-files', response.body.file.path)).metadata();
+    assert.equal(stored.exif, undefined);
+    assert.equal(stored.width, 1600);
+
+    const row = await api.store.getUpload('chat-files', response.body.file.path);
+    assert.deepEqual(Object.keys(row.media.variants).sort(), ['preview', 'thumbnail']);
+    assert.ok(row.media.blurhash);
+  });
+
+  await t.test('nothing is left in storage when the record cannot be written', async () => {
+    const photo = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#cc6633' } }).png().toBuffer();
+    const saved = [];
+    const { save } = api.files;
+    const { insertUpload } = api.store;
+    api.files.save = (bucket, objectPath, ...rest) => {
+      saved.push(objectPath);
+      return save(bucket, objectPath, ...rest);
+    };
+    api.store.insertUpload = async () => { throw new Error('database unavailable'); };
+    try {
+      const response = await upload(papa, photo, 'photo.png', 'image/png');
+      assert.equal(response.status, 500);
+    } finally {
+      api.files.save = save;
+      api.store.insertUpload = insertUpload;
+    }
+
+    assert.equal(saved.length, 3);
+    for (const objectPath of saved) {
+      await assert.rejects(api.files.read('chat-files', objectPath), { code: 'ENOENT' });
+    }
+  });
+
+  await t.test('an upload can be attached to one message only, and only by its owner', async () => {
+    const { file } = (await upload(papa, Buffer.from('once'), 'once.txt', 'text/plain')).body;
+    const attachment = { path: file.path, name: file.name };
+
+    const stolen = await mummy.connect().send('send_message', { to: papa.id, messageType: 'file', attachment });
+    assert.equal(stolen.status, 'error');
+
+    const socket = papa.connect();
+    const first = await socket.send('send_message', { to: mummy.id, messageType: 'file', attachment });
+    assert.equal(first.status, 'sent');
+    assert.equal(first.message.hasFile, true);
+
+    const second = await socket.send('send_message', { to: mummy.id, messageType: 'file', attachment });
+    assert.equal(second.status, 'error');
+  });
+
+  await t.test('enforces the storage quota', async () => {
+    const half = Buffer.alloc(0.9 * MB, 'b');
+    let response;
+    for (let i = 0; i < 4; i++) response = await upload(mummy, half, `part${i}.txt`, 'text/plain');
+
+    assert.equal(response.status, 413);
+    assert.equal(response.body.reason, 'over_quota');
+    assert.equal(response.body.quotaBytes, 3 * MB);
+  });
+});
+
+// Stands in for ffmpeg: every remux writes REMUXED, every decode a second
+// of silence, and each run's arguments are logged
+async function fakeFfmpeg(dir) {
+  const bin = path.join(dir, 'ffmpeg');
+  const log = path.join(dir, 'runs.log');
+  await fs.promises.writeFile(bin, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args[0] === '-version') process.exit(0);
+fs.appendFileSync(${JSON.stringify(log)}, JSON.stringify(args) + '\\n');
+if (args.includes('-map_metadata')) fs.writeFileSync(args[args.length - 1], 'REMUXED');
+else if (args.includes('s16le')) process.stdout.write(Buffer.alloc(16000));
+else process.exit(1);
+`, { mode: 0o755 });
+
+  return {
+    bin,
+    runs: async () => (await fs.promises.readFile(log, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+  };
+}
+
+// An MP4 header: enough for the content check, not for a real decoder
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypmp42'), Buffer.alloc(64)]);
+
+test('audio in containers that can hold video', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'digidad-ffmpeg-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const ffmpeg = await fakeFfmpeg(dir);
+
+  await t.test('a video declared as audio is remuxed to its audio alone, without metadata', async () => {
+    const api = await startTestServer({ env: { FFMPEG_PATH: ffmpeg.bin } });
+    t.after(() => api.close());
+    const papa = await api.login('+911111111111');
+
+    const response = await upload(papa, MP4, 'holiday.mp4', 'audio/mp4');
+    assert.equal(response.status, 201);
+    assert.equal(response.body.file.type, 'audio/mp4');
+    assert.equal((await api.files.read('chat-files', response.body.file.path)).toString(), 'REMUXED');
+
+    const remux = (await ffmpeg.runs()).find(args => args.includes('-map_metadata'));
+    assert.deepEqual(remux.slice(remux.indexOf('-map'), remux.indexOf('-map') + 2), ['-map', '0:a']);
+    assert.ok(!remux.includes('0:v'));
+    assert.equal(remux[remux.indexOf('-map_metadata') + 1], '-1');
+  });
+
+  await t.test('is refused when ffmpeg is missing', async () => {
+    const api = await startTestServer();
+    t.after(() => api.close());
+    const papa = await api.login('+911111111111');
+
+    const response = await upload(papa, MP4, 'holiday.mp4', 'audio/mp4');
+    assert.equal(response.status, 415);
+  });
+});
+
+test('resumable uploads', async (t) => {
+  const api = await startTestServer({ env: { UPLOAD_MAX_FILE_MB: '0.1', UPLOAD_RESUMABLE_MAX_MB: '2', UPLOAD_CHUNK_MB: '0.25' } });
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+
+  const contents = Buffer.from('a line of the family chronicle\n'.repeat(20000)); // ~600 KB
+  const chunkSize = 0.25 * MB;
+
+  const start = (data = contents, checksum = sha256(data)) => papa.request('POST', '/uploads', {
+    body: { name: 'chronicle.txt', type: 'text/plain', size: data.length, checksum }
+  });
+  const put = (id, offset, chunk) => papa.request('PUT', `/uploads/${id}`, {
+    body: chunk,
+    headers: { 'Upload-Offset': String(offset) }
+  });
+
+  await t.test('assembles chunks into one stored file', async () => {
+    const created = await start();
+    assert.equal(created.status, 201);
+    const { id } = created.body.upload;
+
+    let response;
+    for (let offset = 0; offset < contents.length; offset += chunkSize) {
+      response = await put(id, offset, contents.subarray(offset, offset + chunkSize));
+      if (offset + chunkSize < contents.length) {
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('Upload-Offset'), String(offset + chunkSize));
+      }
+    }
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.file.size, contents.length);
+    assert.ok(contents.equals(await api.files.read('chat-files', response.body.file.path)));
+    assert.equal((await papa.request('GET', `/uploads/${id}`)).status, 404);
+  });
+
+  await t.test('reports where to resume after a chunk went astray', async () => {
+    const { id } = (await start()).body.upload;
+    await put(id, 0, contents.subarray(0, chunkSize));
+
+    const skipped = await put(id, 2 * chunkSize, contents.subarray(2 * chunkSize, 3 * chunkSize));
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.offset, chunkSize);
+
+    const state = await papa.request('GET', `/uploads/${id}`);
+    assert.equal(state.body.upload.offset, chunkSize);
+    assert.equal((await papa.request('DELETE', `/uploads/${id}`)).status, 200);
+  });
+
+  await t.test('discards a file whose checksum does not match', async () => {
+    const { id } = (await start(contents, sha256('something else'))).body.upload;
+
+    let response;
+    for (let offset = 0; offset < contents.length; offset += chunkSize) {
+      response = await put(id, offset, contents.subarray(offset, offset + chunkSize));
+    }
+    assert.equal(response.status, 422);
+    assert.equal(response.body.reason, 'checksum_mismatch');
+  });
+
+  await t.test('checks the assembled file like any other upload', async () => {
+    const html = Buffer.from(`<html>${' '.repeat(1000)}</html>`);
+    const { id } = (await papa.request('POST', '/uploads', {
+      body: { name: 'page.html', type: 'text/html', size: html.length, checksum: sha256(html) }
+    })).body.upload;
+
+    const response = await put(id, 0, html);
+    assert.equal(response.status, 415);
+  });
+
+  await t.test('refuses files over the resumable limit', async () => {
+    const response = await papa.request('POST', '/uploads', {
+      body: { name: 'huge.txt', type: 'text/plain', size: 3 * MB, checksum: sha256('x') }
+    });
+    assert.equal(response.status, 413);
+  });
+});
+
+test('unfinished resumable uploads count against the quota', async (t) => {
+  const api = await startTestServer({ env: { UPLOAD_QUOTA_MB: '1', UPLOAD_RESUMABLE_MAX_MB: '2' } });
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+
+  const size = 600 * 1024;
+  const start = user => user.request('POST', '/uploads', {
+    body: { name: 'video.mp4', type: 'video/mp4', size, checksum: sha256('x') }
+  });
+
+  await t.test('a second upload that would not fit next to the first is refused', async () => {
+    const first = await start(papa);
+    assert.equal(first.status, 201);
+
+    const second = await start(papa);
+    assert.equal(second.status, 413);
+    assert.equal(second.body.reason, 'over_quota');
+    assert.equal(second.body.usedBytes, size);
+
+    // Other people's uploads are theirs
+    assert.equal((await start(mummy)).status, 201);
+
+    await papa.request('DELETE', `/uploads/${first.body.upload.id}`);
+    assert.equal((await start(papa)).status, 201);
+  });
+
+  await t.test('uploads started at the same time cannot both take the space', async () => {
+    const grandpa = await api.login('+913333333333');
+    const statuses = (await Promise.all([start(grandpa), start(grandpa)])).map(response => response.status);
+    assert.deepEqual(statuses.sort(), [201, 413]);
+  });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+// An Ogg page header: passes the content check, but no decoder would take it,
+// just as when ffmpeg is missing
+const OGG = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(256)]);
+
+function upload(user, data, name, type) {
+  return user.request('POST', '/files', {
+    body: data,
+    headers: { 'X-File-Type': type, 'X-File-Name': encodeURIComponent(name) }
+  });
+}
+
+test('voice notes', async (t) => {
+  const api = await startTestServer();
+  t.after(() => api.close());
+  const papa = await api.login('+911111111111');
+  const mummy = await api.login('+912222222222');
+  const socket = papa.connect();
+
+  const record = async () => {
+    const { file } = (await upload(papa, OGG, 'voice.ogg', 'audio/ogg')).body;
+    return { path: file.path, name: file.name };
+  };
+  const measured = { duration: 2.345, waveform: [0, 40, 100, 60, 10] };
+
+  await t.test('carry the client\'s measurements when the server cannot decode them', async () => {
+    const ack = await socket.send('send_message', { to: mummy.id, messageType: 'voice', attachment: await record(), media: measured });
+
+    assert.equal(ack.status, 'sent');
+    assert.equal(ack.message.messageType, 'voice');
+    assert.deepEqual(ack.message.media, { duration: 2.35, waveform: measured.waveform, estimated: true, variants: [] });
+    assert.equal(ack.message.playedAt, null);
+  });
+
+  await t.test('must be audio recordings with sensible measurements', async () => {
+    const { file } = (await upload(papa, Buffer.from('not audio'), 'note.txt', 'text/plain')).body;
+    const text = await socket.send('send_message', { to: mummy.id, messageType: 'voice', attachment: { path: file.path } });
+    assert.equal(text.message, 'Voice messages must be audio recordings');
+
+    const missing = await socket.send('send_message', { to: mummy.id, messageType: 'voice' });
+    assert.equal(missing.status, 'error');
+
+    const bad = await socket.send('send_message', {
+      to: mummy.id, messageType: 'voice', attachment: await record(), media: { duration: -1, waveform: [500] }
+    });
+    assert.equal(bad.status, 'error');
+  });
+
+  await t.test('the first playback by the recipient is reported to both sides', async () => {
+    const { message } = await socket.send('send_message', { to: mummy.id, messageType: 'voice', attachment: await record() });
+    const played = () => api.registry.eventsFor(papa.id, 'message_played');
+
+    // Only the recipient's playback counts
+    await socket.send('message_played', { messageId: message.id });
+    assert.equal(played().length, 0);
+
+    const mummySocket = mummy.connect();
+    await mummySocket.send('message_played', { messageId: message.id });
+    await mummySocket.send('message_played', { messageId: message.id });
+    assert.equal(played().length, 1);
+    assert.equal(played()[0].messageId, message.id);
+    assert.equal(played()[0].peerId, mummy.id);
+    assert.equal(api.registry.eventsFor(mummy.id, 'message_played').length, 1);
+
+    const history = await papa.request('GET', `/messages/${papa.id}/${mummy.id}`);
+    assert.ok(history.body.messages.find(entry => entry.id === message.id).playedAt);
+  });
+});
@@ -0,0 +1,13 @@
+-- Pending phone verification codes (one per phone number).
+-- Only the server (service role) reads or writes this table.
+create table if not exists public.otp_challenges (
+  phone text primary key,
+  email text,
+  name text,
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  last_sent_at timestamptz not null
+);
+
+alter table public.otp_challenges enable row level security;
@@ -0,0 +1,16 @@
+-- Server-issued refresh tokens (SHA-256 hashes only). Tokens sharing a
+-- family_id descend from the same login and are revoked together on reuse.
+create table if not exists public.refresh_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  family_id uuid not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by uuid references public.refresh_tokens(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_family_idx on public.refresh_tokens (family_id);
+
+alter table public.refresh_tokens enable row level security;
@@ -0,0 +1,9 @@
+-- Per-message delivery/read receipts. A message is "sent" once inserted,
+-- "delivered" when the recipient's client acknowledges it and "read" once viewed.
+alter table public.messages
+  add column if not exists delivered_at timestamptz,
+  add column if not exists read_at timestamptz;
+
+create index if not exists messages_unread_idx
+  on public.messages (to_user_id, from_user_id)
+  where read_at is null;
@@ -0,0 +1,98 @@
+-- Server-owned user_chats bookkeeping.
+--
+-- send_message() inserts a message and updates both participants' chat rows in
+-- one transaction; refresh_user_chat() recomputes a row after edits, deletes and
+-- read receipts. Both are called by the Node server with the service role key.
+
+create unique index if not exists user_chats_owner_peer_key
+  on public.user_chats (owner_id, peer_id);
+
+-- Keep in sync with messagePreview() in server/storage/memory.js
+create or replace function public.message_preview(m public.messages)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(nullif(m.content, ''), m.file_name, 'Attachment');
+$$;
+
+create or replace function public.send_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, to_user_id, content, message_type,
+    reply_to_message_id, file_url, file_name, file_size
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'to_user_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint
+  )
+  returning * into v_message;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.from_user_id, v_message.to_user_id, public.message_preview(v_message), v_message.created_at, 0)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.to_user_id, v_message.from_user_id, public.message_preview(v_message), v_message.created_at, 1)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp,
+        unread_count = public.user_chats.unread_count + 1;
+
+  return v_message;
+end;
+$$;
+
+create or replace function public.refresh_user_chat(p_owner uuid, p_peer uuid)
+returns public.user_chats
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_latest public.messages;
+  v_chat public.user_chats;
+begin
+  select * into v_latest
+  from public.messages
+  where not is_deleted
+    and ((from_user_id = p_owner and to_user_id = p_peer) or (from_user_id = p_peer and to_user_id = p_owner))
+  order by created_at desc, id desc
+  limit 1;
+
+  update public.user_chats
+  set last_message_content = case when v_latest.id is null then null else public.message_preview(v_latest) end,
+      last_message_timestamp = v_latest.created_at,
+      unread_count = (
+        select count(*)
+        from public.messages
+        where from_user_id = p_peer and to_user_id = p_owner and read_at is null and not is_deleted
+      )
+  where owner_id = p_owner and peer_id = p_peer
+  returning * into v_chat;
+
+  return v_chat;
+end;
+$$;
+
+-- New functions are executable by PUBLIC, which includes anon; only the API
+-- (service_role) may call these
+revoke execute on function public.send_message(jsonb) from public, anon, authenticated;
+revoke execute on function public.refresh_user_chat(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.send_message(jsonb) to service_role;
+grant execute on function public.refresh_user_chat(uuid, uuid) to service_role;
@@ -0,0 +1,116 @@
+-- Group conversations. 1:1 chats keep using messages.to_user_id; group
+-- messages set conversation_id instead and leave to_user_id null.
+
+create table if not exists public.conversations (
+  id uuid primary key default gen_random_uuid(),
+  type text not null default 'group' check (type in ('group')),
+  name text not null,
+  avatar_url text,
+  created_by uuid references public.users(id) on delete set null,
+  last_message_content text,
+  last_message_timestamp timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.conversation_members (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references public.conversations(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  role text not null default 'member' check (role in ('admin', 'member')),
+  joined_at timestamptz not null default now(),
+  last_read_at timestamptz,
+  unread_count integer not null default 0,
+  unique (conversation_id, user_id)
+);
+
+create index if not exists conversation_members_user_idx on public.conversation_members (user_id);
+
+alter table public.messages
+  add column if not exists conversation_id uuid references public.conversations(id) on delete cascade,
+  alter column to_user_id drop not null;
+
+alter table public.messages
+  drop constraint if exists messages_target_check,
+  add constraint messages_target_check check ((to_user_id is null) <> (conversation_id is null));
+
+create index if not exists messages_conversation_idx on public.messages (conversation_id, created_at desc);
+
+alter table public.conversations enable row level security;
+alter table public.conversation_members enable row level security;
+
+create or replace function public.create_conversation(
+  p_name text,
+  p_avatar_url text,
+  p_created_by uuid,
+  p_member_ids uuid[]
+)
+returns public.conversations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_conversation public.conversations;
+begin
+  insert into public.conversations (name, avatar_url, created_by)
+  values (p_name, p_avatar_url, p_created_by)
+  returning * into v_conversation;
+
+  insert into public.conversation_members (conversation_id, user_id, role, last_read_at)
+  values (v_conversation.id, p_created_by, 'admin', now());
+
+  insert into public.conversation_members (conversation_id, user_id, role)
+  select v_conversation.id, u.id, 'member'
+  from public.users u
+  where u.id = any(p_member_ids) and u.id <> p_created_by
+  on conflict (conversation_id, user_id) do nothing;
+
+  return v_conversation;
+end;
+$$;
+
+create or replace function public.send_conversation_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, conversation_id, content, message_type,
+    reply_to_message_id, file_url, file_name, file_size
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'conversation_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint
+  )
+  returning * into v_message;
+
+  update public.conversations
+  set last_message_content = public.message_preview(v_message),
+      last_message_timestamp = v_message.created_at
+  where id = v_message.conversation_id;
+
+  update public.conversation_members
+  set unread_count = unread_count + 1
+  where conversation_id = v_message.conversation_id
+    and user_id <> v_message.from_user_id;
+
+  return v_message;
+end;
+$$;
+
+-- Server-only, like send_message: revoked from PUBLIC as well as the client roles
+revoke execute on function public.create_conversation(text, text, uuid, uuid[]) from public, anon, authenticated;
+revoke execute on function public.send_conversation_message(jsonb) from public, anon, authenticated;
+grant execute on function public.create_conversation(text, text, uuid, uuid[]) to service_role;
+grant execute on function public.send_conversation_message(jsonb) to service_role;
@@ -0,0 +1,9 @@
+-- Who may see a user's online state and last-seen time. The server's presence
+-- service enforces this; is_online/last_seen are written only on socket
+-- connect and disconnect.
+alter table public.users
+  add column if not exists presence_visibility text not null default 'everyone'
+    check (presence_visibility in ('everyone', 'contacts', 'nobody'));
+
+-- Nobody is connected right after a deploy; sockets mark users online again
+update public.users set is_online = false where is_online;
@@ -0,0 +1,46 @@
+-- Full-text search over message content. The 'simple' configuration keeps
+-- every word (no stemming or stop words), which suits short chat messages in
+-- mixed languages; the server queries with prefix terms ('dinn:* & 8:*').
+alter table public.messages
+  add column if not exists search_vector tsvector
+    generated always as (to_tsvector('simple', coalesce(content, ''))) stored;
+
+create index if not exists messages_search_idx on public.messages using gin (search_vector);
+
+-- Ranked matches visible to p_user_id: their own 1:1 chats and the groups they
+-- currently belong to. Deleted messages never match.
+create or replace function public.search_messages(
+  p_user_id uuid,
+  p_query text,
+  p_peer_id uuid default null,
+  p_conversation_id uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_message_type text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (id uuid, rank real)
+language sql
+stable
+set search_path = public
+as $$
+  select m.id, ts_rank(m.search_vector, q) as rank
+  from public.messages m, to_tsquery('simple', p_query) q
+  where m.search_vector @@ q
+    and not coalesce(m.is_deleted, false)
+    and (
+      (m.conversation_id is null and p_user_id in (m.from_user_id, m.to_user_id))
+      or m.conversation_id in (
+        select cm.conversation_id from public.conversation_members cm where cm.user_id = p_user_id
+      )
+    )
+    and (p_peer_id is null or (m.conversation_id is null and p_peer_id in (m.from_user_id, m.to_user_id)))
+    and (p_conversation_id is null or m.conversation_id = p_conversation_id)
+    and (p_from is null or m.created_at >= p_from)
+    and (p_to is null or m.created_at <= p_to)
+    and (p_message_type is null or m.message_type = p_message_type)
+  order by rank desc, m.created_at desc, m.id desc
+  limit p_limit
+  offset p_offset;
+$$;
@@ -0,0 +1,12 @@
+-- History is paged on (created_at, id) so rows sharing a timestamp are never
+-- skipped. These indexes serve both directions of that keyset for 1:1 chats
+-- and groups.
+create index if not exists messages_chat_keyset_idx
+  on public.messages (from_user_id, to_user_id, created_at, id)
+  where conversation_id is null;
+
+create index if not exists messages_conversation_keyset_idx
+  on public.messages (conversation_id, created_at, id)
+  where conversation_id is not null;
+
+drop index if exists public.messages_conversation_idx;
@@ -0,0 +1,110 @@
+-- Client-generated message ids. The outbox retries a send until it is
+-- acknowledged, so the same (sender, client_message_id) may arrive more than
+-- once; only the first creates a row and touches the chat summaries.
+alter table public.messages
+  add column if not exists client_message_id uuid;
+
+create unique index if not exists messages_client_message_id_key
+  on public.messages (from_user_id, client_message_id);
+
+create or replace function public.send_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, to_user_id, content, message_type,
+    reply_to_message_id, file_url, file_name, file_size, client_message_id
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'to_user_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    (p_message->>'client_message_id')::uuid
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  -- A retried send: hand back the original row untouched
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.from_user_id, v_message.to_user_id, public.message_preview(v_message), v_message.created_at, 0)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.to_user_id, v_message.from_user_id, public.message_preview(v_message), v_message.created_at, 1)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp,
+        unread_count = public.user_chats.unread_count + 1;
+
+  return v_message;
+end;
+$$;
+
+create or replace function public.send_conversation_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, conversation_id, content, message_type,
+    reply_to_message_id, file_url, file_name, file_size, client_message_id
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'conversation_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    (p_message->>'client_message_id')::uuid
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  update public.conversations
+  set last_message_content = public.message_preview(v_message),
+      last_message_timestamp = v_message.created_at
+  where id = v_message.conversation_id;
+
+  update public.conversation_members
+  set unread_count = unread_count + 1
+  where conversation_id = v_message.conversation_id
+    and user_id <> v_message.from_user_id;
+
+  return v_message;
+end;
+$$;
@@ -0,0 +1,59 @@
+-- Delta sync. Every insert and update stamps messages.updated_at, so a client
+-- that remembers the last (updated_at, id) it saw can ask for exactly the
+-- rows created, edited, deleted or receipted since.
+alter table public.messages
+  add column if not exists updated_at timestamptz;
+
+update public.messages set updated_at = coalesce(updated_at, created_at);
+
+alter table public.messages
+  alter column updated_at set default now(),
+  alter column updated_at set not null;
+
+create or replace function public.touch_message_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_touch_updated_at on public.messages;
+create trigger messages_touch_updated_at
+  before update on public.messages
+  for each row execute function public.touch_message_updated_at();
+
+create index if not exists messages_updated_keyset_idx on public.messages (updated_at, id);
+
+-- Rows visible to p_user_id (their 1:1 chats and current groups) changed
+-- after the (p_since, p_since_id) keyset, oldest change first. Deleted rows
+-- are included so clients can drop them.
+create or replace function public.message_changes(
+  p_user_id uuid,
+  p_since timestamptz,
+  p_since_id uuid,
+  p_limit integer default 500
+)
+returns setof public.messages
+language sql
+stable
+set search_path = public
+as $$
+  select m.*
+  from public.messages m
+  where (m.updated_at, m.id) > (p_since, p_since_id)
+    and (
+      (m.conversation_id is null and p_user_id in (m.from_user_id, m.to_user_id))
+      or m.conversation_id in (
+        select cm.conversation_id from public.conversation_members cm where cm.user_id = p_user_id
+      )
+    )
+  order by m.updated_at, m.id
+  limit p_limit;
+$$;
+
+-- Called by the API only (PUBLIC holds EXECUTE on new functions by default)
+revoke execute on function public.message_changes(uuid, timestamptz, uuid, integer) from public, anon, authenticated;
+grant execute on function public.message_changes(uuid, timestamptz, uuid, integer) to service_role;
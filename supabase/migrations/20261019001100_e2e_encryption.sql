@@ -0,0 +1,112 @@
+-- Opt-in end-to-end encryption for 1:1 chats.
+--
+-- Each device publishes a P-256 identity public key in device_keys, tied to
+-- the user's profile. An encrypted message keeps content, file_url and
+-- file_name null. Everything the sender wrote, attachment keys included,
+-- travels in the `encrypted` envelope: one AES-GCM ciphertext plus the message
+-- key wrapped separately for every registered device of both participants.
+-- See server/envelopes.js for the shape.
+
+create table if not exists public.device_keys (
+  device_id uuid primary key,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  identity_key text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists device_keys_user_idx on public.device_keys (user_id, created_at);
+
+-- Public keys are served by the API; nothing else reads or writes this table
+alter table public.device_keys enable row level security;
+revoke all on public.device_keys from anon, authenticated;
+
+alter table public.messages
+  add column if not exists encrypted jsonb;
+
+alter table public.messages
+  alter column content drop not null;
+
+alter table public.messages
+  drop constraint if exists messages_message_type_check;
+alter table public.messages
+  add constraint messages_message_type_check
+  check (message_type in ('text', 'image', 'file', 'encrypted'));
+
+-- The database must never hold plaintext next to an envelope
+alter table public.messages
+  drop constraint if exists messages_encrypted_no_plaintext;
+alter table public.messages
+  add constraint messages_encrypted_no_plaintext
+  check (
+    (encrypted is null and message_type <> 'encrypted')
+    or (encrypted is not null and message_type = 'encrypted'
+        and content is null and file_url is null and file_name is null and file_size is null)
+  );
+
+-- Keep in sync with messagePreview() in server/storage/memory.js
+create or replace function public.message_preview(m public.messages)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when m.encrypted is not null then 'Encrypted message'
+    else coalesce(nullif(m.content, ''), m.file_name, 'Attachment')
+  end;
+$$;
+
+-- As in 20261019000900_client_message_ids.sql, plus the envelope
+create or replace function public.send_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, to_user_id, content, message_type,
+    reply_to_message_id, file_url, file_name, file_size, client_message_id, encrypted
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'to_user_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    (p_message->>'client_message_id')::uuid,
+    nullif(p_message->'encrypted', 'null'::jsonb)
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  -- A retried send: hand back the original row untouched
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.from_user_id, v_message.to_user_id, public.message_preview(v_message), v_message.created_at, 0)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.to_user_id, v_message.from_user_id, public.message_preview(v_message), v_message.created_at, 1)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp,
+        unread_count = public.user_chats.unread_count + 1;
+
+  return v_message;
+end;
+$$;
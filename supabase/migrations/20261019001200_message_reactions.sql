@@ -0,0 +1,36 @@
+-- Emoji reactions. A user may add several different emoji to a message, each
+-- once. Adding or removing one stamps the message's updated_at, so
+-- message_changes() (delta sync) returns the message with its new totals.
+
+create table if not exists public.message_reactions (
+  message_id uuid not null references public.messages(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  emoji text not null check (char_length(emoji) between 1 and 32),
+  created_at timestamptz not null default now(),
+  primary key (message_id, user_id, emoji)
+);
+
+create index if not exists message_reactions_message_idx
+  on public.message_reactions (message_id, created_at);
+
+-- Written and read through the API only
+alter table public.message_reactions enable row level security;
+revoke all on public.message_reactions from anon, authenticated;
+
+create or replace function public.touch_reacted_message()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- touch_message_updated_at() sets the actual timestamp
+  update public.messages
+  set updated_at = clock_timestamp()
+  where id = coalesce(new.message_id, old.message_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists message_reactions_touch_message on public.message_reactions;
+create trigger message_reactions_touch_message
+  after insert or delete on public.message_reactions
+  for each row execute function public.touch_reacted_message();
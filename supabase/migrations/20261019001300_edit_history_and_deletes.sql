@@ -0,0 +1,258 @@
+-- Edit history and the two kinds of delete.
+--
+-- edit_message() keeps the text (or encrypted envelope) being replaced in
+-- message_revisions. delete_message_for_everyone() turns a message into a
+-- tombstone: the row stays so both sides can show "This message was deleted",
+-- but its content, attachment, envelope, revisions and reactions are erased.
+-- "Delete for me" only records the message in hidden_messages for that user.
+-- How long after sending a message may be edited or deleted for everyone is
+-- enforced by the API (MESSAGE_EDIT_WINDOW_MINUTES / MESSAGE_DELETE_WINDOW_MINUTES).
+
+alter table public.messages
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+create table if not exists public.message_revisions (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references public.messages(id) on delete cascade,
+  revision integer not null,
+  content text,
+  encrypted jsonb,
+  -- When this version was written (sent or last edited) and when it was replaced
+  written_at timestamptz not null,
+  replaced_at timestamptz not null default now(),
+  unique (message_id, revision)
+);
+
+create table if not exists public.hidden_messages (
+  message_id uuid not null references public.messages(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  hidden_at timestamptz not null default now(),
+  primary key (message_id, user_id)
+);
+
+create index if not exists hidden_messages_user_idx on public.hidden_messages (user_id);
+
+alter table public.message_revisions enable row level security;
+alter table public.hidden_messages enable row level security;
+revoke all on public.message_revisions from anon, authenticated;
+revoke all on public.hidden_messages from anon, authenticated;
+
+-- Tombstones hold neither plaintext nor an envelope, whatever type they were
+alter table public.messages
+  drop constraint if exists messages_encrypted_no_plaintext;
+
+-- Messages deleted before this migration still hold their content
+update public.messages
+set content = null,
+    encrypted = null,
+    file_url = null,
+    file_name = null,
+    file_size = null,
+    deleted_at = coalesce(deleted_at, updated_at)
+where is_deleted;
+
+alter table public.messages
+  add constraint messages_encrypted_no_plaintext
+  check (
+    (is_deleted and content is null and encrypted is null and file_url is null)
+    or (not is_deleted and encrypted is null and message_type <> 'encrypted')
+    or (not is_deleted and encrypted is not null and message_type = 'encrypted'
+        and content is null and file_url is null and file_name is null and file_size is null)
+  );
+
+-- Reactions and hides stamp the message so delta sync (message_changes) sees them
+create or replace function public.touch_parent_message()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.messages
+  set updated_at = clock_timestamp()
+  where id = coalesce(new.message_id, old.message_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists message_reactions_touch_message on public.message_reactions;
+create trigger message_reactions_touch_message
+  after insert or delete on public.message_reactions
+  for each row execute function public.touch_parent_message();
+drop function if exists public.touch_reacted_message();
+
+drop trigger if exists hidden_messages_touch_message on public.hidden_messages;
+create trigger hidden_messages_touch_message
+  after insert on public.hidden_messages
+  for each row execute function public.touch_parent_message();
+
+-- Replace a message's text (or envelope), keeping the old version as a revision
+create or replace function public.edit_message(p_message_id uuid, p_content text, p_encrypted jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old public.messages;
+  v_message public.messages;
+begin
+  select * into v_old from public.messages where id = p_message_id for update;
+  if v_old.id is null or v_old.is_deleted then
+    return null;
+  end if;
+
+  insert into public.message_revisions (message_id, revision, content, encrypted, written_at)
+  values (
+    v_old.id,
+    coalesce((select max(revision) from public.message_revisions where message_id = v_old.id), 0) + 1,
+    v_old.content,
+    v_old.encrypted,
+    coalesce(v_old.edited_at, v_old.created_at)
+  );
+
+  update public.messages
+  set content = p_content,
+      encrypted = p_encrypted,
+      is_edited = true,
+      edited_at = now()
+  where id = p_message_id
+  returning * into v_message;
+
+  return v_message;
+end;
+$$;
+
+create or replace function public.delete_message_for_everyone(p_message_id uuid)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  delete from public.message_revisions where message_id = p_message_id;
+  delete from public.message_reactions where message_id = p_message_id;
+
+  update public.messages
+  set is_deleted = true,
+      deleted_at = now(),
+      content = null,
+      encrypted = null,
+      file_url = null,
+      file_name = null,
+      file_size = null
+  where id = p_message_id and not is_deleted
+  returning * into v_message;
+
+  return v_message;
+end;
+$$;
+
+-- As in 20261019000400_user_chat_summaries.sql, skipping messages the owner hid
+create or replace function public.refresh_user_chat(p_owner uuid, p_peer uuid)
+returns public.user_chats
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_latest public.messages;
+  v_chat public.user_chats;
+begin
+  select * into v_latest
+  from public.messages m
+  where not m.is_deleted
+    and ((m.from_user_id = p_owner and m.to_user_id = p_peer) or (m.from_user_id = p_peer and m.to_user_id = p_owner))
+    and not exists (select 1 from public.hidden_messages h where h.message_id = m.id and h.user_id = p_owner)
+  order by m.created_at desc, m.id desc
+  limit 1;
+
+  update public.user_chats
+  set last_message_content = case when v_latest.id is null then null else public.message_preview(v_latest) end,
+      last_message_timestamp = v_latest.created_at,
+      unread_count = (
+        select count(*)
+        from public.messages m
+        where m.from_user_id = p_peer and m.to_user_id = p_owner and m.read_at is null and not m.is_deleted
+          and not exists (select 1 from public.hidden_messages h where h.message_id = m.id and h.user_id = p_owner)
+      )
+  where owner_id = p_owner and peer_id = p_peer
+  returning * into v_chat;
+
+  return v_chat;
+end;
+$$;
+
+-- A group's preview, recomputed after its latest message changed
+create or replace function public.refresh_conversation_preview(p_conversation_id uuid)
+returns public.conversations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_latest public.messages;
+  v_conversation public.conversations;
+begin
+  select * into v_latest
+  from public.messages m
+  where m.conversation_id = p_conversation_id and not m.is_deleted
+  order by m.created_at desc, m.id desc
+  limit 1;
+
+  update public.conversations
+  set last_message_content = case when v_latest.id is null then null else public.message_preview(v_latest) end,
+      last_message_timestamp = v_latest.created_at
+  where id = p_conversation_id
+  returning * into v_conversation;
+
+  return v_conversation;
+end;
+$$;
+
+-- As in 20261019000700_message_search.sql, skipping messages the searcher hid
+create or replace function public.search_messages(
+  p_user_id uuid,
+  p_query text,
+  p_peer_id uuid default null,
+  p_conversation_id uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_message_type text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (id uuid, rank real)
+language sql
+stable
+set search_path = public
+as $$
+  select m.id, ts_rank(m.search_vector, q) as rank
+  from public.messages m, to_tsquery('simple', p_query) q
+  where m.search_vector @@ q
+    and not coalesce(m.is_deleted, false)
+    and (
+      (m.conversation_id is null and p_user_id in (m.from_user_id, m.to_user_id))
+      or m.conversation_id in (
+        select cm.conversation_id from public.conversation_members cm where cm.user_id = p_user_id
+      )
+    )
+    and not exists (select 1 from public.hidden_messages h where h.message_id = m.id and h.user_id = p_user_id)
+    and (p_peer_id is null or (m.conversation_id is null and p_peer_id in (m.from_user_id, m.to_user_id)))
+    and (p_conversation_id is null or m.conversation_id = p_conversation_id)
+    and (p_from is null or m.created_at >= p_from)
+    and (p_to is null or m.created_at <= p_to)
+    and (p_message_type is null or m.message_type = p_message_type)
+  order by rank desc, m.created_at desc, m.id desc
+  limit p_limit
+  offset p_offset;
+$$;
+
+-- Only the API, which checks authorship and the edit/delete windows, may call these
+revoke execute on function public.edit_message(uuid, text, jsonb) from public, anon, authenticated;
+revoke execute on function public.delete_message_for_everyone(uuid) from public, anon, authenticated;
+revoke execute on function public.refresh_conversation_preview(uuid) from public, anon, authenticated;
+grant execute on function public.edit_message(uuid, text, jsonb) to service_role;
+grant execute on function public.delete_message_for_everyone(uuid) to service_role;
+grant execute on function public.refresh_conversation_preview(uuid) to service_role;
@@ -0,0 +1,174 @@
+-- "Clear chat" per user, with undo, and an operator-only hard purge.
+--
+-- Clearing a 1:1 chat no longer deletes rows the other participant still
+-- needs: it sets user_chats.cleared_before and everything sent up to then is
+-- hidden from that owner only. previous_cleared_before/cleared_at let the
+-- API undo the latest clear for a short while (CHAT_CLEAR_UNDO_SECONDS).
+-- purge_chat() really deletes a chat's messages; the API also removes their
+-- chat-files objects.
+
+alter table public.user_chats
+  add column if not exists cleared_before timestamptz,
+  add column if not exists previous_cleared_before timestamptz,
+  add column if not exists cleared_at timestamptz;
+
+-- Deleted for p_user_id alone, or sent before they cleared the chat
+create or replace function public.message_hidden_for(p_message public.messages, p_user_id uuid)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select exists (
+      select 1 from public.hidden_messages h
+      where h.message_id = p_message.id and h.user_id = p_user_id
+    )
+    or (
+      p_message.conversation_id is null
+      and exists (
+        select 1 from public.user_chats c
+        where c.owner_id = p_user_id
+          and c.peer_id = case when p_message.from_user_id = p_user_id then p_message.to_user_id else p_message.from_user_id end
+          and c.cleared_before is not null
+          and p_message.created_at <= c.cleared_before
+      )
+    );
+$$;
+
+create or replace function public.hidden_message_ids(p_user_id uuid, p_message_ids uuid[])
+returns table (id uuid)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.id
+  from public.messages m
+  where m.id = any(p_message_ids)
+    and public.message_hidden_for(m, p_user_id);
+$$;
+
+create or replace function public.clear_user_chat(p_owner uuid, p_peer uuid, p_before timestamptz)
+returns public.user_chats
+language sql
+security definer
+set search_path = public
+as $$
+  update public.user_chats
+  set previous_cleared_before = cleared_before,
+      cleared_before = p_before,
+      cleared_at = now()
+  where owner_id = p_owner and peer_id = p_peer
+  returning *;
+$$;
+
+-- Only the latest clear can be undone, and only if it happened at or after p_since
+create or replace function public.undo_clear_user_chat(p_owner uuid, p_peer uuid, p_since timestamptz)
+returns public.user_chats
+language sql
+security definer
+set search_path = public
+as $$
+  update public.user_chats
+  set cleared_before = previous_cleared_before,
+      previous_cleared_before = null,
+      cleared_at = null
+  where owner_id = p_owner and peer_id = p_peer and cleared_at >= p_since
+  returning *;
+$$;
+
+-- Reactions, revisions and hides go with their messages (on delete cascade)
+create or replace function public.purge_chat(p_user_a uuid, p_user_b uuid)
+returns setof public.messages
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.messages
+  where conversation_id is null
+    and ((from_user_id = p_user_a and to_user_id = p_user_b) or (from_user_id = p_user_b and to_user_id = p_user_a))
+  returning *;
+$$;
+
+-- As in 20261019001300_edit_history_and_deletes.sql, also skipping cleared messages
+create or replace function public.refresh_user_chat(p_owner uuid, p_peer uuid)
+returns public.user_chats
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_latest public.messages;
+  v_chat public.user_chats;
+begin
+  select * into v_latest
+  from public.messages m
+  where not m.is_deleted
+    and ((m.from_user_id = p_owner and m.to_user_id = p_peer) or (m.from_user_id = p_peer and m.to_user_id = p_owner))
+    and not public.message_hidden_for(m, p_owner)
+  order by m.created_at desc, m.id desc
+  limit 1;
+
+  update public.user_chats
+  set last_message_content = case when v_latest.id is null then null else public.message_preview(v_latest) end,
+      last_message_timestamp = v_latest.created_at,
+      unread_count = (
+        select count(*)
+        from public.messages m
+        where m.from_user_id = p_peer and m.to_user_id = p_owner and m.read_at is null and not m.is_deleted
+          and not public.message_hidden_for(m, p_owner)
+      )
+  where owner_id = p_owner and peer_id = p_peer
+  returning * into v_chat;
+
+  return v_chat;
+end;
+$$;
+
+-- As in 20261019001300_edit_history_and_deletes.sql, also skipping cleared messages
+create or replace function public.search_messages(
+  p_user_id uuid,
+  p_query text,
+  p_peer_id uuid default null,
+  p_conversation_id uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_message_type text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (id uuid, rank real)
+language sql
+stable
+set search_path = public
+as $$
+  select m.id, ts_rank(m.search_vector, q) as rank
+  from public.messages m, to_tsquery('simple', p_query) q
+  where m.search_vector @@ q
+    and not coalesce(m.is_deleted, false)
+    and (
+      (m.conversation_id is null and p_user_id in (m.from_user_id, m.to_user_id))
+      or m.conversation_id in (
+        select cm.conversation_id from public.conversation_members cm where cm.user_id = p_user_id
+      )
+    )
+    and not public.message_hidden_for(m, p_user_id)
+    and (p_peer_id is null or (m.conversation_id is null and p_peer_id in (m.from_user_id, m.to_user_id)))
+    and (p_conversation_id is null or m.conversation_id = p_conversation_id)
+    and (p_from is null or m.created_at >= p_from)
+    and (p_to is null or m.created_at <= p_to)
+    and (p_message_type is null or m.message_type = p_message_type)
+  order by rank desc, m.created_at desc, m.id desc
+  limit p_limit
+  offset p_offset;
+$$;
+
+-- purge_chat in particular must never be reachable with the anon key
+revoke execute on function public.hidden_message_ids(uuid, uuid[]) from public, anon, authenticated;
+revoke execute on function public.clear_user_chat(uuid, uuid, timestamptz) from public, anon, authenticated;
+revoke execute on function public.undo_clear_user_chat(uuid, uuid, timestamptz) from public, anon, authenticated;
+revoke execute on function public.purge_chat(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.hidden_message_ids(uuid, uuid[]) to service_role;
+grant execute on function public.clear_user_chat(uuid, uuid, timestamptz) to service_role;
+grant execute on function public.undo_clear_user_chat(uuid, uuid, timestamptz) to service_role;
+grant execute on function public.purge_chat(uuid, uuid) to service_role;
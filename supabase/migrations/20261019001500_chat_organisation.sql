@@ -0,0 +1,98 @@
+-- Pinning, muting and archiving 1:1 chats.
+--
+-- user_chats.pin_rank orders pinned chats (lowest first; null = not pinned).
+-- chat_settings gains a real muted_until column next to the old free-form
+-- `settings` blob and becomes one row per chat. send_message() now brings an
+-- archived chat back for the recipient unless they have it muted.
+
+alter table public.user_chats
+  add column if not exists is_archived boolean not null default false,
+  add column if not exists pin_rank integer;
+
+create index if not exists user_chats_listing_idx
+  on public.user_chats (owner_id, is_archived, pin_rank, last_message_timestamp desc);
+
+create table if not exists public.chat_settings (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.users(id) on delete cascade,
+  chat_id uuid not null references public.user_chats(id) on delete cascade,
+  settings jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.chat_settings
+  add column if not exists muted_until timestamptz;
+
+-- Older clients could insert several rows per chat; keep the newest
+delete from public.chat_settings a
+using public.chat_settings b
+where a.chat_id = b.chat_id
+  and (a.updated_at, a.id) < (b.updated_at, b.id);
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'chat_settings_chat_id_key') then
+    alter table public.chat_settings add constraint chat_settings_chat_id_key unique (chat_id);
+  end if;
+end;
+$$;
+
+-- As in 20261019001100_e2e_encryption.sql, plus the auto-unarchive rule
+create or replace function public.send_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, to_user_id, content, message_type,
+    reply_to_message_id, file_url, file_name, file_size, client_message_id, encrypted
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'to_user_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    (p_message->>'client_message_id')::uuid,
+    nullif(p_message->'encrypted', 'null'::jsonb)
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  -- A retried send: hand back the original row untouched
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.from_user_id, v_message.to_user_id, public.message_preview(v_message), v_message.created_at, 0)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.to_user_id, v_message.from_user_id, public.message_preview(v_message), v_message.created_at, 1)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp,
+        unread_count = public.user_chats.unread_count + 1,
+        is_archived = public.user_chats.is_archived and exists (
+          select 1 from public.chat_settings s
+          where s.chat_id = public.user_chats.id and s.muted_until > now()
+        );
+
+  return v_message;
+end;
+$$;
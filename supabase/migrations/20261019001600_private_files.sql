@@ -0,0 +1,198 @@
+-- Private attachments and profile pictures.
+--
+-- Both buckets stop being public. Files are uploaded through the API under
+-- unguessable names and read through short-lived signed URLs that the API
+-- only hands to chat participants. Messages point at their object with
+-- file_path, and profiles with picture_path. The public URLs stored before
+-- are converted to paths.
+
+insert into storage.buckets (id, name, public)
+values ('chat-files', 'chat-files', false), ('profile-pictures', 'profile-pictures', false)
+on conflict (id) do update set public = false;
+
+-- Browsers used to read and write these buckets directly; only the API's
+-- service role may now
+do $$
+declare
+  v_policy record;
+begin
+  for v_policy in
+    select policyname
+    from pg_policies
+    where schemaname = 'storage' and tablename = 'objects'
+      and (coalesce(qual, '') || coalesce(with_check, '')) ~ '(chat-files|profile-pictures)'
+  loop
+    execute format('drop policy %I on storage.objects', v_policy.policyname);
+  end loop;
+end;
+$$;
+
+alter table public.messages
+  add column if not exists file_path text;
+
+update public.messages
+set file_path = substring(file_url from '/storage/v1/object/public/chat-files/(.+)$'),
+    file_url = null
+where file_url like '%/storage/v1/object/public/chat-files/%';
+
+alter table public.profiles
+  add column if not exists picture_path text;
+
+update public.profiles
+set picture_path = substring(profile_picture_url from '/storage/v1/object/public/profile-pictures/(.+)$'),
+    profile_picture_url = null
+where profile_picture_url like '%/storage/v1/object/public/profile-pictures/%';
+
+-- Tombstones lose their file too. An encrypted message may carry the path of
+-- its (encrypted) attachment, but no name or size.
+alter table public.messages
+  drop constraint if exists messages_encrypted_no_plaintext;
+
+alter table public.messages
+  add constraint messages_encrypted_no_plaintext
+  check (
+    (is_deleted and content is null and encrypted is null and file_url is null and file_path is null)
+    or (not is_deleted and encrypted is null and message_type <> 'encrypted')
+    or (not is_deleted and encrypted is not null and message_type = 'encrypted'
+        and content is null and file_url is null and file_name is null and file_size is null)
+  );
+
+-- As in 20261019001300_edit_history_and_deletes.sql, also dropping file_path
+create or replace function public.delete_message_for_everyone(p_message_id uuid)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  delete from public.message_revisions where message_id = p_message_id;
+  delete from public.message_reactions where message_id = p_message_id;
+
+  update public.messages
+  set is_deleted = true,
+      deleted_at = now(),
+      content = null,
+      encrypted = null,
+      file_url = null,
+      file_path = null,
+      file_name = null,
+      file_size = null
+  where id = p_message_id and not is_deleted
+  returning * into v_message;
+
+  return v_message;
+end;
+$$;
+
+-- As in 20261019001500_chat_organisation.sql, plus file_path
+create or replace function public.send_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, to_user_id, content, message_type,
+    reply_to_message_id, file_url, file_path, file_name, file_size, client_message_id, encrypted
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'to_user_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_path',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    (p_message->>'client_message_id')::uuid,
+    nullif(p_message->'encrypted', 'null'::jsonb)
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  -- A retried send: hand back the original row untouched
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.from_user_id, v_message.to_user_id, public.message_preview(v_message), v_message.created_at, 0)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.to_user_id, v_message.from_user_id, public.message_preview(v_message), v_message.created_at, 1)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp,
+        unread_count = public.user_chats.unread_count + 1,
+        is_archived = public.user_chats.is_archived and exists (
+          select 1 from public.chat_settings s
+          where s.chat_id = public.user_chats.id and s.muted_until > now()
+        );
+
+  return v_message;
+end;
+$$;
+
+-- As in 20261019000900_client_message_ids.sql, plus file_path
+create or replace function public.send_conversation_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, conversation_id, content, message_type,
+    reply_to_message_id, file_url, file_path, file_name, file_size, client_message_id
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'conversation_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_path',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    (p_message->>'client_message_id')::uuid
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  update public.conversations
+  set last_message_content = public.message_preview(v_message),
+      last_message_timestamp = v_message.created_at
+  where id = v_message.conversation_id;
+
+  update public.conversation_members
+  set unread_count = unread_count + 1
+  where conversation_id = v_message.conversation_id
+    and user_id <> v_message.from_user_id;
+
+  return v_message;
+end;
+$$;
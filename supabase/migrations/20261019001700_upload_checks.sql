@@ -0,0 +1,48 @@
+-- Uploads go through the API, which checks their contents, enforces per-user
+-- quotas (UPLOAD_QUOTA_MB) and scans them before storing. One row per stored
+-- object records who uploaded it and the scan verdict; send_message only
+-- attaches rows with status 'clean'. Flagged files go to the private
+-- quarantine bucket instead of chat-files.
+--
+-- Objects stored before this migration have no row and do not count against
+-- anyone's quota.
+
+insert into storage.buckets (id, name, public)
+values ('quarantine', 'quarantine', false)
+on conflict (id) do update set public = false;
+
+create table if not exists public.uploads (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.users(id) on delete cascade,
+  bucket text not null,
+  path text not null,
+  file_name text not null,
+  content_type text not null,
+  size bigint not null check (size >= 0),
+  status text not null check (status in ('clean', 'quarantined')),
+  threat text,
+  scanned_by text not null,
+  created_at timestamptz not null default now(),
+  unique (bucket, path)
+);
+
+create index if not exists uploads_owner_idx on public.uploads (owner_id, status);
+
+-- Written and read through the API only
+alter table public.uploads enable row level security;
+revoke all on public.uploads from anon, authenticated;
+
+-- Bytes of clean uploads a user still has in storage
+create or replace function public.storage_usage(p_owner_id uuid)
+returns bigint
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(sum(size), 0)::bigint
+  from public.uploads
+  where owner_id = p_owner_id and status = 'clean';
+$$;
+
+revoke execute on function public.storage_usage(uuid) from public, anon, authenticated;
+grant execute on function public.storage_usage(uuid) to service_role;
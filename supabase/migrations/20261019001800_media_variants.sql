@@ -0,0 +1,156 @@
+-- Images and videos get derived images when they are uploaded (see
+-- server/files/media.js): a thumbnail, a preview for large images and a
+-- poster frame for videos, stored next to the original in the same bucket.
+-- Their paths, the dimensions and a blurhash placeholder are kept on the
+-- upload and copied onto messages that attach it.
+--
+-- Earlier uploads and messages have no media and are shown as before.
+
+alter table public.uploads
+  add column if not exists media jsonb;
+
+alter table public.messages
+  add column if not exists media jsonb;
+
+-- As in 20261019001600_private_files.sql, also dropping media
+create or replace function public.delete_message_for_everyone(p_message_id uuid)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  delete from public.message_revisions where message_id = p_message_id;
+  delete from public.message_reactions where message_id = p_message_id;
+
+  update public.messages
+  set is_deleted = true,
+      deleted_at = now(),
+      content = null,
+      encrypted = null,
+      file_url = null,
+      file_path = null,
+      file_name = null,
+      file_size = null,
+      media = null
+  where id = p_message_id and not is_deleted
+  returning * into v_message;
+
+  return v_message;
+end;
+$$;
+
+-- As in 20261019001600_private_files.sql, plus media
+create or replace function public.send_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, to_user_id, content, message_type,
+    reply_to_message_id, file_url, file_path, file_name, file_size, media, client_message_id, encrypted
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'to_user_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_path',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    nullif(p_message->'media', 'null'::jsonb),
+    (p_message->>'client_message_id')::uuid,
+    nullif(p_message->'encrypted', 'null'::jsonb)
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  -- A retried send: hand back the original row untouched
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.from_user_id, v_message.to_user_id, public.message_preview(v_message), v_message.created_at, 0)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp;
+
+  insert into public.user_chats (owner_id, peer_id, last_message_content, last_message_timestamp, unread_count)
+  values (v_message.to_user_id, v_message.from_user_id, public.message_preview(v_message), v_message.created_at, 1)
+  on conflict (owner_id, peer_id) do update
+    set last_message_content = excluded.last_message_content,
+        last_message_timestamp = excluded.last_message_timestamp,
+        unread_count = public.user_chats.unread_count + 1,
+        is_archived = public.user_chats.is_archived and exists (
+          select 1 from public.chat_settings s
+          where s.chat_id = public.user_chats.id and s.muted_until > now()
+        );
+
+  return v_message;
+end;
+$$;
+
+-- As in 20261019001600_private_files.sql, plus media
+create or replace function public.send_conversation_message(p_message jsonb)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_message public.messages;
+begin
+  insert into public.messages (
+    from_user_id, conversation_id, content, message_type,
+    reply_to_message_id, file_url, file_path, file_name, file_size, media, client_message_id
+  )
+  values (
+    (p_message->>'from_user_id')::uuid,
+    (p_message->>'conversation_id')::uuid,
+    p_message->>'content',
+    coalesce(p_message->>'message_type', 'text'),
+    (p_message->>'reply_to_message_id')::uuid,
+    p_message->>'file_url',
+    p_message->>'file_path',
+    p_message->>'file_name',
+    (p_message->>'file_size')::bigint,
+    nullif(p_message->'media', 'null'::jsonb),
+    (p_message->>'client_message_id')::uuid
+  )
+  on conflict (from_user_id, client_message_id) do nothing
+  returning * into v_message;
+
+  if v_message.id is null then
+    select * into v_message
+    from public.messages
+    where from_user_id = (p_message->>'from_user_id')::uuid
+      and client_message_id = (p_message->>'client_message_id')::uuid;
+    return v_message;
+  end if;
+
+  update public.conversations
+  set last_message_content = public.message_preview(v_message),
+      last_message_timestamp = v_message.created_at
+  where id = v_message.conversation_id;
+
+  update public.conversation_members
+  set unread_count = unread_count + 1
+  where conversation_id = v_message.conversation_id
+    and user_id <> v_message.from_user_id;
+
+  return v_message;
+end;
+$$;
@@ -0,0 +1,28 @@
+-- Voice notes: audio recorded in the browser and sent with message_type
+-- 'voice'. Their duration and waveform come from the upload's `media`
+-- (see 20261019001800_media_variants.sql). played_at is set the first time
+-- the recipient of a 1:1 voice note plays it; group voice notes, like group
+-- read receipts, are not tracked.
+
+alter table public.messages
+  drop constraint if exists messages_message_type_check;
+alter table public.messages
+  add constraint messages_message_type_check
+  check (message_type in ('text', 'image', 'file', 'voice', 'encrypted'));
+
+alter table public.messages
+  add column if not exists played_at timestamptz;
+
+-- As in 20261019001100_e2e_encryption.sql, plus voice notes, whose file name
+-- means nothing to the reader
+create or replace function public.message_preview(m public.messages)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when m.encrypted is not null then 'Encrypted message'
+    when m.message_type = 'voice' then 'Voice message'
+    else coalesce(nullif(m.content, ''), m.file_name, 'Attachment')
+  end;
+$$;
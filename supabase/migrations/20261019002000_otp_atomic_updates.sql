@@ -0,0 +1,52 @@
+-- Race-free OTP bookkeeping. Reading a challenge and writing it back lets
+-- concurrent requests slip past the resend cooldown or guess more often than
+-- the attempt limit allows, so both checks happen inside a single statement.
+
+-- Store a new challenge for p_phone unless a code was sent after
+-- p_not_sent_since (the cooldown). Returns whether it was stored.
+create or replace function public.issue_otp_challenge(
+  p_phone text,
+  p_email text,
+  p_name text,
+  p_code_hash text,
+  p_expires_at timestamptz,
+  p_sent_at timestamptz,
+  p_not_sent_since timestamptz
+)
+returns boolean
+language sql
+as $$
+  with issued as (
+    insert into public.otp_challenges as c
+      (phone, email, name, code_hash, attempts, expires_at, last_sent_at)
+    values (p_phone, p_email, p_name, p_code_hash, 0, p_expires_at, p_sent_at)
+    on conflict (phone) do update
+      set email = excluded.email,
+          name = excluded.name,
+          code_hash = excluded.code_hash,
+          attempts = 0,
+          expires_at = excluded.expires_at,
+          last_sent_at = excluded.last_sent_at
+      where c.last_sent_at <= p_not_sent_since
+    returning 1
+  )
+  select exists (select 1 from issued);
+$$;
+
+-- Count one verification attempt against p_phone's challenge, unless it has
+-- already used up p_max_attempts. Returns the updated challenge, or no row.
+create or replace function public.record_otp_attempt(p_phone text, p_max_attempts integer)
+returns setof public.otp_challenges
+language sql
+as $$
+  update public.otp_challenges
+     set attempts = attempts + 1
+   where phone = p_phone
+     and attempts < p_max_attempts
+  returning *;
+$$;
+
+revoke execute on function public.issue_otp_challenge(text, text, text, text, timestamptz, timestamptz, timestamptz) from public, anon, authenticated;
+revoke execute on function public.record_otp_attempt(text, integer) from public, anon, authenticated;
+grant execute on function public.issue_otp_challenge(text, text, text, text, timestamptz, timestamptz, timestamptz) to service_role;
+grant execute on function public.record_otp_attempt(text, integer) to service_role;
@@ -0,0 +1,19 @@
+-- An upload is attached to one message at most. Deleting that message for
+-- everyone, or purging its chat, can then delete the file without breaking
+-- another message that shares it. The API claims the upload with a
+-- conditional update (attached_at is null) before inserting the message.
+alter table public.uploads
+  add column if not exists attached_at timestamptz;
+
+-- Uploads sent before this migration count as attached
+update public.uploads u
+set attached_at = m.created_at
+from (
+  select file_path, min(created_at) as created_at
+  from public.messages
+  where file_path is not null
+  group by file_path
+) m
+where u.bucket = 'chat-files'
+  and u.path = m.file_path
+  and u.attached_at is null;
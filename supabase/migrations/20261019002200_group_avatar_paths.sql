@@ -0,0 +1,52 @@
+-- Group avatars are images uploaded with POST /api/files and kept in the
+-- private chat-files bucket, like attachments. conversations.avatar_path
+-- replaces the free-form avatar_url, and members fetch a signed URL from
+-- GET /api/conversations/:id/avatar. URLs that pointed anywhere else are
+-- dropped.
+alter table public.conversations
+  add column if not exists avatar_path text;
+
+update public.conversations
+set avatar_path = substring(avatar_url from '/storage/v1/object/public/chat-files/(.+)$')
+where avatar_url like '%/storage/v1/object/public/chat-files/%';
+
+-- As in 20261019000500_group_conversations.sql, taking the avatar's path.
+-- Renaming a parameter needs the function dropped first.
+drop function if exists public.create_conversation(text, text, uuid, uuid[]);
+
+alter table public.conversations
+  drop column if exists avatar_url;
+
+create function public.create_conversation(
+  p_name text,
+  p_avatar_path text,
+  p_created_by uuid,
+  p_member_ids uuid[]
+)
+returns public.conversations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_conversation public.conversations;
+begin
+  insert into public.conversations (name, avatar_path, created_by)
+  values (p_name, p_avatar_path, p_created_by)
+  returning * into v_conversation;
+
+  insert into public.conversation_members (conversation_id, user_id, role, last_read_at)
+  values (v_conversation.id, p_created_by, 'admin', now());
+
+  insert into public.conversation_members (conversation_id, user_id, role)
+  select v_conversation.id, u.id, 'member'
+  from public.users u
+  where u.id = any(p_member_ids) and u.id <> p_created_by
+  on conflict (conversation_id, user_id) do nothing;
+
+  return v_conversation;
+end;
+$$;
+
+revoke execute on function public.create_conversation(text, text, uuid, uuid[]) from public, anon, authenticated;
+grant execute on function public.create_conversation(text, text, uuid, uuid[]) to service_role;
@@ -0,0 +1,9 @@
+-- .bin uploads are end-to-end encrypted attachments. Their contents cannot be
+-- checked, so they are flagged when stored and the API only attaches them to
+-- encrypted messages.
+alter table public.uploads
+  add column if not exists opaque boolean not null default false;
+
+update public.uploads
+set opaque = true
+where content_type = 'application/octet-stream';
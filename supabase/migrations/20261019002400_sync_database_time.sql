@@ -0,0 +1,13 @@
+-- The database's clock. The first delta sync token starts from it rather than
+-- the API server's clock, which may be skewed against the updated_at stamps
+-- the token is compared with.
+create or replace function public.database_time()
+returns timestamptz
+language sql
+stable
+as $$
+  select now();
+$$;
+
+revoke execute on function public.database_time() from public, anon, authenticated;
+grant execute on function public.database_time() to service_role;
@@ -0,0 +1,27 @@
+-- Who wrote each message row last: 'api' for the server (it uses the service
+-- role and emits its own socket events), 'external' for anything else, such
+-- as clients writing through PostgREST, SQL run from the dashboard or
+-- scheduled jobs. The server's change bridge only relays external writes, so
+-- clients do not get the server's own changes twice.
+alter table public.messages
+  add column if not exists origin text not null default 'external'
+  check (origin in ('api', 'external'));
+
+create or replace function public.stamp_message_origin()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- The JWT's role survives security definer functions, unlike current_user
+  new.origin := case
+    when current_setting('request.jwt.claims', true)::jsonb ->> 'role' = 'service_role' then 'api'
+    else 'external'
+  end;
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_stamp_origin on public.messages;
+create trigger messages_stamp_origin
+  before insert or update on public.messages
+  for each row execute function public.stamp_message_origin();